@@ -0,0 +1,100 @@
+import fetch from "node-fetch";
+import { zonedTime, zonedParts } from "../ad-validity.js";
+
+// Helpers shared by every ad-source adapter. Nothing in here knows about a
+// particular aggregator: page-discovery rules live in the adapter modules, and
+// chain → adapter routing lives in ./index.js.
+
+export const BROWSER_HEADERS = {
+  "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+  "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+  "Accept-Language": "en-US,en;q=0.9",
+  "Accept-Encoding": "gzip, deflate",
+};
+
+export const IMAGE_HEADERS = { "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36" };
+
+export async function fetchHtml(url) {
+  const res = await fetch(url, { headers: BROWSER_HEADERS });
+  const html = await res.text();
+  return { status: res.status, html };
+}
+
+// HEAD-probe a URL and report whether it serves an image. Used by the adapters
+// that discover pages by walking a sequential numbering scheme until it stops.
+export async function probeImage(url, headers = IMAGE_HEADERS) {
+  try {
+    const probe = await fetch(url, { method: "HEAD", headers });
+    return probe.ok && (probe.headers.get("content-type") || "").startsWith("image/");
+  } catch { return false; }
+}
+
+// PDF circulars (./pdf.js) come through here too: extract-store expands them
+// into pages (lib/pdf-ad.js). Some hosts serve them as octet-stream, so a .pdf
+// URL is accepted on that type as well.
+const MAX_PDF_BYTES = 25 * 1024 * 1024;
+
+export async function fetchBestImage(url, headers = IMAGE_HEADERS) {
+  // WordPress appends -scaled to large uploads; the original usually exists
+  // at the same URL without the suffix. Verified June 11: 4.6-6.4x the pixels.
+  const tryFetch = async (u) => {
+    try {
+      const r = await fetch(u, { headers });
+      if (!r.ok) return null;
+      const type = r.headers.get("content-type") || "";
+      const pdf = type.startsWith("application/pdf") || (type.startsWith("application/octet-stream") && /\.pdf(\?|$)/i.test(u));
+      if (!type.startsWith("image/") && !pdf) return null;
+      const buf = Buffer.from(await r.arrayBuffer());
+      if (pdf && buf.length > MAX_PDF_BYTES) {
+        console.warn(`fetchBestImage: PDF is ${(buf.length / 1048576).toFixed(1)}MB (> 25MB cap), skipping ${u}`);
+        return null;
+      }
+      return buf.length > 1000 ? buf : null;
+    } catch { return null; }
+  };
+  // 8MB ceiling on unscaled originals. Observed 15MB/168-megapixel originals
+  // on igroceryads; decoding those risks memory pressure for no OCR benefit.
+  const MAX_ORIGINAL_BYTES = 8 * 1024 * 1024;
+  if (/-scaled\.(jpe?g|png|webp)$/i.test(url)) {
+    const orig = await tryFetch(url.replace(/-scaled(\.(?:jpe?g|png|webp))$/i, "$1"));
+    if (orig && orig.length <= MAX_ORIGINAL_BYTES) return orig;
+    if (orig) console.log(`fetchBestImage: original is ${(orig.length / 1048576).toFixed(1)}MB (> 8MB cap), using -scaled version`);
+  }
+  return tryFetch(url);
+}
+
+// Parse the ad validity window from the page headline. igroceryads and
+// iweeklyads print "June 10 - June 16, 2026"; some pages use "through
+// June 16". ladysavings and weeklyad.us.com pages often lack dates, so both
+// fields stay null there (unknown is treated as not-expired). The dates are
+// calendar days in timeZone: the window opens at local midnight on the first
+// day and closes at 23:59:59 local on the last (see lib/ad-validity.js).
+const MONTHS = { january:0,february:1,march:2,april:3,may:4,june:5,july:6,august:7,september:8,october:9,november:10,december:11 };
+export function parseAdValidity(html, now = new Date(), timeZone = "UTC") {
+  let adValidFrom = null, adValidTo = null;
+  const plain = String(html || "").replace(/<[^>]+>/g, " ").replace(/&#8211;|&#x2013;|&ndash;|&#8212;|&#x2014;|&mdash;/gi, "-").replace(/&nbsp;|&#160;/gi, " ");
+  const thisYear = zonedParts(now, timeZone).year;
+  const rangeM = plain.match(/(January|February|March|April|May|June|July|August|September|October|November|December)\s+(\d{1,2})\s*[–—-]\s*(?:(January|February|March|April|May|June|July|August|September|October|November|December)\s+)?(\d{1,2})(?:,?\s*(\d{4}))?/i);
+  if (rangeM) {
+    const y = rangeM[5] ? parseInt(rangeM[5]) : thisYear;
+    const m1 = MONTHS[rangeM[1].toLowerCase()];
+    const m2 = rangeM[3] ? MONTHS[rangeM[3].toLowerCase()] : m1;
+    adValidFrom = zonedTime(y, m1, parseInt(rangeM[2]), 0, 0, 0, timeZone).toISOString();
+    adValidTo = zonedTime(m2 < m1 ? y + 1 : y, m2, parseInt(rangeM[4]), 23, 59, 59, timeZone).toISOString();
+  } else {
+    const throughM = plain.match(/through\s+(January|February|March|April|May|June|July|August|September|October|November|December)\s+(\d{1,2})/i);
+    if (throughM) {
+      adValidTo = zonedTime(thisYear, MONTHS[throughM[1].toLowerCase()], parseInt(throughM[2]), 23, 59, 59, timeZone).toISOString();
+    }
+  }
+  return { adValidFrom, adValidTo };
+}
+
+// Default health verdict for one discovery attempt: an attempt that found page
+// images is healthy, anything else is a source failure. Adapters with richer
+// failure modes (Cloudflare challenges, stub pages) override this.
+export function defaultHealth(attempt) {
+  if (attempt.error) return { ok: false, note: `fetch error: ${attempt.error}` };
+  if (!attempt.images) return { ok: false, note: `0 images (HTTP ${attempt.status}, ${attempt.pageBytes} bytes)` };
+  return { ok: true, note: `${attempt.images} pages` };
+}
@@ -0,0 +1,45 @@
+import { fetchBestImage, parseAdValidity, probeImage, defaultHealth } from "./common.js";
+
+// igroceryads.com and iweeklyads.com: the same WordPress theme on two domains.
+// Every ad page is listed in the landing markup as a wp-content upload, in
+// display order once sorted by the page number embedded in the file name.
+const IMG_REGEX = /https:\/\/www\.(?:igroceryads|iweeklyads)\.com\/wp-content\/uploads\/\d{4}\/\d{2}\/[^"'\s)]+\.(?:webp|jpg|jpeg|png)/gi;
+
+function pageNumber(url) {
+  const fname = url.split("/").pop();
+  const m = fname.match(/page_(\d+)/) || fname.match(/img(\d+)/) || fname.match(/-(\d+)-scaled/) || fname.match(/-(\d+)\./);
+  return parseInt(m?.[1] || "0");
+}
+
+export default {
+  id: "igroceryads",
+  label: "igroceryads.com / iweeklyads.com",
+
+  handles(url) { return /(?:igroceryads|iweeklyads)\.com/.test(url); },
+
+  async discoverPages({ html }) {
+    const images = [...new Set(html.match(IMG_REGEX) || [])]
+      .filter(url => !url.includes("-150x150") && !url.includes("-300x") && !url.includes("-100x") && !url.includes("-200x200"))
+      .sort((a, b) => pageNumber(a) - pageNumber(b));
+
+    // Some posts only embed the first few pages inline; the rest share the
+    // same {prefix}-{N}-scaled.{ext} naming, so walk N until a probe misses.
+    if (images.length <= 3 && images.length > 0) {
+      const scaledMatch = images[0].match(/^(.*-)(\d+)(-scaled\.\w+)$/);
+      if (scaledMatch) {
+        const [, prefix, , suffix] = scaledMatch;
+        for (let n = 1; n <= 30; n++) {
+          const url = `${prefix}${n}${suffix}`;
+          if (images.includes(url)) continue;
+          if (await probeImage(url, { "User-Agent": "Mozilla/5.0" })) images.push(url);
+          else break;
+        }
+      }
+    }
+    return images;
+  },
+
+  fetchImage: (url) => fetchBestImage(url),
+  parseValidity: (html, timeZone) => parseAdValidity(html, new Date(), timeZone),
+  health: defaultHealth,
+};
@@ -0,0 +1,195 @@
+import weeklyadUs from "./weeklyad-us.js";
+import ladysavings from "./ladysavings.js";
+import igroceryads from "./igroceryads.js";
+import pdf from "./pdf.js";
+import { fetchHtml } from "./common.js";
+
+// ── Ad-source adapter registry ──────────────────────────────────────────────
+// /api/extract-store used to carry one inline branch per aggregator, and the
+// chain list was a flat name → URL map. Each aggregator is now an adapter
+// module with the same shape:
+//
+//   id, label            stable identifier (logged, stored in ad-reject: rows)
+//   handles(url)         true when this adapter understands the source URL
+//   discoverPages(ctx)   → ordered ad-page image URLs. ctx carries storeName,
+//                        url, the landing page html/status, and a `flags` Set
+//                        the adapter can mark (e.g. "challenge")
+//   fetchImage(url)      → image (or PDF) Buffer or null
+//   parseValidity(html, timeZone)
+//                        → { adValidFrom, adValidTo } (ISO strings or null),
+//                        the printed dates read as local days in timeZone
+//   health(attempt)      → { ok, note } verdict for one discovery attempt
+//
+// Adding an aggregator is one new module plus an entry in ADAPTERS; adding a
+// chain is one line in AD_SOURCE_CHAINS. pdf goes first: it matches on the
+// file extension, so a PDF hosted on an aggregator domain still resolves to it.
+export const ADAPTERS = [pdf, weeklyadUs, ladysavings, igroceryads];
+
+export function adapterForUrl(url) {
+  return ADAPTERS.find(a => a.handles(url)) || null;
+}
+
+// Chain alias → source URLs in fallback order. extract-store tries each in
+// turn and OCRs the first one that yields ad pages. Aliases of one chain must
+// share the same FIRST url: canonicalizeStoreId (lib/utils.js) collapses
+// aliases by primary url, with the first-inserted alias as the canonical id.
+export const AD_SOURCE_CHAINS = {
+  "aldi": ["https://aldi.weeklyad.us.com/"],
+  "acme": ["https://www.igroceryads.com/acme-weekly-ad-acme-markets-circular/"],
+  "albertsons": ["https://www.igroceryads.com/albertsons-weekly-ad-cat/"],
+  "bashas": ["https://www.igroceryads.com/bashas-weekly-ad/"],
+  "big y": ["https://www.igroceryads.com/big-y-flyer-big-y-circular/"],
+  "cub foods": ["https://www.igroceryads.com/cub-foods-ad-weekly-ad-specials/"],
+  "el super": ["https://www.igroceryads.com/el-super-weekly-ad-cat/"],
+  "fareway": ["https://www.igroceryads.com/fareway-ad-weekly-ad-specials/"],
+  "food 4 less": ["https://www.igroceryads.com/food4less-weekly-ad/"],
+  "food city": ["https://www.igroceryads.com/food-city-weekly-ad-current-circulars/"],
+  "food lion": ["https://www.igroceryads.com/food-lion-circular/"],
+  "foodtown": ["https://www.igroceryads.com/foodtown-ad/"],
+  "fred meyer": ["https://www.igroceryads.com/fred-meyer-weekly-ads/"],
+  "giant eagle": ["https://www.igroceryads.com/giant-eagle-weekly-sale-ad/"],
+  "giant food": ["https://www.igroceryads.com/giant-food-weekly-ad-deals/"],
+  "hannaford": ["https://www.igroceryads.com/hannaford-flyer/"],
+  "harris teeter": ["https://www.ladysavings.com/harristeeter-weekly-ad/"],
+  "h-e-b": ["https://www.igroceryads.com/heb-weekly-ad-cat/"],
+  "heb": ["https://www.igroceryads.com/heb-weekly-ad-cat/"],
+  "hy-vee": ["https://www.igroceryads.com/hy-vee-weekly-ad/"],
+  "hyvee": ["https://www.igroceryads.com/hy-vee-weekly-ad/"],
+  "ingles": ["https://www.ladysavings.com/ingles-weekly-ad/"],
+  "jewel-osco": ["https://www.igroceryads.com/jewel-osco-weekly-ad/"],
+  "jewel osco": ["https://www.igroceryads.com/jewel-osco-weekly-ad/"],
+  "key food": ["https://www.igroceryads.com/key-food-circular/"],
+  "lidl": ["https://lidl.weeklyad.us.com/"],
+  "lowes foods": ["https://www.igroceryads.com/lowes-foods/"],
+  "market basket": ["https://www.igroceryads.com/market-basket-flyer/"],
+  "meijer": ["https://meijer.weeklyad.us.com/"],
+  "piggly wiggly": ["https://www.igroceryads.com/piggly-wiggly-weekly-ad/"],
+  "price chopper": ["https://www.igroceryads.com/price-chopper-ad-price-chopper-flyer/"],
+  "publix": ["https://www.igroceryads.com/publix-weekly-specials/"],
+  "ralphs": ["https://www.igroceryads.com/ralphs-weekly-ad-ralphs-ads/"],
+  "rouses": ["https://www.igroceryads.com/rouses-ad/"],
+  "safeway": ["https://www.igroceryads.com/safeway-weekly-ad-cat/"],
+  "save a lot": ["https://www.igroceryads.com/save-a-lot-ad-specials/"],
+  "save-a-lot": ["https://www.igroceryads.com/save-a-lot-ad-specials/"],
+  "shaws": ["https://www.igroceryads.com/shaws-circular/"],
+  "shaw's": ["https://www.igroceryads.com/shaws-circular/"],
+  "shoprite": ["https://www.igroceryads.com/shoprite-this-week-sale-circular/"],
+  "smart & final": ["https://www.igroceryads.com/smart-and-final-weekly-ad/"],
+  "sprouts": ["https://www.igroceryads.com/sprouts-weekly-ad-sales/"],
+  "stater bros": ["https://www.igroceryads.com/stater-bros-weekly-ad/"],
+  "stop & shop": ["https://www.igroceryads.com/stop-and-shop-weekly-circular/"],
+  "stop and shop": ["https://www.igroceryads.com/stop-and-shop-weekly-circular/"],
+  "tops": ["https://www.igroceryads.com/tops-weekly-ad/"],
+  "vons": ["https://www.igroceryads.com/vons-weekly-ad-cat/"],
+  "winn-dixie": ["https://www.igroceryads.com/winn-dixie-sales/"],
+  "winn dixie": ["https://www.igroceryads.com/winn-dixie-sales/"],
+  "99 ranch": ["https://www.igroceryads.com/99-ranch-market-weekly-ad/"],
+  "cardenas": ["https://www.igroceryads.com/cardenas-weekly-ad-cat/"],
+  "pavilions": ["https://www.igroceryads.com/pavilions-weekly-ad/"],
+  "whole foods": ["https://www.iweeklyads.com/whole-foods-ad-specials/"],
+  "remke": ["https://www.iweeklyads.com/remke-markets-weekly-sale-ad/"],
+  "associated": ["https://www.iweeklyads.com/associated-supermarkets-weekly-ad/"],
+  "brookshire": ["https://www.iweeklyads.com/brookshires-weekly-ad/"],
+  "buehler": ["https://www.iweeklyads.com/buehlers-weekly-ad/"],
+  "country mart": ["https://www.iweeklyads.com/country-mart-weekly-ad/"],
+  "d&w fresh market": ["https://www.iweeklyads.com/dw-fresh-market-weekly-ad/"],
+  "dierbergs": ["https://www.iweeklyads.com/dierbergs-weekly-ad/"],
+  "festival foods": ["https://www.ladysavings.com/festivalfoods-weekly-ad/"],
+  "fresh thyme": ["https://www.ladysavings.com/freshthyme-weekly-ad/"],
+  "grocery outlet": ["https://www.ladysavings.com/groceryoutlet-weekly-ad/"],
+  "homeland": ["https://www.iweeklyads.com/homeland-weekly-ad/"],
+  "king kullen": ["https://www.iweeklyads.com/king-kullen-weekly-circular/"],
+  "lucky": ["https://www.iweeklyads.com/lucky-supermarkets-weekly-ad/"],
+  "martin's": ["https://www.iweeklyads.com/martins-weekly-ad/"],
+  "martins": ["https://www.iweeklyads.com/martins-weekly-ad/"],
+  "new seasons": ["https://www.iweeklyads.com/new-seasons-market-weekly-ad/"],
+  "price rite": ["https://www.iweeklyads.com/price-rite-weekly-ad/"],
+  "raley's": ["https://www.iweeklyads.com/raleys-weekly-ad/"],
+  "raleys": ["https://www.iweeklyads.com/raleys-weekly-ad/"],
+  "ruler foods": ["https://www.iweeklyads.com/ruler-foods-weekly-ad/"],
+  "schnucks": ["https://www.iweeklyads.com/schnucks-weekly-ad/"],
+  "shoppers": ["https://www.iweeklyads.com/shoppers-weekly-ad/"],
+  "weis": ["https://www.iweeklyads.com/weis-markets-weekly-ad/"],
+  "winco": ["https://www.iweeklyads.com/winco-weekly-ad/"],
+  "bi-lo": ["https://www.iweeklyads.com/bilo-weekly-ad/"],
+  "bilo": ["https://www.iweeklyads.com/bilo-weekly-ad/"],
+  "commissary": ["https://www.iweeklyads.com/deca-commissary-weekly-ad/"],
+  "deca": ["https://www.iweeklyads.com/deca-commissary-weekly-ad/"],
+  "hen house": ["https://www.iweeklyads.com/hen-house-weekly-ad/"],
+  "ranch market": ["https://www.iweeklyads.com/99-ranch-market-weekly-sale-specials/"],
+};
+
+// Matching mirrors the old findIgroceryadsUrl: exact alias first, then either
+// string containing the other ("Publix Super Markets" → publix).
+function findChainAlias(storeName) {
+  const lower = String(storeName || "").toLowerCase().trim();
+  if (!lower) return null;
+  if (AD_SOURCE_CHAINS[lower]) return lower;
+  for (const key of Object.keys(AD_SOURCE_CHAINS)) {
+    if (lower.includes(key) || key.includes(lower)) return key;
+  }
+  return null;
+}
+
+// → [{ adapter, url }] in fallback order; [] when the chain has no ad source.
+// URLs no adapter understands are dropped with a warning rather than thrown
+// on, so one bad registry line cannot take the whole endpoint down.
+export function resolveAdSources(storeName) {
+  const alias = findChainAlias(storeName);
+  if (!alias) return [];
+  const sources = [];
+  for (const url of AD_SOURCE_CHAINS[alias]) {
+    const adapter = adapterForUrl(url);
+    if (adapter) sources.push({ adapter, url });
+    else console.warn(`Ad sources: no adapter handles ${url} (chain "${alias}")`);
+  }
+  return sources;
+}
+
+export function hasAdSource(storeName) {
+  return resolveAdSources(storeName).length > 0;
+}
+
+// Walk the chain's sources in order until one yields ad pages. Every attempt
+// is recorded (adapter, url, status, bytes, images, flags) so the caller can
+// persist it and source-health can tell "primary blocked, fallback served"
+// from "everything failed". When all sources fail, the returned source is the
+// primary and `images` is empty; `html` is the last page fetched, which the
+// caller's text fallback and failure log both read.
+export async function discoverAdImages(storeName, sources) {
+  const attempts = [];
+  let last = null;
+  for (const source of sources) {
+    const attempt = { adapter: source.adapter.id, url: source.url, status: null, pageBytes: 0, images: 0, flags: [] };
+    attempts.push(attempt);
+    // A source that throws leaves `last` on the previous attempt's page, which
+    // is still the best html the caller has to fall back on.
+    try {
+      const { status, html } = await fetchHtml(source.url);
+      attempt.status = status;
+      attempt.pageBytes = html.length;
+      const flags = new Set();
+      const images = await source.adapter.discoverPages({ storeName, url: source.url, html, status, flags });
+      attempt.images = images.length;
+      attempt.flags = [...flags];
+      last = { source, html, images };
+      if (images.length > 0) return { ...last, attempts };
+      console.warn(`Ad sources: ${storeName} — ${source.adapter.id} found 0 pages at ${source.url}${sources.length > attempts.length ? ", trying next source" : ""}`);
+    } catch (e) {
+      attempt.error = e.message;
+      console.error(`Ad sources: ${storeName} — ${source.adapter.id} failed at ${source.url}: ${e.message}`);
+    }
+  }
+  return { source: sources[0], html: last?.html || "", images: [], attempts };
+}
+
+// Health notes for source-health, from the attempts stored on a chain's
+// ad-reject: row. Attempts written by an adapter that has since been removed
+// still render, just without the adapter-specific verdict.
+export function describeSourceAttempts(attempts) {
+  return (attempts || []).map(a => {
+    const adapter = ADAPTERS.find(x => x.id === a.adapter);
+    const verdict = adapter ? adapter.health(a) : { ok: a.images > 0, note: `${a.images} pages` };
+    return { adapter: a.adapter, url: a.url, ok: verdict.ok, note: verdict.note };
+  });
+}
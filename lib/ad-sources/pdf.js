@@ -0,0 +1,21 @@
+import { fetchBestImage, parseAdValidity, defaultHealth } from "./common.js";
+
+// Chains that publish the weekly ad as a single PDF. The source URL is the
+// circular itself, so discovery is the URL; extract-store sees a PDF buffer
+// from fetchImage and expands it into pages (lib/pdf-ad.js). The landing
+// "html" is the PDF bytes read as text, which parseValidity cannot date;
+// extract-store falls back to the first page's text layer for the window.
+export default {
+  id: "pdf",
+  label: "PDF circular",
+
+  handles(url) { return /\.pdf(\?|$)/i.test(url); },
+
+  async discoverPages({ url, status }) {
+    return status >= 200 && status < 300 ? [url] : [];
+  },
+
+  fetchImage: (url) => fetchBestImage(url),
+  parseValidity: (html, timeZone) => parseAdValidity(html, new Date(), timeZone),
+  health: defaultHealth,
+};
@@ -0,0 +1,45 @@
+import { fetchBestImage, parseAdValidity, probeImage, defaultHealth } from "./common.js";
+
+// weeklyad.us.com network: sister subdomains ({chain}.weeklyad.us.com) each
+// serve ad pages at /images/{chain}/view/{N}.webp with sequential numbering.
+// Used for ALDI because igroceryads/ladysavings only mirror ALDI Finds (non-food
+// merchandise), while this aggregator carries the actual in-store food ad pages.
+export default {
+  id: "weeklyad-us",
+  label: "weeklyad.us.com",
+
+  handles(url) { return url.includes("weeklyad.us.com"); },
+
+  async discoverPages({ storeName, url, html }) {
+    // Probe sequentially from N=1 until first 404 to discover all pages.
+    const slug = new URL(url).hostname.split(".")[0];
+    console.log(`On-demand: ${storeName} — weeklyad.us.com slug "${slug}", probing pages...`);
+    let images = [];
+    for (let n = 1; n <= 20; n++) {
+      const u = `https://${slug}.weeklyad.us.com/images/${slug}/view/${n}.webp`;
+      if (await probeImage(u)) images.push(u);
+      else break;
+    }
+    // Not every sister site numbers its pages 1.webp, 2.webp… Meijer serves the
+    // same /images/{slug}/view/ directory but names files
+    // "Weekly-Deals_compressed_page-0001.webp", so the probe above 403s on the
+    // first URL and finds nothing. Fall back to reading the page markup, which
+    // lists every page image on all three chains we use here (ALDI 4, Lidl 36,
+    // Meijer 31). Probing stays primary so ALDI and Lidl keep their exact
+    // current behaviour; this only runs when probing came up empty.
+    if (!images.length) {
+      const viewRegex = new RegExp(`https?://${slug}\\.weeklyad\\.us\\.com/images/${slug}/view/[^"'\\s)]+\\.webp`, "gi");
+      const pageNum = (u) => {
+        const m = u.split("/").pop().match(/(\d+)\D*\.webp$/i);
+        return m ? parseInt(m[1], 10) : 0;
+      };
+      images = [...new Set(html.match(viewRegex) || [])].sort((a, b) => pageNum(a) - pageNum(b));
+      console.log(`On-demand: ${storeName} — probe found no sequential pages; markup scan found ${images.length}`);
+    }
+    return images;
+  },
+
+  fetchImage: (url) => fetchBestImage(url),
+  parseValidity: (html, timeZone) => parseAdValidity(html, new Date(), timeZone),
+  health: defaultHealth,
+};
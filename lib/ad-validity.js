@@ -0,0 +1,124 @@
+// ── Ad validity windows ─────────────────────────────────────────────────────
+// A weekly ad's sale dates used to be stamped onto every deal as
+// adValidFrom/adValidTo, and deal_cache freshness was decided from fetched_at
+// alone, so an ad past its last day kept serving until the 8-day TTL ran out.
+// The window now lives on the cache row (deal_cache.valid_from / valid_to,
+// migrations/2026-10-19-deal-cache-validity.sql) and reads check it:
+//
+//   expired    valid_to has passed: the row is hidden.
+//   upcoming   valid_from is still ahead: a next-week ad captured early. It is
+//              stored under ad-next:{storeId} so it doesn't displace the ad
+//              that is running now, and served only when asked for until its
+//              first day arrives.
+//   undated    both null (most ladysavings / weeklyad.us.com pages): treated as
+//              current, with the fetched_at TTL as the only bound, as before.
+//
+// Dates on an ad are local calendar days. "October 15 - October 21" ends at
+// 23:59:59 on the 21st wherever the store is, not in UTC, which is mid-evening
+// the day before on the West Coast.
+
+// Ads in ad-extract:{storeId} rows are national, so there is no single store
+// timezone. Pacific is the last contiguous-US zone to reach midnight: an ad
+// isn't read as expired until its last day is over everywhere it runs.
+export const AD_DEFAULT_TIMEZONE = "America/Los_Angeles";
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// UTC offset of timeZone at instant ts, in ms (negative west of Greenwich).
+function zoneOffset(ts, timeZone) {
+  const parts = {};
+  for (const p of new Intl.DateTimeFormat("en-US", {
+    timeZone, hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+  }).formatToParts(new Date(ts))) parts[p.type] = p.value;
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return asUtc - Math.floor(ts / 1000) * 1000;
+}
+
+// Wall-clock time in timeZone → Date. The second pass settles days that cross
+// a DST change, where the offset at the guess differs from the offset at the
+// answer.
+export function zonedTime(year, month, day, hour, minute, second, timeZone = "UTC") {
+  const wall = Date.UTC(year, month, day, hour, minute, second);
+  if (timeZone === "UTC") return new Date(wall);
+  const first = wall - zoneOffset(wall, timeZone);
+  return new Date(wall - zoneOffset(first, timeZone));
+}
+
+// Calendar fields of an instant as seen in timeZone. weekday is 0 = Sunday.
+export function zonedParts(date, timeZone = "UTC") {
+  const local = new Date(date.getTime() + zoneOffset(date.getTime(), timeZone));
+  return { year: local.getUTCFullYear(), month: local.getUTCMonth(), day: local.getUTCDate(), weekday: local.getUTCDay() };
+}
+
+export function isWindowExpired(window, now = new Date()) {
+  return !!window?.validTo && new Date(window.validTo) < now;
+}
+
+export function isWindowUpcoming(window, now = new Date()) {
+  return !!window?.validFrom && new Date(window.validFrom) > now;
+}
+
+// deal_cache rows (snake_case, as selected) → the row to serve now, or null.
+// Used for a chain's ad-extract: and ad-next: rows together: once next week's
+// ad reaches its first day it wins over the one it replaces, even before the
+// weekly re-extraction has rewritten ad-extract:. Among current rows the one
+// with the latest start (or, undated, the latest fetch) is served.
+export function pickServingAd(rows, now = new Date()) {
+  const current = (rows || []).filter(r => {
+    const window = { validFrom: r.valid_from, validTo: r.valid_to };
+    return !isWindowExpired(window, now) && !isWindowUpcoming(window, now);
+  });
+  const startOf = r => new Date(r.valid_from || r.fetched_at).getTime();
+  return current.sort((a, b) => startOf(b) - startOf(a))[0] || null;
+}
+
+// ad_regions.ad_cycle → weekday the ad starts on (0 = Sunday), or null when
+// the column is empty or unreadable. Reads "Wed-Tue", "Wednesday" and
+// "weekly (Sun-Sat)"; the first weekday named is the start.
+export function parseAdCycle(adCycle) {
+  const m = String(adCycle || "").toLowerCase().match(/\b(sun|mon|tue|wed|thu|fri|sat)[a-z]*/);
+  return m ? WEEKDAYS.indexOf(m[1]) : null;
+}
+
+// Midnight (in timeZone) of the first cycle start strictly after `after`.
+export function nextAdCycleStart(adCycle, after, timeZone = AD_DEFAULT_TIMEZONE) {
+  const startDay = parseAdCycle(adCycle);
+  if (startDay == null) return null;
+  const p = zonedParts(after, timeZone);
+  const ahead = (startDay - p.weekday + 7) % 7;
+  let start = zonedTime(p.year, p.month, p.day + ahead, 0, 0, 0, timeZone);
+  if (start <= after) start = zonedTime(p.year, p.month, p.day + ahead + 7, 0, 0, 0, timeZone);
+  return start;
+}
+
+// When a chain's ad-extract: row should next be re-extracted: the earlier of
+// the ad's own last day and the next start of the chain's ad_cycle after the
+// row was fetched. null when neither is known; the caller falls back to
+// AD_EXTRACT_REFRESH_AFTER.
+export function nextExtractionDue({ fetchedAt, validTo, adCycle, timeZone = AD_DEFAULT_TIMEZONE }) {
+  const candidates = [];
+  if (validTo) candidates.push(new Date(new Date(validTo).getTime() + 1000));
+  if (adCycle && fetchedAt) {
+    const cycle = nextAdCycleStart(adCycle, new Date(fetchedAt), timeZone);
+    if (cycle) candidates.push(cycle);
+  }
+  if (!candidates.length) return null;
+  return new Date(Math.min(...candidates.map(d => d.getTime())));
+}
+
+// The retailer ad week a deal seen at `capturedAt` belongs to, as the local
+// date (YYYY-MM-DD) that week's ad started. deal_history.week_start holds it.
+//   validFrom  the ad's own first day, when the cache row is dated
+//   adCycle    otherwise the chain's latest cycle start at or before capture
+//              (ad_regions.ad_cycle: "Wed-Tue" → the Wednesday before)
+//   neither    the Monday of the capture's week, in timeZone
+// Two captures of the same ad land in the same week whichever day they run.
+export function adWeekStart({ capturedAt, validFrom = null, adCycle = null, timeZone = AD_DEFAULT_TIMEZONE } = {}) {
+  const at = new Date(validFrom || capturedAt);
+  if (Number.isNaN(at.getTime())) return null;
+  const p = zonedParts(at, timeZone || AD_DEFAULT_TIMEZONE);
+  const startDay = validFrom ? p.weekday : parseAdCycle(adCycle) ?? 1;
+  const back = (p.weekday - startDay + 7) % 7;
+  return new Date(Date.UTC(p.year, p.month, p.day - back)).toISOString().slice(0, 10);
+}
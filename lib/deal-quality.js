@@ -0,0 +1,213 @@
+import { exactProductId, productTokens } from "./product-catalog.js";
+import { computeUnitPrice } from "./unit-price.js";
+import { dealCategoryPath } from "./taxonomy.js";
+import { fetchHistoryRows } from "./price-history.js";
+
+// ── Deal quality ────────────────────────────────────────────────────────────
+// dealRejectReason refuses rows that are structurally unusable (no name, no
+// price, an incoherent offer). Rows that pass can still be wrong in ways only
+// context shows: a $2.99 "reg" belonging to the neighbouring item, a per-lb
+// price read as per-each, a sale price nothing like what this product has
+// ever cost, or the same deal read twice from the overlap between two OCR
+// tiles. Every deal written to deal_cache is scored here
+// (setCachedDeals → annotateDealQuality):
+//
+//   quality: { score, flags }
+//
+//   score   0..1, the product of one penalty per flag (1 = nothing found)
+//   flags   implausible_discount    regular price > MAX_REGULAR_TO_SALE x sale
+//                                   (discount over MAX_PLAUSIBLE_PCT_OFF)
+//           regular_price_mismatch  regular price disagrees with the chain's
+//                                   usual regular price for the product
+//           price_outlier           sale price outside the product's
+//                                   deal_history range
+//           unit_confusion          per-lb vs per-each: the price fits the
+//                                   product's history only in the other unit,
+//                                   or a per-lb price on a packaged good
+//           ocr_duplicate           a second read of a deal from an adjacent,
+//                                   overlapping tile of the same ad page
+//
+// Rows are flagged, never dropped or rewritten: the sale price is usually
+// still real. Readers decide — plausibleDiscount withholds a discount the
+// flags distrust, and isLowQuality keeps a row off ranked surfaces (chain
+// pages, price comparison).
+
+// Single ceiling for any discount percentage this app is willing to assert.
+// Above it, the figure is almost always a source error — a per-each price
+// compared against a per-pound one, or an OCR'd "reg" belonging to a
+// neighbouring item — not a real deal. The remedy is uniform: assert NO
+// discount rather than clamping to 60, since clamping only relocates the
+// disagreement. The two are one rule: a regular price 2.5x the sale price is a
+// 60% discount.
+export const MAX_PLAUSIBLE_PCT_OFF = 60;
+export const MAX_REGULAR_TO_SALE = 2.5;
+export const QUALITY_FLOOR = 0.5;
+
+const PENALTY = {
+  implausible_discount: 0.7,
+  regular_price_mismatch: 0.8,
+  price_outlier: 0.45,
+  unit_confusion: 0.4,
+  ocr_duplicate: 0.3,
+};
+
+// A sale price this far from the history median (either way) is an outlier.
+const OUTLIER_RATIO = 2.5;
+// A regular price this far from the chain's usual one disagrees with it.
+const REGULAR_TOLERANCE = 0.4;
+// History needed before it is believed.
+const MIN_HISTORY = 4;
+const MIN_CHAIN_REGULAR = 2;
+// Departments a per-lb price is normal in.
+const PER_LB_DEPARTMENTS = ["meat_seafood", "produce", "dairy_eggs/cheese", "other"];
+
+function priceOf(v) {
+  const n = parseFloat(String(v ?? "").replace(/[^0-9.]/g, ""));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function median(xs) {
+  if (!xs.length) return null;
+  const s = [...xs].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+const chainOf = (d) => String(d?.storeName || "").trim().toLowerCase();
+const priceBasisOf = (unit) => /(^|\/|per\s*)(lb|lbs|pound)s?\.?$/i.test(String(unit || "").trim()) ? "lb" : "each";
+
+export const hasQualityFlag = (d, flag) => Array.isArray(d?.quality?.flags) && d.quality.flags.includes(flag);
+
+// Rows scored below QUALITY_FLOOR. Unscored rows (cached before scoring) pass.
+export const isLowQuality = (d) => typeof d?.quality?.score === "number" && d.quality.score < QUALITY_FLOOR;
+
+// The discount a row may claim: { sale, regular, pct }. regular is null and
+// pct 0 when the regular price is missing, not above the sale price, beyond
+// MAX_REGULAR_TO_SALE, or flagged as disagreeing with the chain's usual price.
+// A feed's own pctOff (Kroger's) is used when the regular price holds up.
+export function plausibleDiscount(d) {
+  const sale = priceOf(d?.salePrice);
+  const reg = priceOf(d?.regularPrice);
+  if (sale == null) return { sale: null, regular: null, pct: 0 };
+  const trusted = reg != null && reg > sale && reg <= sale * MAX_REGULAR_TO_SALE && !hasQualityFlag(d, "regular_price_mismatch");
+  if (!trusted) return { sale, regular: null, pct: 0 };
+  const pct = Number(d.pctOff) > 0 ? Number(d.pctOff) : Math.round(((reg - sale) / reg) * 100);
+  return pct <= MAX_PLAUSIBLE_PCT_OFF ? { sale, regular: reg, pct } : { sale, regular: null, pct: 0 };
+}
+
+// deal_history rows → Map(canonical_product_id → { n, median, basis,
+// regularByChain: Map(chain → median regular) }).
+export function buildPriceStats(rows) {
+  const grouped = new Map();
+  for (const r of rows || []) {
+    const id = r.canonical_product_id;
+    const sale = priceOf(r.sale_price);
+    if (!id || sale == null) continue;
+    if (!grouped.has(id)) grouped.set(id, { sales: [], bases: { lb: 0, each: 0 }, regular: new Map() });
+    const g = grouped.get(id);
+    g.sales.push(sale);
+    g.bases[priceBasisOf(r.unit)]++;
+    const reg = priceOf(r.regular_price);
+    if (reg != null && r.chain) {
+      if (!g.regular.has(r.chain)) g.regular.set(r.chain, []);
+      g.regular.get(r.chain).push(reg);
+    }
+  }
+  const stats = new Map();
+  for (const [id, g] of grouped) {
+    const regularByChain = new Map();
+    for (const [chain, regs] of g.regular) if (regs.length >= MIN_CHAIN_REGULAR) regularByChain.set(chain, median(regs));
+    stats.set(id, { n: g.sales.length, median: median(g.sales), basis: g.bases.lb > g.bases.each ? "lb" : "each", regularByChain });
+  }
+  return stats;
+}
+
+function dice(a, b) {
+  if (!a.length || !b.length) return 0;
+  const bs = new Set(b);
+  return (2 * a.filter(t => bs.has(t)).length) / (a.length + b.length);
+}
+
+// Overlapping tiles (tileImage bands share 150px) can each read the deal in
+// the overlap, a little differently each time, past the exact name:price
+// dedupe. A row is a repeat of an earlier one on the same page and price
+// when it came from the adjacent tile and its name is nearly the same, or
+// (rows without a tile number) when its name tokens are identical.
+function findOcrDuplicates(deals) {
+  const dupes = new Set();
+  const byPagePrice = new Map();
+  deals.forEach((d, i) => {
+    if (!d || typeof d !== "object" || d.adPage == null) return;
+    const price = priceOf(d.salePrice);
+    if (price == null) return;
+    const key = `${d.adImage || ""}|${d.adPage}|${price.toFixed(2)}`;
+    const tokens = productTokens(d.name, d.brand);
+    const prior = byPagePrice.get(key) || [];
+    for (const p of prior) {
+      const adjacent = d.adTile != null && p.tile != null && Math.abs(d.adTile - p.tile) === 1;
+      const score = dice(tokens, p.tokens);
+      if ((adjacent && score >= 0.75) || score === 1) { dupes.add(i); break; }
+    }
+    prior.push({ tile: d.adTile ?? null, tokens });
+    byPagePrice.set(key, prior);
+  });
+  return dupes;
+}
+
+// One deal + its history stats (or null) → flags.
+function qualityFlags(d, stats) {
+  const flags = [];
+  const sale = priceOf(d.salePrice);
+  const reg = priceOf(d.regularPrice);
+  if (sale != null && reg != null && reg > sale) {
+    const pct = Number(d.pctOff) > 0 ? Number(d.pctOff) : ((reg - sale) / reg) * 100;
+    if (reg > sale * MAX_REGULAR_TO_SALE || pct > MAX_PLAUSIBLE_PCT_OFF) flags.push("implausible_discount");
+  }
+
+  // An explicit per-lb price (not detectPerLb's name guess) on a packaged good.
+  const unitPrice = d.unitPrice || computeUnitPrice(d);
+  const path = d.categoryPath || dealCategoryPath(d);
+  const perLbDepartment = PER_LB_DEPARTMENTS.some(p => path === p || path.startsWith(`${p}/`));
+  if (/per-lb$/.test(unitPrice?.method || "") && !perLbDepartment) flags.push("unit_confusion");
+
+  // deal_history.unit is the row's priceUnit || unit; compare like with like.
+  if (stats && sale != null && stats.n >= MIN_HISTORY && stats.median > 0) {
+    const ratio = sale / stats.median;
+    if (ratio > OUTLIER_RATIO || ratio < 1 / OUTLIER_RATIO) {
+      flags.push(priceBasisOf(d.priceUnit || d.unit) !== stats.basis ? "unit_confusion" : "price_outlier");
+    }
+  }
+  const usualRegular = stats?.regularByChain?.get(chainOf(d));
+  if (reg != null && usualRegular > 0 && Math.abs(reg - usualRegular) / usualRegular > REGULAR_TOLERANCE) {
+    flags.push("regular_price_mismatch");
+  }
+  return [...new Set(flags)];
+}
+
+// Deal rows + price stats (buildPriceStats, or an empty Map) → the same rows
+// with `quality`. Non-deal entries pass through.
+export function annotateDealQuality(deals, stats = new Map()) {
+  const dupes = findOcrDuplicates(deals);
+  return deals.map((d, i) => {
+    if (!d || typeof d !== "object" || d.salePrice == null) return d;
+    const productStats = stats.size ? stats.get(exactProductId(d)) || null : null;
+    const flags = qualityFlags(d, productStats);
+    if (dupes.has(i)) flags.push("ocr_duplicate");
+    const score = Math.round(flags.reduce((s, f) => s * PENALTY[f], 1) * 100) / 100;
+    return { ...d, quality: { score, flags } };
+  });
+}
+
+// The deal_history rows behind these deals' exact catalog ids
+// (exactProductId), last `weeks` weeks, as buildPriceStats. Missing history (or a failed read) scores
+// without it rather than blocking the cache write.
+export async function loadPriceStats(supabase, deals, { weeks = 26 } = {}) {
+  const ids = deals.filter(d => d && typeof d === "object" && d.name).map(exactProductId).filter(Boolean);
+  if (!ids.length) return new Map();
+  try {
+    return buildPriceStats(await fetchHistoryRows(supabase, ids, { weeks }));
+  } catch (e) {
+    console.warn(`Deal quality: history read failed (${e.message}); scoring without history`);
+    return new Map();
+  }
+}
@@ -340,6 +340,52 @@ export async function sendNewsletter(content) {
   return { recipients, sent, skipped, failed };
 }
 
+// ── sendWatchAlertEmail ─────────────────────────────────────────────────────
+// One email per user per evaluation run, listing every watch that fired
+// (routes/watchlists.js). Same plain register as the newsletter. Returns true
+// when Resend accepted it; the caller stamps watch_alerts.emailed_at from that.
+
+const WATCHLIST_URL = "https://dishcount.co/profile.html#watchlist";
+
+export function buildWatchAlertText(alerts) {
+  const lines = alerts.map(a => `- ${a.summary}`);
+  return [
+    alerts.length === 1 ? "A price you're watching just came in:" : "Prices you're watching just came in:",
+    "",
+    ...lines,
+    "",
+    `Change or stop these alerts: ${WATCHLIST_URL}`,
+  ].join("\n");
+}
+
+function buildWatchAlertHtml(alerts) {
+  const items = alerts.map(a => `<li style="margin:0 0 8px 0;">${escapeHtml(a.summary)}</li>`).join("");
+  return `<div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;max-width:560px;color:#1a2e1f;line-height:1.55;font-size:16px;">
+<p>${alerts.length === 1 ? "A price you're watching just came in:" : "Prices you're watching just came in:"}</p>
+<ul style="padding-left:20px;">${items}</ul>
+<p style="font-size:13px;color:#52605a;"><a href="${WATCHLIST_URL}" style="color:#2d6a4f;">Change or stop these alerts</a></p>
+</div>`;
+}
+
+export async function sendWatchAlertEmail({ to, alerts }) {
+  if (!resend) {
+    console.warn(`[${new Date().toISOString()}] RESEND_API_KEY not set — skipping watch alert email (${alerts.length} alerts)`);
+    return false;
+  }
+  const first = alerts[0];
+  const subject = alerts.length === 1
+    ? `Price alert: ${first.item_text}${first.store_name ? ` at ${first.store_name}` : ""}`
+    : `Price alerts: ${alerts.length} items you're watching`;
+  try {
+    const resp = await resend.emails.send({ from: FROM_EMAIL, to, subject, text: buildWatchAlertText(alerts), html: buildWatchAlertHtml(alerts) });
+    if (resp?.error) throw new Error(resp.error.message || String(resp.error));
+    return true;
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Failed to send watch alert email (${alerts.length} alerts):`, err?.message || err);
+    return false;
+  }
+}
+
 // ── notifyStoreRequest (untouched from main) ────────────────────────────────
 
 function supabaseTableLink(table, rowId) {
@@ -0,0 +1,202 @@
+import os from "os";
+import crypto from "crypto";
+import { supabase } from "./utils.js";
+
+// ── Ad-extraction job queue ─────────────────────────────────────────────────
+// Extraction used to run inside the /api/extract-store request handler behind
+// an in-memory semaphore, with an in-memory Set as the "already extracting"
+// guard. A deploy or OOM mid-run lost every queued store, and
+// /api/extract-status answered "none" for a store that was still owed an
+// extraction. Jobs now live in extract_jobs (migrations/2026-10-19-extract-jobs.sql):
+// the route enqueues, this module's worker leases and runs them, and status is
+// read from the table.
+//
+// Leasing: a worker claims a job for LEASE_MS and heartbeats well inside that.
+// A worker that dies stops heartbeating, the lease lapses, and the next claim
+// picks the job up again (counted as an attempt). Every write after the claim
+// is conditioned on lease_owner, so a worker that lost its lease cannot
+// overwrite the job's state once someone else has it. A heartbeat that
+// matches no row means exactly that: the job is aborted (handler's signal) and
+// its final state write skipped. A handler that runs past JOB_TIMEOUT_MS is
+// aborted the same way and fails the attempt, so a hung extraction can't hold
+// a concurrency slot — and keep its lease alive — forever.
+
+export const EXTRACT_CONCURRENCY = 2;       // see the 2026-07-08 OOM note in routes/stores.js
+const LEASE_MS = 3 * 60 * 1000;              // extraction runs 2-3 min; heartbeats keep it alive
+const HEARTBEAT_MS = 30 * 1000;
+const POLL_MS = 15 * 1000;
+const RETRY_BASE_MS = 2 * 60 * 1000;         // 2 min, 8 min, 32 min ...
+const JOB_TIMEOUT_MS = 15 * 60 * 1000;       // 5x the usual run; 80 vision calls fit well inside
+
+export const ACTIVE_STATES = ["queued", "running", "retrying"];
+
+const WORKER_ID = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString("hex")}`;
+
+// Backoff before attempt N+1, given N attempts so far.
+export function extractRetryDelay(attempts) {
+  return RETRY_BASE_MS * Math.pow(4, Math.max(0, attempts - 1));
+}
+
+// State a job moves to after a failed attempt. Errors flagged retryable:false
+// (missing API key and the like) fail immediately: retrying cannot fix them.
+export function failureTransition(job, err, now = Date.now()) {
+  const retryable = err?.retryable !== false && job.attempts < job.max_attempts;
+  if (!retryable) return { state: "failed", run_after: null };
+  return { state: "retrying", run_after: new Date(now + extractRetryDelay(job.attempts)).toISOString() };
+}
+
+export async function appendJobLog(jobId, message, level = "info") {
+  const { error } = await supabase.from("extract_job_logs").insert({ job_id: jobId, level, message: String(message).substring(0, 2000) });
+  if (error) console.error(`extract_job_logs insert failed for job ${jobId}: ${error.message}`);
+}
+
+export async function getActiveJob(storeId) {
+  const { data } = await supabase.from("extract_jobs").select("*")
+    .eq("store_id", storeId).in("state", ACTIVE_STATES)
+    .order("created_at", { ascending: false }).limit(1).maybeSingle();
+  return data || null;
+}
+
+export async function getLatestJob(storeId) {
+  const { data } = await supabase.from("extract_jobs").select("*")
+    .eq("store_id", storeId)
+    .order("created_at", { ascending: false }).limit(1).maybeSingle();
+  return data || null;
+}
+
+// Returns { job, created }. The partial unique index allows one live job per
+// store, so a concurrent enqueue for the same store gets the existing job back.
+export async function enqueueExtractJob(storeId, storeName) {
+  const { data, error } = await supabase.from("extract_jobs")
+    .insert({ store_id: storeId, store_name: storeName })
+    .select().single();
+  if (!error) {
+    await appendJobLog(data.id, `queued by ${WORKER_ID}`);
+    kickExtractWorker();
+    return { job: data, created: true };
+  }
+  if (error.code === "23505") return { job: await getActiveJob(storeId), created: false };
+  throw new Error(error.message);
+}
+
+// ── Worker ──────────────────────────────────────────────────────────────────
+
+let handler = null;
+let running = 0;
+let polling = false;
+let pollTimer = null;
+
+async function claimJob() {
+  const { data, error } = await supabase.rpc("claim_extract_job", { p_worker: WORKER_ID, p_lease_seconds: LEASE_MS / 1000 });
+  if (error) throw new Error(error.message);
+  return Array.isArray(data) ? data[0] || null : data;
+}
+
+// true when the write landed, false when no row matched (the lease is gone),
+// null when the update itself failed (unknown; not treated as a lost lease).
+async function updateLeasedJob(job, fields) {
+  const { data, error } = await supabase.from("extract_jobs")
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq("id", job.id).eq("lease_owner", WORKER_ID)
+    .select("id");
+  if (error) {
+    console.error(`extract_jobs update failed for job ${job.id}: ${error.message}`);
+    return null;
+  }
+  return (data || []).length > 0;
+}
+
+async function runJob(job) {
+  const log = (message, level) => appendJobLog(job.id, message, level);
+  const controller = new AbortController();
+  let leaseLost = false;
+  const heartbeat = setInterval(async () => {
+    const now = Date.now();
+    const owned = await updateLeasedJob(job, {
+      heartbeat_at: new Date(now).toISOString(),
+      lease_expires_at: new Date(now + LEASE_MS).toISOString(),
+    });
+    if (owned === false && !leaseLost) {
+      leaseLost = true;
+      controller.abort(Object.assign(new Error("lease lost to another worker"), { retryable: false }));
+    }
+  }, HEARTBEAT_MS);
+  const timeout = setTimeout(() => {
+    controller.abort(Object.assign(new Error(`timed out after ${JOB_TIMEOUT_MS / 60000} min`), { retryable: true }));
+  }, JOB_TIMEOUT_MS);
+  // The handler gets the signal to stop early; the race frees the slot even
+  // when it doesn't.
+  const aborted = new Promise((_, reject) => {
+    controller.signal.addEventListener("abort", () => reject(controller.signal.reason), { once: true });
+  });
+  aborted.catch(() => {});
+  const finish = () => { clearInterval(heartbeat); clearTimeout(timeout); };
+
+  console.log(`Extract job ${job.id}: ${job.store_name} attempt ${job.attempts}/${job.max_attempts}`);
+  await log(`attempt ${job.attempts}/${job.max_attempts} started on ${WORKER_ID}`);
+  try {
+    const result = await Promise.race([handler(job, { log, signal: controller.signal }), aborted]);
+    finish();
+    if (leaseLost) throw controller.signal.reason;
+    await updateLeasedJob(job, {
+      state: "succeeded", result: result ?? null, last_error: null,
+      lease_owner: null, lease_expires_at: null, finished_at: new Date().toISOString(),
+    });
+    await log(`succeeded${result?.deals != null ? `: ${result.deals} deals` : ""}`);
+  } catch (err) {
+    finish();
+    if (leaseLost) {
+      // Someone else holds the job now; its state is theirs to write.
+      console.error(`Extract job ${job.id} (${job.store_name}): lease lost, abandoning attempt ${job.attempts}`);
+      await log(`attempt ${job.attempts} on ${WORKER_ID} abandoned: lease lost`, "error");
+      return;
+    }
+    const next = failureTransition(job, err);
+    console.error(`Extract job ${job.id} (${job.store_name}) failed: ${err.message} → ${next.state}`);
+    await log(`failed: ${err.message} → ${next.state}${next.run_after ? ` at ${next.run_after}` : ""}`, "error");
+    await updateLeasedJob(job, {
+      state: next.state, last_error: err.message, lease_owner: null, lease_expires_at: null,
+      ...(next.run_after ? { run_after: next.run_after } : { finished_at: new Date().toISOString() }),
+    });
+  }
+}
+
+async function poll() {
+  if (polling || !handler) return;
+  polling = true;
+  try {
+    while (running < EXTRACT_CONCURRENCY) {
+      const job = await claimJob();
+      if (!job) break;
+      running++;
+      runJob(job).finally(() => {
+        running--;
+        kickExtractWorker();
+      });
+    }
+  } catch (err) {
+    console.error("Extract worker poll error:", err.message);
+  } finally {
+    polling = false;
+  }
+}
+
+// Wake the worker now rather than at the next poll tick.
+export function kickExtractWorker() {
+  if (handler) setImmediate(poll);
+}
+
+// handler(job, { log, signal }) runs one extraction; resolve with a small
+// result object (stored on the job) or throw. signal aborts on timeout or a
+// lost lease: stop work and, above all, write nothing after it. Called once at
+// startup from server.js.
+export function startExtractWorker(jobHandler) {
+  if (!supabase) {
+    console.warn("Extract worker not started: Supabase is not configured");
+    return;
+  }
+  handler = jobHandler;
+  if (!pollTimer) pollTimer = setInterval(poll, POLL_MS);
+  console.log(`Extract worker ${WORKER_ID} started (concurrency ${EXTRACT_CONCURRENCY})`);
+  kickExtractWorker();
+}
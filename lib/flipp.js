@@ -0,0 +1,186 @@
+import fetch from "node-fetch";
+import { setCachedDeals } from "./utils.js";
+
+// ── Flipp deal source ───────────────────────────────────────────────────────
+// Flipp's public search API (backflipp) answers "what's on sale near this
+// postal code" across every flyer it indexes, with structured prices. It fills
+// chains where OCR is weak or absent. Deals are cached per zip3 under
+// flipp:{zip3}, the same granularity ad_regions and the regional endpoint use;
+// the caller's full zip is what Flipp is queried with, and the zip3 row is
+// shared by every zip in that prefix.
+//
+// A full refresh is ~80 searches with a polite delay between them (30-40s),
+// far too slow for a request path, so /api/deals/regional serves the cached
+// row and schedules a background refresh on a miss. Flipp.js at the repo root
+// runs the same fetch from the command line.
+
+const FLIPP_API = "https://backflipp.wishabi.com/flipp";
+
+// We search by category rather than browsing flyers, because the search API
+// returns deals from ALL nearby stores at once.
+export const FLIPP_SEARCH_TERMS = [
+  // Proteins
+  "chicken", "beef", "pork", "ground beef", "steak", "salmon", "shrimp",
+  "turkey", "sausage", "bacon", "hot dogs", "tilapia", "cod", "tuna",
+  "lamb", "ribs", "roast", "meatballs", "chicken breast", "chicken thighs",
+  // Produce
+  "apples", "bananas", "oranges", "strawberries", "blueberries", "grapes",
+  "avocado", "tomatoes", "potatoes", "onions", "broccoli", "carrots",
+  "lettuce", "spinach", "peppers", "celery", "corn", "mushrooms",
+  "cucumber", "lemons", "limes",
+  // Dairy
+  "milk", "eggs", "cheese", "butter", "yogurt", "cream cheese",
+  "sour cream", "shredded cheese", "cottage cheese",
+  // Pantry
+  "pasta", "rice", "bread", "cereal", "oatmeal", "flour", "sugar",
+  "canned tomatoes", "beans", "soup", "broth", "peanut butter",
+  "olive oil", "vegetable oil", "vinegar", "soy sauce", "salsa",
+  "ketchup", "mustard", "mayonnaise", "tortillas",
+  // Frozen
+  "frozen pizza", "frozen vegetables", "ice cream", "frozen fruit",
+  "frozen meals", "frozen chicken", "frozen shrimp",
+  // Snacks & Beverages
+  "chips", "crackers", "nuts", "juice", "coffee", "tea",
+];
+
+// Merchants skipped at fetch time. Kroger-family banners come from the Kroger
+// API and ALDI from its own OCR pipeline, both with better data than a flyer
+// search. Walmart was retired as a source (Aug 2026) and stays out here too.
+const FLIPP_SKIP_STORES = [
+  "walmart", "aldi", "kroger", "ralphs", "fred meyer", "king soopers",
+  "harris teeter", "smith's", "fry's", "qfc", "mariano's", "dillons",
+  "pick n save", "city market", "baker's",
+];
+
+// Cap per zip3 row. Flipp indexes drugstores and dollar stores alongside
+// grocers, and an unbounded metro row runs to several thousand items.
+const MAX_FLIPP_DEALS = 800;
+
+export function shouldSkipFlippMerchant(merchantName) {
+  const lower = (merchantName || "").toLowerCase();
+  return FLIPP_SKIP_STORES.some(skip => lower.includes(skip));
+}
+
+// Clean product name for recipe matching: drop trailing size text and a
+// leading trademarked brand, which Flipp folds into the item name.
+export function cleanFlippName(rawName) {
+  let name = String(rawName || "");
+  name = name
+    .replace(/,?\s*\d[\d.\s]*(oz|lb|lbs|fl oz|ct|count|pack|pk|each|gal|qt|pt|ml|l|kg|g)\b.*$/i, "")
+    .replace(/\s*-\s*\d[\d.\s]*(oz|lb|lbs|fl oz|ct|count|pack|pk|each|gal|qt|pt)\s*$/i, "")
+    .trim();
+  name = name.replace(/^[A-Z][a-zA-Z']+[®™]\s+/g, "").trim();
+  name = name
+    .replace(/^[,\s—–\-!]+/, "")
+    .replace(/[,\s—–\-!]+$/, "")
+    .replace(/\s{2,}/g, " ")
+    .trim();
+  return name || String(rawName || "");
+}
+
+// One backflipp search item → the regional deal shape. Returns null for items
+// with no usable per-unit price (Flipp lists "see store for price" clippings
+// with current_price null). pre_price_text "2/" means current_price is the
+// bundle total, matching the "N for $X" rule the OCR prompt applies.
+export function normalizeFlippItem(item, term) {
+  const flippId = item.id || item.flyer_item_id;
+  const total = Number(item.current_price);
+  if (!flippId || !Number.isFinite(total) || total <= 0) return null;
+  const qtyM = String(item.pre_price_text || "").match(/^\s*(\d+)\s*\/\s*$/);
+  const qty = qtyM ? parseInt(qtyM[1], 10) : 1;
+  const sale = total / qty;
+  const original = Number(item.original_price);
+  const regular = Number.isFinite(original) && original > sale ? original : null;
+  const post = String(item.post_price_text || "");
+  const notes = [qty > 1 ? `${qty} for $${total.toFixed(2)}` : "", item.sale_story || ""].filter(Boolean).join("; ");
+  return {
+    id: `flipp-${flippId}`,
+    name: cleanFlippName(item.name),
+    brand: "",
+    category: term,
+    salePrice: sale.toFixed(2),
+    regularPrice: regular ? regular.toFixed(2) : null,
+    savings: regular ? (regular - sale).toFixed(2) : "",
+    priceUnit: /\blb\b/i.test(post) ? "/lb" : "",
+    isPerLb: /\blb\b/i.test(post),
+    notes,
+    image: item.clean_image_url || item.clipping_image_url || null,
+    storeName: item.merchant_name || "",
+    flippMerchantId: item.merchant_id ?? null,
+    source: "flipp",
+    adValidFrom: item.valid_from || null,
+    adValidTo: item.valid_to || null,
+  };
+}
+
+async function searchFlipp(query, postalCode, attempt = 0) {
+  const url = `${FLIPP_API}/items/search?q=${encodeURIComponent(query)}&postal_code=${postalCode}`;
+  try {
+    const res = await fetch(url, {
+      headers: {
+        "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
+        "Accept": "application/json",
+      },
+    });
+    if (!res.ok) {
+      // Bounded retry on rate limiting; the standalone script used to recurse
+      // forever on a persistent 429.
+      if (res.status === 429 && attempt < 2) {
+        await new Promise(r => setTimeout(r, 5000));
+        return searchFlipp(query, postalCode, attempt + 1);
+      }
+      console.error(`Flipp search "${query}" HTTP ${res.status}`);
+      return [];
+    }
+    const data = await res.json();
+    return data.items || [];
+  } catch (e) {
+    console.error(`Flipp search "${query}" error:`, e.message);
+    return [];
+  }
+}
+
+export async function fetchFlippDeals(zip, { terms = FLIPP_SEARCH_TERMS, delayMs = 300 } = {}) {
+  const byId = new Map();
+  for (const term of terms) {
+    const items = await searchFlipp(term, zip);
+    for (const item of items) {
+      if (shouldSkipFlippMerchant(item.merchant_name)) continue;
+      const deal = normalizeFlippItem(item, term);
+      if (deal && deal.name && !byId.has(deal.id)) byId.set(deal.id, deal);
+    }
+    if (delayMs) await new Promise(r => setTimeout(r, delayMs));
+  }
+  const pct = d => d.regularPrice ? (d.regularPrice - d.salePrice) / d.regularPrice : 0;
+  return [...byId.values()].sort((a, b) => pct(b) - pct(a)).slice(0, MAX_FLIPP_DEALS);
+}
+
+export function flippCacheKey(zip) {
+  return `flipp:${String(zip).substring(0, 3)}`;
+}
+
+// Background refreshes run one at a time: a cold cache after a deploy would
+// otherwise start one 80-request crawl per zip3 that happens to be browsed.
+// A zip3 already queued or running is not queued twice.
+const flippRefreshing = new Set();
+let flippRefreshChain = Promise.resolve();
+
+export function refreshFlippDeals(zip) {
+  const key = flippCacheKey(zip);
+  if (flippRefreshing.has(key)) return false;
+  flippRefreshing.add(key);
+  flippRefreshChain = flippRefreshChain.then(async () => {
+    try {
+      const deals = await fetchFlippDeals(zip);
+      // An empty result is cached too: a rural zip3 with no Flipp coverage
+      // should read as "no deals" for a day, not re-crawl on every request.
+      await setCachedDeals(key, deals);
+      console.log(`Flipp ${key}: ${deals.length} deals from ${new Set(deals.map(d => d.storeName)).size} merchants`);
+    } catch (e) {
+      console.error(`Flipp refresh ${key} error:`, e.message);
+    } finally {
+      flippRefreshing.delete(key);
+    }
+  });
+  return true;
+}
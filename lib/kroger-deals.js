@@ -0,0 +1,271 @@
+import fetch from "node-fetch";
+import { supabase, getAppToken, setCachedDeals, detectPerLb, KROGER_API_BASE, DEAL_CATEGORIES } from "./utils.js";
+
+// ── Kroger promo catalog ────────────────────────────────────────────────────
+// Kroger has no "everything on sale" endpoint, so deals are found by searching
+// product terms at a location and keeping items with a promo price. This used
+// to take the top 20 hits per term and cap the merged list at 500; any promo
+// ranked 21st for its term never showed up. Each term is now paged through
+// with filter.start until the results run out, a page brings no new promos or
+// the API's start ceiling is reached, within a page budget per refresh
+// (pageKrogerTerms), and every refresh writes a coverage record alongside the
+// deals:
+//
+//   kroger:{locationId}            the deals (24h TTL, as before)
+//   coverage:kroger:{locationId}   per-term pages / products / promos, pages
+//                                  lost to errors or 429s, and what changed
+//                                  since the previous refresh
+//
+// The coverage key deliberately doesn't start with "kroger": deal_history
+// capture and the recon scripts select kroger% and would read it as deals.
+
+const PAGE_SIZE = 50;          // filter.limit maximum
+const MAX_PAGES_PER_TERM = 5;  // filter.start tops out at 250
+const TERM_CONCURRENCY = 4;
+// Page requests per refresh, across all terms: a first page for every term
+// (the old one-call-per-term volume) plus about as much again for depth.
+const MAX_PAGES_PER_REFRESH = 120;
+const MAX_429_RETRIES = 4;
+// Safety bound on one location's payload. A full catalog runs 600-1200 promos;
+// /api/deals/regional pages its response, so this is not a display limit.
+const MAX_KROGER_DEALS = 2500;
+
+// Per-division term lists, keyed by ad_regions.division (lowercased; the banner
+// name is tried when the division has no entry). add is searched on top of
+// DEAL_CATEGORIES, drop is skipped. Regional staples that the generic terms
+// bury past page 5 belong here.
+export const KROGER_DIVISION_TERMS = {
+  "ralphs":       { add: ["tortillas", "salsa", "chiles", "avocados", "mexican cheese"] },
+  "food 4 less":  { add: ["tortillas", "salsa", "chiles", "dried beans"] },
+  "fry's":        { add: ["tortillas", "salsa", "chiles", "avocados"] },
+  "king soopers": { add: ["tortillas", "salsa", "green chile"] },
+  "smith's":      { add: ["tortillas", "salsa"] },
+  "fred meyer":   { add: ["salmon", "berries"] },
+  "qfc":          { add: ["salmon", "berries"] },
+  "harris teeter": { add: ["shrimp", "grits"] },
+};
+
+export function krogerTermsFor({ division, banner } = {}) {
+  const cfg = KROGER_DIVISION_TERMS[String(division || "").toLowerCase()]
+    || KROGER_DIVISION_TERMS[String(banner || "").toLowerCase()]
+    || {};
+  const drop = new Set(cfg.drop || []);
+  return [...new Set([...DEAL_CATEGORIES, ...(cfg.add || [])])].filter(t => !drop.has(t));
+}
+
+// One Kroger product → regional deal row, or null when it carries no promo.
+export function normalizeKrogerProduct(p, term, banner) {
+  const item = p.items?.[0];
+  if (!(item?.price?.promo > 0)) return null;
+  const size = item.size || "";
+  const sizeLower = size.toLowerCase();
+  const regular = item.price.regular || 0;
+  const sale = item.price.promo || 0;
+  const nameLower = (p.description || "").toLowerCase();
+  const isPerLb = detectPerLb(sizeLower, nameLower, sale);
+  const isPerCount = sizeLower.includes("ct") && !sizeLower.includes("oz");
+  // A missing regular price reads as 0: no discount to compute.
+  const pctOff = regular > 0 ? Math.round(((regular - sale) / regular) * 100) : 0;
+  return {
+    id: p.productId, upc: item.upc || "", name: p.description, brand: p.brand || "", category: term,
+    regularPrice: regular.toFixed(2), salePrice: sale.toFixed(2),
+    isPerLb, priceUnit: isPerLb ? "/lb" : isPerCount ? "/ea" : "",
+    savings: (regular - sale).toFixed(2), pctOff, size,
+    image: p.images?.find(i => i.perspective === "front")?.sizes?.find(s => s.size === "medium")?.url || p.images?.find(i => i.perspective === "front")?.sizes?.find(s => s.size === "thumbnail")?.url || null,
+    storeName: banner || "Kroger", source: "kroger",
+  };
+}
+
+// Incremental refresh: a deal whose prices match the previous refresh keeps
+// its previous row (and its priceUpdatedAt); only new or re-priced deals take
+// the fresh row. Deals gone from the catalog are dropped and counted.
+export function mergeKrogerDeals(previous, fresh, now = new Date()) {
+  const prevById = new Map((previous || []).map(d => [d.id, d]));
+  const changes = { added: 0, changed: 0, unchanged: 0, removed: 0 };
+  const freshIds = new Set();
+  const deals = fresh.map(d => {
+    freshIds.add(d.id);
+    const prev = prevById.get(d.id);
+    if (!prev) { changes.added++; return { ...d, priceUpdatedAt: now.toISOString() }; }
+    if (prev.salePrice === d.salePrice && prev.regularPrice === d.regularPrice) {
+      changes.unchanged++;
+      return { ...d, priceUpdatedAt: prev.priceUpdatedAt || now.toISOString() };
+    }
+    changes.changed++;
+    return { ...d, priceUpdatedAt: now.toISOString() };
+  });
+  for (const id of prevById.keys()) if (!freshIds.has(id)) changes.removed++;
+  return { deals, changes };
+}
+
+// 429s pause every request in flight, not just the one that got it: the
+// limit is per client, so the other terms would hit it next.
+let cooldownUntil = 0;
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+async function krogerGet(url, token, stats) {
+  for (let attempt = 0; ; attempt++) {
+    if (cooldownUntil > Date.now()) await sleep(cooldownUntil - Date.now());
+    const r = await fetch(url, { headers: { Authorization: `Bearer ${token}`, Accept: "application/json" } });
+    if (r.status !== 429) return r;
+    stats.rateLimited++;
+    if (attempt >= MAX_429_RETRIES) return r;
+    const retryAfter = parseInt(r.headers.get("retry-after") || "", 10);
+    const wait = Number.isFinite(retryAfter) ? retryAfter * 1000 : 1000 * Math.pow(2, attempt);
+    cooldownUntil = Math.max(cooldownUntil, Date.now() + wait);
+    console.warn(`Kroger 429, backing off ${Math.round(wait / 1000)}s (attempt ${attempt + 1}/${MAX_429_RETRIES})`);
+  }
+}
+
+// Pages each term's search results through fetchPage(term, start) →
+// { products, promos, total } (null for a failed page) and returns
+// { perTerm, promos, pages, budgetExhausted }. Every term gets its first page
+// before any term gets a second, so a spent budget costs depth, never whole
+// terms; at most `budget` pages are requested in all. A term stops paging at
+// the end of its results, and as soon as a page brings no promo the refresh
+// hasn't already seen — deeper pages of a broad term ("meat") mostly repeat
+// what the narrower terms found.
+export async function pageKrogerTerms(terms, fetchPage, { budget = MAX_PAGES_PER_REFRESH, concurrency = TERM_CONCURRENCY } = {}) {
+  const perTerm = {};
+  const seenIds = new Set();
+  const promos = [];
+  let requested = 0;
+  let budgetExhausted = false;
+
+  // Fetches one page of a term; true when the term has more worth fetching.
+  const fetchNext = async (term) => {
+    const t = perTerm[term];
+    if (requested >= budget) { budgetExhausted = true; return false; }
+    requested++;
+    const start = t.pages * PAGE_SIZE + 1;
+    let page;
+    try {
+      page = await fetchPage(term, start);
+    } catch (e) {
+      console.error(`Kroger term "${term}" page ${t.pages + 1} fetch error:`, e.message);
+      page = null;
+    }
+    if (!page) { t.failedPages++; return false; }
+    t.pages++;
+    t.products += page.products.length;
+    t.promos += page.promos.length;
+    const fresh = page.promos.filter(p => !seenIds.has(p.id));
+    for (const p of fresh) seenIds.add(p.id);
+    promos.push(...fresh);
+    const exhausted = page.products.length < PAGE_SIZE
+      || (Number.isFinite(page.total) && start - 1 + page.products.length >= page.total);
+    if (exhausted) return false;
+    if (!fresh.length) { t.stale = true; return false; }
+    if (t.pages >= MAX_PAGES_PER_TERM) {
+      // Ran out of pages with new promos still coming: the tail of this term
+      // is unreachable through search. Worth a narrower term in
+      // KROGER_DIVISION_TERMS.
+      t.truncated = true;
+      return false;
+    }
+    return true;
+  };
+
+  for (const term of terms) perTerm[term] = { pages: 0, products: 0, promos: 0, failedPages: 0, truncated: false, stale: false };
+  let open = [...terms];
+  while (open.length && !budgetExhausted) {
+    const next = [];
+    for (let i = 0; i < open.length; i += concurrency) {
+      const batch = open.slice(i, i + concurrency);
+      const more = await Promise.all(batch.map(fetchNext));
+      batch.forEach((term, j) => { if (more[j]) next.push(term); });
+    }
+    open = next;
+  }
+  return { perTerm, promos, pages: requested, budgetExhausted };
+}
+
+// Every promo at a location across the given terms → { deals, coverage }.
+export async function fetchKrogerPromos(locationId, banner, terms) {
+  const token = await getAppToken();
+  const stats = { rateLimited: 0 };
+
+  const fetchPage = async (term, start) => {
+    const r = await krogerGet(
+      `${KROGER_API_BASE}/products?filter.locationId=${locationId}&filter.term=${encodeURIComponent(term)}&filter.limit=${PAGE_SIZE}&filter.start=${start}`,
+      token, stats,
+    );
+    if (!r.ok) return null;
+    const data = await r.json();
+    const products = data.data || [];
+    return { products, promos: products.map(p => normalizeKrogerProduct(p, term, banner)).filter(Boolean), total: data.meta?.pagination?.total };
+  };
+  const { perTerm, promos: allProducts, budgetExhausted } = await pageKrogerTerms(terms, fetchPage);
+
+  const seen = new Set();
+  const deals = allProducts
+    .filter(p => { if (seen.has(p.id)) return false; seen.add(p.id); return true; })
+    .sort((a, b) => b.pctOff - a.pctOff)
+    .slice(0, MAX_KROGER_DEALS);
+
+  const termStats = Object.values(perTerm);
+  const coverage = {
+    locationId, banner: banner || "Kroger",
+    terms: terms.length,
+    pages: termStats.reduce((s, t) => s + t.pages, 0),
+    failedPages: termStats.reduce((s, t) => s + t.failedPages, 0),
+    productsSeen: termStats.reduce((s, t) => s + t.products, 0),
+    promosSeen: termStats.reduce((s, t) => s + t.promos, 0),
+    uniqueDeals: deals.length,
+    capped: seen.size > deals.length,
+    truncatedTerms: Object.keys(perTerm).filter(k => perTerm[k].truncated),
+    staleTerms: Object.keys(perTerm).filter(k => perTerm[k].stale).length,
+    budgetExhausted,
+    rateLimited: stats.rateLimited,
+    perTerm,
+  };
+  return { deals, coverage };
+}
+
+// Fetch a location's full promo catalog, merge it against the previous
+// refresh, and write both the deals and the coverage record. Throws when
+// every page failed, so a Kroger outage never overwrites a good row with [].
+export async function refreshKrogerDeals(locationId, banner, { division = null } = {}) {
+  const startedAt = new Date();
+  const terms = krogerTermsFor({ division, banner });
+  const { deals: fresh, coverage } = await fetchKrogerPromos(locationId, banner, terms);
+  if (coverage.pages === 0) throw new Error(`Kroger ${locationId}: all ${coverage.failedPages} page requests failed (${coverage.rateLimited} rate-limited)`);
+
+  let previous = [];
+  if (supabase) {
+    // Read past the TTL on purpose: yesterday's row is exactly the baseline.
+    const { data: prevRow } = await supabase.from("deal_cache").select("data").eq("cache_key", `kroger:${locationId}`).maybeSingle();
+    if (Array.isArray(prevRow?.data)) previous = prevRow.data;
+  }
+  const { deals, changes } = mergeKrogerDeals(previous, fresh, startedAt);
+
+  await setCachedDeals(`kroger:${locationId}`, deals);
+  await setCachedDeals(`coverage:kroger:${locationId}`, {
+    ...coverage, division, changes, startedAt: startedAt.toISOString(), finishedAt: new Date().toISOString(),
+  });
+  console.log(`Kroger ${banner || "Kroger"} ${locationId}: ${deals.length} deals from ${coverage.pages} pages over ${terms.length} terms (+${changes.added} ~${changes.changed} -${changes.removed}, ${coverage.truncatedTerms.length} terms truncated, ${coverage.rateLimited} 429s)`);
+  return deals;
+}
+
+// Background refreshes for request paths (/api/deals/regional, the watchlist
+// cron), which serve the cached row or nothing and never page the catalog
+// inline. They run one at a time — a cold cache after a deploy would
+// otherwise start a full catalog crawl per location browsed — and a location
+// already queued or running is not queued twice. Returns false in that case.
+const krogerRefreshing = new Set();
+let krogerRefreshChain = Promise.resolve();
+
+export function scheduleKrogerRefresh(locationId, banner, { division = null } = {}) {
+  if (krogerRefreshing.has(locationId)) return false;
+  krogerRefreshing.add(locationId);
+  krogerRefreshChain = krogerRefreshChain.then(async () => {
+    try {
+      await refreshKrogerDeals(locationId, banner, { division });
+    } catch (e) {
+      console.error(`Kroger refresh ${locationId} error:`, e.message);
+    } finally {
+      krogerRefreshing.delete(locationId);
+    }
+  });
+  return true;
+}
@@ -0,0 +1,173 @@
+import fetch from "node-fetch";
+import { supabase, getAppToken, KROGER_API_BASE } from "./utils.js";
+
+// ── Kroger divisions ────────────────────────────────────────────────────────
+// Kroger deals are per store, but prices are set per division: any store in a
+// division stands in for the rest of it. /api/deals/regional used to include
+// Kroger only when the client passed a locationId, and the SSR page was pinned
+// to one Dayton store. kroger_divisions (migrations/2026-10-19-kroger-divisions.sql)
+// now holds one representative location per division, built from ad_regions:
+//
+//   zip-only callers     regional resolves the zip's division and serves
+//                        kroger:{location_id}, the division's deal cache
+//   banner pages         /deals/ralphs, /deals/king-soopers, ... read the
+//                        largest division carrying that banner
+//
+// Rebuilt by POST /api/cron/kroger-divisions; deals for each division are
+// refreshed one division per request by /api/cron/refresh-kroger-division.
+
+// Zips tried inside a zip3 when looking for a store. ad_regions has no full
+// zips, and xxx01 is not always a delivery zip (802 01 is PO boxes).
+const CANDIDATE_SUFFIXES = ["01", "10", "30"];
+// zip3s tried per division before giving up on it until the next rebuild.
+const MAX_ZIP3_ATTEMPTS = 4;
+const SEARCH_RADIUS_MILES = 50;
+// Rows are read on every zip-only regional request; a rebuild is weekly.
+const MAP_TTL_MS = 60 * 60 * 1000;
+
+// "King Soopers" → "king-soopers", "Fry's" → "frys". Also the /deals/:slug
+// of the banner's SSR page.
+export function krogerBannerSlug(banner) {
+  return String(banner || "").toLowerCase().replace(/['’]/g, "").replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+const squash = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// ad_regions rows (store = 'kroger') → one entry per division, zip3s in order.
+// The banner is the one most of the division's zip3s carry; divisions without
+// a division_code fall back to the division name as their key.
+export function groupKrogerDivisions(rows) {
+  const byCode = new Map();
+  for (const r of rows || []) {
+    if (String(r.store || "").toLowerCase() !== "kroger") continue;
+    const code = r.division_code || r.division;
+    if (!code || !r.zip3) continue;
+    if (!byCode.has(code)) byCode.set(code, { divisionCode: String(code), division: r.division || null, zip3s: new Set(), banners: new Map() });
+    const d = byCode.get(code);
+    d.zip3s.add(r.zip3);
+    if (r.banner) d.banners.set(r.banner, (d.banners.get(r.banner) || 0) + 1);
+  }
+  return [...byCode.values()].map(d => {
+    const banner = [...d.banners.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0]?.[0] || "Kroger";
+    return {
+      divisionCode: d.divisionCode, division: d.division, banner, slug: krogerBannerSlug(banner),
+      zip3s: [...d.zip3s].sort(), zip3Count: d.zip3s.size,
+    };
+  }).sort((a, b) => a.divisionCode.localeCompare(b.divisionCode));
+}
+
+// Kroger locations API results → the store to represent the division: the
+// nearest one trading under the division's banner (chain is "KINGSOOPERS",
+// "FRYS", ...), else the nearest of any Kroger banner. null for no results.
+export function pickDivisionLocation(locations, banner) {
+  const list = (locations || []).filter(l => l?.locationId);
+  if (!list.length) return null;
+  const want = squash(banner);
+  const loc = list.find(l => squash(l.chain) === want || squash(l.name).startsWith(want)) || list[0];
+  const a = loc.address || {};
+  return {
+    locationId: loc.locationId,
+    name: loc.name || loc.chain || banner,
+    address: [a.addressLine1, a.city, a.state].filter(Boolean).join(", "),
+    zip: a.zipCode || null,
+  };
+}
+
+async function findLocationNear(zip, banner, token) {
+  const r = await fetch(
+    `${KROGER_API_BASE}/locations?filter.zipCode.near=${zip}&filter.radiusInMiles=${SEARCH_RADIUS_MILES}&filter.limit=10`,
+    { headers: { Authorization: `Bearer ${token}`, Accept: "application/json" } }
+  );
+  if (!r.ok) return null;
+  const data = await r.json();
+  return pickDivisionLocation(data.data, banner);
+}
+
+async function findDivisionLocation(division, token) {
+  for (const zip3 of division.zip3s.slice(0, MAX_ZIP3_ATTEMPTS)) {
+    for (const suffix of CANDIDATE_SUFFIXES) {
+      try {
+        const loc = await findLocationNear(`${zip3}${suffix}`, division.banner, token);
+        if (loc) return loc;
+      } catch (e) { console.error(`Kroger division ${division.divisionCode}: location lookup ${zip3}${suffix} failed:`, e.message); }
+    }
+  }
+  return null;
+}
+
+const fromRow = (r) => ({
+  divisionCode: r.division_code, division: r.division, banner: r.banner, slug: r.slug,
+  locationId: r.location_id, locationName: r.location_name, locationAddress: r.location_address,
+  zip3Count: r.zip3_count, pinned: r.pinned, refreshedAt: r.refreshed_at,
+});
+
+let mapCache = { at: 0, rows: null };
+
+export async function getKrogerDivisions() {
+  if (mapCache.rows && Date.now() - mapCache.at < MAP_TTL_MS) return mapCache.rows;
+  try {
+    const { data, error } = await supabase.from("kroger_divisions").select("*").order("division_code");
+    if (error) { console.error("kroger_divisions query error:", error.message); return mapCache.rows || []; }
+    mapCache = { at: Date.now(), rows: (data || []).map(fromRow) };
+    return mapCache.rows;
+  } catch (e) { console.error("kroger_divisions error:", e.message); return mapCache.rows || []; }
+}
+
+// summarizeRegions() entry for store "kroger" → its division's row, when that
+// division has a representative location.
+export async function getKrogerDivisionFor(region) {
+  if (!region) return null;
+  const code = String(region.divisionCode || region.division || "");
+  if (!code) return null;
+  const rows = await getKrogerDivisions();
+  return rows.find(d => d.divisionCode === code && d.locationId) || null;
+}
+
+// Banner page slug → the largest division trading under it, or null.
+export async function getKrogerDivisionBySlug(slug) {
+  const rows = await getKrogerDivisions();
+  return rows
+    .filter(d => d.slug === slug && d.locationId)
+    .sort((a, b) => b.zip3Count - a.zip3Count)[0] || null;
+}
+
+// Rebuild kroger_divisions from ad_regions. Pinned rows keep their location;
+// a division whose lookup fails keeps the location it had.
+export async function rebuildKrogerDivisions() {
+  const rows = [];
+  for (let from = 0; ; from += 1000) {
+    const { data, error } = await supabase.from("ad_regions")
+      .select("store, banner, division, division_code, zip3")
+      .eq("store", "kroger")
+      .range(from, from + 999);
+    if (error) throw new Error(error.message);
+    rows.push(...(data || []));
+    if (!data || data.length < 1000) break;
+  }
+  const divisions = groupKrogerDivisions(rows);
+  const { data: existingRows } = await supabase.from("kroger_divisions").select("*");
+  const existing = new Map((existingRows || []).map(r => [r.division_code, r]));
+
+  const token = await getAppToken();
+  const results = [];
+  for (const d of divisions) {
+    const prev = existing.get(d.divisionCode);
+    let loc = null;
+    if (!prev?.pinned) loc = await findDivisionLocation(d, token);
+    const row = {
+      division_code: d.divisionCode, division: d.division, banner: d.banner, slug: d.slug,
+      location_id: loc?.locationId || prev?.location_id || null,
+      location_name: loc ? loc.name : prev?.location_name || null,
+      location_address: loc ? loc.address : prev?.location_address || null,
+      location_zip: loc ? loc.zip : prev?.location_zip || null,
+      zip3_count: d.zip3Count, pinned: !!prev?.pinned,
+      refreshed_at: new Date().toISOString(),
+    };
+    const { error } = await supabase.from("kroger_divisions").upsert(row, { onConflict: "division_code" });
+    if (error) console.error(`kroger_divisions upsert ${d.divisionCode} failed:`, error.message);
+    results.push({ ...fromRow(row), found: !!loc, kept: !loc && !!row.location_id });
+    console.log(`Kroger division ${d.divisionCode} (${d.banner}, ${d.zip3Count} zip3s): ${row.location_id || "no location"}${row.pinned ? " [pinned]" : loc ? "" : " [kept]"}`);
+  }
+  mapCache = { at: 0, rows: null };
+  return results;
+}
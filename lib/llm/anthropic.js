@@ -0,0 +1,107 @@
+import fetch from "node-fetch";
+
+// Anthropic Messages API provider. One request per complete() or stream()
+// call; retries, JSON parsing and accounting live in ./index.js.
+
+const API_URL = "https://api.anthropic.com/v1/messages";
+const API_VERSION = "2023-06-01";
+
+// 429 (rate limit), 529 (overloaded) and 5xx are worth another try; any other
+// non-2xx is a bad request that would fail the same way again.
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+function userContent({ prompt, images }) {
+  if (!images?.length) return prompt;
+  return [
+    ...images.map(img => ({ type: "image", source: { type: "base64", media_type: img.mediaType || "image/jpeg", data: img.data } })),
+    { type: "text", text: prompt },
+  ];
+}
+
+function requestBody({ model, system, prompt, images, maxTokens, temperature }) {
+  const body = { model, max_tokens: maxTokens, messages: [{ role: "user", content: userContent({ prompt, images }) }] };
+  if (system) body.system = system;
+  if (temperature != null) body.temperature = temperature;
+  return body;
+}
+
+async function post(request, extra = {}) {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  if (!apiKey) throw Object.assign(new Error("ANTHROPIC_API_KEY is not set"), { retryable: false });
+  let res;
+  try {
+    res = await fetch(API_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "x-api-key": apiKey, "anthropic-version": API_VERSION },
+      body: JSON.stringify({ ...requestBody(request), ...extra }),
+      signal: request.signal,
+    });
+  } catch (err) {
+    // A cancelled call (request.signal) is not worth another try.
+    throw Object.assign(new Error(`LLM request failed: ${err.message}`), { retryable: err.name !== "AbortError" });
+  }
+  if (!res.ok) {
+    const errBody = await res.text().catch(() => "");
+    throw Object.assign(new Error(`LLM API error ${res.status}: ${errBody.substring(0, 200)}`), {
+      status: res.status, body: errBody, retryable: isRetryableStatus(res.status),
+    });
+  }
+  return res;
+}
+
+// The streaming API's server-sent events, parsed: yields { event, data }.
+async function* readEvents(body) {
+  const decoder = new TextDecoder(); // a chunk can end mid-character
+  let buffer = "";
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let cut;
+    while ((cut = buffer.indexOf("\n\n")) >= 0) {
+      const frame = buffer.slice(0, cut);
+      buffer = buffer.slice(cut + 2);
+      const event = frame.match(/^event: *(.*)$/m)?.[1];
+      const data = frame.split("\n").filter(l => l.startsWith("data:")).map(l => l.slice(5).trim()).join("\n");
+      if (data) yield { event, data: JSON.parse(data) };
+    }
+  }
+}
+
+export default {
+  id: "anthropic",
+  configured: () => !!process.env.ANTHROPIC_API_KEY,
+
+  async complete(request) {
+    const res = await post(request);
+    const data = await res.json();
+    return {
+      text: data.content?.map(c => c.text || "").join("") || "",
+      stopReason: data.stop_reason || "",
+      usage: { inputTokens: data.usage?.input_tokens || 0, outputTokens: data.usage?.output_tokens || 0 },
+      model: data.model || request.model,
+    };
+  },
+
+  async stream(request, onText) {
+    const res = await post(request, { stream: true });
+    const out = { text: "", stopReason: "", usage: { inputTokens: 0, outputTokens: 0 }, model: request.model };
+    for await (const { event, data } of readEvents(res.body)) {
+      if (event === "message_start") {
+        out.model = data.message?.model || out.model;
+        out.usage.inputTokens = data.message?.usage?.input_tokens || 0;
+      } else if (event === "content_block_delta" && data.delta?.type === "text_delta") {
+        out.text += data.delta.text;
+        onText(data.delta.text);
+      } else if (event === "message_delta") {
+        out.stopReason = data.delta?.stop_reason || out.stopReason;
+        out.usage.outputTokens = data.usage?.output_tokens || out.usage.outputTokens;
+      } else if (event === "error") {
+        // Mid-stream failures arrive as an event on a 200 response.
+        const overloaded = data.error?.type === "overloaded_error";
+        throw Object.assign(new Error(`LLM stream error: ${data.error?.message || data.error?.type || "unknown"}`), {
+          status: overloaded ? 529 : undefined, retryable: overloaded,
+        });
+      }
+    }
+    return out;
+  },
+};
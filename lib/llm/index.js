@@ -0,0 +1,191 @@
+import anthropic from "./anthropic.js";
+import mock from "./mock.js";
+import { logApiUsage } from "../utils.js";
+
+export { createJsonArrayStream } from "./json-stream.js";
+
+// ── LLM provider layer ──────────────────────────────────────────────────────
+// Recipe generation, leftovers, substitutions, receipt and pantry scans and ad
+// OCR all talk to a model. Each used to hand-roll its own fetch to the
+// Anthropic API with its own model string, headers and (sometimes) 529 retry,
+// and none of it could run without a key. They now all call complete():
+//
+//   complete({ purpose, prompt, system, images, json, maxTokens, temperature,
+//              model, retries, retryDelayMs })
+//     → { text, stopReason, usage: { inputTokens, outputTokens }, model, ms,
+//         attempts, json?, parse?, parseError?, recoverError? }
+//
+//   purpose   what the call is for ("recipes", "ad-ocr", ...): the key for
+//             usage accounting and for the mock provider's fixture
+//   images    [{ data: base64, mediaType }] for vision calls
+//   json      "array" | "object": also parse the reply (parseJsonReply) into
+//             json, with parse "ok" | "recovered" | "fail". A reply that
+//             doesn't parse is not an error; the caller decides.
+//
+// Failures throw with status (HTTP, when there was a response) and retryable
+// set. Retryable failures (network, 429, 529, 5xx) are retried `retries` times
+// after retryDelayMs, doubling each time — the recipe route's old "529: wait 5s
+// and try once more". Retrying is opt-in by purpose (RETRY_PURPOSES: a person
+// is waiting on that one answer); everything else, notably the per-tile ad
+// OCR calls, fails fast by default, since a stalled, re-sent vision call
+// multiplies both spend and job time for a tile the job can live without.
+//
+// stream({ onText, ...same options }) is complete() with the reply handed to
+// onText as it is generated, for callers that show progress (the SSE recipe
+// route, with createJsonArrayStream from ./json-stream.js). It resolves to the
+// same result once the reply is finished. A failure is only retried while
+// nothing has been streamed yet; after that the caller already has part of the
+// answer, so it gets the error instead of a second, different answer.
+//
+// Providers (PROVIDERS) have the shape { id, configured(), complete(request) },
+// plus stream(request, onText) when they can stream (without it, stream()
+// delivers the whole reply in one piece), and are picked by LLM_PROVIDER:
+// "anthropic" (default) or "mock", the fixture-backed offline provider in
+// ./mock.js. request.signal (an AbortSignal) cancels an in-flight call.
+// billed: false marks a provider whose usage costs nothing.
+
+export const DEFAULT_MODEL = "claude-haiku-4-5-20251001";
+export const PROVIDERS = { anthropic, mock };
+// Purposes retried once by default; `retries` overrides per call.
+const RETRY_PURPOSES = new Set(["recipes", "recipe-repair", "substitute", "leftovers", "scan-receipt", "scan-pantry"]);
+// Haiku 4.5 list prices, USD per million tokens, for the usage estimate.
+const USD_PER_MTOK = { input: 1, output: 5 };
+
+let providerOverride = null;
+
+// Swap the provider in-process (tests); null goes back to LLM_PROVIDER.
+export function setLLMProvider(provider) {
+  providerOverride = provider;
+}
+
+function activeProvider() {
+  if (providerOverride) return providerOverride;
+  const id = (process.env.LLM_PROVIDER || "anthropic").trim().toLowerCase();
+  const provider = PROVIDERS[id];
+  if (!provider) throw Object.assign(new Error(`Unknown LLM_PROVIDER "${id}"`), { retryable: false });
+  return provider;
+}
+
+export function llmProviderId() {
+  try { return activeProvider().id; } catch { return null; }
+}
+
+// True when complete() can be called: the provider exists and has what it
+// needs (for anthropic, the API key).
+export function llmConfigured() {
+  try { return activeProvider().configured(); } catch { return false; }
+}
+
+// ── JSON replies ─────────────────────────────────────────────────────────────
+// Model text → { value, parse, parseError?, recoverError? }. Tries, in order:
+// the whole reply with code fences stripped; the outermost [...] or {...}
+// (prose around the JSON); and for arrays, the reply cut after its last
+// complete object ("recovered": an answer truncated by max_tokens keeps every
+// item it finished). shape "array" or "object" also rejects the other kind.
+export function parseJsonReply(text, shape = "array") {
+  const clean = String(text || "").replace(/```(?:json)?/g, "").trim();
+  const fits = (v) => shape === "array" ? Array.isArray(v) : v !== null && typeof v === "object" && !Array.isArray(v);
+  const attempt = (s) => {
+    const v = JSON.parse(s);
+    if (!fits(v)) throw new Error(`reply is not a JSON ${shape}`);
+    return v;
+  };
+  let parseError;
+  try { return { value: attempt(clean), parse: "ok" }; } catch (e) { parseError = e.message; }
+
+  const [open, close] = shape === "array" ? ["[", "]"] : ["{", "}"];
+  // An array that opens after the first "{" is inside an object reply, not one.
+  const firstBrace = clean.indexOf("{");
+  const start = shape === "array" && firstBrace >= 0 && firstBrace < clean.indexOf("[") ? -1 : clean.indexOf(open);
+  const end = clean.lastIndexOf(close);
+  if (start >= 0 && end > start) {
+    try { return { value: attempt(clean.substring(start, end + 1)), parse: "ok" }; } catch { /* fall through */ }
+  }
+  if (shape === "array" && start >= 0) {
+    const lastBrace = clean.lastIndexOf("}");
+    if (lastBrace > start) {
+      try { return { value: attempt(clean.substring(start, lastBrace + 1) + "]"), parse: "recovered", parseError }; }
+      catch (e2) { return { value: null, parse: "fail", parseError, recoverError: e2.message }; }
+    }
+  }
+  return { value: null, parse: "fail", parseError };
+}
+
+// ── Token accounting ─────────────────────────────────────────────────────────
+// Every call writes an api_usage_log row (service = provider id, endpoint =
+// purpose) with its tokens and estimated cost, whichever provider served it;
+// a provider with billed: false (the mock) logs a cost of 0. The admin
+// dashboard's spend figures sum the anthropic rows. Per-purpose totals since the process
+// started are also kept in memory: llmUsage(), served as `process` by
+// GET /api/admin/api-usage.
+export function estimateCost({ inputTokens = 0, outputTokens = 0 }) {
+  return (inputTokens * USD_PER_MTOK.input + outputTokens * USD_PER_MTOK.output) / 1e6;
+}
+
+const startedAt = new Date().toISOString();
+const usage = new Map();
+
+function tally(purpose, fields) {
+  if (!usage.has(purpose)) usage.set(purpose, { calls: 0, errors: 0, retries: 0, inputTokens: 0, outputTokens: 0, ms: 0 });
+  const t = usage.get(purpose);
+  for (const [k, v] of Object.entries(fields)) t[k] += v;
+}
+
+export function llmUsage() {
+  const purposes = {};
+  let usd = 0;
+  for (const [purpose, t] of usage) {
+    const cost = estimateCost(t);
+    usd += cost;
+    purposes[purpose] = { ...t, estimatedUsd: Math.round(cost * 10000) / 10000 };
+  }
+  return { provider: llmProviderId(), since: startedAt, estimatedUsd: Math.round(usd * 10000) / 10000, purposes };
+}
+
+// ── Calls ────────────────────────────────────────────────────────────────────
+
+export function complete(options) {
+  return call(options, null);
+}
+
+export function stream({ onText, ...options }) {
+  return call(options, onText);
+}
+
+async function call({
+  purpose = "other", json = null, retries = RETRY_PURPOSES.has(purpose) ? 1 : 0, retryDelayMs = 5000,
+  model = DEFAULT_MODEL, maxTokens = 1024, ...request
+}, onText) {
+  const provider = activeProvider();
+  const started = Date.now();
+  let streamed = false;
+  const emit = onText && ((chunk) => { if (!chunk) return; streamed = true; onText(chunk); });
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const req = { ...request, purpose, model, maxTokens };
+      let out;
+      if (!emit) out = await provider.complete(req);
+      else if (provider.stream) out = await provider.stream(req, emit);
+      else { out = await provider.complete(req); emit(out.text); }
+      const ms = Date.now() - started;
+      tally(purpose, { calls: 1, retries: attempt, inputTokens: out.usage.inputTokens, outputTokens: out.usage.outputTokens, ms });
+      logApiUsage(provider.id, purpose, out.usage.inputTokens, out.usage.outputTokens, provider.billed === false ? 0 : estimateCost(out.usage));
+      console.log(`[llm] purpose=${purpose} provider=${provider.id}${emit ? " stream" : ""} ms=${ms} input_tokens=${out.usage.inputTokens} output_tokens=${out.usage.outputTokens} stop=${out.stopReason}${attempt ? ` retries=${attempt}` : ""}`);
+      const result = { ...out, ms, attempts: attempt + 1 };
+      if (json) {
+        const { value, ...parsed } = parseJsonReply(out.text, json);
+        Object.assign(result, { json: value, ...parsed });
+      }
+      return result;
+    } catch (err) {
+      if (err.retryable && attempt < retries && !streamed) {
+        const wait = retryDelayMs * 2 ** attempt;
+        console.log(`[llm] purpose=${purpose} ${err.status ? `HTTP ${err.status}` : err.message} — retrying in ${wait / 1000}s`);
+        await new Promise(r => setTimeout(r, wait));
+        continue;
+      }
+      tally(purpose, { errors: 1, retries: attempt });
+      throw err;
+    }
+  }
+}
@@ -0,0 +1,67 @@
+// ── Incremental JSON arrays ──────────────────────────────────────────────────
+// A streamed reply like {"recipes":[{...},{...},...]} arrives a few characters
+// at a time. createJsonArrayStream hands each element of one array to onItem
+// as soon as its closing brace arrives, instead of waiting for (and then
+// parsing) the whole reply — so a reply cut off at max_tokens still yields
+// every element it finished.
+//
+//   const items = createJsonArrayStream({ key: "recipes", onItem });
+//   items.write(chunk) ... → items.count, items.found
+//
+// key names the array in the reply's top-level object; null means the reply
+// is itself an array. Anything outside that array (code fences, prose, other
+// keys) is skipped. Only object elements are emitted; one that doesn't parse
+// is counted in `skipped` and dropped.
+
+export function createJsonArrayStream({ key = null, onItem }) {
+  let depth = 0;          // nesting of [ and { outside strings
+  let inString = false, escaped = false;
+  let str = "";            // current string token, when it sits at depth 1 (a key)
+  let lastKey = null;      // last string completed directly inside the top object
+  let arrayDepth = -1;     // depth inside the target array, once found
+  let done = false;        // target array closed
+  let item = null;         // text of the element being read
+
+  const state = {
+    found: false,
+    count: 0,
+    skipped: 0,
+    write(chunk) {
+      for (const ch of String(chunk || "")) {
+        if (done) return;
+        if (item !== null) item += ch;
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (ch === "\\") escaped = true;
+          else if (ch === '"') { inString = false; if (depth === 1) lastKey = str; }
+          else if (depth === 1) str += ch;
+          continue;
+        }
+        if (ch === '"') { inString = true; str = ""; continue; }
+        if (ch === "{" || ch === "[") {
+          if (!state.found && ch === "[" && (key === null ? depth === 0 : depth === 1 && lastKey === key)) {
+            state.found = true;
+            arrayDepth = depth + 1;
+          } else if (state.found && depth === arrayDepth && ch === "{") {
+            item = ch;
+          }
+          depth++;
+        } else if (ch === "}" || ch === "]") {
+          depth--;
+          if (state.found && depth === arrayDepth && item !== null) {
+            let value;
+            try { value = JSON.parse(item); } catch { value = undefined; }
+            item = null;
+            if (value === undefined) state.skipped++;
+            else onItem(value, state.count++);
+          } else if (state.found && depth === arrayDepth - 1) {
+            done = true;
+          }
+        } else if (ch === "," && depth === 1) {
+          lastKey = null;
+        }
+      }
+    },
+  };
+  return state;
+}
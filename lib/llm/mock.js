@@ -0,0 +1,73 @@
+import { readFileSync } from "fs";
+
+// Offline, deterministic provider. Every call is answered from a fixture keyed
+// by the request's purpose: lib/llm/fixtures/<purpose>.json, or a reply passed
+// to createMockProvider. Selected with LLM_PROVIDER=mock, so the recipe, scan
+// and ad-OCR routes run end to end with no API key and no network.
+//
+// A reply is a string (returned as the text verbatim, so a test can hand back
+// fenced, truncated or prose-wrapped JSON), any other JSON value (returned
+// serialized), or a function of the request returning either; a function that
+// throws stands in for an API error, e.g. Object.assign(new Error("overloaded"),
+// { status: 529, retryable: true }).
+
+const FIXTURE_DIR = new URL("./fixtures/", import.meta.url);
+const fileFixtures = new Map();
+
+function fixtureFor(purpose) {
+  if (!fileFixtures.has(purpose)) {
+    let value;
+    try { value = JSON.parse(readFileSync(new URL(`${purpose}.json`, FIXTURE_DIR), "utf8")); }
+    catch (e) { value = undefined; }
+    fileFixtures.set(purpose, value);
+  }
+  return fileFixtures.get(purpose);
+}
+
+// Rough token count (~4 characters per token) so usage accounting has numbers.
+const estimateTokens = (s) => Math.ceil(String(s || "").length / 4);
+
+// stream() hands the same reply to onText in chunkSize pieces, yielding to the
+// event loop between them the way network chunks would arrive.
+export function createMockProvider({ replies = {}, chunkSize = 64 } = {}) {
+  const calls = [];
+  const provider = {
+    id: "mock",
+    billed: false,
+    configured: () => true,
+    calls,
+
+    async stream(req, onText) {
+      const out = await provider.complete(req);
+      for (let i = 0; i < out.text.length; i += chunkSize) {
+        if (req.signal?.aborted) throw Object.assign(new Error("LLM request failed: aborted"), { retryable: false });
+        onText(out.text.slice(i, i + chunkSize));
+        await new Promise(r => setImmediate(r));
+      }
+      return out;
+    },
+
+    async complete(req) {
+      calls.push(req);
+      if (req.signal?.aborted) throw Object.assign(new Error("LLM request failed: aborted"), { retryable: false });
+      let reply = req.purpose in replies ? replies[req.purpose] : fixtureFor(req.purpose);
+      if (typeof reply === "function") reply = await reply(req);
+      if (reply === undefined) {
+        throw Object.assign(new Error(`No mock LLM reply for purpose "${req.purpose}"`), { retryable: false });
+      }
+      const text = typeof reply === "string" ? reply : JSON.stringify(reply);
+      return {
+        text,
+        stopReason: "end_turn",
+        usage: {
+          inputTokens: estimateTokens(req.system) + estimateTokens(req.prompt) + (req.images?.length || 0) * 1500,
+          outputTokens: estimateTokens(text),
+        },
+        model: `mock:${req.model}`,
+      };
+    },
+  };
+  return provider;
+}
+
+export default createMockProvider();
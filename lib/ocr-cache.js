@@ -0,0 +1,63 @@
+import crypto from "crypto";
+import { supabase } from "./utils.js";
+
+// ── OCR tile cache ──────────────────────────────────────────────────────────
+// extract-store tiles every ad page (tileImage in routes/stores.js) and sends
+// each tile to the vision model. The Friday re-pass and user-triggered
+// re-extracts usually see the same pages as Wednesday's run, so every tile is
+// hashed after tiling and a clean parse is stored in ocr_tile_cache
+// (migrations/2026-10-19-ocr-tile-cache.sql). A hit skips the model call and
+// does not count against MAX_VISION_CALLS.
+//
+// Only tiles whose response parsed as-is are stored. A brace-recovered parse
+// is a truncated answer, and caching it would pin the truncation for the week.
+
+// Haiku vision, per tile: the estimate behind the cache's "saved" figure. What
+// the calls actually cost is in api_usage_log, one row per call (lib/llm).
+export const VISION_COST_PER_CALL = 0.003;
+
+// Retention for cache-cleanup. Two weekly cycles: an ad page that hasn't been
+// seen for that long has been replaced.
+export const OCR_TILE_RETENTION = 14 * 24 * 60 * 60 * 1000;
+
+// salt carries whatever else determines the model's answer (model id, prompt
+// version), so changing either invalidates every tile at once.
+export function hashTile(buffer, salt = "") {
+  return crypto.createHash("sha256").update(salt).update("\0").update(buffer).digest("hex");
+}
+
+// hash → deals[] for every hash already cached. A lookup failure reads as all
+// misses: the run costs what it did before the cache existed, nothing worse.
+export async function lookupTiles(hashes) {
+  const found = new Map();
+  if (!supabase || hashes.length === 0) return found;
+  const { data, error } = await supabase.from("ocr_tile_cache").select("tile_hash, deals, hits").in("tile_hash", hashes);
+  if (error) {
+    console.error("ocr_tile_cache lookup failed:", error.message);
+    return found;
+  }
+  const now = new Date().toISOString();
+  for (const row of data || []) {
+    found.set(row.tile_hash, Array.isArray(row.deals) ? row.deals : []);
+    supabase.from("ocr_tile_cache").update({ hits: (row.hits || 0) + 1, last_hit_at: now }).eq("tile_hash", row.tile_hash)
+      .then(({ error: e }) => { if (e) console.error("ocr_tile_cache hit update failed:", e.message); });
+  }
+  return found;
+}
+
+export async function storeTile(hash, storeId, deals) {
+  if (!supabase) return;
+  const { error } = await supabase.from("ocr_tile_cache")
+    .upsert({ tile_hash: hash, store_id: storeId, deals }, { onConflict: "tile_hash" });
+  if (error) console.error("ocr_tile_cache write failed:", error.message);
+}
+
+// Per-run tally, reported in the OCR summary line and on the job result.
+export function summarizeTileCache(hits, misses) {
+  const total = hits + misses;
+  return {
+    hits, misses,
+    hitRate: total ? Math.round((hits / total) * 100) : 0,
+    savedUsd: Math.round(hits * VISION_COST_PER_CALL * 1000) / 1000,
+  };
+}
@@ -0,0 +1,134 @@
+// ── Offer model ─────────────────────────────────────────────────────────────
+// The OCR prompt reads "5 for $10", BOGO and "Must Buy 5" into one per-unit
+// salePrice plus free-text notes and a requiresCoupon boolean. That is enough
+// to display a deal and not enough to price a list: a $2.00 that needs five in
+// the cart, or a coupon, or a club card, is not $2.00 for one. parseOffer turns
+// the row into a structured offer, attached to every cached deal as `offer`
+// (setCachedDeals → attachOffers):
+//
+//   type             "sale" | "multi" (N for $X) | "bogo" | "percent_off"
+//   minQuantity      units in the cart for salePrice to apply (1 = any)
+//   bundle           { qty, total } for N-for-$X pricing, else null
+//   limit            most units at this price, or null
+//   requiresCoupon   a digital or paper coupon must be clipped
+//   requiresLoyalty  a loyalty card / membership / store app price
+//   mixMatchGroup    id shared by deals that count toward the same threshold
+//                    ("buy5-save5", "mix-match:5-for-10"), or null
+//   summary          short display text ("Buy 5 · Limit 4 · Digital coupon")
+//
+// offerRejectReason runs next to dealRejectReason at the extract-store
+// boundary: offers that cannot be what the ad said are refused there, not
+// discovered by the cost engine.
+
+const BUNDLE = /(\d+)\s*(?:\/|for)\s*\$\s?(\d+(?:\.\d{1,2})?)/i;
+const MUST_BUY = /\b(?:must|when\s+you)\s+buy\s+(\d+)/i;
+const BUY_SAVE = /\bbuy\s+(\d+)\s*,?\s*save\s+\$?\s?(\d+(?:\.\d{1,2})?)/i;
+const LIMIT = /\blimit\s*:?\s*(\d+)/i;
+const BOGO = /\bb[1o]g[1o]\b|\bbuy\s+(?:one|1)\s*,?\s*get\s+(?:one|1)\b/i;
+const MIX_MATCH = /\bmix\s*(?:&|and|or|n|'n')\s*match\b/i;
+const COUPON_WORDS = /\bcoupon\b|\bclip\b/i;
+const LOYALTY_WORDS = /with\s+(?:your\s+)?card|\bmember(?:ship)?\b|\bfor\s+u\b|\bmperks\b|\brewards?\b|\bclub\s+(?:card|price)\b|\bloyalty\b|\bin\s+the\s+app\b/i;
+
+// Thresholds above this are a misread (an item number, a year), not an offer.
+const MAX_MIN_QUANTITY = 24;
+
+const money = (n) => `$${Number.isInteger(n) ? n : n.toFixed(2)}`;
+
+function priceOf(v) {
+  const n = parseFloat(String(v ?? "").replace(/[^0-9.]/g, ""));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// One deal row (any source) → offer.
+export function parseOffer(deal) {
+  const text = [deal?.notes, deal?.unit, deal?.saleStory].filter(Boolean).join(" ; ");
+  const offer = {
+    type: "sale", minQuantity: 1, bundle: null, limit: null,
+    requiresCoupon: false, requiresLoyalty: false, mixMatchGroup: null, summary: "",
+  };
+
+  const bundle = text.match(BUNDLE);
+  if (bundle && parseInt(bundle[1], 10) > 1) {
+    const qty = parseInt(bundle[1], 10), total = parseFloat(bundle[2]);
+    offer.type = "multi";
+    offer.bundle = { qty, total };
+    offer.minQuantity = qty;
+  }
+  const dealType = String(deal?.dealType || "").toLowerCase();
+  if (dealType === "bogo" || BOGO.test(text)) {
+    offer.type = "bogo";
+    offer.minQuantity = Math.max(offer.minQuantity, 2);
+  } else if (dealType === "percent_off" && offer.type === "sale") {
+    offer.type = "percent_off";
+  }
+  const mustBuy = text.match(MUST_BUY);
+  if (mustBuy) offer.minQuantity = Math.max(offer.minQuantity, parseInt(mustBuy[1], 10));
+  const buySave = text.match(BUY_SAVE);
+  if (buySave) {
+    const n = parseInt(buySave[1], 10);
+    offer.minQuantity = Math.max(offer.minQuantity, n);
+    offer.mixMatchGroup = `buy${n}-save${buySave[2].replace(/\.00$/, "")}`;
+  }
+  if (!offer.mixMatchGroup && MIX_MATCH.test(text)) {
+    offer.mixMatchGroup = offer.bundle ? `mix-match:${offer.bundle.qty}-for-${String(offer.bundle.total).replace(/\.0+$/, "")}` : "mix-match";
+  }
+  const limit = text.match(LIMIT);
+  if (limit) offer.limit = parseInt(limit[1], 10);
+
+  // requiresCoupon on OCR rows covers coupons, cards and memberships alike
+  // (the prompt's wording); the notes say which. Kroger's promo price is the
+  // card price, so every Kroger deal needs the card.
+  const couponText = COUPON_WORDS.test(text);
+  const loyaltyText = LOYALTY_WORDS.test(text);
+  offer.requiresLoyalty = loyaltyText || deal?.source === "kroger";
+  offer.requiresCoupon = couponText || (!!deal?.requiresCoupon && !loyaltyText);
+
+  offer.summary = [
+    offer.type === "bogo" ? "Buy 1 get 1" : "",
+    offer.minQuantity > 1 && offer.type !== "bogo" ? `Buy ${offer.minQuantity}` : "",
+    offer.bundle ? `${offer.bundle.qty} for ${money(offer.bundle.total)}` : "",
+    offer.mixMatchGroup ? "Mix & match" : "",
+    offer.limit ? `Limit ${offer.limit}` : "",
+    offer.requiresCoupon ? "Digital coupon" : "",
+    offer.requiresLoyalty && deal?.source !== "kroger" ? "Card price" : "",
+  ].filter(Boolean).join(" · ");
+  return offer;
+}
+
+// null when the row's offer is coherent, otherwise a short reason string, in
+// dealRejectReason's register.
+export function offerRejectReason(deal) {
+  const offer = parseOffer(deal);
+  if (offer.minQuantity > MAX_MIN_QUANTITY) return "implausible quantity threshold";
+  if (offer.limit != null && offer.limit < 1) return "zero purchase limit";
+  if (offer.limit != null && offer.limit < offer.minQuantity) return "limit below quantity threshold";
+  if (offer.bundle) {
+    const sale = priceOf(deal.salePrice);
+    const perUnit = offer.bundle.total / offer.bundle.qty;
+    // salePrice is per unit by contract; a row still holding the bundle total
+    // is repaired by withOffer. Anything else is a different deal's figure.
+    if (sale != null && Math.abs(sale - perUnit) > 0.011 && Math.abs(sale - offer.bundle.total) > 0.011) return "price disagrees with bundle";
+  }
+  return null;
+}
+
+// Row → row with `offer`. A multi-buy row whose salePrice is the bundle total
+// (the model skipped the division) gets the per-unit price.
+export function withOffer(deal) {
+  if (!deal || typeof deal !== "object" || deal.salePrice == null) return deal;
+  const offer = parseOffer(deal);
+  let salePrice = deal.salePrice;
+  if (offer.bundle) {
+    const sale = priceOf(salePrice);
+    if (sale != null && Math.abs(sale - offer.bundle.total) <= 0.011) {
+      salePrice = typeof salePrice === "number"
+        ? Math.round((offer.bundle.total / offer.bundle.qty) * 100) / 100
+        : (offer.bundle.total / offer.bundle.qty).toFixed(2);
+    }
+  }
+  return { ...deal, salePrice, offer };
+}
+
+export function attachOffers(deals) {
+  return deals.map(withOffer);
+}
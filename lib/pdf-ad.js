@@ -0,0 +1,158 @@
+import { createRequire } from "module";
+import { dirname, join } from "path";
+
+// ── PDF weekly circulars ────────────────────────────────────────────────────
+// Some chains publish the weekly ad only as a PDF. extract-store and user
+// uploads hand PDFs here instead of to sharp (whose prebuilt binaries cannot
+// read PDF). Each page is handled one of two ways:
+//
+//   text layer   Circulars exported from layout software carry real text. When
+//                a page's text has enough prices on it, parseTextLayerDeals
+//                reads the deals straight off it: no vision call, no cost.
+//   scan         Otherwise the page is rasterized (renderPage) and goes through
+//                tileImage and the vision OCR like any ad image.
+//
+// pdfjs-dist renders through @napi-rs/canvas, its optional Node dependency;
+// both are plain npm installs with prebuilt binaries, nothing to apt-get.
+
+const require = createRequire(import.meta.url);
+const PDFJS_DIR = dirname(require.resolve("pdfjs-dist/package.json"));
+
+// Rasterize to roughly the width tileImage bounds pages to anyway.
+const RENDER_WIDTH = 1600;
+// A text layer counts as usable when it carries at least this many prices.
+// Below that it is usually a header or legal line over a scanned image.
+const MIN_TEXT_LAYER_PRICES = 3;
+
+export function isPdf(buf) {
+  return Buffer.isBuffer(buf) && buf.length > 5 && buf.toString("latin1", 0, 5) === "%PDF-";
+}
+
+// → { pageCount, getLines(n), renderPage(n), close() }. Pages are 1-based.
+export async function openPdf(buffer) {
+  const { getDocument } = await import("pdfjs-dist/legacy/build/pdf.mjs");
+  const doc = await getDocument({
+    data: new Uint8Array(buffer),
+    standardFontDataUrl: join(PDFJS_DIR, "standard_fonts") + "/",
+    verbosity: 0,
+  }).promise;
+  return {
+    pageCount: doc.numPages,
+    async getLines(n) {
+      const page = await doc.getPage(n);
+      const { items } = await page.getTextContent();
+      page.cleanup();
+      return groupTextLines(items);
+    },
+    // PNG buffer; tileImage converts to JPEG on the way through.
+    async renderPage(n) {
+      const page = await doc.getPage(n);
+      const base = page.getViewport({ scale: 1 });
+      const viewport = page.getViewport({ scale: Math.min(4, Math.max(1, RENDER_WIDTH / base.width)) });
+      const { canvas, context } = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+      await page.render({ canvasContext: context, viewport, canvas }).promise;
+      const png = canvas.toBuffer("image/png");
+      doc.canvasFactory.destroy({ canvas, context });
+      page.cleanup();
+      return png;
+    },
+    close: () => doc.destroy(),
+  };
+}
+
+// pdfjs text items → reading-order lines. Items whose baselines sit within half
+// a glyph height share a line; lines run top to bottom, items left to right.
+export function groupTextLines(items) {
+  const rows = [];
+  for (const it of items || []) {
+    const str = String(it.str ?? "");
+    if (!str.trim()) continue;
+    const x = it.transform?.[4] ?? 0;
+    const y = it.transform?.[5] ?? 0;
+    const tol = Math.max(2, (it.height || Math.abs(it.transform?.[3] || 0) || 10) * 0.5);
+    let row = rows.find(r => Math.abs(r.y - y) <= tol);
+    if (!row) rows.push(row = { y, parts: [] });
+    row.parts.push({ x, str });
+  }
+  return rows
+    .sort((a, b) => b.y - a.y)
+    .map(r => r.parts.sort((a, b) => a.x - b.x).map(p => p.str).join(" ").replace(/\s+/g, " ").trim());
+}
+
+const MULTI_PRICE = /(\d+)\s*(?:\/|for)\s*\$\s?(\d+(?:\.\d{1,2})?)/i;
+const DOLLAR_PRICE = /\$\s?(\d+(?:\.\d{2})?)(?:\s*(?:\/\s*)?(lbs?|ea|each)\b)?/i;
+const CENT_PRICE = /(\d{2})\s?¢(?:\s*(?:\/\s*)?(lbs?|ea|each)\b)?/i;
+const REG_PRICE = /\b(?:reg\.?|regular(?:ly)?|was)\s*:?\s*\$?\s?(\d+(?:\.\d{2})?)/i;
+const COUPON_TEXT = /digital coupon|with card|member price|for u\b|mperks/i;
+const COUPON_PHRASE = new RegExp(`\\b(?:with\\s+)?(?:${COUPON_TEXT.source})`, "gi");
+
+function countPrices(lines) {
+  const re = /(\d+\s*(?:\/|for)\s*\$\s?\d)|(\$\s?\d+\.\d{2})|(\d{2}\s?¢)/gi;
+  return lines.reduce((n, l) => n + (l.match(re) || []).length, 0);
+}
+
+export function hasUsableTextLayer(lines) {
+  return countPrices(lines) >= MIN_TEXT_LAYER_PRICES;
+}
+
+// Reads deals off text-layer lines in the vision prompt's output shape, so the
+// rows go through dealRejectReason and the rest of extract-store unchanged.
+// Layout handled: "Name ... $X.XX [lb]" on one line, or a name line followed
+// by a price line; "N/$X" and "N for $X" become per-unit prices with the
+// bundle in notes; a "Reg. $X" on its own line attaches to the deal above it.
+// Category is left "other": the text carries no section headings we can trust.
+export function parseTextLayerDeals(lines) {
+  const deals = [];
+  let pendingName = "";
+  for (const raw of lines || []) {
+    const line = String(raw).trim();
+    if (!line) continue;
+    const regM = line.match(REG_PRICE);
+    const rest = regM ? line.replace(regM[0], " ") : line;
+
+    let salePrice = null, unit = "each", notes = "", matched = null;
+    const multi = rest.match(MULTI_PRICE);
+    const dollar = !multi && rest.match(DOLLAR_PRICE);
+    const cents = !multi && !dollar && rest.match(CENT_PRICE);
+    if (multi) {
+      const n = parseInt(multi[1], 10), total = parseFloat(multi[2]);
+      if (n > 0) {
+        salePrice = Math.round((total / n) * 100) / 100;
+        notes = `${n} for $${total.toFixed(2)}`;
+      }
+      matched = multi[0];
+    } else if (dollar) {
+      salePrice = parseFloat(dollar[1]);
+      if (/^lb/i.test(dollar[2] || "")) unit = "lb";
+      matched = dollar[0];
+    } else if (cents) {
+      salePrice = parseInt(cents[1], 10) / 100;
+      if (/^lb/i.test(cents[2] || "")) unit = "lb";
+      matched = cents[0];
+    }
+    if (!matched && regM && deals.length) {
+      // A lone "Reg. $X" line belongs to the deal above it.
+      const prev = deals[deals.length - 1];
+      if (prev.regularPrice == null) prev.regularPrice = parseFloat(regM[1]);
+      continue;
+    }
+    if (!matched) {
+      pendingName = rest.replace(/\s+/g, " ").trim();
+      continue;
+    }
+    if (/\bper\s+lb\b/i.test(rest)) unit = "lb";
+
+    let name = rest.replace(matched, " ").replace(/\bper\s+lb\b\.?/gi, " ").replace(COUPON_PHRASE, " ")
+      .replace(/\s+/g, " ").replace(/^[\s,.:;\-–]+|[\s,.:;\-–]+$/g, "");
+    if (name.length < 3) name = pendingName;
+    pendingName = "";
+    if (!name || salePrice == null || !(salePrice > 0)) continue;
+    deals.push({
+      name, brand: "", salePrice,
+      unit, regularPrice: regM ? parseFloat(regM[1]) : null,
+      dealType: "sale", requiresCoupon: COUPON_TEXT.test(line),
+      category: "other", size: "", notes,
+    });
+  }
+  return deals;
+}
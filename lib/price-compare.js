@@ -0,0 +1,99 @@
+import { productTokens } from "./product-catalog.js";
+import { computeUnitPrice, toBaseUnitPrice } from "./unit-price.js";
+import { parseOffer } from "./offers.js";
+import { isLowQuality } from "./deal-quality.js";
+
+// ── Cross-store price comparison ────────────────────────────────────────────
+// /api/deals/regional keeps the same item at every store on purpose (its
+// dedupe is scoped per store), but a user asking "where are chicken thighs
+// cheapest?" had to read the whole feed. compareAcrossStores answers that from
+// the same deal pool: one row per store, its best match for the query, ranked
+// by unit price (lib/unit-price.js), with the offer terms (lib/offers.js) that
+// price depends on.
+//
+// Matching uses the product catalog's normalization (productTokens): a deal
+// matches when its name carries every token of the query, so "chicken thighs"
+// finds "Boneless Skinless Chicken Thighs" and not "Chicken Breast". $/lb and
+// $/each don't compare, so stores are ranked in the dimension most matches are
+// priced in; the rest are listed apart as `incomparable`.
+
+const DISPLAY_BASIS = { weight: "lb", volume: "fl oz", count: "each" };
+const MIN_RANKED_CONFIDENCE = 0.5;
+
+const storeKey = (d) => String(d.storeName || d.source || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+function comparisonRow(d, base) {
+  const offer = d.offer || parseOffer(d);
+  return {
+    store: d.storeName || d.source || "",
+    source: d.source || null,
+    name: d.name,
+    brand: d.brand || "",
+    size: d.size || "",
+    salePrice: d.salePrice,
+    regularPrice: d.regularPrice ?? null,
+    unitPrice: base ? {
+      value: Math.round(base.perBase * (base.dimension === "weight" ? 16 : 1) * 1000) / 1000,
+      basis: DISPLAY_BASIS[base.dimension],
+      confidence: d.unitPrice?.confidence ?? null,
+    } : null,
+    offer: {
+      summary: offer.summary, minQuantity: offer.minQuantity, limit: offer.limit,
+      requiresCoupon: offer.requiresCoupon, requiresLoyalty: offer.requiresLoyalty,
+    },
+    image: d.image || null,
+  };
+}
+
+// deals (regional shape) + free-text query → { tokens, dimension, basis,
+// stores: [...cheapest first], incomparable: [...], matched }.
+export function compareAcrossStores(deals, query) {
+  const tokens = productTokens(query);
+  const empty = { tokens, dimension: null, basis: null, stores: [], incomparable: [], matched: 0 };
+  if (!tokens.length) return empty;
+
+  const matches = [];
+  for (const d of deals || []) {
+    // A price the quality scorer distrusts (lib/deal-quality.js) can't rank.
+    if (isLowQuality(d)) continue;
+    const dt = new Set(productTokens(d.name, d.brand));
+    if (!tokens.every(t => dt.has(t))) continue;
+    const unitPrice = d.unitPrice || computeUnitPrice(d);
+    const base = toBaseUnitPrice(unitPrice);
+    matches.push({ d: unitPrice && !d.unitPrice ? { ...d, unitPrice } : d, base, extra: dt.size - tokens.length });
+  }
+  if (!matches.length) return empty;
+
+  // The dimension the comparison is made in: the one most confident matches
+  // share. Weight wins ties — meat and produce are what people compare.
+  const counts = { weight: 0, volume: 0, count: 0 };
+  for (const m of matches) {
+    if (m.base && (m.d.unitPrice?.confidence ?? 0) >= MIN_RANKED_CONFIDENCE) counts[m.base.dimension]++;
+  }
+  const dimension = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+  const ranked = counts[dimension] > 0 ? dimension : null;
+
+  // Best row per store: comparable rows by unit price, then the closest name
+  // (fewest words beyond the query), then sale price.
+  const byStore = new Map();
+  for (const m of matches) {
+    const comparable = ranked && m.base?.dimension === ranked && (m.d.unitPrice?.confidence ?? 0) >= MIN_RANKED_CONFIDENCE;
+    const key = storeKey(m.d);
+    const cur = byStore.get(key);
+    const better = !cur
+      || (comparable && !cur.comparable)
+      || (comparable === cur.comparable && (comparable
+        ? m.base.perBase < cur.m.base.perBase
+        : m.extra < cur.m.extra || (m.extra === cur.m.extra && parseFloat(m.d.salePrice) < parseFloat(cur.m.d.salePrice))));
+    if (better) byStore.set(key, { m, comparable, alternatives: (cur?.alternatives ?? -1) + 1 });
+    else cur.alternatives++;
+  }
+
+  const stores = [], incomparable = [];
+  for (const { m, comparable, alternatives } of byStore.values()) {
+    const row = { ...comparisonRow(m.d, m.base), alternatives };
+    (comparable ? stores : incomparable).push(row);
+  }
+  stores.sort((a, b) => a.unitPrice.value - b.unitPrice.value);
+  return { tokens, dimension: ranked, basis: ranked ? DISPLAY_BASIS[ranked] : null, stores, incomparable, matched: matches.length };
+}
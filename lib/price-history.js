@@ -0,0 +1,162 @@
+import { productTokens } from "./product-catalog.js";
+
+// ── Price history ───────────────────────────────────────────────────────────
+// deal_history is written every week by scripts/cron/capture-weekly-deals.js
+// (one row per deal per capture, linked to its canonical product). This is
+// the read side:
+//
+//   itemHistory        /api/deals/history?chain=&item= — the weekly series
+//                      for one item, optionally at one chain
+//   historicalContext  one deal's price against its product's past sale
+//                      prices, attached to /api/deals/regional rows so the
+//                      deal browser can tell a real low from a routine
+//                      markdown:
+//
+//   historicalContext: { weeks, observations, lowest, typical, percentile,
+//                        isLowest, verdict, scope }
+//
+//   weeks        the window looked back over
+//   observations past sale prices in it (only weeks before this one)
+//   lowest       lowest of them; typical: their median
+//   percentile   0..100, the share of past prices below this one (0 = never
+//                cheaper)
+//   verdict      "lowest" (at or under every past price), "good" (under
+//                typical), "typical", "high"
+//   scope        "chain" when the deal's own chain has enough history,
+//                otherwise "all" (every chain's history of the product)
+
+export const HISTORY_WEEKS = 26;
+// Observations needed before a context is worth showing.
+const MIN_OBSERVATIONS = 3;
+const WEEK_MS = 7 * 86400000;
+
+function priceOf(v) {
+  const n = parseFloat(String(v ?? "").replace(/[^0-9.]/g, ""));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function median(xs) {
+  if (!xs.length) return null;
+  const s = [...xs].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// The Monday (UTC) of a row's week, as YYYY-MM-DD: the week its ad started
+// in (week_start, the retailer's own start day — Wednesday, Sunday — per
+// adWeekStart), or its captured_at for rows without one. Chains start their ads
+// on different days; the Monday puts them on one axis.
+export function weekOf(row) {
+  const t = new Date(row?.week_start ? `${String(row.week_start).slice(0, 10)}T00:00:00Z` : row?.captured_at);
+  if (Number.isNaN(t.getTime())) return null;
+  const day = (t.getUTCDay() + 6) % 7;
+  return new Date(Date.UTC(t.getUTCFullYear(), t.getUTCMonth(), t.getUTCDate() - day)).toISOString().slice(0, 10);
+}
+
+// One price + past history rows for its product → historicalContext, or null
+// when there is too little history. Rows from the current week are this
+// deal's own captures and are left out.
+export function historicalContext(price, rows, { chain = "", weeks = HISTORY_WEEKS, now = Date.now() } = {}) {
+  const sale = priceOf(price);
+  if (sale == null) return null;
+  const thisWeek = weekOf({ captured_at: new Date(now).toISOString() });
+  const since = now - weeks * WEEK_MS;
+  const past = (rows || []).filter(r => {
+    const t = new Date(r.captured_at).getTime();
+    return priceOf(r.sale_price) != null && t >= since && weekOf(r) !== thisWeek;
+  });
+  const own = chain ? past.filter(r => r.chain === chain) : [];
+  const scope = own.length >= MIN_OBSERVATIONS ? "chain" : "all";
+  const prices = (scope === "chain" ? own : past).map(r => priceOf(r.sale_price));
+  if (prices.length < MIN_OBSERVATIONS) return null;
+
+  const lowest = Math.min(...prices);
+  const typical = median(prices);
+  const percentile = Math.round((prices.filter(p => p < sale).length / prices.length) * 100);
+  const isLowest = sale <= lowest;
+  const verdict = isLowest ? "lowest" : sale < typical * 0.97 ? "good" : sale <= typical * 1.03 ? "typical" : "high";
+  return { weeks, observations: prices.length, lowest: round(lowest), typical: round(typical), percentile, isLowest, verdict, scope };
+}
+
+// deal_history rows for these canonical products over the last `weeks` weeks.
+// Chunked: PostgREST puts the id list in the URL.
+export async function fetchHistoryRows(supabase, productIds, { weeks = HISTORY_WEEKS, chunk = 200 } = {}) {
+  const ids = [...new Set(productIds.filter(Boolean))];
+  const since = new Date(Date.now() - weeks * WEEK_MS).toISOString();
+  const rows = [];
+  for (let i = 0; i < ids.length; i += chunk) {
+    const { data, error } = await supabase
+      .from("deal_history")
+      .select("canonical_product_id, chain, sale_price, regular_price, unit, captured_at, week_start")
+      .in("canonical_product_id", ids.slice(i, i + chunk))
+      .gte("captured_at", since)
+      .limit(10000);
+    if (error) throw new Error(`deal_history read failed: ${error.message}`);
+    rows.push(...(data || []));
+  }
+  return rows;
+}
+
+// Free-text item (+ optional chain) → the deal_history rows whose name carries
+// every token of the item (the product catalog's normalization, as
+// /api/compare), last `weeks` weeks, oldest first.
+export async function fetchItemRows(supabase, { item, chain = "", weeks = HISTORY_WEEKS } = {}) {
+  const tokens = productTokens(item);
+  if (!tokens.length) return [];
+  const since = new Date(Date.now() - weeks * WEEK_MS).toISOString();
+
+  // Narrow on the longest token server-side, then match every token here.
+  const anchor = [...tokens].sort((a, b) => b.length - a.length)[0];
+  const rows = [];
+  for (let from = 0; ; from += 1000) {
+    let q = supabase
+      .from("deal_history")
+      .select("chain, store_name, item_name, brand, sale_price, regular_price, unit, captured_at, week_start")
+      .ilike("item_name", `%${anchor}%`)
+      .gte("captured_at", since)
+      .order("captured_at", { ascending: true })
+      .range(from, from + 999);
+    if (chain) q = q.eq("chain", chain.toLowerCase());
+    const { data, error } = await q;
+    if (error) throw new Error(`deal_history read failed: ${error.message}`);
+    rows.push(...(data || []));
+    if (!data || data.length < 1000 || rows.length >= 20000) break;
+  }
+
+  return rows.filter(r => {
+    const rt = new Set(productTokens(r.item_name, r.brand));
+    return tokens.every(t => rt.has(t)) && priceOf(r.sale_price) != null;
+  });
+}
+
+// Free-text item (+ optional chain) → { item, chain, weeks, matches, series }.
+// series is one point per week of fetchItemRows:
+// { week, low, typical, high, regular, chains, observations }, oldest first.
+export async function itemHistory(supabase, { item, chain = "", weeks = HISTORY_WEEKS } = {}) {
+  const matched = await fetchItemRows(supabase, { item, chain, weeks });
+  const byWeek = new Map();
+  for (const r of matched) {
+    const week = weekOf(r);
+    if (!week) continue;
+    if (!byWeek.has(week)) byWeek.set(week, { sales: [], regulars: [], chains: new Set() });
+    const w = byWeek.get(week);
+    w.sales.push(priceOf(r.sale_price));
+    const reg = priceOf(r.regular_price);
+    if (reg != null) w.regulars.push(reg);
+    w.chains.add(r.store_name || r.chain);
+  }
+  const series = [...byWeek.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([week, w]) => ({
+      week,
+      low: round(Math.min(...w.sales)),
+      typical: round(median(w.sales)),
+      high: round(Math.max(...w.sales)),
+      regular: w.regulars.length ? round(median(w.regulars)) : null,
+      chains: [...w.chains].sort(),
+      observations: w.sales.length,
+    }));
+  return { item, chain: chain || null, weeks, matches: matched.length, series };
+}
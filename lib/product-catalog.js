@@ -0,0 +1,231 @@
+import crypto from "crypto";
+import { parseSize, SIZE_RE } from "./unit-price.js";
+import { dealCategoryPath } from "./taxonomy.js";
+
+// ── Canonical product catalog ───────────────────────────────────────────────
+// Kroger deals carry a productId, OCR deals carry only name / brand / size
+// text, and deal_history keyed week-over-week matching on product_id, which
+// buildHistoryRow can only fill for Kroger. catalog_products
+// (migrations/2026-10-19-product-catalog.sql) gives every deal a shared
+// identity: a canonical product with normalized name tokens, brand, size and
+// category, and a confidence for how sure the link is.
+//
+//   1.0        exact: same Kroger productId, same UPC, or same canonical key
+//   >= 0.75    fuzzy: name tokens overlap and brand / size don't contradict
+//   below      no link: the deal defines a new canonical product (1.0)
+//
+// The matcher works in memory (createProductCatalog) so a capture run of a few
+// thousand deals is one catalog read and one batched write, not a query per
+// deal. Deterministic ids (a hash of the canonical key) let a run hand ids to
+// deal_history rows before the new products are written.
+
+export const MATCH_THRESHOLD = 0.75;
+
+const NOISE_WORDS = new Set([
+  "a", "and", "or", "the", "of", "with", "in", "for",
+  "select", "selected", "varieties", "variety", "assorted", "new", "fresh",
+  "pkg", "package", "pack", "family", "value", "each", "ea", "approx",
+]);
+
+const round = (n, d = 2) => Math.round(n * 10 ** d) / 10 ** d;
+
+// Sizes are parsed by lib/unit-price.js parseSize: { value, unit, count? } in
+// base units (oz, fl oz, ct).
+export function sizeKey(size) {
+  if (!size) return "";
+  return `${size.count ? `${size.count}x` : ""}${size.value}${size.unit.replace(" ", "")}`;
+}
+
+// OCR reads "64 oz" off a juice ad that Kroger lists as "64 fl oz".
+function sizesAgree(a, b) {
+  const ounces = (u) => u === "oz" || u === "fl oz";
+  const sameClass = a.unit === b.unit || (ounces(a.unit) && ounces(b.unit));
+  return sameClass && Math.abs(a.value - b.value) <= 0.05 * Math.max(a.value, b.value) && (a.count || 1) === (b.count || 1);
+}
+
+export function normalizeBrand(brand) {
+  return String(brand || "").toLowerCase().replace(/[®™©]/g, "").replace(/['’]/g, "").replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+function singular(w) {
+  if (w.length <= 3 || /(ss|us|is)$/.test(w)) return w;
+  if (w.endsWith("ies")) return `${w.slice(0, -3)}y`;
+  if (/(oes|ches|shes|xes)$/.test(w)) return w.slice(0, -2);
+  if (w.endsWith("s")) return w.slice(0, -1);
+  return w;
+}
+
+// Name → sorted, de-duplicated identity tokens: brand words, sizes, prices and
+// ad filler removed, plurals folded. "Boneless Skinless Chicken Breasts" and
+// "Chicken Breast, Boneless Skinless" give the same tokens.
+export function productTokens(name, brand = "") {
+  let s = String(name || "").toLowerCase().replace(/[®™©]/g, "").replace(/['’]/g, "").replace(/&/g, " and ");
+  const b = normalizeBrand(brand);
+  s = s.replace(SIZE_RE, " ").replace(/\$\s?\d+(?:\.\d+)?/g, " ").replace(/[^a-z0-9]+/g, " ");
+  if (b) s = ` ${s} `.replace(` ${b} `, " ");
+  const tokens = s.split(" ").filter(w => w.length > 1 && !/^\d+$/.test(w) && !NOISE_WORDS.has(w)).map(singular);
+  return [...new Set(tokens)].sort();
+}
+
+// Cached deal (any source) → the fields matching runs on.
+export function describeDeal(deal) {
+  const brand = normalizeBrand(deal.brand);
+  const size = parseSize(deal.size) || parseSize(deal.name);
+  let tokens = productTokens(deal.name, deal.brand);
+  // A name that was nothing but brand and size ("Coca-Cola 12 pk") keeps the
+  // brand as its identity rather than matching everything.
+  if (!tokens.length) tokens = productTokens(deal.name);
+  return {
+    name: String(deal.name || "").trim(),
+    brand, size, tokens,
+    category: dealCategoryPath(deal),
+    krogerProductId: deal.source === "kroger" || deal.krogerProductId ? String(deal.krogerProductId || deal.productId || deal.id || "").trim() || null : null,
+    upc: String(deal.upc || "").trim() || null,
+  };
+}
+
+export function canonicalProductKey(desc) {
+  return `${desc.brand}|${desc.tokens.join(" ")}|${sizeKey(desc.size)}`;
+}
+
+export function canonicalProductId(key) {
+  return `p_${crypto.createHash("sha1").update(key).digest("hex").slice(0, 16)}`;
+}
+
+// The catalog id a deal has on an exact canonical-key match, without loading
+// the catalog. Fuzzy links need the whole catalog; rows that only match
+// fuzzily (and Kroger rows first seen under another key) get a different id.
+export function exactProductId(deal) {
+  const desc = describeDeal(deal);
+  return desc.tokens.length ? canonicalProductId(canonicalProductKey(desc)) : null;
+}
+
+function dice(a, b) {
+  if (!a.length || !b.length) return 0;
+  const bs = new Set(b);
+  const shared = a.filter(t => bs.has(t)).length;
+  return (2 * shared) / (a.length + b.length);
+}
+
+// Two descriptors → 0..1. Names carry the score; brand and size only lower
+// it. Categories (lib/taxonomy.js paths) are not compared: they are derived
+// from the same name tokens, so they add nothing the dice score lacks.
+export function scoreProductMatch(a, b) {
+  let score = dice(a.tokens, b.tokens);
+  if (!score) return 0;
+  if (a.brand && b.brand) score *= a.brand === b.brand ? 1 : 0.4;
+  else if (a.brand || b.brand) score *= 0.85;
+  if (a.size && b.size) score *= sizesAgree(a.size, b.size) ? 1 : 0.6;
+  else if (a.size || b.size) score *= 0.95;
+  return round(score);
+}
+
+const productFromRow = (r) => ({
+  id: r.id, key: r.canonical_key, name: r.name, brand: r.brand || "",
+  size: r.size_value != null ? { value: Number(r.size_value), unit: r.size_unit, ...(r.size_count ? { count: r.size_count } : {}) } : null,
+  tokens: r.name_tokens || [], category: r.category || null,
+  krogerProductId: r.kroger_product_id || null, upc: r.upc || null,
+  firstSeenAt: r.first_seen_at || null, lastSeenAt: r.last_seen_at || null,
+});
+
+const productToRow = (p) => ({
+  id: p.id, canonical_key: p.key, name: p.name, brand: p.brand || null,
+  size: sizeKey(p.size) || null, size_value: p.size?.value ?? null, size_unit: p.size?.unit ?? null, size_count: p.size?.count ?? null,
+  name_tokens: p.tokens, category: p.category, kroger_product_id: p.krogerProductId, upc: p.upc,
+  first_seen_at: p.firstSeenAt, last_seen_at: p.lastSeenAt,
+});
+
+// catalog_products rows → { resolve(deal, seenAt), changed(), size }.
+// resolve → { productId, confidence, created }. Products created or touched
+// by resolve are returned by changed() for saveProductCatalog.
+export function createProductCatalog(rows = []) {
+  const byId = new Map();
+  const byKey = new Map();
+  const byKroger = new Map();
+  const byUpc = new Map();
+  const byToken = new Map();
+  const dirty = new Set();
+
+  const index = (p) => {
+    byId.set(p.id, p);
+    byKey.set(p.key, p);
+    if (p.krogerProductId) byKroger.set(p.krogerProductId, p);
+    if (p.upc) byUpc.set(p.upc, p);
+    for (const t of p.tokens) {
+      if (!byToken.has(t)) byToken.set(t, new Set());
+      byToken.get(t).add(p);
+    }
+  };
+  for (const r of rows) index(productFromRow(r));
+
+  const touch = (p, desc, seenAt) => {
+    if (!p.lastSeenAt || seenAt > p.lastSeenAt) p.lastSeenAt = seenAt;
+    if (!p.firstSeenAt || seenAt < p.firstSeenAt) p.firstSeenAt = seenAt;
+    // A fuzzy link from a Kroger deal teaches the product its Kroger id.
+    if (desc.krogerProductId && !p.krogerProductId) { p.krogerProductId = desc.krogerProductId; byKroger.set(p.krogerProductId, p); }
+    if (desc.upc && !p.upc) { p.upc = desc.upc; byUpc.set(p.upc, p); }
+    if (!p.category && desc.category) p.category = desc.category;
+    dirty.add(p.id);
+  };
+
+  function resolve(deal, seenAt = new Date().toISOString()) {
+    const desc = describeDeal(deal);
+    if (!desc.tokens.length) return null;
+    const key = canonicalProductKey(desc);
+    const exact = (desc.krogerProductId && byKroger.get(desc.krogerProductId))
+      || (desc.upc && byUpc.get(desc.upc))
+      || byKey.get(key);
+    if (exact) { touch(exact, desc, seenAt); return { productId: exact.id, confidence: 1, created: false }; }
+
+    const candidates = new Set();
+    for (const t of desc.tokens) for (const p of byToken.get(t) || []) candidates.add(p);
+    let best = null, bestScore = 0;
+    for (const p of candidates) {
+      // Two different Kroger SKUs are two products however alike the names.
+      if (desc.krogerProductId && p.krogerProductId && p.krogerProductId !== desc.krogerProductId) continue;
+      const score = scoreProductMatch(desc, p);
+      if (score > bestScore) { best = p; bestScore = score; }
+    }
+    if (best && bestScore >= MATCH_THRESHOLD) {
+      touch(best, desc, seenAt);
+      return { productId: best.id, confidence: bestScore, created: false };
+    }
+
+    const p = {
+      id: canonicalProductId(key), key, name: desc.name, brand: desc.brand, size: desc.size,
+      tokens: desc.tokens, category: desc.category, krogerProductId: desc.krogerProductId, upc: desc.upc,
+      firstSeenAt: seenAt, lastSeenAt: seenAt,
+    };
+    index(p);
+    dirty.add(p.id);
+    return { productId: p.id, confidence: 1, created: true };
+  }
+
+  return {
+    resolve,
+    changed: () => [...dirty].map(id => productToRow(byId.get(id))),
+    get size() { return byId.size; },
+  };
+}
+
+export async function loadProductCatalog(supabase) {
+  const rows = [];
+  for (let from = 0; ; from += 1000) {
+    const { data, error } = await supabase.from("catalog_products").select("*").range(from, from + 999);
+    if (error) throw new Error(`catalog_products read failed: ${error.message}`);
+    rows.push(...(data || []));
+    if (!data || data.length < 1000) break;
+  }
+  return createProductCatalog(rows);
+}
+
+// Write every product created or touched since load. Returns the count.
+export async function saveProductCatalog(supabase, catalog, { batchSize = 500 } = {}) {
+  const rows = catalog.changed();
+  for (let i = 0; i < rows.length; i += batchSize) {
+    const { error } = await supabase.from("catalog_products").upsert(rows.slice(i, i + batchSize), { onConflict: "id" });
+    if (error) throw new Error(`catalog_products write failed at ${i}: ${error.message}`);
+  }
+  return rows.length;
+}
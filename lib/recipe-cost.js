@@ -0,0 +1,522 @@
+import { parseSize, computeUnitPrice } from "./unit-price.js";
+import { parseOffer } from "./offers.js";
+import { plausibleDiscount, isLowQuality } from "./deal-quality.js";
+import { normalizeUnit, resolveDealRef } from "./recipe-schema.js";
+
+// ── Recipe costs ────────────────────────────────────────────────────────────
+// What a recipe costs to shop for, line by line, and how much of that the
+// sales save. The route used to price only SALE ingredients (a guessed package
+// count each) and add a flat $2.50 for everything else, so "$X saved" rested
+// on numbers nobody could check. costRecipe prices every ingredient line from
+// the best source it has, in order:
+//
+//   sale            the deal the line is linked to (dealRef): the sale price
+//                   for the packages (or pounds) the recipe needs, honoring
+//                   the offer — a "Buy 5" price needs five in the cart, a
+//                   limit caps how many come at the sale price
+//   store_regular   no linked deal, but a deal in the pool names it: that
+//                   store's regular price (no savings claimed)
+//   baseline        BASELINE_PRICES, typical US prices scaled by region (zip)
+//   pantry          staples (oil, spices, butter, ...) and other PANTRY lines
+//                   (rice, pasta), bought once and used across many meals: the
+//                   share of the container this recipe uses, not the whole bag
+//   on_hand         ON_HAND and LEFTOVER lines: already paid for, $0
+//   unknown         nothing matched: UNKNOWN_LINE_PRICE
+//
+// Each line carries cost, regularCost (the same purchase at regular prices),
+// savings and a confidence: "high" when this week's price at the user's store
+// meets a measured quantity, "medium" when the quantity or price had to be
+// inferred, "low" for typical prices and guesses. Savings are only claimed
+// against a regular price plausibleDiscount trusts (lib/deal-quality.js).
+
+export const CONFIDENCE = { high: 1, medium: 0.6, low: 0.3 };
+const LEVELS = ["low", "medium", "high"];
+// A line nothing could price: the flat figure every non-sale line used to get.
+export const UNKNOWN_LINE_PRICE = 2.5;
+// Salt-and-pepper amounts ("to taste") and staples missing from STAPLE_PRICES.
+const PINCH_PRICE = 0.05;
+const STAPLE_LINE_PRICE = 0.15;
+// A non-produce package count above this (or a line over MAX_PACKAGE_SPEND)
+// is a units mix-up, not a basket: one package, low confidence.
+const MAX_PACKAGES = 4;
+const MAX_PACKAGE_SPEND = 20;
+
+const round = (n) => Math.round(n * 100) / 100;
+const money = (n) => `$${n.toFixed(2)}`;
+const lower = (level) => LEVELS[Math.max(0, LEVELS.indexOf(level) - 1)];
+
+// ── Amounts ─────────────────────────────────────────────────────────────────
+
+const WEIGHT_OZ = { lb: 16, oz: 1, kg: 35.274, g: 0.035274 };
+const VOLUME_FL_OZ = { cup: 8, tbsp: 0.5, tsp: 1 / 6, fl_oz: 1, ml: 0.033814, l: 33.814, pint: 16, quart: 32 };
+// Container units mean "buy N of the item"; item units (each, head, ...) count
+// pieces, which only multiply the price of produce sold each.
+export const CONTAINER_UNITS = ["can", "jar", "box", "package"];
+// Cooking volumes weigh about 0.8 oz per fl oz (a cup ≈ 0.4 lb).
+const OZ_PER_FL_OZ = 0.8;
+const PRODUCE_RE = /produce|fruit|vegetable/i;
+
+// Typical weight of one counted item, in lb, by what it is.
+function lbPerItem(unit, hint) {
+  const h = String(hint || "").toLowerCase();
+  if (unit === "clove" && h.includes("garlic")) return 0.01;
+  if (unit === "head" && h.includes("garlic")) return 0.15;
+  if (unit === "head" && /lettuce|cabbage/.test(h)) return 1.5;
+  if (unit === "bunch" && /parsley|cilantro|basil|mint|thyme|sage|rosemary|chive|dill|tarragon|oregano|herb/.test(h)) return 0.1;
+  if (h.includes("onion")) return 0.3;
+  if (/apple|orange|pear/.test(h)) return 0.35;
+  if (h.includes("banana")) return 0.25;
+  if (h.includes("potato")) return 0.5;
+  if (h.includes("tomato")) return 0.25;
+  if (h.includes("pepper")) return 0.3;
+  if (/lemon|lime/.test(h)) return 0.2;
+  if (h.includes("avocado")) return 0.5;
+  return 0.5;
+}
+
+// Recipe quantity + unit → { dimension, weight (oz), volume (fl oz), count,
+// unit }, or null for "to taste". Weight is always filled in (volumes and
+// counts converted), so anything can at least be priced by the pound.
+export function measure(quantity, unit, hint) {
+  const q = Number(quantity);
+  const u = normalizeUnit(unit);
+  if (!(q > 0) || !u) return null;
+  if (u in WEIGHT_OZ) return { dimension: "weight", weight: q * WEIGHT_OZ[u], volume: null, count: null, unit: u };
+  if (u in VOLUME_FL_OZ) {
+    const volume = q * VOLUME_FL_OZ[u];
+    return { dimension: "volume", weight: volume * OZ_PER_FL_OZ, volume, count: null, unit: u };
+  }
+  return { dimension: "count", weight: q * lbPerItem(u, hint) * 16, volume: null, count: q, unit: u };
+}
+
+// A measure in a package's unit ("oz", "fl oz", "ct") → { amount, exact }.
+// exact is false when it crossed dimensions (a cup of cheese against an 8 oz bag).
+function amountIn(m, unit) {
+  if (unit === "ct") return m.count != null ? { amount: m.count, exact: true } : null;
+  if (unit === "fl oz") {
+    if (m.volume != null) return { amount: m.volume, exact: true };
+    return { amount: m.weight / OZ_PER_FL_OZ, exact: false };
+  }
+  return { amount: m.weight, exact: m.dimension === "weight" };
+}
+
+// Package counts for a recipe amount against a package size.
+const packagesFor = (amount, size) => Math.max(1, Math.ceil(amount / size - 1e-9));
+
+// The typical package of a per-lb deal the recipe gave no amount for, in lb.
+function typicalPackageLb(name) {
+  const n = String(name || "").toLowerCase();
+  if (/chicken breast|boneless.*chicken|skinless.*chicken/.test(n)) return 2.5;
+  if (/chicken thigh|drumstick|chicken leg|wing/.test(n)) return 2.5;
+  if (/whole chicken|roaster/.test(n)) return 5;
+  if (/ground beef|ground turkey|ground pork/.test(n)) return 1;
+  if (/steak/.test(n)) return 1.5;
+  if (/beef.*roast|brisket/.test(n)) return 3;
+  if (/pork tenderloin/.test(n)) return 1.5;
+  if (/pork chop|pork loin/.test(n)) return 2;
+  if (/ribs|rack/.test(n)) return 3;
+  if (/salmon|tilapia|cod|fish/.test(n)) return 1;
+  if (/shrimp/.test(n)) return 1;
+  if (/sausage|bratwurst|kielbasa/.test(n)) return 1;
+  if (/bacon/.test(n)) return 1;
+  if (/apple|orange|pear/.test(n)) return 3;
+  if (/banana/.test(n)) return 2;
+  if (/grape|strawberr|blueberr|cherry/.test(n)) return 1;
+  if (/potato|sweet potato/.test(n)) return 3;
+  if (/onion/.test(n)) return 1;
+  if (/tomato|pepper|cucumber|zucchini|squash/.test(n)) return 0.75;
+  if (/broccoli|cauliflower/.test(n)) return 1.5;
+  if (/carrot|celery/.test(n)) return 1;
+  if (/lettuce|spinach|greens/.test(n)) return 0.75;
+  if (/mushroom/.test(n)) return 0.5;
+  return 1;
+}
+
+// "1 (15 oz) can black beans, drained" → "black beans".
+export function ingredientName(item) {
+  let s = String(item || "").toLowerCase().replace(/\([^)]*\)/g, " ").split(",")[0];
+  s = s.replace(/^[\d\s.\/½¼¾⅓⅔-]+/, " ").trim();
+  const first = s.split(/\s+/)[0];
+  if (first && normalizeUnit(first)) s = s.slice(first.length);
+  return s.replace(/\b(of|fresh|chopped|diced|minced|sliced|shredded|to taste)\b/g, " ").replace(/\s+/g, " ").trim();
+}
+
+// ── Pantry staples ──────────────────────────────────────────────────────────
+// Oils, dried spices, salt and pepper, baking essentials and butter: bought
+// once, used across many recipes. A staple is billed for the share of the
+// container a recipe uses, never the whole container — including when it is
+// the matched sale item.
+//
+// DELIBERATELY NOT staples (consumed in meaningful recipe quantities):
+// vinegars, condiments (soy sauce, hot sauce, ketchup, mustard, mayo,
+// worcestershire), flour, sugar, honey, maple syrup, broths/stocks. Fresh
+// herbs and fresh peppers aren't either: "fresh basil" and "bell pepper" are
+// groceries, not the spice rack.
+const PANTRY_STAPLE_PATTERNS = [
+  /\boil\b/i,                              // olive, canola, vegetable, coconut, avocado, sesame, peanut
+  /\bsalt\b/i,
+  /\b(black|white|ground|cracked) pepper\b|\bpeppercorns?\b|^\s*pepper\s*$/i,
+  /(?<!fresh )\b(paprika|cumin|oregano|basil|thyme|rosemary|sage|cinnamon|nutmeg|ground cloves?|whole cloves|cardamom|turmeric|coriander|cayenne|chili powder|garlic powder|onion powder|red pepper flake|italian seasoning|herbs de provence|bay leaf)\b/i,
+  /\bvanilla extract\b/i,
+  /\bbaking (powder|soda)\b/i,
+  /\byeast\b/i,
+  /\bcornstarch\b/i,
+  /\bbutter\b(?! ?(beans?|milk|nut|squash|lettuce))/i,
+];
+export function isPantryStaple(...names) {
+  return names.filter(Boolean).some(name => PANTRY_STAPLE_PATTERNS.some(re => re.test(String(name))));
+}
+
+// Staple (and condiment) prices per base unit: [pattern, $, "oz" | "fl oz"].
+const STAPLE_PRICES = [
+  [/\bolive oil\b/, 0.33, "fl oz"],
+  [/\boil\b/, 0.2, "fl oz"],
+  [/\bbutter\b/, 0.3, "oz"],
+  [/\bvanilla\b/, 1.6, "fl oz"],
+  [/\byeast\b/, 1.1, "oz"],
+  [/\bbaking (powder|soda)\b|\bcornstarch\b/, 0.15, "oz"],
+  [/\bsalt\b|\bpepper(corns?)?\b/, 0.15, "oz"],
+  [/\bflour\b/, 0.04, "oz"],
+  [/\bsugar\b/, 0.06, "oz"],
+  [/\bhoney\b|\bmaple syrup\b/, 0.45, "fl oz"],
+  [/\bsoy sauce\b|\bworcestershire\b|\bhot sauce\b|\bsriracha\b/, 0.25, "fl oz"],
+  [/\bvinegar\b/, 0.12, "fl oz"],
+  [/\bketchup\b|\bmustard\b|\bmayo(nnaise)?\b|\bbbq sauce\b/, 0.18, "fl oz"],
+  // Dried spices and herbs: a $4 jar of about two ounces.
+  [/paprika|cumin|oregano|basil|thyme|rosemary|sage|cinnamon|nutmeg|clove|cardamom|turmeric|coriander|cayenne|chili powder|garlic powder|onion powder|pepper flake|seasoning|herbs de provence|bay lea/, 0.6, "fl oz"],
+];
+
+// ── Baseline prices ─────────────────────────────────────────────────────────
+// Typical US supermarket prices for common ingredients nobody put on sale:
+// [pattern, $ per package, package size, package unit]. Unit "lb" is sold
+// loose (pay for what you use); anything else is bought in whole packages.
+// Rough national averages; regionFor(zip) scales them. First match wins, so
+// specific patterns come before general ones.
+const BASELINE_PRICES = [
+  // proteins
+  [/chicken breast/, 4.19, 1, "lb"],
+  [/chicken (thigh|drumstick|leg|wing)s?/, 2.49, 1, "lb"],
+  [/whole chicken/, 1.99, 1, "lb"],
+  [/\bchicken\b/, 3.49, 1, "lb"],
+  [/ground beef/, 5.49, 1, "lb"],
+  [/ground turkey/, 4.99, 1, "lb"],
+  [/ground pork/, 4.49, 1, "lb"],
+  [/steak|sirloin/, 11.99, 1, "lb"],
+  [/roast|chuck|brisket|stew meat/, 7.49, 1, "lb"],
+  [/pork (chop|loin|tenderloin)s?/, 4.29, 1, "lb"],
+  [/bacon/, 6.99, 12, "oz"],
+  [/sausage|bratwurst|kielbasa|chorizo/, 4.99, 16, "oz"],
+  [/salmon/, 10.99, 1, "lb"],
+  [/tilapia|\bcod\b|pollock|white fish/, 6.99, 1, "lb"],
+  [/shrimp/, 9.99, 1, "lb"],
+  [/tofu/, 2.49, 14, "oz"],
+  // dairy and eggs
+  [/\beggs?\b/, 3.29, 12, "ct"],
+  [/heavy cream|whipping cream|half and half/, 4.29, 16, "fl oz"],
+  [/sour cream/, 2.49, 16, "oz"],
+  [/cream cheese/, 2.79, 8, "oz"],
+  [/parmesan/, 4.99, 5, "oz"],
+  [/cheese|cheddar|mozzarella|monterey jack/, 3.49, 8, "oz"],
+  [/yogurt/, 3.99, 32, "oz"],
+  [/\bmilk\b/, 3.99, 128, "fl oz"],
+  // canned and dry goods
+  [/(diced|crushed|canned) tomato|tomato (sauce|paste)/, 1.49, 15, "oz"],
+  [/coconut milk/, 2.29, 13.5, "fl oz"],
+  [/broth|stock/, 2.49, 32, "fl oz"],
+  [/salsa/, 3.49, 16, "oz"],
+  [/peanut butter/, 3.29, 16, "oz"],
+  [/black beans|pinto beans|kidney beans|cannellini|chickpeas|refried beans|\bbeans\b/, 1.09, 15, "oz"],
+  [/\brice\b/, 2.49, 32, "oz"],
+  [/pasta|spaghetti|penne|macaroni|noodles?|rotini|fettuccine|linguine/, 1.59, 16, "oz"],
+  [/tortillas?/, 3.29, 10, "ct"],
+  [/\bbread\b|\bbuns?\b|\brolls?\b/, 2.99, 1, "ct"],
+  // produce
+  [/garlic/, 4.99, 1, "lb"],
+  [/ginger/, 4.99, 1, "lb"],
+  [/green onion|scallion/, 0.99, 1, "ct"],
+  [/onion|shallot/, 1.29, 1, "lb"],
+  [/sweet potato/, 1.29, 1, "lb"],
+  [/potato/, 1.09, 1, "lb"],
+  [/carrot/, 1.19, 1, "lb"],
+  [/celery/, 1.33, 1, "lb"],
+  [/bell pepper/, 1.29, 1, "ct"],
+  [/jalape|serrano/, 0.2, 1, "ct"],
+  [/tomato/, 1.99, 1, "lb"],
+  [/lettuce|romaine|cabbage/, 2.29, 1, "ct"],
+  [/spinach|kale|greens/, 3.49, 10, "oz"],
+  [/broccoli/, 2.19, 1, "lb"],
+  [/cauliflower/, 3.49, 1, "ct"],
+  [/zucchini|squash/, 1.79, 1, "lb"],
+  [/mushroom/, 2.49, 8, "oz"],
+  [/cucumber/, 0.89, 1, "ct"],
+  [/lemon/, 0.69, 1, "ct"],
+  [/\blimes?\b/, 0.39, 1, "ct"],
+  [/avocado/, 1.29, 1, "ct"],
+  [/cilantro|parsley|basil|\bmint\b|\bdill\b|thyme|rosemary|chives|fresh herbs?/, 1.49, 1, "ct"],
+  [/\bcorn\b/, 0.69, 1, "ct"],
+  [/apple/, 1.99, 1, "lb"],
+  [/banana/, 0.65, 1, "lb"],
+];
+
+// First digit of the zip (the USPS national area) → [region, price index
+// against the national average]. Approximate, from regional grocery price
+// levels; good enough to move a typical price in the right direction.
+const REGIONS = {
+  0: ["New England", 1.08], 1: ["New York and Pennsylvania", 1.06], 2: ["Mid-Atlantic", 0.98],
+  3: ["Southeast", 0.97], 4: ["Ohio Valley", 0.95], 5: ["Upper Midwest", 0.97],
+  6: ["Central Plains", 0.97], 7: ["South Central", 0.95], 8: ["Mountain West", 1.02],
+  9: ["Pacific", 1.12],
+};
+
+export function regionFor(zip) {
+  const r = REGIONS[String(zip || "").trim().charAt(0)];
+  return r ? { name: r[0], index: r[1] } : { name: "US average", index: 1 };
+}
+
+// ── Lines ───────────────────────────────────────────────────────────────────
+
+// What buying from a deal costs: sale (and trusted regular) price per package
+// or per lb, the package size when one can be read, and the offer terms.
+function dealTerms(deal) {
+  const { sale, regular } = plausibleDiscount(deal);
+  const unitPrice = deal.unitPrice || computeUnitPrice(deal);
+  const perLb = !!deal.isPerLb || deal.priceUnit === "/lb" || (unitPrice?.basis === "lb" && /per-lb/.test(unitPrice.method || ""));
+  const size = perLb ? null : parseSize(deal.size) || parseSize(deal.name);
+  return { sale, regular, perLb, size, offer: deal.offer || parseOffer(deal), lowQuality: isLowQuality(deal) };
+}
+
+// Packages of a deal a measured line needs → { packages, confidence, partial }.
+// partial: the recipe uses clearly less than what it buys.
+function dealPackages(deal, size, m) {
+  if (!m) return { packages: 1, confidence: "low", partial: false };
+  if (m.dimension === "count" && CONTAINER_UNITS.includes(m.unit)) {
+    return { packages: Math.ceil(m.count - 1e-9), confidence: "high", partial: false };
+  }
+  if (size) {
+    const per = size.value * (size.count || 1);
+    const need = amountIn(m, size.unit);
+    if (need && per > 0) {
+      return { packages: packagesFor(need.amount, per), confidence: need.exact ? "high" : "medium", partial: need.amount < per * 0.75 };
+    }
+  }
+  // Produce priced each: a count is how many to buy.
+  if (m.dimension === "count" && PRODUCE_RE.test(String(deal.category || ""))) {
+    return { packages: Math.ceil(m.count - 1e-9), confidence: "medium", partial: false };
+  }
+  return { packages: 1, confidence: "low", partial: m.dimension !== "count" };
+}
+
+// A line priced from a deal. atRegular: the line isn't linked to the sale
+// (store_regular), so it pays the store's regular price and saves nothing.
+function priceFromDeal(deal, m, { staple, atRegular = false }) {
+  const t = dealTerms(deal);
+  if (t.sale == null) return null;
+  const shelf = atRegular ? (t.regular ?? t.sale) : t.sale;
+  const regularUnit = t.regular ?? shelf;
+  const notes = [];
+  let cost, regularCost, confidence, qty;
+
+  if (staple) {
+    // The share of the container this recipe uses.
+    const per = t.size ? t.size.value * (t.size.count || 1) : null;
+    const need = m && per ? amountIn(m, t.size.unit) : null;
+    const share = need ? Math.min(1, need.amount / per) : null;
+    if (share == null) return null; // no container size: STAPLE_PRICES instead
+    cost = shelf * share;
+    regularCost = regularUnit * share;
+    confidence = need.exact ? "medium" : "low";
+    qty = share;
+    notes.push(`${Math.round(share * 100)}% of a ${t.size.value} ${t.size.unit} ${deal.name}`);
+  } else if (t.perLb) {
+    const lbs = m ? m.weight / 16 : typicalPackageLb(deal.name);
+    confidence = !m ? "low" : m.dimension === "weight" ? "high" : "medium";
+    qty = round(lbs);
+    cost = shelf * lbs;
+    regularCost = regularUnit * lbs;
+    notes.push(m ? `${qty} lb × ${money(shelf)}/lb` : `~${qty} lb pkg ≈ ${money(cost)}`);
+  } else {
+    let { packages, confidence: c, partial } = dealPackages(deal, t.size, m);
+    confidence = c;
+    const produce = PRODUCE_RE.test(String(deal.category || ""));
+    if (!produce && (packages > MAX_PACKAGES || shelf * packages > MAX_PACKAGE_SPEND)) {
+      packages = 1;
+      confidence = "low";
+    }
+    qty = packages;
+    cost = shelf * packages;
+    regularCost = regularUnit * packages;
+    if (partial) notes.push("full package — you'll use the rest");
+
+    if (!atRegular) {
+      // A threshold price ("Buy 5", BOGO, 5 for $10) only applies with enough
+      // in the cart: buy the threshold, or the packages needed at the regular
+      // price, whichever costs less.
+      const min = t.offer?.minQuantity || 1;
+      if (packages < min) {
+        const atThreshold = t.sale * min;
+        const withoutDeal = t.regular != null ? t.regular * packages : Infinity;
+        if (withoutDeal <= atThreshold) {
+          cost = withoutDeal;
+          regularCost = withoutDeal;
+          notes.push(`sale price needs ${min} — priced at regular`);
+        } else {
+          qty = min;
+          cost = atThreshold;
+          regularCost = t.regular != null ? t.regular * packages : atThreshold;
+          notes.push(`buy ${min} for the sale price`);
+        }
+      }
+      // Past the limit, the rest are at the regular price.
+      const limit = t.offer?.limit;
+      if (limit && qty > limit) {
+        cost += (regularUnit - t.sale) * (qty - limit);
+        notes.push(`limit ${limit} at the sale price`);
+      }
+    }
+  }
+  if (t.lowQuality) confidence = lower(confidence);
+  if (!atRegular && t.regular == null) notes.push("no trusted regular price — no savings claimed");
+  if (!atRegular && t.offer?.requiresCoupon) notes.push("digital coupon");
+  cost = round(cost);
+  regularCost = round(Math.max(regularCost, cost));
+  return { cost, regularCost, confidence, qty, perLb: t.perLb, note: notes.join("; ") };
+}
+
+function priceStaple(name, m) {
+  if (!m) return { cost: PINCH_PRICE, confidence: "medium", note: "to taste" };
+  const hit = STAPLE_PRICES.find(([re]) => re.test(name));
+  if (!hit) return { cost: STAPLE_LINE_PRICE, confidence: "low", note: "pantry staple, typical share" };
+  const need = amountIn(m, hit[2]);
+  return {
+    cost: Math.max(PINCH_PRICE, round(need.amount * hit[1])),
+    confidence: need.exact ? "medium" : "low",
+    note: `share of a typical container at ${money(hit[1])}/${hit[2]}`,
+  };
+}
+
+// share: bill the part of the package the recipe uses (pantry goods bought
+// for more than one meal) instead of the whole packages it needs.
+function priceBaseline(name, m, region, { share = false } = {}) {
+  const hit = BASELINE_PRICES.find(([re]) => re.test(name));
+  if (!hit) return null;
+  const [, price, size, unit] = hit;
+  const scaled = price * region.index;
+  const note = `typical price (${region.name})`;
+  if (unit === "lb") {
+    const lbs = m ? m.weight / 16 : size;
+    return { cost: round(scaled * lbs), confidence: m?.dimension === "weight" ? "medium" : "low", note: `${round(lbs)} lb × ${money(scaled)}/lb, ${note}` };
+  }
+  if (!m) return { cost: round(scaled), confidence: "low", note };
+  const container = m.dimension === "count" && CONTAINER_UNITS.includes(m.unit);
+  const need = container ? { amount: m.count * size, exact: true } : amountIn(m, unit);
+  if (share && need) {
+    return { cost: Math.max(PINCH_PRICE, round(scaled * need.amount / size)), confidence: "low", note: `share of a typical ${money(scaled)} package (${region.name})` };
+  }
+  const packages = need ? packagesFor(need.amount, size) : 1;
+  return { cost: round(scaled * packages), confidence: need?.exact ? "medium" : "low", note: packages > 1 ? `${packages} × ${money(scaled)}, ${note}` : note };
+}
+
+// One schema-checked ingredient (lib/recipe-schema.js) → its cost line.
+export function costLine(ing, { deals = [], region = regionFor("") } = {}) {
+  const type = ing.type;
+  const name = ingredientName(ing.item) || String(ing.matchName || "").toLowerCase();
+  const m = measure(ing.quantity, ing.unit, `${ing.item} ${ing.matchName || ""}`);
+  const deal = ing.dealRef != null ? deals[ing.dealRef] : null;
+  const staple = isPantryStaple(ing.item, ing.matchName, deal?.name);
+  const line = (source, priced, extra = {}) => ({
+    item: ing.item, type, source, quantity: ing.quantity ?? null, unit: ing.unit || "",
+    cost: priced.cost, regularCost: priced.regularCost ?? priced.cost,
+    savings: round(Math.max(0, (priced.regularCost ?? priced.cost) - priced.cost)),
+    confidence: priced.confidence, note: priced.note || "", ...extra,
+  });
+
+  if (type === "ON_HAND" || type === "LEFTOVER") {
+    return line("on_hand", { cost: 0, confidence: "high", note: "already in your kitchen" });
+  }
+  if (deal) {
+    const priced = priceFromDeal(deal, m, { staple });
+    if (priced) {
+      return line(staple ? "pantry" : "sale", priced, {
+        dealRef: ing.dealRef, deal: deal.name, storeName: deal.storeName || "", qty: priced.qty, perLb: priced.perLb, staple,
+      });
+    }
+  }
+  if (staple || type === "PANTRY") {
+    const kept = !staple && priceBaseline(name, m, region, { share: true });
+    return line("pantry", kept || priceStaple(name, m), { staple: true });
+  }
+
+  // Not linked to a sale: that store's regular price if a deal names it,
+  // then a typical price.
+  const ref = name ? resolveDealRef(name, deals) : null;
+  if (ref != null) {
+    const named = deals[ref];
+    const priced = priceFromDeal(named, m, { staple: false, atRegular: true });
+    if (priced) {
+      const store = named.storeName || "the store";
+      const basis = plausibleDiscount(named).regular != null ? `regular price at ${store}` : `this week's price at ${store}`;
+      return line("store_regular", { ...priced, regularCost: priced.cost, confidence: priced.confidence === "low" ? "low" : "medium" }, {
+        deal: named.name, storeName: named.storeName || "", note: priced.note ? `${basis}; ${priced.note}` : basis,
+      });
+    }
+  }
+  const baseline = priceBaseline(name, m, region);
+  if (baseline) return line("baseline", baseline);
+  return line("unknown", { cost: UNKNOWN_LINE_PRICE, confidence: "low", note: "no price found — estimate" });
+}
+
+// Lines → { level, score }: the mean line confidence weighted by weight(line).
+function rollup(lines, weight) {
+  let total = 0, weighted = 0;
+  for (const l of lines) {
+    const w = weight(l);
+    if (!(w > 0)) continue;
+    total += w;
+    weighted += w * CONFIDENCE[l.confidence];
+  }
+  if (!total) return { level: "high", score: 1 };
+  const score = Math.round((weighted / total) * 100) / 100;
+  return { level: score >= 0.8 ? "high" : score >= 0.5 ? "medium" : "low", score };
+}
+
+// A schema-checked recipe → { lines, total, regular, savings, perServing,
+// confidence, savingsConfidence }. confidence weighs each line's confidence
+// by its cost; savingsConfidence by its savings — how far "$X saved" rests on
+// this week's prices and measured amounts.
+export function costRecipe(recipe, { deals = [], zip = "" } = {}) {
+  const region = regionFor(zip);
+  const lines = (recipe.ingredients || []).map(ing => costLine(ing, { deals, region }));
+  const total = round(lines.reduce((s, l) => s + l.cost, 0));
+  const regular = round(lines.reduce((s, l) => s + l.regularCost, 0));
+  const servings = recipe.servings > 0 ? recipe.servings : 4;
+  return {
+    lines,
+    total,
+    regular,
+    savings: round(regular - total),
+    perServing: round(total / servings),
+    servings,
+    region: region.name,
+    confidence: rollup(lines, l => l.cost),
+    savingsConfidence: rollup(lines, l => l.savings),
+  };
+}
+
+// Recipes with `cost` → the plan's totals, confidence weighted by cost.
+export function summarizeCosts(costs) {
+  const list = costs.filter(Boolean);
+  const sum = (f) => round(list.reduce((s, c) => s + f(c), 0));
+  const total = sum(c => c.total), regular = sum(c => c.regular), servings = list.reduce((s, c) => s + c.servings, 0);
+  const weighted = (key, w) => {
+    const tw = list.reduce((s, c) => s + w(c), 0);
+    if (!tw) return { level: "high", score: 1 };
+    const score = Math.round((list.reduce((s, c) => s + w(c) * c[key].score, 0) / tw) * 100) / 100;
+    return { level: score >= 0.8 ? "high" : score >= 0.5 ? "medium" : "low", score };
+  };
+  return {
+    total, regular, savings: round(regular - total), servings,
+    perServing: servings ? round(total / servings) : 0,
+    confidence: weighted("confidence", c => c.total),
+    savingsConfidence: weighted("savingsConfidence", c => c.savings),
+  };
+}
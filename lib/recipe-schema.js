@@ -0,0 +1,247 @@
+import { complete } from "./llm/index.js";
+
+// ── Recipe schema ───────────────────────────────────────────────────────────
+// What /api/recipes/ai accepts from the model, per recipe. The route used to
+// salvage a truncated reply by brace-counting, then patch what came back field
+// by field: fuzzy sale matching after the fact, diet filtering with its own
+// fallback, "servings || 4", string ingredients guessed from their text.
+// Every recipe now goes through validateRecipe, and what passes is the shape
+// below, with quantities the list and cost code can use as-is:
+//
+//   title         non-empty string
+//   servings      whole number, 1-24
+//   cookTime      total minutes, 1-720 (prepTime: optional minutes)
+//   ingredients   2+ of { item, type, quantity, unit, matchName, dealRef }
+//                   type      INGREDIENT_TYPES
+//                   quantity  number >= 0; 0 only for "to taste" (unit "")
+//                   unit      RECIPE_UNITS, or "" with quantity 0
+//                   dealRef   SALE only: index of the sale item (the deals the
+//                             route prompted with) that matchName names
+//   instructions  2+ non-empty steps
+//   tags          lowercase strings (optional, at most 8)
+//   nutrition     calories, protein, carbs, fat, fiber per serving: numbers
+//                 or null (estimates; a bad value is dropped, not a failure)
+//
+// Anything else the model sends (storage, reasoning, day, freezeInstructions,
+// ...) rides along untouched. Values that only need reading are coerced
+// ("1 1/2" → 1.5, "lbs" → "lb", "25 min" → 25); values that are missing or
+// wrong are problems. validateRecipes sends the recipes with problems back to
+// the model once, in one batched repair prompt, and drops what still fails
+// with its reasons logged.
+
+// Unit spellings the model uses → the controlled vocabulary the prompt asks for.
+const UNIT_ALIASES = {
+  // weight
+  "lb":"lb","lbs":"lb","pound":"lb","pounds":"lb",
+  "oz":"oz","ounce":"oz","ounces":"oz",
+  "kg":"kg","kilogram":"kg","kilograms":"kg",
+  "g":"g","gram":"g","grams":"g",
+  // volume
+  "cup":"cup","cups":"cup",
+  "tbsp":"tbsp","tablespoon":"tbsp","tablespoons":"tbsp",
+  "tsp":"tsp","teaspoon":"tsp","teaspoons":"tsp",
+  "fl_oz":"fl_oz","fl-oz":"fl_oz","floz":"fl_oz","fluid_ounce":"fl_oz","fluid_ounces":"fl_oz",
+  "ml":"ml","milliliter":"ml","milliliters":"ml",
+  "l":"l","liter":"l","liters":"l","litre":"l","litres":"l",
+  "pint":"pint","pints":"pint",
+  "quart":"quart","quarts":"quart",
+  // count
+  "each":"each","piece":"each","pieces":"each","whole":"each","medium":"each","large":"each","small":"each",
+  "can":"can","cans":"can",
+  "jar":"jar","jars":"jar",
+  "box":"box","boxes":"box",
+  "package":"package","packages":"package","pkg":"package","pack":"package","packs":"package",
+  "bunch":"bunch","bunches":"bunch",
+  "head":"head","heads":"head",
+  "clove":"clove","cloves":"clove",
+};
+export const RECIPE_UNITS = [...new Set(Object.values(UNIT_ALIASES))];
+export const INGREDIENT_TYPES = ["SALE", "ADDITIONAL", "ON_HAND", "PANTRY", "LEFTOVER"];
+const NUTRIENTS = ["calories", "protein", "carbs", "fat", "fiber"];
+const MIN_INGREDIENTS = 2;
+const MIN_STEPS = 2;
+const MAX_TAGS = 8;
+
+export function normalizeUnit(u) {
+  if (!u) return "";
+  const s = String(u).toLowerCase().trim().replace(/\./g, "");
+  return UNIT_ALIASES[s] || "";
+}
+
+const FRACTIONS = { "¼": 0.25, "½": 0.5, "¾": 0.75, "⅓": 1 / 3, "⅔": 2 / 3, "⅛": 0.125 };
+
+// 1.5, "1.5", "1 1/2", "1/2", "1½" → number; anything else → null.
+function toQuantity(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  if (typeof v !== "string") return null;
+  const s = v.trim().replace(/[¼½¾⅓⅔⅛]/g, (f) => ` ${FRACTIONS[f]}`).trim();
+  let m;
+  if ((m = s.match(/^(\d+)\s+(\d+)\/(\d+)$/))) return +m[1] + m[2] / m[3];
+  if ((m = s.match(/^(\d+)\/(\d+)$/))) return m[1] / m[2];
+  if ((m = s.match(/^(\d+(?:\.\d+)?)(?:\s+(0\.\d+))?$/))) return +m[1] + (m[2] ? +m[2] : 0);
+  return null;
+}
+
+// 25, "25", "25 min", "1 hour 30 minutes", "1.5 hours" → whole minutes, or null.
+function toMinutes(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? Math.round(v) : null;
+  if (typeof v !== "string") return null;
+  const s = v.toLowerCase();
+  const h = s.match(/(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hour|hours)\b/);
+  const m = s.match(/(\d+)\s*(?:m|min|mins|minute|minutes)\b/);
+  if (h || m) return Math.round((h ? +h[1] * 60 : 0) + (m ? +m[1] : 0));
+  return /^\s*\d+\s*$/.test(s) ? parseInt(s, 10) : null;
+}
+
+// The sale item a matchName names → its index in deals, or null: the exact
+// name (any case), else the deal containing the most of its words — at least
+// two, or the only one of a one-word name.
+export function resolveDealRef(matchName, deals) {
+  const want = String(matchName || "").trim().toLowerCase();
+  if (!want) return null;
+  const names = (deals || []).map(d => String(d?.name || "").toLowerCase());
+  const exact = names.indexOf(want);
+  if (exact >= 0) return exact;
+  const words = want.split(/[\s,\-\/]+/).filter(w => w.length > 2);
+  let best = null, bestScore = 0;
+  names.forEach((name, i) => {
+    const score = words.filter(w => name.includes(w)).length;
+    if (score > bestScore && score >= Math.min(2, words.length)) { bestScore = score; best = i; }
+  });
+  return best;
+}
+
+// One raw recipe → { recipe, problems }. problems are { field, message, kind }:
+// kind "deal" for a SALE ingredient whose matchName isn't a sale item, "diet"
+// for what check(recipe) reports (an array of reason strings), "schema" for
+// the rest. recipe is the normalized shape above when problems is empty.
+export function validateRecipe(raw, { deals = [], check = null } = {}) {
+  const problems = [];
+  const problem = (field, message, kind = "schema") => problems.push({ field, message, kind });
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    problem("recipe", "is not an object");
+    return { recipe: null, problems };
+  }
+
+  const title = typeof raw.title === "string" ? raw.title.trim() : "";
+  if (!title) problem("title", "is missing");
+  const servings = toQuantity(raw.servings);
+  if (!(Number.isInteger(servings) && servings >= 1 && servings <= 24)) problem("servings", "must be a whole number from 1 to 24");
+  const cookTime = toMinutes(raw.cookTime);
+  if (!(cookTime >= 1 && cookTime <= 720)) problem("cookTime", "must be total minutes, 1 to 720");
+  const prepTime = toMinutes(raw.prepTime);
+
+  const ingredients = [];
+  if (!Array.isArray(raw.ingredients) || raw.ingredients.length < MIN_INGREDIENTS) {
+    problem("ingredients", `needs at least ${MIN_INGREDIENTS} ingredient objects`);
+  } else {
+    raw.ingredients.forEach((ing, i) => {
+      const field = `ingredients[${i}]`;
+      if (!ing || typeof ing !== "object") { problem(field, "must be an object with item, type, quantity and unit"); return; }
+      const item = typeof ing.item === "string" ? ing.item.trim() : "";
+      if (!item) problem(`${field}.item`, "is missing");
+      const type = String(ing.type || "").trim().toUpperCase().replace(/[\s-]+/g, "_");
+      if (!INGREDIENT_TYPES.includes(type)) problem(`${field}.type`, `must be one of ${INGREDIENT_TYPES.join(", ")}`);
+      const quantity = toQuantity(ing.quantity);
+      const unit = normalizeUnit(ing.unit);
+      if (quantity == null || quantity < 0) problem(`${field}.quantity`, `must be a number (0 only for "to taste")`);
+      else if (quantity > 0 && !unit) problem(`${field}.unit`, `"${ing.unit ?? ""}" is not one of ${RECIPE_UNITS.join(", ")}`);
+      const matchName = typeof ing.matchName === "string" ? ing.matchName.trim() : "";
+      let dealRef = null;
+      if (type === "SALE") {
+        dealRef = resolveDealRef(matchName, deals);
+        if (dealRef == null) problem(`${field}.matchName`, `"${matchName}" is not one of the sale items`, "deal");
+      }
+      ingredients.push({ item, type, quantity: quantity ?? 0, unit: quantity > 0 ? unit : "", matchName, dealRef });
+    });
+  }
+
+  const instructions = Array.isArray(raw.instructions)
+    ? raw.instructions.map(s => (typeof s === "string" ? s.trim() : "")).filter(Boolean)
+    : [];
+  if (instructions.length < MIN_STEPS) problem("instructions", `needs at least ${MIN_STEPS} steps`);
+
+  const tags = Array.isArray(raw.tags)
+    ? [...new Set(raw.tags.filter(t => typeof t === "string" && t.trim()).map(t => t.trim().toLowerCase()))].slice(0, MAX_TAGS)
+    : [];
+  const nutrition = {};
+  for (const k of NUTRIENTS) {
+    const v = toQuantity(raw.nutrition?.[k] ?? raw[k]);
+    nutrition[k] = v != null && v >= 0 ? Math.round(v) : null;
+  }
+
+  const recipe = { ...raw, title, servings, cookTime, prepTime, ingredients, instructions, tags, nutrition };
+  if (check) for (const reason of check(recipe) || []) problem("recipe", reason, "diet");
+  return { recipe, problems };
+}
+
+// A recipe's only problems are sale references: keep it, with those
+// ingredients bought at regular price (ADDITIONAL) instead of guessed at.
+function unlinkSaleItems({ recipe, problems }) {
+  const bad = new Set(problems.map(p => Number(p.field.match(/^ingredients\[(\d+)\]/)?.[1])));
+  return {
+    ...recipe,
+    ingredients: recipe.ingredients.map((ing, i) => bad.has(i) ? { ...ing, type: "ADDITIONAL", dealRef: null } : ing),
+  };
+}
+
+const describe = (problems) => problems.map(p => `${p.field} ${p.message}`).join("; ");
+
+function repairPrompt(failing, deals, rules) {
+  const saleNames = [...new Set((deals || []).slice(0, 100).map(d => d.name).filter(Boolean))];
+  return `These recipes from an earlier answer failed validation. Fix ONLY the listed problems and return every recipe, in the same order, as {"recipes":[...]}. Keep everything that was valid unchanged.
+
+Rules:
+- "servings" is a whole number; "cookTime" is total minutes as a number.
+- Each ingredient is {"item","type","matchName","quantity","unit"}. "type" is one of ${INGREDIENT_TYPES.join(", ")}.
+- "quantity" is a number; use 0 with unit "" only for "to taste" amounts. "unit" is one of: ${RECIPE_UNITS.join(", ")}.
+- A "SALE" ingredient's "matchName" is exactly one of the sale items below; if none fits, make it "ADDITIONAL" with matchName "".
+- "instructions" is an array of at least ${MIN_STEPS} steps.${rules ? `\n- ${rules} A recipe that cannot be made compliant must be rewritten around compliant ingredients.` : ""}
+
+SALE ITEMS: ${saleNames.join(" | ") || "none"}
+
+${failing.map((f, i) => `RECIPE ${i + 1} PROBLEMS: ${describe(f.problems)}\n${JSON.stringify(f.raw)}`).join("\n\n")}
+
+Respond with ONLY valid JSON.`;
+}
+
+// Raw recipes → { recipes, dropped: [{ title, reasons }], repaired }.
+// Recipes with schema or diet problems get one batched repair prompt (sale
+// references alone don't warrant one: those ingredients are unlinked). A
+// repaired recipe must pass outright; anything still failing is dropped.
+// rules: one line on the restrictions in force, for the repair prompt.
+// signal cancels the repair call; a cancelled repair throws rather than
+// dropping the recipes it was fixing, so the caller stops there too.
+export async function validateRecipes(rawRecipes, { deals = [], check = null, rules = "", repair = true, signal } = {}) {
+  const results = (rawRecipes || []).map(raw => ({ raw, ...validateRecipe(raw, { deals, check }) }));
+  const needsRepair = results.filter(r => r.problems.some(p => p.kind !== "deal"));
+  let repaired = 0;
+
+  if (repair && needsRepair.length) {
+    try {
+      const reply = await complete({ purpose: "recipe-repair", prompt: repairPrompt(needsRepair, deals, rules), maxTokens: 4096, temperature: 0.2, json: "object", signal });
+      const fixed = Array.isArray(reply.json?.recipes) ? reply.json.recipes : [];
+      needsRepair.forEach((r, i) => {
+        if (!fixed[i]) return;
+        const again = validateRecipe(fixed[i], { deals, check });
+        if (again.problems.every(p => p.kind === "deal")) {
+          Object.assign(r, { raw: fixed[i], ...again });
+          repaired++;
+        }
+      });
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      console.error("Recipe repair failed:", err.message);
+    }
+  }
+
+  const recipes = [], dropped = [];
+  for (const r of results) {
+    if (r.problems.some(p => p.kind !== "deal")) {
+      dropped.push({ title: r.recipe?.title || r.raw?.title || "(untitled)", reasons: r.problems.map(p => `${p.field} ${p.message}`) });
+    } else {
+      recipes.push(r.problems.length ? unlinkSaleItems(r) : r.recipe);
+    }
+  }
+  return { recipes, dropped, repaired };
+}
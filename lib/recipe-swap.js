@@ -0,0 +1,134 @@
+// ── Recipe swaps ────────────────────────────────────────────────────────────
+// Replace one recipe (or a few) in a generated set while the rest stay put —
+// "something faster instead of Wednesday's lasagna" without re-rolling the
+// week. POST /api/recipes/ai/replace (routes/recipes.js) takes the usual
+// generation payload plus
+//
+//   locked     the recipes staying in the set, as the client has them (cards)
+//   replacing  the recipes being swapped out, in order
+//   hint       optional free text: "something faster", "no pasta"
+//
+// and answers with replacing.length new recipes, in the same order (a weekly
+// plan replacement takes over its predecessor's day).
+//
+// Replacements must not lean on what the locked recipes already use. A
+// protein a locked recipe is built on is a hard rule, checked like a diet
+// (lib/recipe-schema.js repairs or drops a recipe that breaks it). Re-using a
+// locked recipe's sale items is only discouraged: with a short deal list it
+// can't always be avoided, so the model writes one spare candidate and the
+// least overlapping ones are served.
+
+export const MAX_SWAP = 5;
+export const MAX_LOCKED = 10;
+const MAX_HINT = 200;
+
+// Main proteins, by the words that name them.
+const PROTEINS = [
+  ["chicken", /\bchicken\b/],
+  ["beef", /\bbeef\b|\bsteaks?\b|\bbrisket\b|\bsirloin\b/],
+  ["pork", /\bpork\b|\bbacon\b|\bham\b|\bsausages?\b|\bchorizo\b/],
+  ["turkey", /\bturkey\b/],
+  ["lamb", /\blamb\b/],
+  ["salmon", /\bsalmon\b/],
+  ["white fish", /\b(tilapia|cod|pollock|haddock|catfish|swai|halibut)\b/],
+  ["tuna", /\btuna\b/],
+  ["shrimp", /\bshrimp\b|\bprawns?\b/],
+  ["tofu", /\btofu\b|\btempeh\b/],
+  ["beans", /\b(black|pinto|kidney|cannellini|navy|refried) beans\b|\bchickpeas?\b|\blentils?\b/],
+  ["eggs", /\beggs?\b/],
+];
+
+const proteinsIn = (text) => {
+  const t = String(text || "").toLowerCase();
+  return PROTEINS.filter(([, re]) => re.test(t)).map(([name]) => name);
+};
+
+// The sale items a recipe uses: a served card's usedSaleItems, or the SALE
+// ingredients of a freshly validated one.
+function saleNames(recipe) {
+  if (Array.isArray(recipe?.usedSaleItems)) return recipe.usedSaleItems.map(i => i?.name).filter(Boolean);
+  return (recipe?.ingredients || []).filter(i => i?.type === "SALE").map(i => i.matchName || i.item).filter(Boolean);
+}
+
+// What a recipe is built on: the proteins its title names, else the ones
+// among its sale items (so an egg binding a meatloaf doesn't count, but a
+// "Sheet-Pan Supper" on sale chicken thighs does).
+export function recipeProteins(recipe) {
+  const named = proteinsIn(recipe?.title);
+  return named.length ? named : [...new Set(saleNames(recipe).flatMap(proteinsIn))];
+}
+
+const cleanRecipe = (r) => r && typeof r === "object" && typeof r.title === "string" && r.title.trim();
+
+// Request body → { swap } or { error }.
+export function parseSwapRequest(body) {
+  const locked = Array.isArray(body?.locked) ? body.locked.filter(cleanRecipe) : [];
+  const replacing = Array.isArray(body?.replacing) ? body.replacing.filter(cleanRecipe) : [];
+  if (!replacing.length) return { error: "replacing (the recipes to swap out) is required" };
+  if (replacing.length > MAX_SWAP) return { error: `At most ${MAX_SWAP} recipes can be swapped at once` };
+  if (locked.length > MAX_LOCKED) return { error: `At most ${MAX_LOCKED} recipes can be kept` };
+  const hint = typeof body.hint === "string" ? body.hint.trim().slice(0, MAX_HINT) : "";
+  return {
+    swap: {
+      locked,
+      replacing,
+      hint,
+      count: replacing.length,
+      proteins: [...new Set(locked.flatMap(recipeProteins))],
+      dealNames: [...new Set(locked.flatMap(saleNames))],
+      titles: [...locked, ...replacing].map(r => r.title.trim()),
+    },
+  };
+}
+
+// The prompt's recipe-count paragraph for a swap. The model writes one spare
+// candidate (see pickReplacements).
+export function swapPromptNote(swap, { weeklyPlan = false, freezerMeals = false } = {}) {
+  const n = swap.count + 1;
+  const days = swap.replacing.map(r => r.day).filter(Boolean);
+  const lines = [
+    `Generate exactly ${n} recipes. They are candidates to replace ${swap.count === 1 ? "one recipe" : `${swap.count} recipes`} in a set the customer already has; the rest of the set is staying.`,
+    swap.locked.length ? `- The customer is KEEPING: ${swap.locked.map(r => r.title.trim()).join("; ")}.` : "",
+    swap.proteins.length ? `- Do NOT build a recipe on ${swap.proteins.join(", ")} — the kept recipes already use ${swap.proteins.length === 1 ? "it" : "them"}.` : "",
+    swap.dealNames.length ? `- Prefer sale items the kept recipes don't use. Already used: ${swap.dealNames.slice(0, 30).join(", ")}.` : "",
+    `- Do not repeat or lightly reword any of these titles: ${swap.titles.join("; ")}.`,
+    swap.hint ? `- The customer asked for: "${swap.hint}". This takes priority over the sale-item preferences.` : "",
+    weeklyPlan && days.length ? `- These are dinners for a weekly meal plan (${days.join(", ")}); include a "day" field.` : "",
+    freezerMeals ? `- Each recipe MUST be freezer-friendly, with "freezeInstructions", "reheatInstructions", "batchSize" and "shelfLife" fields.` : "",
+  ];
+  return lines.filter(Boolean).join("\n");
+}
+
+// { check, rules } for validateRecipes: check(recipe) → reasons a candidate
+// breaks the swap's hard rules; rules is the same as one line for the repair
+// prompt.
+export function swapConstraints(swap) {
+  const titles = new Set(swap.titles.map(t => t.toLowerCase()));
+  const check = (recipe) => {
+    const reasons = [];
+    const reused = recipeProteins(recipe).filter(p => swap.proteins.includes(p));
+    if (reused.length) reasons.push(`built on ${reused.join(", ")}, which a kept recipe already uses`);
+    if (titles.has(String(recipe?.title || "").trim().toLowerCase())) reasons.push("repeats the title of a recipe in the set");
+    return reasons;
+  };
+  const rules = [
+    swap.proteins.length ? `Do not build a recipe on ${swap.proteins.join(", ")}.` : "",
+    `Do not reuse these titles: ${swap.titles.join("; ")}.`,
+  ].filter(Boolean).join(" ");
+  return { check, rules };
+}
+
+// Served candidates → the count replacements: fewest sale items shared with
+// the locked recipes first, then score(card) (higher is better). Each takes
+// the place (and weekly-plan day) of the recipe it replaces.
+export function pickReplacements(cards, swap, score = () => 0) {
+  const used = new Set(swap.dealNames.map(n => n.toLowerCase()));
+  const overlap = (card) => saleNames(card).filter(n => used.has(n.toLowerCase())).length;
+  return [...cards]
+    .sort((a, b) => overlap(a) - overlap(b) || score(b) - score(a))
+    .slice(0, swap.count)
+    .map((card, i) => {
+      const day = swap.replacing[i]?.day;
+      return day ? { ...card, day } : card;
+    });
+}
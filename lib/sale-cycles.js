@@ -0,0 +1,190 @@
+import { weekOf, fetchItemRows } from "./price-history.js";
+
+// ── Sale cycles ─────────────────────────────────────────────────────────────
+// Chains run the same promotions on a rhythm: boneless chicken breast hits
+// $1.99/lb at Kroger roughly every six weeks, pork shoulder comes back every
+// spring and fall (scripts/analysis/deals-bbq-patterns.js looked at that once,
+// by hand). deal_history has a weekly price for every captured deal, which is
+// enough to estimate the rhythm per item and chain and answer the question the
+// list and recipe screens care about: buy it now, or wait for the next sale?
+//
+//   estimateSaleCycle  one chain's history rows for an item → cycle
+//   stockUpAdvice      cycle (+ the price in front of the user) → advice
+//   loadSaleCycles     /api/deals/stock-up — every chain's cycle for an item
+//
+//   cycle: { basis, weeksObserved, lowest, threshold, salePrice, typicalPrice,
+//            episodes, cadenceWeeks, spreadWeeks, lastSale, nextSale,
+//            overdue, onSaleNow, confidence }
+//
+//   threshold     the sale-level price: within SALE_BAND of the lowest weekly
+//                 low. A week at or under it is a sale week; a run of
+//                 consecutive sale weeks is one episode.
+//   cadenceWeeks  median gap between episode starts (null under 2 episodes)
+//   spreadWeeks   how far the gaps wander from it (median absolute deviation,
+//                 at least 1)
+//   nextSale      { from, to }: last episode start + cadence ± spread, as
+//                 week-start dates; overdue when that window has passed
+//   confidence    "high" (4+ episodes, steady gaps), "medium" (3+), "low"
+//
+// deal_history only holds weeks a chain was captured, and a week with no
+// capture reads the same as a week with no sale. The gaps between sale weeks
+// are therefore upper bounds; confidence is what says how far to trust them.
+
+export const CYCLE_WEEKS = 52;
+// Priced weeks at a chain before its cycle is estimated.
+const MIN_WEEKS = 4;
+// A weekly low within 10% of the lowest is a sale week.
+const SALE_BAND = 0.1;
+// A sale this many weeks out (or fewer) is worth waiting for.
+const WAIT_HORIZON = 4;
+const WEEK_MS = 7 * 86400000;
+
+function priceOf(v) {
+  const n = parseFloat(String(v ?? "").replace(/[^0-9.]/g, ""));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function median(xs) {
+  if (!xs.length) return null;
+  const s = [...xs].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+const priceBasisOf = (unit) => /(^|\/|per\s*)(lb|lbs|pound)s?\.?$/i.test(String(unit || "").trim()) ? "lb" : "each";
+const weeksBetween = (a, b) => Math.round((Date.parse(b) - Date.parse(a)) / WEEK_MS);
+const addWeeks = (week, n) => new Date(Date.parse(week) + n * WEEK_MS).toISOString().slice(0, 10);
+const money = (n, basis) => `$${n.toFixed(2)}${basis === "lb" ? "/lb" : ""}`;
+
+// One chain's deal_history rows for an item → cycle, or null with fewer than
+// MIN_WEEKS priced weeks. Rows priced per lb and per each don't mix: the
+// basis most rows carry wins and the rest are left out.
+export function estimateSaleCycle(rows, { now = Date.now() } = {}) {
+  const priced = (rows || []).filter(r => priceOf(r.sale_price) != null && weekOf(r));
+  const lbRows = priced.filter(r => priceBasisOf(r.unit) === "lb").length;
+  const basis = lbRows > priced.length - lbRows ? "lb" : "each";
+
+  const lows = new Map(); // week → lowest sale price that week
+  for (const r of priced) {
+    if (priceBasisOf(r.unit) !== basis) continue;
+    const week = weekOf(r), sale = priceOf(r.sale_price);
+    if (!lows.has(week) || sale < lows.get(week)) lows.set(week, sale);
+  }
+  const weeks = [...lows.keys()].sort();
+  if (weeks.length < MIN_WEEKS) return null;
+
+  const lowest = Math.min(...lows.values());
+  const threshold = round(lowest * (1 + SALE_BAND));
+  const saleWeeks = weeks.filter(w => lows.get(w) <= threshold);
+  const episodes = [];
+  for (const w of saleWeeks) {
+    const last = episodes[episodes.length - 1];
+    if (last && weeksBetween(last.end, w) <= 1) last.end = w;
+    else episodes.push({ start: w, end: w });
+  }
+
+  const thisWeek = weekOf({ captured_at: new Date(now).toISOString() });
+  const gaps = episodes.slice(1).map((e, i) => weeksBetween(episodes[i].start, e.start));
+  const cadenceWeeks = gaps.length ? Math.round(median(gaps)) : null;
+  const spreadWeeks = gaps.length ? Math.max(1, Math.round(median(gaps.map(g => Math.abs(g - cadenceWeeks))))) : null;
+  const lastSale = episodes[episodes.length - 1].start;
+  const nextSale = cadenceWeeks
+    ? { from: addWeeks(lastSale, cadenceWeeks - spreadWeeks), to: addWeeks(lastSale, cadenceWeeks + spreadWeeks) }
+    : null;
+  const onSaleNow = saleWeeks[saleWeeks.length - 1] === thisWeek;
+
+  return {
+    basis,
+    weeksObserved: weeks.length,
+    lowest: round(lowest),
+    threshold,
+    salePrice: round(median(saleWeeks.map(w => lows.get(w)))),
+    typicalPrice: round(median(weeks.map(w => lows.get(w)))),
+    episodes: episodes.length,
+    cadenceWeeks,
+    spreadWeeks,
+    lastSale,
+    nextSale,
+    overdue: !!nextSale && !onSaleNow && nextSale.to < thisWeek,
+    onSaleNow,
+    confidence: episodes.length >= 4 && spreadWeeks <= 1 ? "high" : episodes.length >= 3 ? "medium" : "low",
+  };
+}
+
+// cycle + the price being considered (or null: this week's captured price,
+// when the item is on sale now) → { advice, weeksUntil, reason }.
+//
+//   buy_now        at the sale-level price; stock up to the next sale
+//   wait           not on sale, and the next sale is due within WAIT_HORIZON
+//                  weeks (or overdue)
+//   buy_as_needed  not on sale, and no sale is close enough (or known) to
+//                  wait for
+export function stockUpAdvice(cycle, { price = null, now = Date.now() } = {}) {
+  if (!cycle) return { advice: "buy_as_needed", weeksUntil: null, reason: "Not enough price history yet" };
+  const thisWeek = weekOf({ captured_at: new Date(now).toISOString() });
+  const current = priceOf(price) ?? (cycle.onSaleNow ? cycle.salePrice : null);
+  const weeksUntil = cycle.nextSale ? Math.max(0, weeksBetween(thisWeek, cycle.nextSale.from)) : null;
+
+  if (current != null && current <= cycle.threshold) {
+    return {
+      advice: "buy_now",
+      weeksUntil,
+      reason: cycle.cadenceWeeks
+        ? `${money(current, cycle.basis)} is the sale price; it comes back about every ${cycle.cadenceWeeks} weeks, so stock up`
+        : `${money(current, cycle.basis)} is the lowest this has been`,
+    };
+  }
+  if (cycle.overdue) {
+    return { advice: "wait", weeksUntil: 0, reason: `Due for a sale (usually ${money(cycle.salePrice, cycle.basis)})` };
+  }
+  if (weeksUntil != null && weeksUntil <= WAIT_HORIZON) {
+    return {
+      advice: "wait",
+      weeksUntil,
+      reason: weeksUntil === 0
+        ? `A sale (usually ${money(cycle.salePrice, cycle.basis)}) is due this week`
+        : `Next sale (usually ${money(cycle.salePrice, cycle.basis)}) expected in about ${weeksUntil} week${weeksUntil === 1 ? "" : "s"}`,
+    };
+  }
+  return {
+    advice: "buy_as_needed",
+    weeksUntil,
+    reason: weeksUntil != null
+      ? `Next sale is about ${weeksUntil} weeks out; buy only what you need`
+      : "No regular sale pattern yet; buy only what you need",
+  };
+}
+
+// History rows for an item (any chains) → [{ chain, store, summary, ...cycle }],
+// one per chain with enough history, most reliable first.
+export function chainSaleCycles(rows, { now = Date.now() } = {}) {
+  const byChain = new Map();
+  for (const r of rows || []) {
+    if (!r.chain) continue;
+    if (!byChain.has(r.chain)) byChain.set(r.chain, []);
+    byChain.get(r.chain).push(r);
+  }
+  const rank = { high: 0, medium: 1, low: 2 };
+  const cycles = [];
+  for (const [chain, chainRows] of byChain) {
+    const cycle = estimateSaleCycle(chainRows, { now });
+    if (!cycle) continue;
+    // The name the chain is most often captured under ("Kroger", not "kroger").
+    const names = new Map();
+    for (const r of chainRows) if (r.store_name) names.set(r.store_name, (names.get(r.store_name) || 0) + 1);
+    const store = [...names.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || chain;
+    const summary = cycle.cadenceWeeks
+      ? `Hits ${money(cycle.salePrice, cycle.basis)} at ${store} roughly every ${cycle.cadenceWeeks} weeks`
+      : `Lowest at ${store}: ${money(cycle.lowest, cycle.basis)}`;
+    cycles.push({ chain, store, summary, ...cycle });
+  }
+  return cycles.sort((a, b) => rank[a.confidence] - rank[b.confidence] || b.episodes - a.episodes || a.salePrice - b.salePrice);
+}
+
+// Free-text item (+ optional chain) → { item, chain, weeks, matches, cycles }.
+// Rows match as /api/deals/history (fetchItemRows).
+export async function loadSaleCycles(supabase, { item, chain = "", weeks = CYCLE_WEEKS, now = Date.now() } = {}) {
+  const rows = await fetchItemRows(supabase, { item, chain, weeks });
+  return { item, chain: chain || null, weeks, matches: rows.length, cycles: chainSaleCycles(rows, { now }) };
+}
@@ -0,0 +1,200 @@
+// ── Deal taxonomy ───────────────────────────────────────────────────────────
+// Category used to be decided five times with five rule sets: the recipe
+// route's selectSmartIngredients and categorize, the SSR pools' dealBucket and
+// curateFreshDeals, the app's CATEGORY_EMOJI / tint / group tables, and the
+// OCR model's free-text `category`. They disagreed ("ground coffee" was a
+// protein to one and a pantry item to another), and the fixes for "Bacon
+// Applewood Smoked" (fruit) and "Grape Tomatoes" (fruit) lived in one of them.
+//
+// One hierarchy, one classifier. Every deal written to deal_cache carries
+//
+//   categoryPath: "department/category/subcategory"   e.g. "meat_seafood/pork/bacon"
+//
+// Paths are stable slugs: consumers map them (by prefix, bucketFor) to their
+// own vocabularies instead of re-running regexes on names. A path may stop at
+// the category ("produce/vegetables") when the name says no more; "other" is
+// the only one-segment path.
+//
+// classifyDeal reads the NAME first, through an ordered rule list: the
+// specific before the general and the prepared before the raw ingredient
+// ("Chicken Broth" is pantry, "Pepperoni Pizza" frozen, "Peanut Butter" not
+// dairy), protein and vegetables before fruit. The source's own category (the
+// OCR model's guess, the Kroger or Flipp search term) is only the fallback for
+// names no rule recognizes.
+
+export const DEPARTMENTS = {
+  meat_seafood: "Meat & Seafood",
+  produce: "Produce",
+  dairy_eggs: "Dairy & Eggs",
+  bakery: "Bakery",
+  pantry: "Pantry",
+  frozen: "Frozen",
+  snacks: "Snacks & Sweets",
+  beverages: "Beverages",
+  household: "Household",
+  other: "Other",
+};
+
+// [path, name pattern]. Order is the precedence.
+const NAME_RULES = [
+  // Non-food first: "Chicken Flavor Dog Food" is not chicken.
+  ["household/pet", /\b(dog|cat|pet|puppy|kitten)\s+(food|treats?|chow)\b|\bcat litter\b|\bkibble\b/],
+  ["household/paper", /\b(paper towels?|toilet paper|bath tissue|facial tissue|tissues?|napkins?|paper plates?)\b/],
+  ["household/cleaning", /\b(detergent|bleach|cleaner|disinfect\w*|dish soap|dishwasher|fabric softener|laundry|sponges?|trash bags?|garbage bags?|aluminum foil|plastic wrap|ziploc\w*|air freshener|candles?|batteries|light bulbs?|charcoal)\b/],
+  ["household/personal_care", /\b(shampoo|conditioner|body wash|lotion|deodorant|toothpaste|toothbrush|mouthwash|floss|razors?|diapers?|wipes|tampons?|sunscreen|vitamins?|bar soap|hand soap)\b/],
+
+  ["beverages/juice", /\bjuices?\b|\blemonade\b|\bcider\b/],
+  ["beverages/coffee_tea", /\bcoffee\b(?!\s+(creamer|cake))|\bk-?cups?\b|\bespresso\b|\btea bags?\b|\biced tea\b|\b(green|black|sweet) tea\b/],
+  ["beverages/soda", /\bsoda\b|\bpop\b(?!-)|\bcola\b|\bcoca-?cola\b|\bpepsi\b|\bsprite\b|\bdr\.? pepper\b|\bmountain dew\b|\bginger ale\b/],
+  ["beverages/alcohol", /\bbeer\b|\bwine\b|\bhard (seltzer|cider)s?\b/],
+  ["beverages/water", /\bwater\b|\bseltzer\b|\bsparkling\b/],
+  ["beverages/sports_energy", /\bgatorade\b|\bpowerade\b|\benergy drinks?\b|\bred bull\b|\bmonster\b/],
+
+  ["snacks/chips", /(?<!chocolate\s)(?<!baking\s)\bchips?\b|\bdoritos\b|\bfritos?\b|\bcheetos\b|\bpringles\b|\btortilla chips\b|\bpretzels?\b|\bpopcorn\b|\bpuffs\b/],
+  ["snacks/crackers", /\bcrackers?\b|\britz\b|\bgoldfish\b|\bcheez-?its?\b|\bwheat thins\b/],
+  ["snacks/cookies", /\bcookies?\b|\boreos?\b|\bchips ahoy\b|\blittle debbie\b/],
+  ["snacks/candy", /\bcandy\b|\bchocolate bars?\b|\bgummies\b|\bgummy\b|\bm&m'?s\b|\breese'?s\b|\bsnickers\b|\bskittles\b|\bhershey'?s?\b/],
+  ["snacks/bars_nuts", /\b(granola|protein|cereal) bars?\b|\btrail mix\b|\b(mixed )?nuts\b|\balmonds\b|\bpeanuts\b|\bcashews\b|\bfruit snacks\b/],
+
+  ["pantry/sauces_condiments", /\b(pasta|tomato|marinara|alfredo|bbq|barbecue|hot|soy|teriyaki|enchilada|taco|pizza|chili) sauce\b|\bsauces?\b|\bsalsa\b|\bketchup\b|\bmustard\b|\bmayo(nnaise)?\b|\b(salad )?dressing\b|\bvinegar\b|\brelish\b|\bmarinade\b|\bgravy\b|\bhummus\b|\bqueso\b/],
+
+  ["frozen/pizza", /\bpizzas?\b(?!\s+(crust|dough))/],
+  ["frozen/desserts", /\bice cream\b|\bgelato\b|\bfrozen (yogurt|treats?|novelt\w*)\b|\bpopsicles?\b/],
+  ["frozen/meals", /\bfrozen (meals?|dinners?|entrees?)\b|\bentrees?\b|\blean cuisine\b|\bstouffer'?s\b|\bhot pockets?\b|\bpot pies?\b|\begg rolls?\b|\bwaffles\b/],
+  ["frozen/vegetables", /\bfrozen\b.*\b(vegetables?|veggies|broccoli|peas|corn|green beans|spinach|mixed)\b|\bsteamfresh\b/],
+  ["frozen/fruit", /\bfrozen\b.*\b(fruit|berries|strawberries|blueberries|mango|peaches)\b/],
+
+  ["pantry/broth_soup", /\bbroth\b|\bstock\b|\bsoups?\b|\bbouillon\b|\bchili\b(?!\s+(peppers?|powder))/],
+  ["pantry/canned", /\bcanned\b|\b(diced|crushed|stewed) tomatoes\b|\btomato paste\b|\bcanned (tuna|chicken|salmon)\b|\b(chunk|solid) (light|white) tuna\b|\btuna\b(?!\s+steaks?)|\bstarkist\b|\bapplesauce\b/],
+  ["pantry/oils_spices", /\b(olive|vegetable|canola|coconut|avocado|cooking|sesame|peanut) oil\b|\bcooking spray\b|\bspices?\b|\bseasonings?\b|\b(garlic|onion|chili) (salt|powder)\b|\bblack pepper\b|\bground (cinnamon|cumin|ginger|nutmeg)\b|\bsalt\b/],
+
+  ["meat_seafood/pork/bacon", /\bbacon\b/],
+  ["meat_seafood/sausage", /\bsausages?\b|\bbratwursts?\b|\bbrats\b|\bkielbasa\b|\bchorizo\b|\bpepperoni\b|\bsalami\b|\bhot dogs?\b|\bfranks\b|\bwieners?\b/],
+  ["meat_seafood/deli", /\blunch ?meat\b|\bdeli\b.*\b(meat|turkey|ham|sliced)\b|\bbologna\b|\bpastrami\b|\b(sliced|shaved) (turkey|ham|chicken)\b/],
+  ["meat_seafood/pork/ham", /\bham\b|\bprosciutto\b/],
+  ["meat_seafood/seafood/shellfish", /\bshrimp\b|\bscallops?\b|\bcrab\b|\blobster\b|\bclams?\b|\bmussels?\b|\boysters?\b|\bcrawfish\b/],
+  ["meat_seafood/seafood/fish", /\bsalmon\b|\btilapia\b|\bcod\b|\bflounder\b|\bhaddock\b|\bpollock\b|\bswai\b|\bcatfish\b|\btrout\b|\bmahi\b|\btuna steaks?\b|\bfish\b/],
+  ["meat_seafood/beef/ground", /\bground (beef|chuck|round|sirloin)\b|\bhamburger\b|\bburger patties\b|\bbeef patties\b/],
+  ["meat_seafood/beef/steak", /\bsteaks?\b|\bribeye\b|\bsirloin\b|\bt-?bone\b|\bnew york strip\b|\bfilet mignon\b|\bflank\b|\bskirt\b/],
+  ["meat_seafood/beef/roast", /\b(chuck|rump|pot|beef|bottom round|eye of round) roast\b|\bbrisket\b/],
+  ["meat_seafood/beef", /\bbeef\b|\bveal\b/],
+  ["meat_seafood/poultry/turkey", /\bturkey\b/],
+  ["meat_seafood/poultry/chicken", /\bchicken\b|\bdrumsticks?\b|\bwings?\b|\bcornish hens?\b/],
+  ["meat_seafood/pork", /\bpork\b|\bchops?\b|\btenderloin\b|\bspare ?ribs\b|\bbaby back\b|\bribs\b/],
+  ["meat_seafood/lamb", /\blamb\b|\bbison\b|\bgoat\b/],
+  ["meat_seafood/poultry", /\bpoultry\b/],
+  ["meat_seafood", /\bmeatballs?\b|\bground\b(?!\s+(coffee|cinnamon|pepper|ginger|cumin|nutmeg|mustard))/],
+
+  ["pantry/pasta", /\bpasta\b|\bspaghetti\b|\bpenne\b|\bmacaroni\b|\bmac (and|&) cheese\b|\bnoodles?\b|\bramen\b|\blasagna\b|\brotini\b|\bfettuccine\b|\begg noodles\b/],
+  ["pantry/rice_grains", /\brice\b|\bquinoa\b|\bcouscous\b|\boats\b|\boatmeal\b|\bgrits\b|\bgrains?\b/],
+  ["pantry/breakfast", /\bcereal\b|\bcheerios\b|\bcorn flakes\b|\bpancakes?\b|\bgranola\b|\bpop-?tarts?\b/],
+  ["pantry/spreads", /\bpeanut butter\b|\balmond butter\b|\bjelly\b|\bjam\b|\bpreserves\b|\bnutella\b|\bhoney\b|\bsyrup\b/],
+
+  ["dairy_eggs/eggs", /\beggs?\b/],
+  ["dairy_eggs/cheese", /\bcheeses?\b|\bcheddar\b|\bmozzarella\b|\bparmesan\b|\bprovolone\b|\bswiss\b|\bcream cheese\b|\bcottage cheese\b|\bfeta\b/],
+  ["dairy_eggs/yogurt", /\byogh?urts?\b|\bchobani\b|\byoplait\b/],
+  ["dairy_eggs/butter", /\bbutter\b(?!\s+lettuce)|\bmargarine\b/],
+  ["dairy_eggs/cream", /\bsour cream\b|\bcoffee creamer\b|\bcreamer\b|\bhalf (and|&) half\b|\bwhipping cream\b|\bheavy cream\b|\bwhipped topping\b/],
+  ["dairy_eggs/milk", /\bmilk\b/],
+
+  ["bakery/bread", /\bbread\b|\bbagels?\b|\bbuns\b|\brolls\b|\bcroissants?\b|\benglish muffins\b|\btortillas?\b|\bpita\b|\bnaan\b|\bflatbread\b/],
+  ["bakery/desserts", /\bcakes?\b|\bcupcakes?\b|\bpies?\b|\bmuffins?\b|\bdonuts?\b|\bdoughnuts?\b|\bbrownies?\b|\bpastr(y|ies)\b|\bdanish\b/],
+
+  ["produce/vegetables/tomatoes", /\btomato(es)?\b/],
+  ["produce/vegetables/potatoes", /\bpotato(es)?\b|\byams?\b/],
+  ["produce/vegetables/onions", /\bonions?\b|\bshallots?\b|\bleeks?\b|\bscallions?\b|\bgarlic\b/],
+  ["produce/vegetables/peppers", /\b(bell|sweet|mini|jalapeno|jalapeño|poblano|serrano|red|green|yellow|orange) peppers?\b|\bpeppers\b/],
+  ["produce/vegetables/leafy_greens", /\blettuce\b|\bspinach\b|\bkale\b|\bgreens\b|\barugula\b|\bromaine\b|\bcabbage\b|\bsalad\b|\bslaw\b/],
+  ["produce/vegetables", /\bbroccoli\b|\bcauliflower\b|\bcarrots?\b|\bcelery\b|\bcucumbers?\b|\bzucchini\b|\bsquash\b|\bmushrooms?\b|\bcorn\b|\basparagus\b|\bgreen beans\b|\bpeas\b|\bbrussels sprouts\b|\bradish\w*\b|\bbeets?\b|\beggplant\b|\bavocados?\b|\bvegetables?\b|\bveggies?\b/],
+  ["produce/herbs", /\bcilantro\b|\bparsley\b|\bbasil\b|\bmint\b|\bdill\b|\brosemary\b|\bthyme\b|\bfresh herbs\b/],
+  ["produce/fruit/berries", /\bberries\b|\bberry\b|\bstrawberr\w*\b|\bblueberr\w*\b|\braspberr\w*\b|\bblackberr\w*\b/],
+  ["produce/fruit/citrus", /\boranges?\b|\blemons?\b|\blimes?\b|\bgrapefruits?\b|\bmandarins?\b|\bclementines?\b|\bcuties\b|\btangerines?\b/],
+  ["produce/fruit/melons", /\bmelons?\b|\bwatermelons?\b|\bcantaloupes?\b|\bhoneydew\b/],
+  ["produce/fruit", /\bapples?\b|\bbananas?\b|\bgrapes?\b|\bpeach(es)?\b|\bplums?\b|\bnectarines?\b|\bmangos?\b|\bmangoes\b|\bpineapples?\b|\bpears?\b|\bcherr(y|ies)\b|\bkiwis?\b|\bfruit\b/],
+
+  ["pantry/beans", /\bbeans\b|\blentils\b|\bchickpeas\b|\bgarbanzo\b/],
+  ["pantry/baking", /\bflour\b|\bsugar\b|\bbaking\b|\bcake mix\b|\bbrownie mix\b|\bchocolate chips\b|\byeast\b/],
+  ["pantry/canned", /\bcans?\b/],
+];
+
+// Source category text → path, for names no rule recognized. Covers the OCR
+// prompt's list (meat/produce/dairy/...), Kroger's DEAL_CATEGORIES search terms
+// and Flipp's.
+const CATEGORY_HINTS = [
+  [/household|cleaning|paper|health|beauty|personal|baby|pet/, "household"],
+  [/frozen/, "frozen"],
+  [/snack|candy|cookie|dessert|chips/, "snacks"],
+  [/beverage|drink|juice|soda|water|coffee|\btea\b/, "beverages"],
+  [/seafood|fish/, "meat_seafood/seafood"],
+  [/poultry|chicken|turkey/, "meat_seafood/poultry"],
+  [/beef/, "meat_seafood/beef"],
+  [/pork|bacon/, "meat_seafood/pork"],
+  [/sausage|hot dogs/, "meat_seafood/sausage"],
+  [/deli|lunch meat/, "meat_seafood/deli"],
+  [/meat|lamb/, "meat_seafood"],
+  [/fruit/, "produce/fruit"],
+  [/herb/, "produce/herbs"],
+  [/vegetable|salad|mushroom|potato/, "produce/vegetables"],
+  [/produce/, "produce"],
+  [/egg/, "dairy_eggs/eggs"],
+  [/cheese/, "dairy_eggs/cheese"],
+  [/yogurt/, "dairy_eggs/yogurt"],
+  [/dairy|milk|butter|cream/, "dairy_eggs"],
+  [/bakery|bread|tortilla/, "bakery"],
+  [/pasta|noodle/, "pantry/pasta"],
+  [/rice|grain/, "pantry/rice_grains"],
+  [/breakfast|cereal|oatmeal|pancake/, "pantry/breakfast"],
+  [/condiment|sauce/, "pantry/sauces_condiments"],
+  [/canned/, "pantry/canned"],
+  [/pantry/, "pantry"],
+];
+
+const nameText = (s) => String(s || "").toLowerCase().replace(/[’]/g, "'").replace(/\s+/g, " ");
+
+// Deal (any source) → { path, department, category, subcategory, from }.
+// `from` is "name", "category" or "default": which input decided.
+export function classifyDeal(deal) {
+  const name = nameText(`${deal?.name || ""} ${deal?.brand || ""}`);
+  let path = null, from = "default";
+  for (const [p, re] of NAME_RULES) {
+    if (re.test(name)) { path = p; from = "name"; break; }
+  }
+  if (!path) {
+    const cat = nameText(deal?.category);
+    const hint = cat && CATEGORY_HINTS.find(([re]) => re.test(cat));
+    if (hint) { path = hint[1]; from = "category"; }
+  }
+  return { ...splitPath(path || "other"), from };
+}
+
+export function splitPath(path) {
+  const [department, category = null, subcategory = null] = String(path || "other").split("/");
+  return { path: String(path || "other"), department: DEPARTMENTS[department] ? department : "other", category, subcategory };
+}
+
+// Path + [[prefix, value], ...] → the value of the first prefix the path
+// falls under ("produce/fruit" covers "produce/fruit/berries"), else fallback.
+// How consumers map the hierarchy to their own groups.
+export function bucketFor(path, table, fallback = null) {
+  const p = String(path || "other");
+  for (const [prefix, value] of table) {
+    if (p === prefix || p.startsWith(`${prefix}/`)) return value;
+  }
+  return fallback;
+}
+
+// The path a row carries, or its classification. Rows cached before the
+// taxonomy have no categoryPath until their next refresh.
+export function dealCategoryPath(deal) {
+  return deal?.categoryPath || classifyDeal(deal).path;
+}
+
+// Deal rows → the same rows with categoryPath set. Non-deal entries pass
+// through; an existing path is recomputed so a re-written row never keeps a
+// stale one.
+export function attachCategoryPaths(deals) {
+  return deals.map(d => {
+    if (!d || typeof d !== "object" || !d.name) return d;
+    return { ...d, categoryPath: classifyDeal(d).path };
+  });
+}
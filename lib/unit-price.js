@@ -0,0 +1,164 @@
+// ── Unit prices ─────────────────────────────────────────────────────────────
+// A $4.99 deal can be a pound of chicken, a 12 oz box of cereal or a 24-pack
+// of water; sorting and comparing on salePrice compares none of them. Every
+// deal written to deal_cache is annotated with a canonical unit price
+// (setCachedDeals → annotateUnitPrices):
+//
+//   unitPrice: { value, basis, confidence, method }
+//
+//   basis       "lb" (sold by weight, or a pack of a pound or more),
+//               "oz" (smaller packs), "fl oz", or "each"
+//   confidence  0..1. An explicit per-lb price or a parsed size field is near
+//               1; a size read out of the name a little less; a bare price with
+//               no size ("each") is the item price, not a unit price, and low
+//   method      how it was derived, for debugging and the admin views
+//
+// Deals with no usable price, or a "case" of unknown count, get no unitPrice.
+// toBaseUnitPrice converts any annotation to the per-oz / per-fl-oz / per-each
+// figure that sorting compares.
+
+// Size units → [class, factor to the class's base]. Base units: oz (weight),
+// fl oz (volume), ct (count).
+const SIZE_UNITS = [
+  [/^fl\.?\s*oz$/, "fl oz", 1],
+  [/^(oz|ounces?)$/, "oz", 1],
+  [/^(lbs?|pounds?)$/, "oz", 16],
+  [/^gal(lon)?s?$/, "fl oz", 128],
+  [/^(qt|quarts?)$/, "fl oz", 32],
+  [/^(pt|pints?)$/, "fl oz", 16],
+  [/^(l|ltr|liters?|litres?)$/, "fl oz", 33.814],
+  [/^ml$/, "fl oz", 0.033814],
+  [/^(doz|dozen)$/, "ct", 12],
+  [/^(ct|count|pk|pack)$/, "ct", 1],
+];
+export const SIZE_RE = /(\d+(?:\.\d+)?)\s*-?\s*(fl\.?\s*oz|oz|ounces?|lbs?|pounds?|gal(?:lon)?s?|qt|quarts?|pt|pints?|ltr|liters?|litres?|l|ml|dozen|doz|ct|count|pk|pack)\b/gi;
+
+const round = (n, d = 2) => Math.round(n * 10 ** d) / 10 ** d;
+
+// "6 pk / 12 fl oz" → { value: 12, unit: "fl oz", count: 6 }; "2 lb" →
+// { value: 32, unit: "oz" }; "dozen" alone is 12 ct. null when the text names
+// no size.
+export function parseSize(text) {
+  const s = String(text || "").toLowerCase();
+  const measures = [];
+  for (const m of s.matchAll(SIZE_RE)) {
+    const unit = m[2].replace(/\s+/g, " ");
+    const def = SIZE_UNITS.find(([re]) => re.test(unit));
+    if (def) measures.push({ value: parseFloat(m[1]) * def[2], unit: def[1] });
+  }
+  if (!measures.length && /^\s*(a\s+)?dozen\b/.test(s)) measures.push({ value: 12, unit: "ct" });
+  if (!measures.length) return null;
+  const count = measures.find(x => x.unit === "ct");
+  const measure = measures.find(x => x.unit !== "ct");
+  if (measure && count && count.value > 1) return { value: round(measure.value), unit: measure.unit, count: count.value };
+  const best = measure || count;
+  return { value: round(best.value), unit: best.unit };
+}
+
+// "5 for $10" / "2/$5" in notes → { count, total } or null.
+export function parseMultiBuy(text) {
+  const m = String(text || "").match(/(\d+)\s*(?:\/|for)\s*\$\s?(\d+(?:\.\d{1,2})?)/i);
+  if (!m) return null;
+  const count = parseInt(m[1], 10), total = parseFloat(m[2]);
+  return count > 1 && total > 0 ? { count, total } : null;
+}
+
+const PER_LB_UNIT = /^(?:\/|per\s+)?(?:lb|lbs|pound|pounds)\.?$/i;
+
+function priceOf(v) {
+  const n = parseFloat(String(v ?? "").replace(/[^0-9.]/g, ""));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// One deal → { value, basis, confidence, method } or null.
+export function computeUnitPrice(deal) {
+  if (!deal || typeof deal !== "object") return null;
+  let price = priceOf(deal.salePrice);
+  if (price == null) return null;
+  let confidence = 1;
+  const methods = [];
+
+  // salePrice is per item by contract (the OCR prompt divides "N for $X"), but
+  // a row whose price equals its own bundle total was read as the total.
+  const multi = parseMultiBuy(deal.notes);
+  if (multi && Math.abs(price - multi.total) < 0.01) {
+    price = multi.total / multi.count;
+    confidence *= 0.9;
+    methods.push("multi-buy");
+  }
+
+  const unit = String(deal.unit ?? "").trim();
+  const priceUnit = String(deal.priceUnit ?? "").trim();
+  const sizeText = String(deal.size ?? "").trim();
+
+  if (PER_LB_UNIT.test(unit) || priceUnit === "/lb" || /\bper\s+lb\b/i.test(sizeText) || sizeText.toLowerCase() === "1 lb") {
+    return { value: round(price), basis: "lb", confidence: round(0.95 * confidence), method: [...methods, "per-lb"].join("+") };
+  }
+  if (deal.isPerLb) {
+    // detectPerLb's keyword guess (a meat or produce name under $15).
+    return { value: round(price), basis: "lb", confidence: round(0.6 * confidence), method: [...methods, "per-lb-guess"].join("+") };
+  }
+
+  let size = parseSize(sizeText), from = "size";
+  if (!size && unit && !/^(each|ea)\.?$/i.test(unit)) { size = parseSize(unit); from = "unit"; }
+  if (!size) { size = parseSize(deal.name); from = "name"; }
+  if (size) {
+    const qty = size.value * (size.count || 1);
+    if (!(qty > 0)) return null;
+    confidence *= from === "name" ? 0.75 : 0.9;
+    methods.push(`${from}-${size.unit === "ct" ? "count" : "measure"}`);
+    if (size.unit === "ct") return { value: round(price / qty, 3), basis: "each", confidence: round(confidence), method: methods.join("+") };
+    if (size.unit === "oz" && qty >= 16) return { value: round((price / qty) * 16), basis: "lb", confidence: round(confidence), method: methods.join("+") };
+    return { value: round(price / qty, 3), basis: size.unit, confidence: round(confidence), method: methods.join("+") };
+  }
+
+  if (/\bcase\b/i.test(unit)) return null;
+  return { value: round(price), basis: "each", confidence: round(0.4 * confidence), method: [...methods, "item-price"].join("+") };
+}
+
+// Annotation → { dimension, perBase } for sorting: $/oz for weight, $/fl oz
+// for volume, $/each for count. Only equal dimensions compare.
+export function toBaseUnitPrice(up) {
+  if (!up || !(up.value > 0)) return null;
+  if (up.basis === "lb") return { dimension: "weight", perBase: up.value / 16 };
+  if (up.basis === "oz") return { dimension: "weight", perBase: up.value };
+  if (up.basis === "fl oz") return { dimension: "volume", perBase: up.value };
+  return { dimension: "count", perBase: up.value };
+}
+
+// Deal rows (any source) → the same rows with unitPrice set. Non-deal entries
+// pass through untouched; an existing annotation is recomputed so a row read
+// back and re-written never carries a stale one.
+export function annotateUnitPrices(deals) {
+  return deals.map(d => {
+    if (!d || typeof d !== "object" || d.salePrice == null) return d;
+    const unitPrice = computeUnitPrice(d);
+    if (unitPrice) return { ...d, unitPrice };
+    if (!("unitPrice" in d)) return d;
+    const { unitPrice: _stale, ...rest } = d;
+    return rest;
+  });
+}
+
+// TWIN OF dealUnitInfo() IN public/app.js — keep the two in sync.
+// Not shared because public/app.js is a plain browser script served statically,
+// not an ESM module that can import this one.
+//
+// The display suffix for a deal's price, not its unit price. The Kroger path
+// emits a display-ready `priceUnit` ("/lb", "/ea", ""), while ad-extract/OCR
+// rows carry the raw flyer field `unit` ("lb", "per lb", "each", "12 pk"). A
+// non-empty priceUnit is returned untouched so Kroger stays exactly as it was —
+// notably "/ea", which must NOT collapse the way a raw "each" does.
+export function dealUnitInfo(d) {
+  const pre = d && d.priceUnit != null ? String(d.priceUnit) : "";
+  if (pre !== "") return { unit: pre, isPerLb: !!(d && d.isPerLb) || pre === "/lb" };
+
+  const raw = d && d.unit != null ? String(d.unit).trim() : "";
+  if (!raw) return { unit: "", isPerLb: !!(d && d.isPerLb) };
+  // "each"/"ea" is the absence of a unit, not a suffix worth printing.
+  if (/^(?:each|ea)\.?$/i.test(raw)) return { unit: "", isPerLb: !!(d && d.isPerLb) };
+  // lb shapes: "lb", "lbs", "per lb", "/lb", "pound", "per pound", trailing dot ok.
+  if (PER_LB_UNIT.test(raw)) return { unit: "/lb", isPerLb: true };
+  // Anything else prints as-is behind a slash: "pint" -> "/pint".
+  return { unit: "/" + raw, isPerLb: !!(d && d.isPerLb) };
+}
@@ -3,6 +3,12 @@ dotenv.config();
 import crypto from "crypto";
 import fetch from "node-fetch";
 import { createClient } from "@supabase/supabase-js";
+import { AD_SOURCE_CHAINS } from "./ad-sources/index.js";
+import { pickServingAd, isWindowExpired, isWindowUpcoming } from "./ad-validity.js";
+import { annotateUnitPrices } from "./unit-price.js";
+import { attachOffers } from "./offers.js";
+import { attachCategoryPaths } from "./taxonomy.js";
+import { annotateDealQuality, loadPriceStats } from "./deal-quality.js";
 
 // ── Supabase client ─────────────────────────────────────────────────────────
 export const supabase = process.env.SUPABASE_URL
@@ -30,7 +36,6 @@ export const CACHE_TTL        = 2 * 60 * 60 * 1000; // 2 hours (recipe cache)
 
 // ── Shared in-memory state ──────────────────────────────────────────────────
 export const oauthStates = new Map(); // state token → { userId, createdAt }
-export const extractingStores = new Set();
 export const aiRecipeCache = new Map();
 
 // In-memory Set of store IDs that have cached deals (populated on startup, updated on cache writes)
@@ -156,38 +161,102 @@ export async function getKrogerToken(userId) {
 }
 
 // ── Deal cache ──────────────────────────────────────────────────────────────
-export async function getCachedDeals(cacheKey) {
+// Weekly-refreshed keys need a weekly TTL. These are regenerated once a week by
+// the Wednesday cron, so a 24h TTL empties them for six days out of seven:
+//   ad-extract:*   OCR'd weekly ad data
+//   ad-next:*      next week's ad, captured before its first day
+//   preview:*      homepage featured deals + recipe bundle
+//   ssr:bundle:*   the /deals/:chain page bundles
+function cacheTtl(cacheKey) {
+  const isWeeklyKey = cacheKey.startsWith("ad-extract:")
+    || cacheKey.startsWith("ad-next:")
+    || cacheKey.startsWith("preview:")
+    || cacheKey.startsWith("ssr:");
+  return isWeeklyKey ? AD_EXTRACT_CACHE_TTL : DEAL_CACHE_TTL;
+}
+
+const CACHE_ROW_COLUMNS = "cache_key, data, fetched_at, valid_from, valid_to, ad_timezone";
+
+// The row behind getCachedDeals, with its validity window: { cacheKey, data,
+// fetchedAt, validFrom, validTo, timeZone } or null. Rows past their TTL or
+// their ad's last day read as missing (lib/ad-validity.js). A chain's master
+// ad-extract:{storeId} read also considers ad-next:{storeId}, so next week's
+// ad takes over on its first day without waiting for the re-extraction.
+export async function getCachedDealsRow(cacheKey, now = new Date()) {
   try {
+    const parts = cacheKey.split(":");
+    const isMasterAd = parts[0] === "ad-extract" && parts.length === 2;
+    const keys = isMasterAd ? [cacheKey, `ad-next:${parts[1]}`] : [cacheKey];
     const { data, error } = await supabase
       .from("deal_cache")
-      .select("data, fetched_at")
-      .eq("cache_key", cacheKey)
-      .single();
-    if (error || !data) return null;
-    const age = Date.now() - new Date(data.fetched_at).getTime();
-    // Weekly-refreshed keys need a weekly TTL. These are regenerated once a week by
-    // the Wednesday cron, so a 24h TTL empties them for six days out of seven:
-    //   ad-extract:*   OCR'd weekly ad data
-    //   preview:*      homepage featured deals + recipe bundle
-    //   ssr:bundle:*   the /deals/:chain page bundles
-    const isWeeklyKey = cacheKey.startsWith("ad-extract:")
-      || cacheKey.startsWith("preview:")
-      || cacheKey.startsWith("ssr:");
-    const ttl = isWeeklyKey ? AD_EXTRACT_CACHE_TTL : DEAL_CACHE_TTL;
-    if (age > ttl) return null;
-    console.log(`  Cache HIT: ${cacheKey} (${Math.round(age/60000)}min old)`);
-    return data.data;
+      .select(CACHE_ROW_COLUMNS)
+      .in("cache_key", keys);
+    if (error || !data?.length) return null;
+    const live = data.filter(r => now.getTime() - new Date(r.fetched_at).getTime() <= cacheTtl(cacheKey));
+    const row = pickServingAd(live, now);
+    if (!row) {
+      const own = data.find(r => r.cache_key === cacheKey);
+      if (own?.valid_to && isWindowExpired({ validTo: own.valid_to }, now)) console.log(`  Cache EXPIRED: ${cacheKey} (ad ended ${own.valid_to})`);
+      return null;
+    }
+    const age = now.getTime() - new Date(row.fetched_at).getTime();
+    console.log(`  Cache HIT: ${cacheKey} (${Math.round(age/60000)}min old${row.cache_key !== cacheKey ? `, from ${row.cache_key}` : ""})`);
+    return {
+      cacheKey: row.cache_key, data: row.data, fetchedAt: row.fetched_at,
+      validFrom: row.valid_from, validTo: row.valid_to, timeZone: row.ad_timezone,
+    };
+  } catch (e) { console.error("Cache read error:", e.message); return null; }
+}
+
+export async function getCachedDeals(cacheKey) {
+  const row = await getCachedDealsRow(cacheKey);
+  return row ? row.data : null;
+}
+
+// Next week's ad for a chain, when one was captured before its first day:
+// { data, fetchedAt, validFrom, validTo, timeZone } or null. Once the ad has
+// started, getCachedDeals serves it from the master key instead.
+export async function getNextWeekAd(storeId, now = new Date()) {
+  try {
+    const { data: row, error } = await supabase
+      .from("deal_cache")
+      .select(CACHE_ROW_COLUMNS)
+      .eq("cache_key", `ad-next:${storeId}`)
+      .maybeSingle();
+    if (error || !row || !isWindowUpcoming({ validFrom: row.valid_from }, now)) return null;
+    return { data: row.data, fetchedAt: row.fetched_at, validFrom: row.valid_from, validTo: row.valid_to, timeZone: row.ad_timezone };
   } catch (e) { console.error("Cache read error:", e.message); return null; }
 }
 
-export async function setCachedDeals(cacheKey, deals) {
+// window: { validFrom, validTo, timeZone } for rows holding a dated ad. Rows
+// written without one are undated and bounded by the fetched_at TTL alone.
+export async function setCachedDeals(cacheKey, deals, window = {}) {
+  // Deal arrays get their offer (lib/offers.js), unit price
+  // (lib/unit-price.js), category path (lib/taxonomy.js) and quality score
+  // (lib/deal-quality.js) here, once, whatever wrote them. Offers go first: a
+  // multi-buy row holding its bundle total is repaired to the per-unit price
+  // the unit price is computed from; quality reads all three. Bundles and run
+  // records are objects and pass through.
+  if (Array.isArray(deals)) {
+    deals = attachCategoryPaths(annotateUnitPrices(attachOffers(deals)));
+    deals = annotateDealQuality(deals, await loadPriceStats(supabase, deals));
+    const flagged = deals.filter(d => d?.quality?.flags?.length);
+    if (flagged.length > 0) {
+      const byFlag = {};
+      for (const d of flagged) for (const f of d.quality.flags) byFlag[f] = (byFlag[f] || 0) + 1;
+      console.warn(JSON.stringify({ evt: "DEAL_QUALITY", cacheKey, flagged: flagged.length, of: deals.length, byFlag }));
+    }
+  }
   try {
     const { error } = await supabase
       .from("deal_cache")
-      .upsert({ cache_key: cacheKey, data: deals, fetched_at: new Date().toISOString() }, { onConflict: "cache_key" });
+      .upsert({
+        cache_key: cacheKey, data: deals, fetched_at: new Date().toISOString(),
+        valid_from: window.validFrom || null, valid_to: window.validTo || null, ad_timezone: window.timeZone || null,
+      }, { onConflict: "cache_key" });
     if (error) console.error("Cache write error:", error.message);
     else {
-      console.log(`  Cache SET: ${cacheKey} (${Array.isArray(deals) ? deals.length + " items" : "stored"})`);
+      console.log(`  Cache SET: ${cacheKey} (${Array.isArray(deals) ? deals.length + " items" : "stored"}${window.validTo ? `, valid to ${window.validTo}` : ""})`);
       // Update in-memory storesWithDealsCache if this is an ad-extract key with
       // actual deals. Empty arrays are written intentionally to mark failed
       // extractions (see routes/stores.js extract-store handler) and must NOT
@@ -259,6 +328,28 @@ export async function getAdRegions(zip) {
   } catch (e) { console.error("ad_regions error:", e.message); return []; }
 }
 
+// A chain's ad_cycle ("Wed-Tue" and the like), read off any ad_regions row for
+// the banner. Cycles are chain-wide and change rarely, so a process keeps what
+// it has read; null (no row, or no cycle recorded) is cached too.
+const adCycleCache = new Map();
+export async function getChainAdCycle(storeName) {
+  const key = String(storeName || "").trim().toLowerCase();
+  if (!key) return null;
+  if (adCycleCache.has(key)) return adCycleCache.get(key);
+  try {
+    const { data, error } = await supabase
+      .from("ad_regions")
+      .select("ad_cycle")
+      .or(`banner.ilike.${key},store.ilike.${key}`)
+      .not("ad_cycle", "is", null)
+      .limit(1);
+    if (error) { console.error("ad_regions ad_cycle query error:", error.message); return null; }
+    const cycle = data?.[0]?.ad_cycle || null;
+    adCycleCache.set(key, cycle);
+    return cycle;
+  } catch (e) { console.error("ad_regions ad_cycle error:", e.message); return null; }
+}
+
 export function summarizeRegions(regions) {
   const storeMap = new Map();
   for (const r of regions) {
@@ -424,112 +515,24 @@ export async function geocodeZip(zip) {
   return null;
 }
 
-// ── igroceryads store URL lookup ────────────────────────────────────────────
-export const IGROCERYADS_STORES = {
-  "aldi": "https://aldi.weeklyad.us.com/",
-  "acme": "https://www.igroceryads.com/acme-weekly-ad-acme-markets-circular/",
-  "albertsons": "https://www.igroceryads.com/albertsons-weekly-ad-cat/",
-  "bashas": "https://www.igroceryads.com/bashas-weekly-ad/",
-  "big y": "https://www.igroceryads.com/big-y-flyer-big-y-circular/",
-  "cub foods": "https://www.igroceryads.com/cub-foods-ad-weekly-ad-specials/",
-  "el super": "https://www.igroceryads.com/el-super-weekly-ad-cat/",
-  "fareway": "https://www.igroceryads.com/fareway-ad-weekly-ad-specials/",
-  "food 4 less": "https://www.igroceryads.com/food4less-weekly-ad/",
-  "food city": "https://www.igroceryads.com/food-city-weekly-ad-current-circulars/",
-  "food lion": "https://www.igroceryads.com/food-lion-circular/",
-  "foodtown": "https://www.igroceryads.com/foodtown-ad/",
-  "fred meyer": "https://www.igroceryads.com/fred-meyer-weekly-ads/",
-  "giant eagle": "https://www.igroceryads.com/giant-eagle-weekly-sale-ad/",
-  "giant food": "https://www.igroceryads.com/giant-food-weekly-ad-deals/",
-  "hannaford": "https://www.igroceryads.com/hannaford-flyer/",
-  "harris teeter": "https://www.ladysavings.com/harristeeter-weekly-ad/",
-  "h-e-b": "https://www.igroceryads.com/heb-weekly-ad-cat/",
-  "heb": "https://www.igroceryads.com/heb-weekly-ad-cat/",
-  "hy-vee": "https://www.igroceryads.com/hy-vee-weekly-ad/",
-  "hyvee": "https://www.igroceryads.com/hy-vee-weekly-ad/",
-  "ingles": "https://www.ladysavings.com/ingles-weekly-ad/",
-  "jewel-osco": "https://www.igroceryads.com/jewel-osco-weekly-ad/",
-  "jewel osco": "https://www.igroceryads.com/jewel-osco-weekly-ad/",
-  "key food": "https://www.igroceryads.com/key-food-circular/",
-  "lidl": "https://lidl.weeklyad.us.com/",
-  "lowes foods": "https://www.igroceryads.com/lowes-foods/",
-  "market basket": "https://www.igroceryads.com/market-basket-flyer/",
-  "meijer": "https://meijer.weeklyad.us.com/",
-  "piggly wiggly": "https://www.igroceryads.com/piggly-wiggly-weekly-ad/",
-  "price chopper": "https://www.igroceryads.com/price-chopper-ad-price-chopper-flyer/",
-  "publix": "https://www.igroceryads.com/publix-weekly-specials/",
-  "ralphs": "https://www.igroceryads.com/ralphs-weekly-ad-ralphs-ads/",
-  "rouses": "https://www.igroceryads.com/rouses-ad/",
-  "safeway": "https://www.igroceryads.com/safeway-weekly-ad-cat/",
-  "save a lot": "https://www.igroceryads.com/save-a-lot-ad-specials/",
-  "save-a-lot": "https://www.igroceryads.com/save-a-lot-ad-specials/",
-  "shaws": "https://www.igroceryads.com/shaws-circular/",
-  "shaw's": "https://www.igroceryads.com/shaws-circular/",
-  "shoprite": "https://www.igroceryads.com/shoprite-this-week-sale-circular/",
-  "smart & final": "https://www.igroceryads.com/smart-and-final-weekly-ad/",
-  "sprouts": "https://www.igroceryads.com/sprouts-weekly-ad-sales/",
-  "stater bros": "https://www.igroceryads.com/stater-bros-weekly-ad/",
-  "stop & shop": "https://www.igroceryads.com/stop-and-shop-weekly-circular/",
-  "stop and shop": "https://www.igroceryads.com/stop-and-shop-weekly-circular/",
-  "tops": "https://www.igroceryads.com/tops-weekly-ad/",
-  "vons": "https://www.igroceryads.com/vons-weekly-ad-cat/",
-  "winn-dixie": "https://www.igroceryads.com/winn-dixie-sales/",
-  "winn dixie": "https://www.igroceryads.com/winn-dixie-sales/",
-  "99 ranch": "https://www.igroceryads.com/99-ranch-market-weekly-ad/",
-  "cardenas": "https://www.igroceryads.com/cardenas-weekly-ad-cat/",
-  "pavilions": "https://www.igroceryads.com/pavilions-weekly-ad/",
-  "whole foods": "https://www.iweeklyads.com/whole-foods-ad-specials/",
-  "remke": "https://www.iweeklyads.com/remke-markets-weekly-sale-ad/",
-  "associated": "https://www.iweeklyads.com/associated-supermarkets-weekly-ad/",
-  "brookshire": "https://www.iweeklyads.com/brookshires-weekly-ad/",
-  "buehler": "https://www.iweeklyads.com/buehlers-weekly-ad/",
-  "country mart": "https://www.iweeklyads.com/country-mart-weekly-ad/",
-  "d&w fresh market": "https://www.iweeklyads.com/dw-fresh-market-weekly-ad/",
-  "dierbergs": "https://www.iweeklyads.com/dierbergs-weekly-ad/",
-  "festival foods": "https://www.ladysavings.com/festivalfoods-weekly-ad/",
-  "fresh thyme": "https://www.ladysavings.com/freshthyme-weekly-ad/",
-  "grocery outlet": "https://www.ladysavings.com/groceryoutlet-weekly-ad/",
-  "homeland": "https://www.iweeklyads.com/homeland-weekly-ad/",
-  "king kullen": "https://www.iweeklyads.com/king-kullen-weekly-circular/",
-  "lucky": "https://www.iweeklyads.com/lucky-supermarkets-weekly-ad/",
-  "martin's": "https://www.iweeklyads.com/martins-weekly-ad/",
-  "martins": "https://www.iweeklyads.com/martins-weekly-ad/",
-  "new seasons": "https://www.iweeklyads.com/new-seasons-market-weekly-ad/",
-  "price rite": "https://www.iweeklyads.com/price-rite-weekly-ad/",
-  "raley's": "https://www.iweeklyads.com/raleys-weekly-ad/",
-  "raleys": "https://www.iweeklyads.com/raleys-weekly-ad/",
-  "ruler foods": "https://www.iweeklyads.com/ruler-foods-weekly-ad/",
-  "schnucks": "https://www.iweeklyads.com/schnucks-weekly-ad/",
-  "shoppers": "https://www.iweeklyads.com/shoppers-weekly-ad/",
-  "weis": "https://www.iweeklyads.com/weis-markets-weekly-ad/",
-  "winco": "https://www.iweeklyads.com/winco-weekly-ad/",
-  "bi-lo": "https://www.iweeklyads.com/bilo-weekly-ad/",
-  "bilo": "https://www.iweeklyads.com/bilo-weekly-ad/",
-  "commissary": "https://www.iweeklyads.com/deca-commissary-weekly-ad/",
-  "deca": "https://www.iweeklyads.com/deca-commissary-weekly-ad/",
-  "hen house": "https://www.iweeklyads.com/hen-house-weekly-ad/",
-  "ranch market": "https://www.iweeklyads.com/99-ranch-market-weekly-sale-specials/",
-};
-
-export function findIgroceryadsUrl(storeName) {
-  const lower = storeName.toLowerCase().trim();
-  if (IGROCERYADS_STORES[lower]) return IGROCERYADS_STORES[lower];
-  for (const [key, url] of Object.entries(IGROCERYADS_STORES)) {
-    if (lower.includes(key) || key.includes(lower)) return url;
-  }
-  return null;
-}
+// ── Ad source primary URLs ─────────────────────────────────────────────────
+// The chain → source registry lives in lib/ad-sources/index.js. Canonical
+// store ids only need each alias's primary (first) URL, so aliases that share
+// a primary URL collapse to one storeId below.
+const AD_SOURCE_PRIMARY_URLS = Object.fromEntries(
+  Object.entries(AD_SOURCE_CHAINS).map(([alias, urls]) => [alias, urls[0]])
+);
 
 // ── Cache key canonicalization ─────────────────────────────────────────────
 // The extract-store handler used to compute storeId via raw `replace(/['\s]+/g,
 // "-")` on the user-typed storeName. That made "Acme Markets" → "acme-markets"
 // while "Acme" → "acme", producing parallel cache rows for the same chain.
-// canonicalizeStoreId routes the lookup through IGROCERYADS_STORES first so all
-// recognized aliases collapse to a single canonical storeId.
+// canonicalizeStoreId routes the lookup through the ad-source registry first so
+// all recognized aliases collapse to a single canonical storeId.
 //
 // Determinism notes:
 //  - URL_TO_CANONICAL_KEY uses first-inserted key per URL (stable given source
-//    file ordering of IGROCERYADS_STORES). If you reorder that map, the canonical
+//    file ordering of AD_SOURCE_CHAINS). If you reorder that map, the canonical
 //    for some alias pairs may shift — re-run scripts/dedupe-cache-keys.js to
 //    reconsolidate cache rows in that case.
 //  - Lookup hierarchy uses explicit length-based tie-breaking (not insertion
@@ -537,7 +540,7 @@ export function findIgroceryadsUrl(storeName) {
 //    orphan. Each step's outcome is deterministic regardless of map ordering.
 const URL_TO_CANONICAL_KEY = (() => {
   const m = {};
-  for (const [key, url] of Object.entries(IGROCERYADS_STORES)) {
+  for (const [key, url] of Object.entries(AD_SOURCE_PRIMARY_URLS)) {
     if (!(url in m)) m[url] = key;
   }
   return m;
@@ -552,13 +555,13 @@ export function canonicalizeStoreId(storeName) {
   if (!lower) return "";
 
   // Step 1: exact key match → canonical via URL alias map
-  if (lower in IGROCERYADS_STORES) {
-    return _toStoreId(URL_TO_CANONICAL_KEY[IGROCERYADS_STORES[lower]]);
+  if (lower in AD_SOURCE_PRIMARY_URLS) {
+    return _toStoreId(URL_TO_CANONICAL_KEY[AD_SOURCE_PRIMARY_URLS[lower]]);
   }
 
   // Step 2: input starts with key → longest key wins
   let best = null;
-  for (const [key, url] of Object.entries(IGROCERYADS_STORES)) {
+  for (const [key, url] of Object.entries(AD_SOURCE_PRIMARY_URLS)) {
     if (key.length === 0 || key === lower) continue;
     if (lower.startsWith(key) && (!best || key.length > best.key.length)) {
       best = { key, url };
@@ -568,7 +571,7 @@ export function canonicalizeStoreId(storeName) {
 
   // Step 3: input contains key in middle/end → longest key wins
   best = null;
-  for (const [key, url] of Object.entries(IGROCERYADS_STORES)) {
+  for (const [key, url] of Object.entries(AD_SOURCE_PRIMARY_URLS)) {
     if (key.length < 4 || key === lower) continue; // avoid trivial matches like "a"
     if (lower.includes(key) && !lower.startsWith(key) && (!best || key.length > best.key.length)) {
       best = { key, url };
@@ -578,7 +581,7 @@ export function canonicalizeStoreId(storeName) {
 
   // Step 4: key contains input (input is partial) → shortest enclosing key wins
   best = null;
-  for (const [key, url] of Object.entries(IGROCERYADS_STORES)) {
+  for (const [key, url] of Object.entries(AD_SOURCE_PRIMARY_URLS)) {
     if (lower.length < 3 || key === lower) continue; // avoid 1-2 char input matches
     if (key.includes(lower) && (!best || key.length < best.key.length)) {
       best = { key, url };
@@ -586,7 +589,7 @@ export function canonicalizeStoreId(storeName) {
   }
   if (best) return _toStoreId(URL_TO_CANONICAL_KEY[best.url]);
 
-  // Step 5: orphan fallback (no IGROCERYADS_STORES match)
+  // Step 5: orphan fallback (no registered alias matches)
   return _toStoreId(lower);
 }
 
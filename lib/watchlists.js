@@ -0,0 +1,164 @@
+import { productTokens, exactProductId } from "./product-catalog.js";
+import { computeUnitPrice, toBaseUnitPrice, dealUnitInfo } from "./unit-price.js";
+import { plausibleDiscount, isLowQuality } from "./deal-quality.js";
+import { parseOffer } from "./offers.js";
+
+// ── Price watchlists ────────────────────────────────────────────────────────
+// "Tell me when ground beef is under $3.99/lb near 45432." A watch is one row
+// of watchlist_items (migrations/2026-10-19-watchlists.sql):
+//
+//   item_text             what to look for, matched as /api/compare matches
+//                         (every productTokens token in the deal's name)
+//   canonical_product_id  optional: one catalog product, matched exactly
+//   zip                   whose regional deal pool to look in
+//   max_unit_price        target price in unit_basis ("lb", "fl oz", "each");
+//                         null watches for a price drop instead
+//   chains                lowercased store names to limit to; empty = any
+//
+// After the weekly refresh, POST /api/cron/evaluate-watchlists runs every
+// active watch against its zip's deals (routes/watchlists.js). A watch that
+// fires writes one watch_alerts row per ad week, which is both the in-app
+// notification and the guard against alerting twice for the same ads.
+
+export const WATCH_BASES = ["lb", "fl oz", "each"];
+export const MAX_WATCHES_PER_USER = 25;
+const DIMENSION_OF = { lb: "weight", "fl oz": "volume", each: "count" };
+// Price suffixes (dealUnitInfo) that make a sale price per weight or volume.
+const PER_MEASURE_UNIT = /^\/(?:lbs?|pounds?|oz|ounces?|fl\.?\s*oz|gal(?:lon)?s?|qts?|quarts?|pts?|pints?|l|ltr|liters?|litres?|ml|kg|g)\.?$/i;
+// Unit prices below this confidence (lib/unit-price.js) don't meet a target.
+const MIN_PRICE_CONFIDENCE = 0.5;
+// Without a target, a trusted discount this deep is a price drop.
+const PRICE_DROP_PCT = 20;
+// Matches carried on an alert besides the best one.
+const ALERT_ALTERNATIVES = 3;
+
+const round = (n) => Math.round(n * 100) / 100;
+const money = (n, basis) => `$${n.toFixed(2)}${basis && basis !== "each" ? `/${basis}` : ""}`;
+
+// Request body → { watch } (the columns to insert) or { error }.
+export function parseWatch(body) {
+  const item = String(body?.item || "").trim();
+  if (item.length < 2 || item.length > 80) return { error: "item (2-80 characters) is required" };
+  if (!productTokens(item).length) return { error: "item needs at least one product word" };
+  const zip = String(body?.zip || "").trim();
+  if (!/^\d{5}$/.test(zip)) return { error: "Valid 5-digit zip is required" };
+
+  let maxUnitPrice = null, unitBasis = null;
+  if (body?.maxUnitPrice != null && body.maxUnitPrice !== "") {
+    maxUnitPrice = parseFloat(body.maxUnitPrice);
+    if (!(maxUnitPrice > 0 && maxUnitPrice < 1000)) return { error: "Invalid maxUnitPrice" };
+    unitBasis = body.unitBasis || "each";
+    if (!WATCH_BASES.includes(unitBasis)) return { error: `unitBasis must be one of ${WATCH_BASES.join(", ")}` };
+  }
+  const chains = Array.isArray(body?.chains) ? body.chains : [];
+  if (chains.length > 10 || chains.some(c => typeof c !== "string" || !c.trim() || c.length > 60)) return { error: "Invalid chains" };
+  const canonical = body?.canonicalProductId ? String(body.canonicalProductId) : null;
+  if (canonical && !/^p_[0-9a-f]{16}$/.test(canonical)) return { error: "Invalid canonicalProductId" };
+
+  return {
+    watch: {
+      item_text: item,
+      canonical_product_id: canonical,
+      zip,
+      max_unit_price: maxUnitPrice,
+      unit_basis: unitBasis,
+      chains: [...new Set(chains.map(c => c.trim().toLowerCase()))],
+      notify_email: body?.notifyEmail !== false,
+    },
+  };
+}
+
+// A deal's price in a watch's basis, or null when it isn't priced in it: a
+// per-lb target can't be met by a per-each price, nor a "$3.00 each" target
+// by $2.99/lb. "each" otherwise falls back to the package's sale price —
+// chips at $2.99 for 10 oz meet "$3.00 each" — unless the sale price itself
+// is per weight or volume.
+export function watchPrice(deal, basis) {
+  const up = deal.unitPrice || computeUnitPrice(deal);
+  const base = toBaseUnitPrice(up);
+  if (base && (up.confidence ?? 0) >= MIN_PRICE_CONFIDENCE && base.dimension === DIMENSION_OF[basis || "each"]) {
+    return round(base.perBase * (base.dimension === "weight" ? 16 : 1));
+  }
+  if ((basis || "each") !== "each") return null;
+  const { unit, isPerLb } = dealUnitInfo(deal);
+  if (isPerLb || PER_MEASURE_UNIT.test(unit)) return null;
+  const sale = parseFloat(String(deal.salePrice ?? "").replace(/[^0-9.]/g, ""));
+  return sale > 0 ? sale : null;
+}
+
+// Why a matching deal fires the watch ("target" | "price_drop"), or null.
+function firesOn(watch, deal, price) {
+  if (watch.max_unit_price != null) return price != null && price <= Number(watch.max_unit_price) ? "target" : null;
+  const verdict = deal.historicalContext?.verdict;
+  if (verdict) return verdict === "lowest" || verdict === "good" ? "price_drop" : null;
+  return plausibleDiscount(deal).pct >= PRICE_DROP_PCT ? "price_drop" : null;
+}
+
+// The deals a watch is about, priced or not: its product (or every token of
+// its item text) at one of its chains. Low-quality rows can't alert.
+export function watchCandidates(watch, deals) {
+  const tokens = productTokens(watch.item_text);
+  const chains = new Set((watch.chains || []).map(c => c.toLowerCase()));
+  return (deals || []).filter(d => {
+    if (!d || d.salePrice == null || isLowQuality(d)) return false;
+    if (chains.size && !chains.has(String(d.storeName || "").trim().toLowerCase())) return false;
+    if (watch.canonical_product_id) return exactProductId(d) === watch.canonical_product_id;
+    const dt = new Set(productTokens(d.name, d.brand));
+    return tokens.length > 0 && tokens.every(t => dt.has(t));
+  });
+}
+
+// A watch + its zip's deals (regional shape; historicalContext where a
+// price-drop watch should use it) → [{ deal, price, reason }] that fire it,
+// cheapest first.
+export function matchWatch(watch, deals) {
+  const matches = [];
+  for (const d of watchCandidates(watch, deals)) {
+    const price = watchPrice(d, watch.unit_basis);
+    const reason = firesOn(watch, d, price);
+    if (reason) matches.push({ deal: d, price, reason });
+  }
+  return matches.sort((a, b) => (a.price ?? Infinity) - (b.price ?? Infinity));
+}
+
+function alertLine(watch, { deal, price, reason }) {
+  const basis = watch.unit_basis || "each";
+  const where = `${deal.name} at ${deal.storeName || "a nearby store"}`;
+  const offer = deal.offer || parseOffer(deal);
+  const terms = offer.summary ? ` (${offer.summary})` : "";
+  if (reason === "target") {
+    return `${where}: ${money(price, basis)}${terms}, under your ${money(Number(watch.max_unit_price), basis)}`;
+  }
+  const ctx = deal.historicalContext;
+  const why = ctx?.verdict === "lowest" ? `the lowest in ${ctx.weeks} weeks`
+    : ctx ? `under its usual $${ctx.typical.toFixed(2)}`
+    : `${plausibleDiscount(deal).pct}% off`;
+  return `${where}: $${parseFloat(deal.salePrice).toFixed(2)}${terms}, ${why}`;
+}
+
+// A watch + its firing matches + the ad week → the watch_alerts row, or null
+// when nothing fired.
+export function buildWatchAlert(watch, matches, weekStart) {
+  if (!matches.length) return null;
+  const [best, ...rest] = matches;
+  const snapshot = (m) => ({
+    store: m.deal.storeName || "",
+    name: m.deal.name,
+    salePrice: m.deal.salePrice,
+    price: m.price,
+    summary: alertLine(watch, m),
+  });
+  return {
+    watch_id: watch.id,
+    user_id: watch.user_id,
+    week_start: weekStart,
+    reason: best.reason,
+    item_text: watch.item_text,
+    store_name: best.deal.storeName || null,
+    deal_name: best.deal.name,
+    price: best.price,
+    unit_basis: watch.unit_basis || "each",
+    summary: alertLine(watch, best),
+    matches: [snapshot(best), ...rest.slice(0, ALERT_ALTERNATIVES).map(snapshot)],
+  };
+}
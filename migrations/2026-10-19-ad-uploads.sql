@@ -0,0 +1,44 @@
+-- User-contributed weekly ad uploads with moderation
+-- Run manually in Supabase SQL Editor. Do not auto-execute.
+
+-- 1. One row per upload. state walks
+--    processing -> pending -> approved | rejected, or processing -> failed.
+--    deals holds the rows that survived dealRejectReason; rejects holds what
+--    the same rules threw away, so a moderator sees both. Nothing reaches
+--    deal_cache until an admin approves (routes/admin.js).
+CREATE TABLE IF NOT EXISTS ad_uploads (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  store_name TEXT NOT NULL,
+  store_id TEXT NOT NULL,
+  zip TEXT NOT NULL,
+  zip3 TEXT NOT NULL,
+  state TEXT NOT NULL DEFAULT 'processing'
+    CHECK (state IN ('processing', 'pending', 'approved', 'rejected', 'failed')),
+  page_count INT NOT NULL DEFAULT 0,
+  page_paths TEXT[] NOT NULL DEFAULT '{}',
+  vision_calls INT NOT NULL DEFAULT 0,
+  deals JSONB NOT NULL DEFAULT '[]'::jsonb,
+  rejects JSONB NOT NULL DEFAULT '[]'::jsonb,
+  by_reason JSONB NOT NULL DEFAULT '{}'::jsonb,
+  valid_from TIMESTAMPTZ,
+  valid_to TIMESTAMPTZ,
+  error TEXT,
+  review_note TEXT,
+  reviewed_at TIMESTAMPTZ,
+  published_cache_key TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ad_uploads_state_created ON ad_uploads (state, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ad_uploads_user ON ad_uploads (user_id, created_at DESC);
+
+-- 2. Private bucket for the uploaded pages, so moderators can check the
+--    extracted rows against the photo. Read through signed URLs only.
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('ad-uploads', 'ad-uploads', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- 3. Lock down. service_role bypasses RLS automatically; no policies needed.
+ALTER TABLE ad_uploads ENABLE ROW LEVEL SECURITY;
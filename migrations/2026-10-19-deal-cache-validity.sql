@@ -0,0 +1,28 @@
+-- Ad validity windows on deal_cache rows (lib/ad-validity.js)
+-- Run manually in Supabase SQL Editor. Do not auto-execute.
+-- Apply before deploying the code that reads it: setCachedDeals writes these
+-- columns on every cache write, and PostgREST rejects unknown columns.
+
+-- 1. The sale dates of the ad a row holds. NULL on both means undated (most
+--    ladysavings / weeklyad.us.com pages, and every non-ad key): the fetched_at
+--    TTL stays the only bound there. ad_timezone records the zone the printed
+--    dates were read in.
+ALTER TABLE deal_cache ADD COLUMN IF NOT EXISTS valid_from TIMESTAMPTZ;
+ALTER TABLE deal_cache ADD COLUMN IF NOT EXISTS valid_to TIMESTAMPTZ;
+ALTER TABLE deal_cache ADD COLUMN IF NOT EXISTS ad_timezone TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_deal_cache_valid_to ON deal_cache (valid_to) WHERE valid_to IS NOT NULL;
+
+-- 2. Backfill from the per-deal adValidFrom/adValidTo that extract-store, the
+--    Albertsons scraper and upload approval stamped onto every row until now.
+--    Those were parsed as UTC days; the next extraction rewrites them in
+--    America/Los_Angeles.
+UPDATE deal_cache
+   SET valid_from = NULLIF(data->0->>'adValidFrom', '')::timestamptz,
+       valid_to = NULLIF(data->0->>'adValidTo', '')::timestamptz,
+       ad_timezone = 'UTC'
+ WHERE cache_key LIKE 'ad-extract:%'
+   AND jsonb_typeof(data) = 'array'
+   AND jsonb_array_length(data) > 0
+   AND (data->0 ? 'adValidFrom' OR data->0 ? 'adValidTo')
+   AND valid_to IS NULL;
@@ -0,0 +1,10 @@
+-- Unique ad-week key on deal_history (scripts/lib/deal-history.js)
+-- Run manually in Supabase SQL Editor. Do not auto-execute.
+-- Run after 2026-10-19-deal-history-weeks.sql and
+-- scripts/analysis/backfill-history-weeks.js: the index cannot be built while
+-- unkeyed rows or duplicate weeks remain.
+
+-- 1. One row per chain, item and ad week. Capture runs upsert on it.
+ALTER TABLE deal_history ALTER COLUMN item_key SET NOT NULL;
+ALTER TABLE deal_history ALTER COLUMN week_start SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deal_history_chain_item_week ON deal_history (chain, item_key, week_start);
@@ -0,0 +1,37 @@
+-- Ad-week keys on deal_history (scripts/lib/deal-history.js)
+-- Run manually in Supabase SQL Editor. Do not auto-execute.
+-- Three steps, in order, before deploying the capture script: this file, then
+-- the backfill, then 2026-10-19-deal-history-weeks-key.sql. buildHistoryRow
+-- now sets item_key, and upsertHistoryRows conflicts on the new unique index.
+
+-- 1. week_start: the local date the retailer ad week a row was captured in
+--    started (lib/ad-validity.js adWeekStart). item_key: the canonical product
+--    id, or "name:" + the normalized item name for unlinked rows.
+ALTER TABLE deal_history ADD COLUMN IF NOT EXISTS week_start DATE;
+ALTER TABLE deal_history ADD COLUMN IF NOT EXISTS item_key TEXT;
+
+-- 2. The (chain, item_name, sale_price, captured_at) unique key made every
+--    capture run distinct, so a re-run on the same ad wrote a second week of
+--    rows. Drop it, whether it was created as a constraint or a bare index.
+DO $$
+DECLARE idx record;
+BEGIN
+  FOR idx IN
+    SELECT i.indexrelid::regclass AS index_name, c.conname
+      FROM pg_index i
+      LEFT JOIN pg_constraint c ON c.conindid = i.indexrelid AND c.conrelid = i.indrelid
+     WHERE i.indrelid = 'deal_history'::regclass
+       AND i.indisunique AND NOT i.indisprimary
+       AND pg_get_indexdef(i.indexrelid) LIKE '%(chain, item_name, sale_price, captured_at)%'
+  LOOP
+    IF idx.conname IS NOT NULL THEN
+      EXECUTE format('ALTER TABLE deal_history DROP CONSTRAINT %I', idx.conname);
+    ELSE
+      EXECUTE format('DROP INDEX %s', idx.index_name);
+    END IF;
+  END LOOP;
+END $$;
+
+-- 3. Key the existing rows and delete their duplicate weeks:
+--    node scripts/analysis/backfill-history-weeks.js --dry-run
+--    node scripts/analysis/backfill-history-weeks.js
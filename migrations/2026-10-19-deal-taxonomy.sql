@@ -0,0 +1,17 @@
+-- Deal taxonomy paths on deal history (lib/taxonomy.js)
+-- Run manually in Supabase SQL Editor. Do not auto-execute.
+-- Apply before deploying the capture script: buildHistoryRow now sets
+-- deal_history.category_path, and PostgREST rejects unknown columns.
+
+-- 1. "department/category/subcategory" slugs, e.g. "meat_seafood/pork/bacon".
+--    `category` keeps the source's own text (OCR section, Kroger search term);
+--    category_path is the shared classification.
+ALTER TABLE deal_history ADD COLUMN IF NOT EXISTS category_path TEXT;
+
+-- Prefix queries ("every meat_seafood/beef row") use text_pattern_ops.
+CREATE INDEX IF NOT EXISTS idx_deal_history_category_path ON deal_history (category_path text_pattern_ops, captured_at DESC);
+
+-- 2. catalog_products.category now holds the same path (describeDeal). Rows
+--    written before this carry the source text until the product is next seen.
+--    Older deal_history rows stay NULL; the classifier is cheap enough to run
+--    on read where a path is needed for them.
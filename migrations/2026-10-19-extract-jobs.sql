@@ -0,0 +1,84 @@
+-- Durable ad-extraction job queue (lib/extract-queue.js)
+-- Run manually in Supabase SQL Editor. Do not auto-execute.
+
+-- 1. One row per extraction request. state walks
+--    queued -> running -> succeeded | retrying -> running ... -> failed.
+--    A running row whose lease_expires_at has passed belongs to a worker that
+--    died (deploy, OOM); claim_extract_job below hands it to the next worker.
+CREATE TABLE IF NOT EXISTS extract_jobs (
+  id BIGSERIAL PRIMARY KEY,
+  store_id TEXT NOT NULL,
+  store_name TEXT NOT NULL,
+  state TEXT NOT NULL DEFAULT 'queued'
+    CHECK (state IN ('queued', 'running', 'succeeded', 'failed', 'retrying')),
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 3,
+  run_after TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  lease_owner TEXT,
+  lease_expires_at TIMESTAMPTZ,
+  heartbeat_at TIMESTAMPTZ,
+  last_error TEXT,
+  result JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ
+);
+
+-- At most one live job per store. This replaces the in-memory extractingStores
+-- guard and holds across restarts and instances; enqueue relies on the 23505.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_extract_jobs_one_active
+  ON extract_jobs (store_id)
+  WHERE state IN ('queued', 'running', 'retrying');
+
+CREATE INDEX IF NOT EXISTS idx_extract_jobs_claimable ON extract_jobs (state, run_after);
+CREATE INDEX IF NOT EXISTS idx_extract_jobs_store_created ON extract_jobs (store_id, created_at DESC);
+
+-- 2. Per-job log lines. Insert-only, so workers never read-modify-write a row.
+CREATE TABLE IF NOT EXISTS extract_job_logs (
+  id BIGSERIAL PRIMARY KEY,
+  job_id BIGINT NOT NULL REFERENCES extract_jobs(id) ON DELETE CASCADE,
+  level TEXT NOT NULL DEFAULT 'info',
+  message TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_extract_job_logs_job ON extract_job_logs (job_id, id);
+
+-- 3. Atomic claim. supabase-js cannot express SELECT ... FOR UPDATE SKIP LOCKED,
+--    so leasing lives here. Expired leases on a final attempt are failed first;
+--    otherwise they are reclaimable like any queued row.
+CREATE OR REPLACE FUNCTION claim_extract_job(p_worker TEXT, p_lease_seconds INT)
+RETURNS SETOF extract_jobs
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE extract_jobs
+     SET state = 'failed', last_error = 'lease expired on final attempt',
+         lease_owner = NULL, finished_at = NOW(), updated_at = NOW()
+   WHERE state = 'running' AND lease_expires_at < NOW() AND attempts >= max_attempts;
+
+  RETURN QUERY
+  UPDATE extract_jobs j
+     SET state = 'running',
+         attempts = j.attempts + 1,
+         lease_owner = p_worker,
+         lease_expires_at = NOW() + make_interval(secs => p_lease_seconds),
+         heartbeat_at = NOW(),
+         started_at = NOW(),
+         updated_at = NOW()
+   WHERE j.id = (
+     SELECT id FROM extract_jobs
+      WHERE (state IN ('queued', 'retrying') AND run_after <= NOW())
+         OR (state = 'running' AND lease_expires_at < NOW())
+      ORDER BY run_after, id
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+   )
+  RETURNING j.*;
+END;
+$$;
+
+-- 4. Lock down. service_role bypasses RLS automatically; no policies needed.
+ALTER TABLE extract_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE extract_job_logs ENABLE ROW LEVEL SECURITY;
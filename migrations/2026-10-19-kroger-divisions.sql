@@ -0,0 +1,32 @@
+-- Representative Kroger location per division (lib/kroger-divisions.js)
+-- Run manually in Supabase SQL Editor. Do not auto-execute.
+
+-- 1. One row per Kroger division in ad_regions. Kroger prices are set per
+--    division, so one store's promo catalog stands in for every zip3 in it:
+--    /api/deals/regional serves kroger:{location_id} to zip-only callers, and
+--    the per-banner /deals pages are built from it.
+--    POST /api/cron/kroger-divisions rebuilds the rows from ad_regions and the
+--    Kroger locations API. A pinned row keeps its location_id across rebuilds
+--    (zip3 counts and banner still update).
+CREATE TABLE IF NOT EXISTS kroger_divisions (
+  division_code TEXT PRIMARY KEY,
+  division TEXT,
+  banner TEXT NOT NULL,
+  slug TEXT NOT NULL,
+  location_id TEXT,
+  location_name TEXT,
+  location_address TEXT,
+  location_zip TEXT,
+  zip3_count INT NOT NULL DEFAULT 0,
+  pinned BOOLEAN NOT NULL DEFAULT FALSE,
+  refreshed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_kroger_divisions_slug ON kroger_divisions (slug);
+
+-- 2. To hand-pick a division's store (e.g. keep the Dayton store the homepage
+--    preview has always used), set it and pin it after the first rebuild:
+--
+--    UPDATE kroger_divisions
+--       SET location_id = '01400705', pinned = TRUE
+--     WHERE division ILIKE '%cincinnati%';
@@ -0,0 +1,22 @@
+-- Per-tile OCR result cache (lib/ocr-cache.js)
+-- Run manually in Supabase SQL Editor. Do not auto-execute.
+
+-- One row per ad tile the vision model has read successfully. tile_hash is
+-- sha256 over the model, the prompt version and the JPEG bytes of the tile, so
+-- a prompt or model change misses the cache instead of serving stale reads.
+-- deals holds the parsed rows exactly as the model returned them, before the
+-- per-run adImage/adPage annotation and validation.
+CREATE TABLE IF NOT EXISTS ocr_tile_cache (
+  tile_hash TEXT PRIMARY KEY,
+  store_id TEXT NOT NULL,
+  deals JSONB NOT NULL DEFAULT '[]'::jsonb,
+  hits INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_hit_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_ocr_tile_cache_store ON ocr_tile_cache (store_id);
+CREATE INDEX IF NOT EXISTS idx_ocr_tile_cache_created ON ocr_tile_cache (created_at);
+
+-- service_role bypasses RLS automatically; no policies needed.
+ALTER TABLE ocr_tile_cache ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,42 @@
+-- Canonical product catalog (lib/product-catalog.js)
+-- Run manually in Supabase SQL Editor. Do not auto-execute.
+-- Apply before deploying the capture script that writes it: buildHistoryRow
+-- now sets deal_history.canonical_product_id, and PostgREST rejects unknown
+-- columns.
+
+-- 1. One row per canonical product. id is derived from canonical_key
+--    (brand | sorted name tokens | size), so a capture run can assign ids to
+--    history rows before it writes the new products. kroger_product_id and upc
+--    are exact-match keys; name_tokens drive the fuzzy matcher.
+CREATE TABLE IF NOT EXISTS catalog_products (
+  id TEXT PRIMARY KEY,
+  canonical_key TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  brand TEXT,
+  size TEXT,
+  size_value NUMERIC,
+  size_unit TEXT,
+  size_count INT,
+  category TEXT,
+  name_tokens TEXT[] NOT NULL DEFAULT '{}',
+  kroger_product_id TEXT,
+  upc TEXT,
+  first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_catalog_products_kroger ON catalog_products (kroger_product_id) WHERE kroger_product_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_catalog_products_upc ON catalog_products (upc) WHERE upc IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_catalog_products_tokens ON catalog_products USING GIN (name_tokens);
+
+-- 2. The link from each history row. product_id keeps its meaning (the
+--    chain's own id, Kroger only); canonical_product_id is the identity shared
+--    across chains and weeks. match_confidence: 1 for exact links and new
+--    products, 0.75-0.99 for fuzzy ones.
+ALTER TABLE deal_history ADD COLUMN IF NOT EXISTS canonical_product_id TEXT REFERENCES catalog_products(id);
+ALTER TABLE deal_history ADD COLUMN IF NOT EXISTS match_confidence REAL;
+
+CREATE INDEX IF NOT EXISTS idx_deal_history_canonical_product ON deal_history (canonical_product_id, captured_at DESC);
+
+-- 3. Link the rows captured before this migration:
+--    node scripts/analysis/link-deal-history.js
@@ -0,0 +1,64 @@
+-- Price watchlists and their alerts (lib/watchlists.js, routes/watchlists.js)
+-- Run manually in Supabase SQL Editor. Do not auto-execute.
+
+-- 1. One row per watch. max_unit_price is in unit_basis ("lb", "fl oz",
+--    "each"); NULL watches for a price drop. chains holds lowercased store
+--    names, empty for any. canonical_product_id pins one catalog product.
+CREATE TABLE IF NOT EXISTS watchlist_items (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  item_text TEXT NOT NULL,
+  canonical_product_id TEXT REFERENCES catalog_products(id) ON DELETE SET NULL,
+  zip TEXT NOT NULL,
+  max_unit_price NUMERIC,
+  unit_basis TEXT CHECK (unit_basis IN ('lb', 'fl oz', 'each')),
+  chains TEXT[] NOT NULL DEFAULT '{}',
+  notify_email BOOLEAN NOT NULL DEFAULT TRUE,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_watchlist_items_user ON watchlist_items (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_watchlist_items_active_zip ON watchlist_items (zip) WHERE active;
+
+-- 2. One row per watch per ad week it fired in: the in-app notification
+--    (read_at) and the email log (emailed_at). The unique key is what keeps a
+--    watch from alerting twice on the same week's ads.
+CREATE TABLE IF NOT EXISTS watch_alerts (
+  id BIGSERIAL PRIMARY KEY,
+  watch_id BIGINT NOT NULL REFERENCES watchlist_items(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  week_start DATE NOT NULL,
+  reason TEXT NOT NULL CHECK (reason IN ('target', 'price_drop')),
+  item_text TEXT NOT NULL,
+  store_name TEXT,
+  deal_name TEXT,
+  price NUMERIC,
+  unit_basis TEXT,
+  summary TEXT NOT NULL,
+  matches JSONB NOT NULL DEFAULT '[]'::jsonb,
+  emailed_at TIMESTAMPTZ,
+  read_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (watch_id, week_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_watch_alerts_user ON watch_alerts (user_id, created_at DESC);
+
+-- 3. Carry over the target prices the profile page saved into
+--    profiles.email_prefs.price_alerts ({ item, price }), which nothing
+--    evaluated. They had no zip; the user's most recently searched one is
+--    used, and entries for users who never searched are left behind.
+INSERT INTO watchlist_items (user_id, item_text, zip, max_unit_price, unit_basis)
+SELECT p.id, a->>'item', to_jsonb(s.zip_codes_searched)->>-1, (a->>'price')::numeric, 'each'
+  FROM profiles p
+  JOIN user_stats s ON s.user_id = p.id
+ CROSS JOIN LATERAL jsonb_array_elements(COALESCE(p.email_prefs->'price_alerts', '[]'::jsonb)) a
+ WHERE jsonb_array_length(COALESCE(to_jsonb(s.zip_codes_searched), '[]'::jsonb)) > 0
+   AND COALESCE(a->>'item', '') <> ''
+   AND (a->>'price') ~ '^[0-9]+(\.[0-9]+)?$'
+   AND NOT EXISTS (SELECT 1 FROM watchlist_items w WHERE w.user_id = p.id AND lower(w.item_text) = lower(a->>'item'));
+
+-- 4. Lock down. service_role bypasses RLS automatically; no policies needed.
+ALTER TABLE watchlist_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE watch_alerts ENABLE ROW LEVEL SECURITY;
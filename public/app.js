@@ -62,6 +62,7 @@ function formatPriceDisplay(p) {
 //
 // A non-empty priceUnit is returned untouched so Kroger output stays exactly as
 // it was — notably "/ea", which must NOT collapse to "" the way a raw "each" does.
+// TWIN OF dealUnitInfo() IN lib/unit-price.js — keep the two in sync.
 function dealUnitInfo(d) {
   const pre = d && d.priceUnit != null ? String(d.priceUnit) : "";
   if (pre !== "") return { unit: pre, isPerLb: !!(d && d.isPerLb) || pre === "/lb" };
@@ -1792,7 +1793,7 @@ async function loadDealsAndShow() {
     // anything can still climb (a 70%-off snack at 70 still beats a 30%-off
     // steak at 55), but the anchor field now fills the top.
     const dealRankScore = (d) => {
-      const cat = (d.category || "").toLowerCase();
+      const cat = ((dealDepartment(d.categoryPath) || {}).label || d.category || "").toLowerCase();
       const name = (d.name || "").toLowerCase();
       const has = (arr) => arr.some(t => cat.includes(t));
       let boost;
@@ -1866,7 +1867,26 @@ function findMatchingCoupon(dealName) {
 // Maps a deal category to a tint class for the typographic (photoless) card
 // used on OCR-extracted deals. Keeps the grid visually varied by category
 // without leaning on repeating stock photos.
-function dealTintClass(cat) {
+// Deals carry `categoryPath` ("meat_seafood/pork/bacon", lib/taxonomy.js) from
+// the server. Its department decides tint, icon, browse group and list label;
+// the keyword matchers below are the fallback for rows cached before it and
+// for list items added from recipes.
+const DEPARTMENT_DISPLAY = {
+  meat_seafood: { label: "Meat & Seafood", group: "🥩 Meat", icon: "🥩", tint: "tint-meat" },
+  produce: { label: "Produce", group: "🥬 Produce", icon: "🥦", tint: "tint-produce" },
+  dairy_eggs: { label: "Dairy & Eggs", group: "🧀 Dairy", icon: "🧀", tint: "tint-dairy" },
+  bakery: { label: "Bakery", group: "🥫 Pantry", icon: "🍞", tint: "tint-bakery" },
+  pantry: { label: "Pantry", group: "🥫 Pantry", icon: "🥫", tint: "tint-pantry" },
+  frozen: { label: "Frozen", group: "🧊 Frozen", icon: "❄️", tint: "tint-frozen" },
+  snacks: { label: "Snacks & Sweets", group: "🍿 Snacks", icon: "🍿", tint: "tint-snack" },
+  beverages: { label: "Beverages", group: "🍿 Snacks", icon: "🥤", tint: "tint-beverage" },
+  household: { label: "Household", group: "Other", icon: "🏷️", tint: "tint-other" },
+};
+function dealDepartment(path) { return DEPARTMENT_DISPLAY[String(path || "").split("/")[0]] || null; }
+
+function dealTintClass(cat, path) {
+  const dept = dealDepartment(path);
+  if (dept) return dept.tint;
   const c = (cat || "").toLowerCase();
   if (/chicken|beef|pork|steak|salmon|shrimp|turkey|sausage|bacon|fish|meat|ham|ribs|seafood/i.test(c)) return "tint-meat";
   if (/apple|banana|lettuce|tomato|onion|pepper|broccoli|carrot|potato|avocado|fruit|vegetable|produce|berr|grape|corn|mango|peach/i.test(c)) return "tint-produce";
@@ -1879,7 +1899,21 @@ function dealTintClass(cat) {
   return "tint-other";
 }
 
-function dealCatIcon(cat) {
+// One line from the deal's historicalContext (lib/price-history.js, set by
+// /api/deals/regional): a real low gets a green badge, a routine markdown says
+// what the item usually sells for on sale. Nothing without enough history.
+function dealHistoryNote(d) {
+  const h = d && d.historicalContext;
+  if (!h) return "";
+  const wks = h.weeks >= 52 ? `${Math.round(h.weeks / 52)} yr` : `${h.weeks} wks`;
+  if (h.verdict === "lowest") return `<div class="sale-card-store" style="color:var(--green-mid);font-weight:700">⬇ Lowest in ${escapeHtml(wks)}</div>`;
+  if (h.verdict === "good") return `<div class="sale-card-store" style="color:var(--green-mid)">Below usual sale ($${escapeHtml(h.typical.toFixed(2))})</div>`;
+  return `<div class="sale-card-store">Usual sale price: $${escapeHtml(h.typical.toFixed(2))}</div>`;
+}
+
+function dealCatIcon(cat, path) {
+  const dept = dealDepartment(path);
+  if (dept) return dept.icon;
   const c = (cat || "").toLowerCase();
   if (/chicken|beef|pork|steak|salmon|shrimp|turkey|sausage|bacon|fish|meat|ham|ribs/i.test(c)) return "🥩";
   if (/apple|banana|lettuce|tomato|onion|pepper|broccoli|carrot|potato|avocado|fruit|vegetable|produce|berr/i.test(c)) return "🥦";
@@ -1949,12 +1983,12 @@ async function renderSaleItems() {
     "🧊 Frozen":["frozen pizza","frozen vegetables","ice cream","frozen fruit","frozen meals","frozen chicken","frozen shrimp","frozen seafood"],
     "🍿 Snacks":["chips","crackers","nuts","juice","coffee","tea","snacks","popcorn","beverages","soda","water"],
   };
-  function getCatGroup(cat){const c=(cat||"").toLowerCase();for(const[g,terms]of Object.entries(CATEGORY_GROUPS)){if(terms.some(t=>c.includes(t)||t.includes(c)))return g;}return"Other";}
+  function getCatGroup(cat,path){const dept=dealDepartment(path);if(dept)return dept.group;const c=(cat||"").toLowerCase();for(const[g,terms]of Object.entries(CATEGORY_GROUPS)){if(terms.some(t=>c.includes(t)||t.includes(c)))return g;}return"Other";}
 
   const NON_FOOD_DISPLAY = /\b(lotion|shampoo|conditioner|toothpaste|toothbrush|soap|detergent|paper towel|toilet paper|trash bag|cleaning|laundry|dishwasher|bleach|deodorant|razor|batteries|light bulb|pet food|cat food|dog food|cat litter|diaper|wipes|feminine|tampon|band.aid|medicine|vitamin|mouthwash|floss|cotton|air freshener|candle)\b/i;
   let deals=state.deals.filter(d=>!NON_FOOD_DISPLAY.test(d.name||""));
   if(state.saleStoreFilter!=="all")deals=deals.filter(d=>(d.storeName||d.source||"").toLowerCase().includes(state.saleStoreFilter.toLowerCase()));
-  if(state.saleCategoryFilter!=="all")deals=deals.filter(d=>getCatGroup(d.category)===state.saleCategoryFilter);
+  if(state.saleCategoryFilter!=="all")deals=deals.filter(d=>getCatGroup(d.category,d.categoryPath)===state.saleCategoryFilter);
 
   // Kroger connect banner — hide if coupons loaded (means connected) or explicitly connected
   const krogerBanner = document.getElementById("krogerConnectBanner");
@@ -1994,7 +2028,7 @@ async function renderSaleItems() {
     <button class="sale-filter-btn ${state.saleStoreFilter==='all'?'active':''}" onclick="filterSaleStore('all')">All</button>
     ${storeNames.map(s=>`<button class="sale-filter-btn ${state.saleStoreFilter===s?'active':''}" onclick="filterSaleStore('${escapeHtml(s).replace(/'/g,"&#039;")}')">${escapeHtml(s)}</button>`).join("")}`;
 
-  const catGroups=[...new Set(state.deals.map(d=>getCatGroup(d.category)))].sort();
+  const catGroups=[...new Set(state.deals.map(d=>getCatGroup(d.category,d.categoryPath)))].sort();
   document.getElementById("saleCategoryFilters").innerHTML=`
     <button class="sale-filter-btn ${state.saleCategoryFilter==='all'?'active':''}" onclick="filterSaleCategory('all')">All</button>
     ${catGroups.map(c=>`<button class="sale-filter-btn ${state.saleCategoryFilter===c?'active':''}" onclick="filterSaleCategory('${escapeHtml(c).replace(/'/g,"&#039;")}')">${escapeHtml(c)}</button>`).join("")}`;
@@ -2022,11 +2056,12 @@ async function renderSaleItems() {
       ${badge?`<div class="sale-card-badge">${badge}</div>`:""}
       ${hasCoupon?`<div class="sale-card-coupon">🎟️ Coupon</div>`:""}
       ${d.pctOff>=40&&!/dessert|snack|candy|cookie|bakery|soda|beverage|chip/i.test(String(d.category||""))?`<div style="position:absolute;top:4px;left:4px;background:#A85D05;color:white;font-size:10px;padding:2px 6px;border-radius:var(--r-sm);font-weight:600;z-index:1;">STOCK UP</div>`:""}
-      ${d.source==="kroger"&&typeof d.image==="string"&&d.image.startsWith("http")?`<img class="sale-card-img" src="${escapeHtml(d.image)}" alt="" onerror="this.style.display='none';this.nextElementSibling.style.display='flex'" /><div class="sale-card-tile ${dealTintClass(d.category||d.name||"")}" style="display:none"><span class="sale-card-tile-icon">${dealCatIcon(d.category||d.name||"")}</span></div>`:`<div class="sale-card-tile ${dealTintClass(d.category||d.name||"")}"><span class="sale-card-tile-icon">${dealCatIcon(d.category||d.name||"")}</span></div>`}
+      ${d.source==="kroger"&&typeof d.image==="string"&&d.image.startsWith("http")?`<img class="sale-card-img" src="${escapeHtml(d.image)}" alt="" onerror="this.style.display='none';this.nextElementSibling.style.display='flex'" /><div class="sale-card-tile ${dealTintClass(d.category||d.name||"",d.categoryPath)}" style="display:none"><span class="sale-card-tile-icon">${dealCatIcon(d.category||d.name||"",d.categoryPath)}</span></div>`:`<div class="sale-card-tile ${dealTintClass(d.category||d.name||"",d.categoryPath)}"><span class="sale-card-tile-icon">${dealCatIcon(d.category||d.name||"",d.categoryPath)}</span></div>`}
       <div class="sale-card-body">
         <div class="sale-card-name${nameCls}" title="${escapeHtml(d.name)}">${escapeHtml(d.name)}</div>
         <div class="sale-card-price">${price!=null&&price!==""?`<span class="sale-card-sale">${escapeHtml(formatPriceDisplay(price))}${escapeHtml(unit)}</span>`:""} ${reg!=null&&reg!==""?`<span class="sale-card-reg">${escapeHtml(formatPriceDisplay(reg))}${escapeHtml(unit)}</span>`:""}</div>
         ${d.saleStory?`<div class="sale-card-store" style="color:var(--orange);font-weight:600">${escapeHtml(d.saleStory)}</div>`:""}
+        ${dealHistoryNote(d)}
         <div class="sale-card-store">${escapeHtml(store)}${store?` · <a href="#" onclick="event.preventDefault();event.stopPropagation();openStoreAd('${escapeHtml(store).replace(/'/g,"&#039;")}')" style="color:var(--green-mid);text-decoration:none;font-size:11px">📰 View Ad</a>`:""}</div>
         ${ds==="include"?`<button onclick="event.stopPropagation();addDealToList('${escapeHtml(d.id)}')" style="margin-top:4px;padding:3px 8px;border:1px solid var(--green-mid);border-radius:6px;background:var(--green-light);color:var(--green-dark);font-size:10px;font-weight:700;cursor:pointer;font-family:'DM Sans',sans-serif">🛒 Add to List</button>`:""}
       </div></div>`;}).join("");
@@ -2044,7 +2079,7 @@ async function renderSaleItems() {
 }
 function showMoreDeals() { state.dealsDisplayed = (state.dealsDisplayed || 50) + 50; renderSaleItems(); }
 function cycleDealState(id){const c=state.dealStates[id]||null;if(c===null)state.dealStates[id]="include";else if(c==="include")state.dealStates[id]="exclude";else delete state.dealStates[id];renderSaleItems();}
-function addDealToList(id){const d=state.deals.find(x=>x.id===id);if(!d)return;const added=slAddItem({name:d.name,price:d.salePrice||"",store:d.storeName||d.source||"",source:"deal",recipeTitle:"",upc:d.upc||"",category:d.category||""});if(added)showToast("Added to list!","success");else showToast("Already in list","success");}
+function addDealToList(id){const d=state.deals.find(x=>x.id===id);if(!d)return;const added=slAddItem({name:d.name,price:d.salePrice||"",offer:(d.offer&&d.offer.summary)||"",store:d.storeName||d.source||"",source:"deal",recipeTitle:"",upc:d.upc||"",category:(dealDepartment(d.categoryPath)||{}).label||d.category||""});if(added)showToast("Added to list!","success");else showToast("Already in list","success");}
 function filterSaleStore(s){state.saleStoreFilter=s;state.dealsDisplayed=50;renderSaleItems();}
 function filterSaleCategory(c){state.saleCategoryFilter=c;state.dealsDisplayed=50;renderSaleItems();}
 
@@ -2073,9 +2108,12 @@ function getRecipePayload(offset) {
   return {
     // Unit resolved through dealUnitInfo so ad-extract rows carrying a raw `unit`
     // reach the server as per-pound estimates too — that's what drives the "≈"
-    // prefix and the per-lb cost handling on the way back.
-    ingredients:mustFirst.map(d=>{const u=dealUnitInfo(d);return{name:d.name,category:d.category,salePrice:d.salePrice,regularPrice:d.regularPrice,savings:d.savings,storeName:d.storeName||d.source||"",mustInclude:!!d.mustInclude,isPerLb:u.isPerLb,priceUnit:u.unit};}),
-    style:state.selectedStyle || state.selectedMealType || "Dinner", mealType:state.selectedMealType, diets:state.selectedDiets, wantItems, haveItems, mealRequest, budgetTarget, leftovers, preferences:state.userPreferences||null, offset:offset||0
+    // prefix and the per-lb cost handling on the way back. Size, offer terms and
+    // quality flags let the server's cost engine count packages, honor "Buy 5"
+    // prices and only claim savings against a trusted regular price; zip picks
+    // its regional baseline prices for everything not on sale.
+    ingredients:mustFirst.map(d=>{const u=dealUnitInfo(d);return{name:d.name,category:d.category,categoryPath:d.categoryPath||"",salePrice:d.salePrice,regularPrice:d.regularPrice,savings:d.savings,pctOff:d.pctOff,storeName:d.storeName||d.source||"",mustInclude:!!d.mustInclude,isPerLb:u.isPerLb,priceUnit:u.unit,size:d.size||"",notes:d.notes||"",dealType:d.dealType||"",offer:d.offer||null,unitPrice:d.unitPrice||null,quality:d.quality||null};}),
+    style:state.selectedStyle || state.selectedMealType || "Dinner", mealType:state.selectedMealType, diets:state.selectedDiets, wantItems, haveItems, mealRequest, budgetTarget, leftovers, preferences:state.userPreferences||null, offset:offset||0, zip:state.zip||""
   };
 }
 
@@ -2167,6 +2205,53 @@ function handleRecipeApiError({ res, data, err, retryFnName } = {}) {
   return false;
 }
 
+// POST /api/recipes/ai/stream and read its Server-Sent Events: onRecipe(recipe,
+// index) fires as each recipe arrives, onProgress(stage, data) on progress
+// events. Resolves {ok:true, data} with data shaped like the /api/recipes/ai
+// response (recipes in their final order), or {ok:false, res, data} for a
+// limit/overload/error answer, to pass to handleRecipeApiError. If the
+// connection drops (or times out) after some recipes arrived, those are kept:
+// {ok:true, data:{recipes, partial:true}}.
+async function streamRecipeGeneration(payload, { signal, onRecipe, onProgress } = {}) {
+  const res = await fetch("/api/recipes/ai/stream", { method: "POST", headers: { "Content-Type": "application/json", "X-Anon-Id": _anonId }, body: JSON.stringify(payload), signal });
+  if (!res.ok || !res.body) return { ok: false, res, data: await res.json().catch(() => ({})) };
+  const received = [];
+  let summary = null, streamError = null;
+  const handle = (event, data) => {
+    if (event === "recipe") { received[data.index] = data.recipe; onRecipe?.(data.recipe, data.index); }
+    else if (event === "progress") onProgress?.(data.stage, data);
+    else if (event === "done") summary = data;
+    else if (event === "error") streamError = data;
+  };
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let cut;
+      while ((cut = buffer.indexOf("\n\n")) >= 0) {
+        const frame = buffer.slice(0, cut);
+        buffer = buffer.slice(cut + 2);
+        const event = (frame.match(/^event: *(.*)$/m) || [])[1];
+        const data = frame.split("\n").filter(l => l.startsWith("data:")).map(l => l.slice(5).trim()).join("\n");
+        if (event && data) handle(event, JSON.parse(data));
+      }
+    }
+  } catch (err) {
+    if (!received.length) throw err;
+  }
+  const recipes = received.filter(Boolean);
+  if (summary) {
+    const byId = new Map(recipes.map(r => [r.id, r]));
+    return { ok: true, data: { ...summary, recipes: summary.order.map(id => byId.get(id)).filter(Boolean) } };
+  }
+  if (!recipes.length) return { ok: false, res, data: streamError || { error: "Could not generate recipes" } };
+  return { ok: true, data: { recipes, partial: true } };
+}
+
 async function searchRecipes() {
   const payload=getRecipePayload(0);
   if(!payload){showToast("You've excluded all deals. Include at least one or remove some exclusions.");return;}
@@ -2183,14 +2268,26 @@ async function searchRecipes() {
   const controller=new AbortController();
   const timeout=setTimeout(()=>controller.abort(),90000);
   try {
-    const res=await fetch("/api/recipes/ai",{method:"POST",headers:{"Content-Type":"application/json","X-Anon-Id":_anonId},body:JSON.stringify(payload),signal:controller.signal});
-    const data=await res.json();
-    if(!res.ok){
+    // Recipes render as they stream in; the skeletons left stand for the rest.
+    const arrived=[];
+    const out=await streamRecipeGeneration(payload,{
+      signal:controller.signal,
+      onRecipe:(recipe)=>{
+        arrived.push(recipe);
+        state.recipes=arrived.slice();
+        renderRecipeGrid();
+        if(arrived.length<5)showRecipeSkeletons(5-arrived.length,{append:true});
+        document.getElementById("recipesTitle").textContent="Building your meals...";
+      },
+    });
+    if(!out.ok){
       clearSkeletonBanner();
-      if(handleRecipeApiError({ res, data, retryFnName: "searchRecipes" })) return;
-      throw new Error(data.message||data.error||"Could not generate recipes");
+      if(handleRecipeApiError({ res: out.res, data: out.data, retryFnName: "searchRecipes" })) return;
+      throw new Error(out.data.message||out.data.error||"Could not generate recipes");
     }
+    const data=out.data;
     if(!data.recipes?.length)throw new Error("No recipes generated. Try a different style or include more items.");
+    if(data.partial)showToast(`The connection dropped. Showing the ${data.recipes.length} recipe${data.recipes.length===1?"":"s"} that finished.`);
     state.recipeGenerationIndex += 1;
     const _evt = {
       recipe_type: 'meal_plan',
@@ -2206,6 +2303,7 @@ async function searchRecipes() {
     state.lastSavings=data.savings||null;
     state._lastBudgetTarget=payload.budgetTarget||null;
     state._isWeeklyPlan=false; state._isFreezerPlan=false;
+    state.lastRecipePayload=payload;
     state.recipeOffset=5;
     localStorage.setItem("dishcount_flow_complete","true");
     clearSkeletonBanner();
@@ -2272,6 +2370,12 @@ async function loadMoreRecipes() {
 }
 function sortRecipes(by){ensureAppScreens();document.querySelectorAll(".sort-btn").forEach(b=>b.classList.remove("active"));document.getElementById(`sort-${by}`).classList.add("active");if(by==="time")state.recipes.sort((a,b)=>a.readyInMinutes-b.readyInMinutes);if(by==="ingredients")state.recipes.sort((a,b)=>b.usedIngredientCount-a.usedIngredientCount);renderRecipeGrid();}
 
+const COST_CONFIDENCE_LABELS = {
+  high: "high confidence: this week's prices at your store",
+  medium: "medium confidence: some amounts or prices estimated",
+  low: "low confidence: mostly typical prices — check at the store",
+};
+
 function renderSavingsBanner() {
   const el = document.getElementById("savingsBanner");
   if (!el) return;
@@ -2285,14 +2389,20 @@ function renderSavingsBanner() {
       ? '<div style="margin-top:12px;padding:10px;background:rgba(82,183,136,0.2);border-radius:8px;font-size:14px;">Budget: $' + s.totalSalePrice.toFixed(2) + ' of $' + budget.toFixed(2) + ' used — <strong style="color:#52b788;">$' + remaining.toFixed(2) + ' remaining &#10003;</strong></div>'
       : '<div style="margin-top:12px;padding:10px;background:rgba(251,191,36,0.2);border-radius:8px;font-size:14px;">Budget: $' + s.totalSalePrice.toFixed(2) + ' of $' + budget.toFixed(2) + ' — <strong style="color:#fbbf24;">$' + Math.abs(remaining).toFixed(2) + ' over.</strong> Try removing a recipe or swapping proteins.</div>';
   }
+  // Costed plans (s.confidence, from the server's cost engine) price every
+  // ingredient; say how much of that rests on this week's prices.
+  const costed = !!s.confidence;
+  const confidenceLine = costed
+    ? '<div style="margin-top:12px;font-size:12px;opacity:0.75;">Every ingredient priced &middot; ' + COST_CONFIDENCE_LABELS[s.confidence.level] + (s.savingsConfidence && s.savingsConfidence.level !== s.confidence.level ? ' &middot; savings ' + s.savingsConfidence.level + ' confidence' : '') + '</div>'
+    : "";
   el.innerHTML = '<div style="background:linear-gradient(135deg,#2d6a4f,#1a2e1f);border-radius:16px;padding:24px;color:white;margin-bottom:24px;text-align:center;">' +
     '<h3 style="margin:0 0 16px;font-size:18px;">Your Meal Plan Savings</h3>' +
     '<div style="display:flex;justify-content:space-around;flex-wrap:wrap;gap:16px;">' +
-    '<div><div style="font-size:28px;font-weight:800;color:#52b788;">$' + s.totalSalePrice.toFixed(2) + '</div><div style="font-size:12px;opacity:0.8;">Sale prices</div></div>' +
-    '<div><div style="font-size:28px;font-weight:800;text-decoration:line-through;opacity:0.6;">$' + s.totalRegularPrice.toFixed(2) + '</div><div style="font-size:12px;opacity:0.8;">Regular prices</div></div>' +
+    '<div><div style="font-size:28px;font-weight:800;color:#52b788;">$' + s.totalSalePrice.toFixed(2) + '</div><div style="font-size:12px;opacity:0.8;">' + (costed ? "You'll pay" : "Sale prices") + '</div></div>' +
+    '<div><div style="font-size:28px;font-weight:800;text-decoration:line-through;opacity:0.6;">$' + s.totalRegularPrice.toFixed(2) + '</div><div style="font-size:12px;opacity:0.8;">' + (costed ? "At regular prices" : "Regular prices") + '</div></div>' +
     '<div><div style="font-size:28px;font-weight:800;color:#fbbf24;">$' + s.totalSavings.toFixed(2) + '</div><div style="font-size:12px;opacity:0.8;">You save (' + s.savingsPercent + '%)</div></div>' +
     '<div><div style="font-size:28px;font-weight:800;color:#52b788;">$' + s.costPerServing.toFixed(2) + '</div><div style="font-size:12px;opacity:0.8;">Per serving</div></div>' +
-    '</div>' + budgetLine + '</div>';
+    '</div>' + budgetLine + confidenceLine + '</div>';
 }
 
 window.submitMealsNewsletter = async function() {
@@ -2432,6 +2542,7 @@ async function generateFreezerMeals() {
     state.recipes = data.recipes;
     state.lastSavings = data.savings || null;
     state._isFreezerPlan = true; state._isWeeklyPlan = false;
+    state.lastRecipePayload = payload;
     state.recipeOffset = 0;
     clearSkeletonBanner();
     renderRecipeGrid(); renderSavingsBanner(); renderNewsletterNudge(); renderNutritionBanner(); renderSharePlanButton();
@@ -2519,7 +2630,10 @@ function renderRecipeGrid(){
         ${r.servings>=4&&r.estimatedCost>0&&r.estimatedCost/r.servings<4?'<span class="meta-chip" style="background:#CCFBF1;color:#0F766E">Family-friendly</span>':""}
         ${r._isLeftover||r.usesLeftovers?'<span class="meta-chip" style="background:#D1FAE5;color:#065F46">&#9851;&#65039; Uses your leftovers</span>':""}
         ${r.shelfLife||r.freezeInstructions?'<span class="meta-chip" style="background:#e8f4fd;color:#1a5276">&#10052;&#65039; Freezer friendly</span>':""}
-      </div></div></div>`;}).join("");
+      </div>${canSwapRecipe(r)?`<div style="display:flex;gap:6px;margin-top:8px">
+        <button onclick="event.stopPropagation();toggleRecipeLock(${i})" aria-pressed="${!!r.locked}" title="${r.locked?"Unlock — let Swap Unlocked replace it":"Lock — keep it when swapping"}" style="flex:1;background:${r.locked?"#2d6a4f":"none"};color:${r.locked?"white":"#2d6a4f"};border:1.5px solid #2d6a4f;border-radius:8px;padding:5px 0;font-size:12px;font-weight:600;cursor:pointer">${r.locked?"&#128274; Locked":"&#128275; Lock"}</button>
+        <button onclick="event.stopPropagation();swapRecipe(${i})" ${r.locked?"disabled":""} title="Replace just this recipe" style="flex:1;background:none;color:#A85D05;border:1.5px solid #A85D05;border-radius:8px;padding:5px 0;font-size:12px;font-weight:600;cursor:${r.locked?"not-allowed":"pointer"};opacity:${r.locked?".45":"1"}">&#128257; Swap</button>
+      </div>`:""}</div></div>`;}).join("");
   // Lazy-load images for cards without them
   lazyLoadRecipeImages();
 }
@@ -2610,6 +2724,25 @@ function closeModal(){
 }
 function closeModalOnOverlay(e){if(e.target===document.getElementById("modalOverlay"))closeModal();}
 
+// The server's line-by-line price for a costed recipe (r.cost, with each
+// ingredient's cost in allIngredients[i].cost): where each price came from and
+// how far to trust it.
+const COST_SOURCE_LABELS = { sale: "sale", store_regular: "store price", baseline: "typical price", pantry: "pantry share", on_hand: "have it", unknown: "estimate" };
+const COST_CONFIDENCE_COLORS = { high: "#2d6a4f", medium: "#b7791f", low: "#9b2c2c" };
+function renderCostBreakdown(r) {
+  const lines = (r.allIngredients || []).filter(i => i.cost);
+  if (!lines.length) return "";
+  const dot = (level) => `<span title="${escapeHtml(level)} confidence" style="display:inline-block;width:7px;height:7px;border-radius:50%;background:${COST_CONFIDENCE_COLORS[level] || "#999"};margin-left:6px;vertical-align:middle"></span>`;
+  const rows = lines.map(i => {
+    const c = i.cost;
+    const note = c.note ? `<div style="font-size:10px;color:#666">${escapeHtml(c.note)}</div>` : "";
+    return `<div class="ing-row"><span style="font-size:13px">${escapeHtml(i.name)}<span style="font-size:10px;color:var(--muted)"> · ${escapeHtml(COST_SOURCE_LABELS[c.source] || c.source)}</span></span><div style="text-align:right"><span style="font-size:12px;font-weight:700">$${Number(c.amount).toFixed(2)}</span>${dot(c.confidence)}${note}</div></div>`;
+  }).join("");
+  const cost = r.cost;
+  const summary = `<div style="font-size:12px;color:var(--muted);margin-top:8px">$${cost.total.toFixed(2)} total · $${cost.perServing.toFixed(2)}/serving${cost.savings > 0 ? ` · $${cost.savings.toFixed(2)} less than regular prices` : ""} · ${escapeHtml(cost.confidence.level)} confidence${cost.region ? ` · typical prices for ${escapeHtml(cost.region)}` : ""}</div>`;
+  return `<div class="modal-section"><details><summary class="modal-section-title" style="cursor:pointer">🧾 Cost Breakdown</summary><div class="ing-list">${rows}</div>${summary}</details></div>`;
+}
+
 function renderModal(r){
   const isSaved=state.savedRecipeIds.has(r.title);const cartLabel=getCartLabel();
   document.getElementById("modalContent").innerHTML=`
@@ -2632,16 +2765,20 @@ function renderModal(r){
         // strikethrough next to it, or the row reads "$10.00, was $3.99".
         const saleUnit=parseFloat(String(ing.salePrice||"").replace(/[^0-9.]/g,""))||0;
         const actualNum=parseFloat(String(ing.actualCost||"").replace(/[^0-9.]/g,""))||saleUnit;
-        const qty=saleUnit>0?actualNum/saleUnit:1;
+        // Costed cards (ing.confidence) carry their own package count and
+        // savings — an offer or a limit can price packages off the sale price.
+        const costed=!!ing.confidence;
+        const qty=costed?Number(ing.qty)||1:saleUnit>0?actualNum/saleUnit:1;
         const cost=ing.isPerLb?`≈ $${actualNum.toFixed(2)}`:`$${actualNum.toFixed(2)}`;
         const pkgNote=ing.packageNote?`<div style="font-size:10px;color:#666">${escapeHtml(ing.packageNote)}</div>`:"";
         const qtyNote=(!ing.isPerLb&&qty>1.05)?`<div style="font-size:10px;color:#666">${Math.round(qty)} × $${saleUnit.toFixed(2)}</div>`:"";
         const perLbLine=ing.isPerLb?`<div style="font-size:10px;color:#999">${escapeHtml(ing.salePrice)} <s style="opacity:0.5">${escapeHtml(ing.regularPrice)}</s></div>`:"";
         const regUnit=parseFloat(String(ing.regularPrice||"").replace(/[^0-9.]/g,""))||0;
-        const regScaled=regUnit*qty;
+        const regScaled=costed?actualNum+(parseFloat(ing.savings)||0):regUnit*qty;
         const regPrice=(!ing.isPerLb&&regScaled>actualNum+0.009)?`<span class="ing-reg-price">$${regScaled.toFixed(2)}</span>`:"";
         return `<div class="ing-row on-sale"><span>✅ ${escapeHtml(ing.name)}${ing.storeName?` <span style="font-size:9px;color:#999">(${escapeHtml(ing.storeName)})</span>`:""}</span><div style="text-align:right"><span class="ing-sale-price">${escapeHtml(cost)}</span>${regPrice}${perLbLine}${qtyNote}${pkgNote}</div></div>`;
       }).join("")}</div></div>`:""}
+      ${r.cost?renderCostBreakdown(r):""}
       ${r.couponsToClip?.length?`<div class="modal-section"><div class="modal-section-title">🎟️ Digital Coupons</div><div style="display:flex;flex-direction:column;gap:8px">${r.couponsToClip.map(c=>`<div class="coupon-card"><div><span style="font-size:13px">${c.clipped?"✅":"🎟️"} ${escapeHtml(c.description)}</span></div><div style="font-size:11px;color:var(--muted);margin-top:4px">${c.clipped?"Already clipped":"Clip in Kroger app to save"}</div></div>`).join("")}</div></div>`:""}
       <div class="modal-section">
         <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:10px">
@@ -2819,6 +2956,7 @@ async function generateWeeklyPlan() {
     state.lastSavings = data.savings || null;
     state.recipeOffset = 0;
     state._isWeeklyPlan = true; state._isFreezerPlan = false;
+    state.lastRecipePayload = payload;
     clearSkeletonBanner();
     renderRecipeGrid(); renderSavingsBanner(); renderNewsletterNudge(); renderNutritionBanner(); renderSharePlanButton();
     document.getElementById("recipesTitle").textContent = "📅 Your Weekly Meal Plan";
@@ -2833,6 +2971,92 @@ async function generateWeeklyPlan() {
   }
 }
 
+// ── Recipe Swaps ────────────────────────────────────────────────────────────
+// Replace one recipe, or every unlocked one, without re-rolling the set:
+// POST /api/recipes/ai/replace with the payload that built the set, the
+// recipes being kept (locked) and the ones going (replacing). The server
+// steers the replacements off the kept recipes' proteins and sale items; a
+// weekly-plan replacement takes over its predecessor's day.
+function canSwapRecipe(r) {
+  return !!state.lastRecipePayload && String(r.id || "").startsWith("ai-");
+}
+
+function toggleRecipeLock(i) {
+  const r = state.recipes[i];
+  if (!r) return;
+  r.locked = !r.locked;
+  renderRecipeGrid(); restoreRecipeResultsHeader();
+}
+
+function swapRecipe(i) {
+  const r = state.recipes[i];
+  if (!r || r.locked) return;
+  const hint = prompt(`Swap "${r.title}" for something else.\nAnything in particular? (optional — e.g. "something faster", "no pasta")`, "");
+  if (hint === null) return;
+  replaceRecipes([i], hint);
+}
+
+function swapUnlockedRecipes() {
+  const indices = state.recipes.map((r, i) => (canSwapRecipe(r) && !r.locked ? i : -1)).filter(i => i >= 0);
+  if (!indices.length) { showToast("Every recipe is locked. Unlock the ones you want to swap."); return; }
+  replaceRecipes(indices.slice(0, 5), "");
+}
+
+// renderRecipeGrid() writes the generic results header; plans keep their own.
+function restoreRecipeResultsHeader() {
+  if (state._isWeeklyPlan) {
+    document.getElementById("recipesTitle").textContent = "📅 Your Weekly Meal Plan";
+    document.getElementById("resultsCount").textContent = state.recipes.length + " dinners planned for the week";
+  } else if (state._isFreezerPlan) {
+    document.getElementById("recipesTitle").textContent = "❄️ Freezer Meal Plan";
+    document.getElementById("resultsCount").textContent = state.recipes.length + " freezer-friendly recipes";
+  }
+}
+
+async function replaceRecipes(indices, hint) {
+  const replacing = indices.map(i => state.recipes[i]).filter(Boolean);
+  if (!replacing.length || state._swapping) return;
+  const going = new Set(replacing);
+  const locked = state.recipes.filter(r => !going.has(r) && canSwapRecipe(r));
+  const btn = document.getElementById("swapUnlockedBtn");
+  state._swapping = true;
+  if (btn) { btn.disabled = true; btn.textContent = "Swapping…"; }
+  showToast(replacing.length === 1 ? `Finding a replacement for ${replacing[0].title}…` : `Finding ${replacing.length} new recipes…`);
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 90000);
+  try {
+    const res = await fetch("/api/recipes/ai/replace", {
+      method: "POST", headers: { "Content-Type": "application/json", "X-Anon-Id": _anonId },
+      body: JSON.stringify({ ...state.lastRecipePayload, locked, replacing, hint }), signal: controller.signal,
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      if (handleRecipeApiError({ res, data, retryFnName: "swapUnlockedRecipes" })) return;
+      throw new Error(data.error || "Could not swap recipes");
+    }
+    if (!data.recipes?.length) throw new Error("No replacement found. Try a different request.");
+    // Positions stay put: each replacement takes the slot of the recipe it
+    // replaces. Fewer replacements than asked for leave the rest as they were.
+    data.recipes.forEach((recipe, k) => {
+      const at = state.recipes.indexOf(replacing[k]);
+      if (at >= 0) state.recipes[at] = recipe;
+    });
+    state.lastSavings = data.savings || state.lastSavings;
+    trackAnonRecipeGeneration();
+    replacing.slice(0, data.recipes.length).forEach(r => trackInteraction(r.title, "skipped", getRecipeTags(r)));
+    if (window.posthog) window.posthog.capture('swapped_recipes', { count: data.recipes.length, has_hint: !!hint, recipe_type: state._isWeeklyPlan ? 'weekly' : (state._isFreezerPlan ? 'freezer' : 'meal_plan') });
+    renderRecipeGrid(); renderSavingsBanner(); renderNutritionBanner(); restoreRecipeResultsHeader();
+    if (data.badges) handleBadgeResponse(data.badges);
+    showToast(data.recipes.length === 1 ? `Swapped in ${data.recipes[0].title}` : `${data.recipes.length} recipes swapped`, "success");
+  } catch (err) {
+    handleRecipeApiError({ err, retryFnName: "swapUnlockedRecipes" });
+  } finally {
+    clearTimeout(timeout);
+    state._swapping = false;
+    if (btn) { btn.disabled = false; btn.textContent = "\u{1F501} Swap Unlocked"; }
+  }
+}
+
 // ── Rating Form ─────────────────────────────────────────────────────────────
 function showRatingForm() {
   const r = state.currentRecipe;
@@ -3281,8 +3505,10 @@ function renderSlideoutList() {
     for (const [cat, items] of Object.entries(cats)) {
       html += `<div style="font-size:11px;font-weight:700;color:var(--muted);margin:10px 0 4px">${getCatEmoji(cat)} ${escapeHtml(cat)}</div>`;
       items.forEach(item => {
+        // item.offer: the deal's offer terms ("Buy 5 · Limit 4"), so the list
+        // says when the price needs more than one in the cart or a coupon.
         html += `<div style="display:flex;align-items:center;gap:8px;padding:8px 0;border-bottom:1px solid #f0ede6;min-height:40px">
-          <div style="flex:1;font-size:13px">${escapeHtml(item.name)}</div>
+          <div style="flex:1;font-size:13px">${escapeHtml(item.name)}${item.offer?`<div style="font-size:11px;color:var(--muted)">${escapeHtml(item.offer)}</div>`:""}</div>
           ${item.price?`<span style="font-weight:700;color:var(--orange);font-size:12px">$${escapeHtml(String(item.price).replace(/^\$/,""))}</span>`:""}
           <button onclick="slRemoveItem(${item.id})" style="background:none;border:none;cursor:pointer;font-size:14px;color:#ccc;padding:2px">✕</button></div>`;
       });
@@ -3641,7 +3867,8 @@ function addCheckedToList() {
     if (checkboxes[idx]?.checked) {
       const price = ing.matchedDeal ? (ing.matchedDeal.actualCost || String(ing.matchedDeal.salePrice).replace(/[^0-9.]/g,"")) : "";
       const upc = ing.matchedDeal?.upc || "";
-      const added = slAddItem({ name: ing.name, price, store: ing.matchedDeal?.storeName || "", source: "recipe-ingredient", recipeTitle: r.title, upc });
+      // quantity/unit are the recipe's own amounts (schema-checked server-side).
+      const added = slAddItem({ name: ing.name, price, store: ing.matchedDeal?.storeName || "", source: "recipe-ingredient", recipeTitle: r.title, upc, quantity: ing.quantity ?? null, unit: ing.unit || "" });
       if (added) count++;
     }
   });
@@ -3841,9 +4068,25 @@ async function loadPersonalDashboard() {
   } catch (e) { console.error("loadPersonalDashboard:", e); }
 }
 
+// ── Watch alerts ────────────────────────────────────────────────────────────
+// One toast per browser session for unread price-watch alerts. They stay
+// unread until the profile page (which lists them) is opened.
+async function notifyWatchAlerts(token) {
+  if (sessionStorage.getItem("dishcount_watch_alerts_shown")) return;
+  sessionStorage.setItem("dishcount_watch_alerts_shown", "1");
+  try {
+    const res = await fetch("/api/notifications?unread=1", { headers: { Authorization: "Bearer " + token } });
+    if (!res.ok) return;
+    const { alerts = [], unread = 0 } = await res.json();
+    if (!unread) return;
+    showToast(unread === 1 ? `🔔 ${alerts[0].summary}` : `🔔 ${unread} price alerts — see your profile`, "success");
+  } catch (e) { console.error("notifyWatchAlerts:", e); }
+}
+
 // Load dashboard on auth state change for signed-in users
 sb.auth.onAuthStateChange((event, session) => {
   if (session?.user) setTimeout(loadPersonalDashboard, 500);
+  if (session?.access_token) setTimeout(() => notifyWatchAlerts(session.access_token), 1500);
 });
 
 // ── Global error boundary ────────────────────────────────────────────────────
@@ -7,8 +7,12 @@ import {
   getCachedDeals, setCachedDeals,
   requireAdminToken, verifyAdminToken, createAdminToken,
   KROGER_API_BASE, DEAL_CACHE_TTL,
-  IGROCERYADS_STORES, canonicalizeStoreId,
+  canonicalizeStoreId,
 } from "../lib/utils.js";
+import { AD_SOURCE_CHAINS, adapterForUrl, describeSourceAttempts } from "../lib/ad-sources/index.js";
+import { summarizeTileCache, OCR_TILE_RETENTION } from "../lib/ocr-cache.js";
+import { isWindowExpired } from "../lib/ad-validity.js";
+import { complete, llmConfigured, llmUsage } from "../lib/llm/index.js";
 
 const router = Router();
 
@@ -258,17 +262,21 @@ function _analyzeChainHealth({ kind, displayName, storeId, sourceUrl, cacheKey,
 
   const notes = [];
   if (dealCount > 0 && dealCount < 15) notes.push("low volume (<15 deals)");
+  // Reads hide a row whose ad has ended (lib/ad-validity.js), so however
+  // recent the fetch, users are not seeing it.
+  const adEnded = isWindowExpired({ validTo: row.valid_to });
+  if (adEnded) notes.push(`ad ended ${row.valid_to}`);
 
   let status;
   if (dealCount === 0) status = "BROKEN";
   else if (ageDays > brokenDays) status = "BROKEN";
-  else if (ageDays > staleDays) status = "STALE";
+  else if (ageDays > staleDays || adEnded) status = "STALE";
   else if (qualityPct < 50) {
     status = "DEGRADED";
     notes.push(`${qualityPct}% of items have valid prices`);
   } else status = "HEALTHY";
 
-  return { ...base, status, rowExists: true, fetchedAt: row.fetched_at, ageDays, dealCount, pricedCount: priced, qualityPct, notes };
+  return { ...base, status, rowExists: true, fetchedAt: row.fetched_at, validFrom: row.valid_from ?? null, validTo: row.valid_to ?? null, ageDays, dealCount, pricedCount: priced, qualityPct, notes };
 }
 
 function _renderSourceHealthHtml(payload) {
@@ -322,7 +330,7 @@ router.get("/api/admin/source-health", adminAuth, async (req, res) => {
   try {
     const format = req.query.format || (req.headers.accept?.includes("text/html") ? "html" : "json");
 
-    const { data: cacheRows } = await supabase.from("deal_cache").select("cache_key, fetched_at, data");
+    const { data: cacheRows } = await supabase.from("deal_cache").select("cache_key, fetched_at, data, valid_from, valid_to");
     const cacheByKey = new Map((cacheRows || []).map(r => [r.cache_key, r]));
 
     const chains = [];
@@ -332,17 +340,27 @@ router.get("/api/admin/source-health", adminAuth, async (req, res) => {
     // different storeIds, e.g. "stop & shop" vs "stop and shop", appear as separate
     // entries with the same sourceUrl, making the duplication visible to operators)
     const byStoreId = new Map();
-    for (const [name, url] of Object.entries(IGROCERYADS_STORES)) {
+    for (const [name, urls] of Object.entries(AD_SOURCE_CHAINS)) {
       const storeId = name.replace(/['\s]+/g, "-").replace(/--+/g, "-");
-      if (!byStoreId.has(storeId)) byStoreId.set(storeId, { name, url });
+      if (!byStoreId.has(storeId)) byStoreId.set(storeId, { name, urls });
     }
-    for (const [storeId, { name, url }] of byStoreId.entries()) {
+    for (const [storeId, { name, urls }] of byStoreId.entries()) {
       seenStoreIds.add(storeId);
-      chains.push(_analyzeChainHealth({
-        kind: "ad-extract", displayName: _titleCase(name), storeId, sourceUrl: url,
+      const analysis = _analyzeChainHealth({
+        kind: "ad-extract", displayName: _titleCase(name), storeId, sourceUrl: urls[0],
         cacheKey: `ad-extract:${storeId}`, row: cacheByKey.get(`ad-extract:${storeId}`),
         staleDays: 7, brokenDays: 14,
-      }));
+      });
+      analysis.adapters = urls.map(u => adapterForUrl(u)?.id || "unhandled");
+      // Per-adapter verdicts from the last run, read off the ad-reject: row
+      // extract-store writes on every invocation. Only failures are noted: a
+      // healthy primary is already implied by the deal count.
+      const lastRun = cacheByKey.get(`ad-reject:${storeId}`)?.data;
+      analysis.sourceAttempts = describeSourceAttempts(lastRun?.sourceAttempts);
+      for (const a of analysis.sourceAttempts) {
+        if (!a.ok) analysis.notes.push(`${a.adapter}: ${a.note}`);
+      }
+      chains.push(analysis);
     }
 
     // Kroger aggregate (per-locationId rows summarized as one entry — listing each
@@ -360,17 +378,79 @@ router.get("/api/admin/source-health", adminAuth, async (req, res) => {
       const newestDays = Math.round(Math.min(...ages) / 86400000 * 10) / 10;
       const totalDeals = krogerRows.reduce((s, r) => s + (Array.isArray(r.data) ? r.data.length : 0), 0);
       const status = newestDays > 4 ? "STALE" : "HEALTHY";
+      const notes = [`${krogerRows.length} locations cached, oldest ${oldestDays}d ago`];
+      // Catalog coverage from the coverage:kroger:* records lib/kroger-deals.js
+      // writes per refresh: terms that hit the page ceiling with results still
+      // coming, and pages lost to errors or rate limiting.
+      const coverage = (cacheRows || []).filter(r => r.cache_key.startsWith("coverage:kroger:")).map(r => r.data || {});
+      if (coverage.length) {
+        const truncated = new Set(coverage.flatMap(c => c.truncatedTerms || []));
+        const failedPages = coverage.reduce((s, c) => s + (c.failedPages || 0), 0);
+        const rateLimited = coverage.reduce((s, c) => s + (c.rateLimited || 0), 0);
+        notes.push(`coverage: ${coverage.reduce((s, c) => s + (c.pages || 0), 0)} pages over ${coverage.length} locations`);
+        if (truncated.size) notes.push(`truncated terms: ${[...truncated].slice(0, 8).join(", ")}${truncated.size > 8 ? ` +${truncated.size - 8}` : ""}`);
+        if (failedPages) notes.push(`${failedPages} pages failed`);
+        if (rateLimited) notes.push(`${rateLimited} 429s`);
+      }
       chains.push({
         kind: "api", displayName: "Kroger (live API)", storeId: "kroger-aggregate",
         sourceUrl: "api.kroger.com (live, per-locationId)", cacheKey: "kroger:*",
         status, rowExists: true, dealCount: totalDeals, ageDays: newestDays,
-        notes: [`${krogerRows.length} locations cached, oldest ${oldestDays}d ago`],
+        notes,
+      });
+    }
+
+    // Flipp aggregate, same treatment as Kroger: one entry over the per-zip3
+    // rows. Empty rows are legitimate (zip3s Flipp doesn't cover) so they are
+    // counted in the note rather than failing the entry.
+    const flippRows = (cacheRows || []).filter(r => r.cache_key.startsWith("flipp:"));
+    if (flippRows.length === 0) {
+      chains.push({
+        kind: "api", displayName: "Flipp (flyer search)", storeId: "flipp-aggregate",
+        sourceUrl: "backflipp.wishabi.com (per-zip3)", cacheKey: "flipp:*",
+        status: "DORMANT", rowExists: false, dealCount: 0, notes: ["no zip3s cached yet"],
+      });
+    } else {
+      const ages = flippRows.map(r => Date.now() - new Date(r.fetched_at).getTime());
+      const newestDays = Math.round(Math.min(...ages) / 86400000 * 10) / 10;
+      const totalDeals = flippRows.reduce((s, r) => s + (Array.isArray(r.data) ? r.data.length : 0), 0);
+      const emptyRows = flippRows.filter(r => !Array.isArray(r.data) || r.data.length === 0).length;
+      const merchants = new Set(flippRows.flatMap(r => Array.isArray(r.data) ? r.data.map(d => d.storeName) : [])).size;
+      const status = totalDeals === 0 ? "BROKEN" : newestDays > 4 ? "STALE" : "HEALTHY";
+      const notes = [`${flippRows.length} zip3s cached, ${merchants} merchants`];
+      if (emptyRows) notes.push(`${emptyRows} zip3s returned no deals`);
+      chains.push({
+        kind: "api", displayName: "Flipp (flyer search)", storeId: "flipp-aggregate",
+        sourceUrl: "backflipp.wishabi.com (per-zip3)", cacheKey: "flipp:*",
+        status, rowExists: true, dealCount: totalDeals, ageDays: newestDays, notes,
+      });
+    }
+
+    // Albertsons-family scrape (scripts/cron/scrape-albertsons.js): one entry per
+    // configured banner/store, read off the scrape-run: record each run writes
+    // pass or fail. A failed run leaves last week's deals row in place, so the
+    // deals row alone would look healthy until it aged out; the run record is
+    // what says the banner broke.
+    const scrapeRuns = (cacheRows || []).filter(r => r.cache_key.startsWith("scrape-run:albertsons:"));
+    for (const row of scrapeRuns) {
+      const run = row.data || {};
+      const ageDays = Math.round((Date.now() - new Date(row.fetched_at).getTime()) / 86400000 * 10) / 10;
+      const dealsRow = run.cacheKey ? cacheByKey.get(run.cacheKey) : null;
+      const dealCount = Array.isArray(dealsRow?.data) ? dealsRow.data.length : 0;
+      const status = !run.ok ? "BROKEN" : ageDays > 8 ? "STALE" : "HEALTHY";
+      const notes = [`store ${run.storeId} (${run.zip}), last run ${ageDays}d ago`];
+      if (!run.ok) notes.push(`last run failed: ${run.error || "unknown error"}`);
+      if (run.categoriesEmpty) notes.push(`${run.categoriesEmpty} categories returned nothing`);
+      chains.push({
+        kind: "scrape", displayName: `${run.bannerName || run.banner} (Playwright)`,
+        storeId: `albertsons-${run.banner}-${run.storeId}`, sourceUrl: run.pageTitle || "(no page loaded)",
+        cacheKey: run.cacheKey, status, rowExists: !!dealsRow, dealCount, ageDays, notes,
       });
     }
 
     // Orphan ad-extract rows (cache keys not matching any registered storeId).
     // These usually come from user-typed storeNames that don't exactly match an
-    // IGROCERYADS_STORES key — flag with likely-duplicate hint when possible.
+    // AD_SOURCE_CHAINS alias — flag with likely-duplicate hint when possible.
     const orphanRows = (cacheRows || []).filter(r => {
       if (!r.cache_key.startsWith("ad-extract:")) return false;
       const id = r.cache_key.split(":")[1];
@@ -379,7 +459,7 @@ router.get("/api/admin/source-health", adminAuth, async (req, res) => {
     for (const row of orphanRows) {
       const orphanId = row.cache_key.split(":")[1];
       const match = _findOrphanMatch(orphanId, seenStoreIds);
-      const matchNote = match ? `likely duplicate of ${match}` : "not in IGROCERYADS_STORES";
+      const matchNote = match ? `likely duplicate of ${match}` : "not in AD_SOURCE_CHAINS";
       const analysis = _analyzeChainHealth({
         kind: "orphan", displayName: _titleCase(orphanId.replace(/-/g, " ")),
         storeId: orphanId, sourceUrl: "(unregistered — likely user-triggered)",
@@ -417,26 +497,38 @@ router.post("/api/admin/cache-cleanup", adminAuth, async (req, res) => {
       if (error) throw new Error(error.message);
       res.json({ deleted: 1, message: `Removed ${key}` });
     } else {
-      // Delete all stale entries. ad-reject: rows are swept separately: they are
-      // a forensic record of what extraction refused to store, not a cache, so
-      // the 24h deal TTL would delete them the same day they were written.
+      // Delete all stale entries. ad-reject: and scrape-run: rows are swept
+      // separately: they are forensic records (what extraction refused to store,
+      // how each weekly scrape went), not a cache, so the 24h deal TTL would
+      // delete them the same day they were written.
       const cutoff = new Date(Date.now() - DEAL_CACHE_TTL).toISOString();
       const { data, error } = await supabase.from("deal_cache").delete()
         .lt("fetched_at", cutoff)
         .not("cache_key", "like", "ad-reject:%")
+        .not("cache_key", "like", "scrape-run:%")
         .select("cache_key");
       if (error) throw new Error(error.message);
 
       const rejectCutoff = new Date(Date.now() - AD_REJECT_RETENTION).toISOString();
       const { data: rejectData, error: rejectError } = await supabase.from("deal_cache").delete()
         .lt("fetched_at", rejectCutoff)
-        .like("cache_key", "ad-reject:%")
+        .or("cache_key.like.ad-reject:%,cache_key.like.scrape-run:%")
         .select("cache_key");
       if (rejectError) throw new Error(rejectError.message);
 
+      // OCR tile cache lives in its own table; a tile not read or hit within
+      // OCR_TILE_RETENTION belongs to an ad that has been replaced.
+      const tileCutoff = new Date(Date.now() - OCR_TILE_RETENTION).toISOString();
+      const { data: tileData, error: tileError } = await supabase.from("ocr_tile_cache").delete()
+        .lt("created_at", tileCutoff)
+        .or(`last_hit_at.is.null,last_hit_at.lt.${tileCutoff}`)
+        .select("tile_hash");
+      if (tileError) throw new Error(tileError.message);
+
       res.json({
         deleted: (data?.length || 0) + (rejectData?.length || 0),
         deletedRejects: rejectData?.length || 0,
+        deletedOcrTiles: tileData?.length || 0,
         message: "Removed stale entries",
       });
     }
@@ -460,6 +552,59 @@ router.post("/api/admin/extract-all", adminAuth, async (req, res) => {
   res.json({ results });
 });
 
+// ── OCR tile cache (lib/ocr-cache.js) ──────────────────────────────────────
+// Lifetime totals: every hit is a vision call not made. Per-run hit/miss counts
+// are on each extraction job's result (see /api/admin/extract-jobs).
+router.get("/api/admin/ocr-cache-stats", adminAuth, async (req, res) => {
+  try {
+    const { data, error } = await supabase.from("ocr_tile_cache").select("store_id, hits");
+    if (error) throw new Error(error.message);
+    const byStore = {};
+    for (const row of data || []) {
+      const s = byStore[row.store_id] || (byStore[row.store_id] = { tiles: 0, hits: 0 });
+      s.tiles++;
+      s.hits += row.hits || 0;
+    }
+    const totalHits = (data || []).reduce((sum, r) => sum + (r.hits || 0), 0);
+    const { savedUsd } = summarizeTileCache(totalHits, 0);
+    res.json({
+      tiles: data?.length || 0,
+      hits: totalHits,
+      savedUsd,
+      stores: Object.entries(byStore)
+        .map(([storeId, s]) => ({ storeId, ...s, savedUsd: summarizeTileCache(s.hits, 0).savedUsd }))
+        .sort((a, b) => b.hits - a.hits),
+    });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ── Extraction jobs (lib/extract-queue.js) ─────────────────────────────────
+// ?store= filters by canonical storeId, ?state= by job state. Logs are only
+// returned per job: the list view is for spotting failures, the detail view
+// for reading why.
+router.get("/api/admin/extract-jobs", adminAuth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    let query = supabase.from("extract_jobs").select("*").order("created_at", { ascending: false }).limit(limit);
+    if (req.query.store) query = query.eq("store_id", canonicalizeStoreId(String(req.query.store)));
+    if (req.query.state) query = query.eq("state", String(req.query.state));
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    res.json({ jobs: data || [] });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+router.get("/api/admin/extract-jobs/:id", adminAuth, async (req, res) => {
+  try {
+    const { data: job, error } = await supabase.from("extract_jobs").select("*").eq("id", req.params.id).maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    const { data: logs } = await supabase.from("extract_job_logs").select("level, message, created_at")
+      .eq("job_id", job.id).order("id", { ascending: true });
+    res.json({ job, logs: logs || [] });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
 // ══ API USAGE ═══════════════════════════════════════════════════════════════
 
 router.get("/api/admin/api-usage", adminAuth, async (req, res) => {
@@ -494,6 +639,8 @@ router.get("/api/admin/api-usage", adminAuth, async (req, res) => {
       },
       recent: recentRes.data || [],
       dailySpend,
+      // This instance's calls since it started, per purpose (lib/llm).
+      process: llmUsage(),
     });
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
@@ -603,21 +750,110 @@ router.post("/api/extract-ad", adminAuth, async (req, res) => {
   try {
     const { image, storeName } = req.body;
     if (!image) return res.status(400).json({ error: "No image provided" });
-    const ANTHROPIC_KEY = process.env.ANTHROPIC_API_KEY;
-    if (!ANTHROPIC_KEY) return res.status(500).json({ error: "Anthropic API key not configured" });
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: { "Content-Type": "application/json", "x-api-key": ANTHROPIC_KEY, "anthropic-version": "2023-06-01" },
-      body: JSON.stringify({ model: "claude-haiku-4-5-20251001", max_tokens: 4000, messages: [{ role: "user", content: [{ type: "image", source: { type: "base64", media_type: "image/jpeg", data: image } }, { type: "text", text: `Extract grocery deals from this ${storeName || "grocery store"} weekly ad image. Return ONLY a valid JSON array. For each item: {"name":"","brand":"","salePrice":"","unit":"","regularPrice":"","dealType":"sale/bogo/percent_off","category":"meat/produce/dairy/bakery/frozen/pantry/snacks/beverages/deli/seafood/household/other","size":"","notes":""}` }] }] }),
-    });
-    const data = await response.json();
-    const text = data.content?.map(c => c.text || "").join("") || "";
-    const deals = JSON.parse(text.replace(/```json|```/g, "").trim());
+    if (!llmConfigured()) return res.status(500).json({ error: "Anthropic API key not configured" });
+    const reply = await complete({ purpose: "ad-ocr", maxTokens: 4000, json: "array", images: [{ data: image, mediaType: "image/jpeg" }], prompt: `Extract grocery deals from this ${storeName || "grocery store"} weekly ad image. Return ONLY a valid JSON array. For each item: {"name":"","brand":"","salePrice":"","unit":"","regularPrice":"","dealType":"sale/bogo/percent_off","category":"meat/produce/dairy/bakery/frozen/pantry/snacks/beverages/deli/seafood/household/other","size":"","notes":""}` });
+    if (reply.parse === "fail") throw new Error(`Unreadable extraction: ${reply.parseError}`);
+    const deals = reply.json;
     const enriched = deals.map((d, i) => ({ ...d, id: `ad-${Date.now()}-${i}`, storeName: storeName || "Unknown", source: "ad-extract", image: getCategoryImage(d.category) }));
     res.json({ deals: enriched, count: enriched.length });
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
+// ══ AD UPLOAD MODERATION ═════════════════════════════════════════════════════
+// User uploads (POST /api/ad-uploads, routes/stores.js) wait here as "pending"
+// with their validated rows. Approving publishes them to their own
+// ad-upload:{zip3}:{storeId}:{uploadId} row, which /api/deals/regional adds to
+// the zip3's pool next to the chain's crawled ad — not an ad-extract: zip3 row,
+// which would shadow the chain's master crawl there and let a two-page upload
+// replace the full ad. Where both carry an item, the crawl's row wins the
+// dedupe; the detail view reports masterDeals so the reviewer can see how much
+// the upload adds.
+
+const AD_UPLOAD_DEFAULT_VALIDITY = 7 * 24 * 60 * 60 * 1000;
+
+router.get("/api/admin/ad-uploads", adminAuth, async (req, res) => {
+  try {
+    const state = String(req.query.state || "pending");
+    const { data, error } = await supabase.from("ad_uploads")
+      .select("id, user_id, store_name, store_id, zip3, state, page_count, vision_calls, deals, rejects, error, created_at, reviewed_at")
+      .eq("state", state).order("created_at", { ascending: true }).limit(100);
+    if (error) throw new Error(error.message);
+    res.json({
+      uploads: (data || []).map(({ deals, rejects, ...u }) => ({ ...u, deals: deals?.length || 0, rejected: rejects?.length || 0 })),
+    });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+router.get("/api/admin/ad-uploads/:id", adminAuth, async (req, res) => {
+  try {
+    const { data: upload, error } = await supabase.from("ad_uploads").select("*").eq("id", req.params.id).maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!upload) return res.status(404).json({ error: "Upload not found" });
+    const pages = [];
+    for (const path of upload.page_paths || []) {
+      const { data: signed } = await supabase.storage.from("ad-uploads").createSignedUrl(path, 60 * 60);
+      pages.push({ path, url: signed?.signedUrl || null });
+    }
+    const master = await getCachedDeals(`ad-extract:${upload.store_id}`);
+    res.json({ upload, pages, masterDeals: Array.isArray(master) ? master.length : 0 });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Body: { exclude?: [index into upload.deals], note? }. Excluded rows are
+// dropped by position so the reviewer can strike misreads without editing.
+router.post("/api/admin/ad-uploads/:id/approve", adminAuth, async (req, res) => {
+  try {
+    const { data: upload, error } = await supabase.from("ad_uploads").select("*").eq("id", req.params.id).maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!upload) return res.status(404).json({ error: "Upload not found" });
+    if (upload.state !== "pending") return res.status(409).json({ error: `Upload is ${upload.state}, not pending` });
+
+    const exclude = new Set((req.body?.exclude || []).map(Number));
+    const approvedAt = new Date().toISOString();
+    const adValidFrom = upload.valid_from || upload.created_at;
+    const adValidTo = upload.valid_to || new Date(new Date(upload.created_at).getTime() + AD_UPLOAD_DEFAULT_VALIDITY).toISOString();
+    const deals = (upload.deals || [])
+      .filter((_, i) => !exclude.has(i))
+      .map((d, i) => ({
+        ...d,
+        id: `${upload.store_id}-upload-${upload.id}-${i}`,
+        storeName: upload.store_name,
+        source: "ad-extract",
+        image: getCategoryImage(d.category),
+        adSourceUrl: null,
+        provenance: { kind: "user-upload", uploadId: upload.id, submittedAt: upload.created_at, approvedAt },
+      }));
+    if (deals.length === 0) return res.status(400).json({ error: "Nothing left to publish; reject the upload instead" });
+
+    // Claim the upload before publishing: the state check above and this
+    // update are not atomic, so only the approval whose update still finds it
+    // pending goes on to write the cache row.
+    const cacheKey = `ad-upload:${upload.zip3}:${upload.store_id}:${upload.id}`;
+    const { data: claimed, error: claimError } = await supabase.from("ad_uploads").update({
+      state: "approved", reviewed_at: approvedAt, review_note: req.body?.note || null,
+      published_cache_key: cacheKey, updated_at: approvedAt,
+    }).eq("id", upload.id).eq("state", "pending").select("id");
+    if (claimError) throw new Error(claimError.message);
+    if (!claimed?.length) return res.status(409).json({ error: "Upload was already reviewed" });
+    await setCachedDeals(cacheKey, deals, { validFrom: adValidFrom, validTo: adValidTo });
+    console.log(`Ad upload ${upload.id} approved: ${deals.length} deals → ${cacheKey}`);
+    res.json({ success: true, cacheKey, count: deals.length });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+router.post("/api/admin/ad-uploads/:id/reject", adminAuth, async (req, res) => {
+  try {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase.from("ad_uploads")
+      .update({ state: "rejected", reviewed_at: now, review_note: req.body?.note || null, updated_at: now })
+      .eq("id", req.params.id).in("state", ["pending", "failed", "processing"])
+      .select("id");
+    if (error) throw new Error(error.message);
+    if (!data?.length) return res.status(409).json({ error: "Upload not found or already reviewed" });
+    res.json({ success: true });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
 router.post("/api/admin/import-deals", adminAuth, async (req, res) => {
   try {
     const { deals, storeName, zip3 } = req.body;
@@ -41,11 +41,11 @@ router.get("/api/aldi/status", async (req, res) => {
   try {
     const { data } = await supabase
       .from("deal_cache")
-      .select("fetched_at, data")
+      .select("fetched_at, data, valid_from, valid_to")
       .eq("cache_key", "ad-extract:aldi")
       .single();
     const dealCount = Array.isArray(data?.data) ? data.data.length : 0;
-    res.json({ deals_in_db: dealCount, last_scraped: data?.fetched_at || null });
+    res.json({ deals_in_db: dealCount, last_scraped: data?.fetched_at || null, valid_from: data?.valid_from || null, valid_to: data?.valid_to || null });
   } catch (err) {
     console.error("Aldi status error:", err.message);
     res.status(500).json({ error: "Something went wrong. Please try again." });
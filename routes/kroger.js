@@ -1,10 +1,10 @@
 import { Router } from "express";
 import fetch from "node-fetch";
 import {
-  getUser, getAppToken, getKrogerToken, saveKrogerToken, validateZip, detectPerLb,
-  getCachedDeals, setCachedDeals,
-  KROGER_API_BASE, DEAL_CATEGORIES,
+  getUser, getAppToken, getKrogerToken, saveKrogerToken, validateZip,
+  getCachedDeals, KROGER_API_BASE,
 } from "../lib/utils.js";
+import { scheduleKrogerRefresh } from "../lib/kroger-deals.js";
 
 const router = Router();
 
@@ -18,52 +18,6 @@ const KROGER_FAMILY_BUDGET = /\b(smart way|fmv|fred meyer value|my-te-fine|big k
 const KROGER_FAMILY_STANDARD = /\b(kroger|simple truth|heritage farm|mercado|home chef|roundy'?s|ht traders|harris teeter)\b/i;
 const KROGER_FAMILY_PREMIUM = /\b(private selection|hemisfares|murray'?s cheese|field & vine|field and vine)\b/i;
 
-// ── Shared Kroger deal fetching logic ─────────────────────────────────────────
-
-export async function fetchKrogerDeals(locationId, banner) {
-  const token = await getAppToken();
-  const allProducts = [];
-  const batchSize = 15;
-  for (let i = 0; i < DEAL_CATEGORIES.length; i += batchSize) {
-    const batch = DEAL_CATEGORIES.slice(i, i + batchSize);
-    await Promise.all(batch.map(async (category) => {
-      try {
-        const r = await fetch(
-          `${KROGER_API_BASE}/products?filter.locationId=${locationId}&filter.term=${encodeURIComponent(category)}&filter.limit=20`,
-          { headers: { Authorization: `Bearer ${token}`, Accept: "application/json" } }
-        );
-        if (!r.ok) return;
-        const data = await r.json();
-        const products = (data.data || []).filter(p => p.items?.[0]?.price?.promo > 0).map(p => {
-          const item = p.items[0];
-          const size = item.size || "";
-          const sizeLower = size.toLowerCase();
-          const regular = item.price.regular || 0;
-          const sale = item.price.promo || 0;
-          const nameLower = (p.description || "").toLowerCase();
-          const isPerLb = detectPerLb(sizeLower, nameLower, sale);
-          const isPerCount = sizeLower.includes("ct") && !sizeLower.includes("oz");
-          const pctOff = Math.round(((regular - sale) / regular) * 100);
-          return {
-            id: p.productId, upc: item.upc || "", name: p.description, brand: p.brand || "", category,
-            regularPrice: regular.toFixed(2), salePrice: sale.toFixed(2),
-            isPerLb, priceUnit: isPerLb ? "/lb" : isPerCount ? "/ea" : "",
-            savings: (regular - sale).toFixed(2), pctOff, size,
-            image: p.images?.find(i => i.perspective === "front")?.sizes?.find(s => s.size === "medium")?.url || p.images?.find(i => i.perspective === "front")?.sizes?.find(s => s.size === "thumbnail")?.url || null,
-            storeName: banner || "Kroger", source: "kroger",
-          };
-        });
-        allProducts.push(...products);
-      } catch (e) { console.error(`Kroger category "${category}" fetch error:`, e.message); }
-    }));
-  }
-  const seen = new Set();
-  return allProducts
-    .filter(p => { if (seen.has(p.id)) return false; seen.add(p.id); return true; })
-    .sort((a, b) => b.pctOff - a.pctOff)
-    .slice(0, 500);
-}
-
 // ══ STORES API (Kroger) ═══════════════════════════════════════════════════════
 
 router.get("/api/stores", async (req, res) => {
@@ -214,11 +168,12 @@ router.get("/api/deals", async (req, res) => {
       console.log(`Kroger Supabase cache HIT for location ${locationId} (${dbCached.length} deals)`);
       return res.json({ deals: dbCached, cached: true });
     }
-    console.log(`Kroger cache MISS for location ${locationId} — fetching live...`);
-    const unique = await fetchKrogerDeals(locationId);
-    await setCachedDeals(cacheKey, unique);
-    console.log(`Kroger: saved ${unique.length} deals for location ${locationId}`);
-    res.json({ deals: unique });
+    // A miss queues the (paginated, rate-limited) catalog crawl in the
+    // background, as /api/deals/regional does, rather than running it inside
+    // an unauthenticated request for any locationId.
+    const queued = scheduleKrogerRefresh(locationId);
+    console.log(`Kroger cache MISS for location ${locationId} — ${queued ? "refresh queued" : "refresh already queued"}`);
+    res.json({ deals: [], refreshing: true });
   } catch (err) { console.error(err.message); res.status(500).json({ error: "Something went wrong. Please try again." }); }
 });
 
@@ -7,11 +7,27 @@ import {
   supabase, getUser,
   aiRecipeCache,
   CACHE_TTL,
-  findDeal, logApiUsage, logError, DIET_MAP, MEAL_TYPE_MAP, KID_QUERIES,
+  findDeal, logError, DIET_MAP, MEAL_TYPE_MAP, KID_QUERIES,
 } from "../lib/utils.js";
+import { bucketFor, dealCategoryPath, splitPath } from "../lib/taxonomy.js";
+import { complete, stream, createJsonArrayStream, llmConfigured, estimateCost } from "../lib/llm/index.js";
+import { validateRecipes } from "../lib/recipe-schema.js";
+import { plausibleDiscount } from "../lib/deal-quality.js";
+import { costRecipe, summarizeCosts } from "../lib/recipe-cost.js";
+import { parseSwapRequest, swapPromptNote, swapConstraints, pickReplacements } from "../lib/recipe-swap.js";
 
 const router = Router();
 
+// Taxonomy path → the section a sale item is listed under in the recipe prompt.
+const PROMPT_GROUPS = [
+  ["meat_seafood", "protein"],
+  ["produce", "produce"],
+  ["dairy_eggs", "dairy"],
+  ["pantry", "pantry"],
+  ["bakery/bread", "pantry"],
+  ["frozen", "frozen"],
+];
+
 // ── Recipe generation tracking + rate limiting ─────────────────────────────
 const anonRecipeCount = new Map();
 const anonDailyCount = new Map();
@@ -75,16 +91,23 @@ router.delete("/api/recipes/saved/:id", async (req, res) => {
 
 // ══ CLAUDE AI RECIPE GENERATION ══════════════════════════════════════════════
 
-// Plan-level savings summary. Uses quantity-scaled actualCost (a recipe may use
-// 4 ears of corn at $2.50/ea) and scales the regular price by the same
-// quantity so sale and regular totals are in the same units. Extracted to a
-// function because the cached response path needs it too — before this,
-// cache-hit responses omitted savings entirely and the frontend banner
-// silently hid for most users.
+// Plan-level savings summary: what the plan costs to shop for, at sale and at
+// regular prices. Recipes priced by costRecipe (lib/recipe-cost.js) carry
+// `cost`, covering every ingredient line; cards without it (saved or cached
+// before the cost engine, or a swap's locked cards from an older page) fall
+// back to their sale items' quantity-scaled actualCost, with the regular price
+// scaled by the same quantity. Extracted to a function because the cached
+// response path needs it too — before this, cache-hit responses omitted
+// savings entirely and the frontend banner silently hid for most users.
 function computeSavingsSummary(recipes) {
   let totalSalePrice = 0, totalRegularPrice = 0, totalServings = 0;
   (recipes || []).forEach(r => {
     totalServings += (r.servings || 4);
+    if (r.cost) {
+      totalSalePrice += r.cost.total;
+      totalRegularPrice += Math.max(r.cost.regular, r.cost.total);
+      return;
+    }
     (r.usedSaleItems || []).forEach(item => {
       const saleUnit = parseFloat(String(item.salePrice || "0").replace(/[^0-9.]/g, "")) || 0;
       const actual = parseFloat(String(item.actualCost || "").replace(/[^0-9.]/g, "")) || saleUnit;
@@ -95,6 +118,8 @@ function computeSavingsSummary(recipes) {
       totalRegularPrice += regScaled > actual ? regScaled : actual;
     });
   });
+  const costed = (recipes || []).filter(r => r.cost?.confidence);
+  const { confidence, savingsConfidence } = costed.length ? summarizeCosts(costed.map(r => r.cost)) : {};
   return {
     totalSalePrice: Math.round(totalSalePrice * 100) / 100,
     totalRegularPrice: Math.round(totalRegularPrice * 100) / 100,
@@ -102,10 +127,28 @@ function computeSavingsSummary(recipes) {
     savingsPercent: totalRegularPrice > 0 ? Math.round(((totalRegularPrice - totalSalePrice) / totalRegularPrice) * 100) : 0,
     costPerServing: totalServings > 0 ? Math.round((totalSalePrice / totalServings) * 100) / 100 : 0,
     servings: totalServings,
+    ...(confidence && { confidence, savingsConfidence, costedRecipes: costed.length }),
+  };
+}
+
+// Turns res into a Server-Sent Events stream and returns send(event, data).
+// Sends after the client has gone are dropped.
+function openEventStream(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx/Replit proxies otherwise hold the stream back
+  });
+  res.flushHeaders?.();
+  return (event, data) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
   };
 }
 
-router.post("/api/recipes/ai", async (req, res, next) => {
+// Rate limits shared by the JSON and streaming recipe endpoints.
+async function recipeGenerationGate(req, res) {
   // Internal jobs (weekly preview-bundle generation) carry the shared secret and
   // bypass all anonymous caps — generate directly.
   const internalToken = req.headers["x-internal-token"];
@@ -149,23 +192,40 @@ router.post("/api/recipes/ai", async (req, res, next) => {
   authDailyCount.set(dayKey, dayUsed + 1);
   req._user = user;
   handleRecipeGeneration(req, res);
+}
+
+router.post("/api/recipes/ai", recipeGenerationGate);
+
+// Same generation, as Server-Sent Events: "progress" ({ stage }), one
+// "recipe" ({ index, recipe }) per recipe as soon as it is validated and
+// priced, then "done" with everything the JSON endpoint returns besides the
+// recipes (savings, tokens, badges, ...) plus `order`, their final sorted ids —
+// or "error" ({ error, message? }). Limit and input errors before generation
+// starts are ordinary JSON responses with the JSON endpoint's status codes.
+router.post("/api/recipes/ai/stream", (req, res) => {
+  req._stream = true;
+  recipeGenerationGate(req, res);
+});
+
+// Swap recipes out of a generated set, keeping the rest: the generation
+// payload plus { locked, replacing, hint } (lib/recipe-swap.js). Answers like
+// /api/recipes/ai with replacing.length recipes, in order, and the savings of
+// the whole new set. Counts against the same limits as a generation.
+router.post("/api/recipes/ai/replace", (req, res) => {
+  req._replace = true;
+  recipeGenerationGate(req, res);
 });
 
-// Smart ingredient selection — prioritize proteins, produce, dairy, pantry staples
+// Smart ingredient selection — prioritize proteins, produce, dairy, pantry staples.
+// Departments come from the shared taxonomy (lib/taxonomy.js).
+const INGREDIENT_BOOST = [["meat_seafood", 25], ["produce", 20], ["dairy_eggs", 15]];
+
 function selectSmartIngredients(deals, maxCount = 100) {
   if (deals.length <= maxCount) return deals;
-  const NON_FOOD = /\b(paper|towel|tissue|trash|bag|detergent|soap|shampoo|conditioner|lotion|deodorant|toothpaste|mouthwash|bleach|cleaner|sponge|candle|wax|air freshener|pet food|dog food|cat food|cat litter|laundry|fabric softener|disinfectant|polish|batteries|light bulb|aluminum foil|plastic wrap|ziplock|garbage)\b/i;
   const included = deals.filter(d => d.mustInclude);
-  const rest = deals.filter(d => !d.mustInclude).filter(d => !NON_FOOD.test(d.name || ""));
-  const PROTEIN = /chicken|beef|pork|turkey|salmon|fish|shrimp|sausage|bacon|ground|steak|ham/i;
-  const PRODUCE = /lettuce|tomato|onion|pepper|broccoli|carrot|potato|garlic|avocado|spinach|mushroom|corn|celery|cucumber|apple|banana|berry|lemon|lime/i;
-  const DAIRY = /cheese|milk|butter|yogurt|cream|egg/i;
+  const rest = deals.filter(d => !d.mustInclude).filter(d => splitPath(dealCategoryPath(d)).department !== "household");
   const scored = rest.map(d => {
-    let s = 20;
-    const n = d.name || "";
-    if (PROTEIN.test(n)) s += 25;
-    else if (PRODUCE.test(n)) s += 20;
-    else if (DAIRY.test(n)) s += 15;
+    let s = 20 + bucketFor(dealCategoryPath(d), INGREDIENT_BOOST, 0);
     const pct = d.pctOff || (d.regularPrice && d.salePrice ? Math.round(((parseFloat(String(d.regularPrice).replace(/[^0-9.]/g,"")) - parseFloat(String(d.salePrice).replace(/[^0-9.]/g,""))) / parseFloat(String(d.regularPrice).replace(/[^0-9.]/g,""))) * 100) : 0);
     s += Math.min(pct, 50);
     return { ...d, _score: s };
@@ -176,157 +236,6 @@ function selectSmartIngredients(deals, maxCount = 100) {
   return result;
 }
 
-// ── Recipe quantity → cost conversion ───────────────────────────────────────
-// AI returns structured `quantity` + `unit` per ingredient (added to the prompt
-// schema as part of the cost-calc structural fix). These helpers convert that
-// structured pair into the per-deal qty the cost calculation needs. Two paths:
-// per-lb deals (return lbs) and per-each/per-pack deals (return count). When
-// the AI omits or returns an unrecognized unit, both helpers return null so
-// the caller can fall back to the legacy hardcoded table (preserved verbatim
-// in hardcodedQtyForDeal below).
-const _UNIT_NORM = {
-  // weight
-  "lb":"lb","lbs":"lb","pound":"lb","pounds":"lb",
-  "oz":"oz","ounce":"oz","ounces":"oz",
-  "kg":"kg","kilogram":"kg","kilograms":"kg",
-  "g":"g","gram":"g","grams":"g",
-  // volume
-  "cup":"cup","cups":"cup",
-  "tbsp":"tbsp","tablespoon":"tbsp","tablespoons":"tbsp",
-  "tsp":"tsp","teaspoon":"tsp","teaspoons":"tsp",
-  "fl_oz":"fl_oz","fl-oz":"fl_oz","floz":"fl_oz","fluid_ounce":"fl_oz","fluid_ounces":"fl_oz",
-  "ml":"ml","milliliter":"ml","milliliters":"ml",
-  "l":"l","liter":"l","liters":"l","litre":"l","litres":"l",
-  "pint":"pint","pints":"pint",
-  "quart":"quart","quarts":"quart",
-  // count
-  "each":"each","piece":"each","pieces":"each","whole":"each","medium":"each","large":"each","small":"each",
-  "can":"can","cans":"can",
-  "jar":"jar","jars":"jar",
-  "box":"box","boxes":"box",
-  "package":"package","packages":"package","pkg":"package","pack":"package","packs":"package",
-  "bunch":"bunch","bunches":"bunch",
-  "head":"head","heads":"head",
-  "clove":"clove","cloves":"clove",
-};
-function _normalizeUnit(u) {
-  if (!u) return "";
-  const s = String(u).toLowerCase().trim().replace(/\./g, "");
-  return _UNIT_NORM[s] || "";
-}
-const _COUNT_UNITS = ["each","can","jar","box","package","piece","bunch","head","clove"];
-// Container units mean "buy N of the deal item" — honor the multiplier.
-// Item units count pieces WITHIN a package (8 hot dogs = 1 package), so for
-// non-produce per-each deals they must NOT multiply the package price.
-const _CONTAINER_UNITS = ["can", "jar", "box", "package"];
-const _PRODUCE_CATEGORY_RE = /produce|fruit|vegetable/i;
-
-function aiQtyToLbs(quantity, unit, ingredientHint) {
-  const q = Number(quantity);
-  if (!Number.isFinite(q) || q <= 0) return null;
-  const u = _normalizeUnit(unit);
-  if (!u) return null;
-  // Direct weight conversions
-  switch (u) {
-    case "lb":    return q * 1.0;
-    case "oz":    return q * 0.0625;
-    case "kg":    return q * 2.205;
-    case "g":     return q * (1 / 453.6);
-    case "cup":   return q * 0.4;
-    case "pint":  return q * 1.0;
-    case "quart": return q * 2.0;
-    case "fl_oz": return q * 0.065;
-    case "tbsp":  return q * 0.04;
-    case "tsp":   return q * 0.013;
-    case "ml":    return q * 0.0022;
-    case "l":     return q * 2.2;
-  }
-  // Count units — ingredient-aware lb-per-item lookup
-  if (_COUNT_UNITS.includes(u)) {
-    const hint = String(ingredientHint || "").toLowerCase();
-    let perItem = 0.5;
-    if (u === "clove" && hint.includes("garlic")) perItem = 0.01;
-    else if (u === "head" && hint.includes("garlic")) perItem = 0.15;
-    else if (u === "head" && (hint.includes("lettuce") || hint.includes("cabbage"))) perItem = 1.5;
-    else if (u === "bunch" && /parsley|cilantro|basil|mint|thyme|sage|rosemary|chive|dill|tarragon|oregano|herb/.test(hint)) perItem = 0.1;
-    else if (hint.includes("onion")) perItem = 0.3;
-    else if (/apple|orange|pear/.test(hint)) perItem = 0.35;
-    else if (hint.includes("banana")) perItem = 0.25;
-    else if (hint.includes("potato")) perItem = 0.5;
-    else if (hint.includes("tomato")) perItem = 0.25;
-    else if (hint.includes("pepper")) perItem = 0.3;
-    else if (/lemon|lime/.test(hint)) perItem = 0.2;
-    else if (hint.includes("avocado")) perItem = 0.5;
-    return q * perItem;
-  }
-  return null;
-}
-
-function aiQtyToCount(quantity, unit) {
-  const q = Number(quantity);
-  if (!Number.isFinite(q) || q <= 0) return null;
-  const u = _normalizeUnit(unit);
-  if (!u) return null;
-  if (_COUNT_UNITS.includes(u)) return q;
-  // Weight or volume — no sensible count derivation; let fallback handle.
-  return null;
-}
-
-// Mirrors the per-lb fallback table previously inlined inside the recipe map.
-// Values and matching regex are unchanged — extracted for the AI/fallback split.
-function hardcodedQtyForDeal(matchedDeal) {
-  const nameLower = (matchedDeal && matchedDeal.name || "").toLowerCase();
-  if (nameLower.match(/chicken breast|boneless.*chicken|skinless.*chicken/)) return 2.5;
-  if (nameLower.match(/chicken thigh|drumstick|chicken leg|wing/)) return 2.5;
-  if (nameLower.match(/whole chicken|roaster/)) return 5;
-  if (nameLower.match(/ground beef|ground turkey|ground pork/)) return 1;
-  if (nameLower.match(/steak/)) return 1.5;
-  if (nameLower.match(/beef.*roast|brisket/)) return 3;
-  if (nameLower.match(/pork tenderloin/)) return 1.5;
-  if (nameLower.match(/pork chop|pork loin/)) return 2;
-  if (nameLower.match(/ribs|rack/)) return 3;
-  if (nameLower.match(/salmon|tilapia|cod|fish/)) return 1;
-  if (nameLower.match(/shrimp/)) return 1;
-  if (nameLower.match(/sausage|bratwurst|kielbasa/)) return 1;
-  if (nameLower.match(/bacon/)) return 1;
-  if (nameLower.match(/apple|orange|pear/)) return 3;
-  if (nameLower.match(/banana/)) return 2;
-  if (nameLower.match(/grape|strawberr|blueberr|cherry/)) return 1;
-  if (nameLower.match(/potato|sweet potato/)) return 3;
-  if (nameLower.match(/onion/)) return 1;
-  if (nameLower.match(/tomato|pepper|cucumber|zucchini|squash/)) return 0.75;
-  if (nameLower.match(/broccoli|cauliflower/)) return 1.5;
-  if (nameLower.match(/carrot|celery/)) return 1;
-  if (nameLower.match(/lettuce|spinach|greens/)) return 0.75;
-  if (nameLower.match(/mushroom/)) return 0.5;
-  return 1;
-}
-
-// Pantry staples: oils, dried spices, salt/pepper, baking essentials. When a
-// SALE deal matches one of these, we keep the matched-deal info available
-// (so the Kroger cart-add path still works) but exclude it from the recipe's
-// cost total — staples are bought once and reused across many recipes, so
-// billing the full bottle/jar to one meal would over-state per-recipe cost.
-//
-// DELIBERATELY NOT staples (consumed in meaningful recipe quantities):
-// vinegars, condiments (soy sauce, hot sauce, ketchup, mustard, mayo,
-// worcestershire), flour, sugar, honey, maple syrup, broths/stocks, butter.
-const _PANTRY_STAPLE_PATTERNS = [
-  /\boil\b/i,                              // olive, canola, vegetable, coconut, avocado, sesame, peanut
-  /\b(salt|pepper)\b/i,                    // catches "kosher salt", "black pepper", etc.
-  /\b(paprika|cumin|oregano|basil|thyme|rosemary|sage|cinnamon|nutmeg|clove|cardamom|turmeric|coriander|cayenne|chili powder|garlic powder|onion powder|red pepper flake|italian seasoning|herbs de provence|bay leaf)\b/i,
-  /\bvanilla extract\b/i,
-  /\bbaking (powder|soda)\b/i,
-  /\byeast\b/i,
-  /\bcornstarch\b/i,
-  /\bbutter\b/i,   // shared staple: bought once, not billed to a single recipe
-];
-function isPantryStaple(...names) {
-  return names.filter(Boolean).some(name =>
-    _PANTRY_STAPLE_PATTERNS.some(re => re.test(String(name)))
-  );
-}
-
 // ── Profile dietary normalization ───────────────────────────────────────────
 // Profile users can set dietary preferences in their account that flow through
 // req.body.preferences.dietary in various string forms (slugs from the
@@ -418,7 +327,7 @@ function checkMeatDairyConflict(text) {
 }
 
 async function handleRecipeGeneration(req, res) {
-  let { ingredients, style, mealType, diets, wantItems, haveItems, mealRequest, budgetTarget, leftovers, preferences, weeklyPlan, freezerMeals, offset } = req.body;
+  let { ingredients, style, mealType, diets, wantItems, haveItems, mealRequest, budgetTarget, leftovers, preferences, weeklyPlan, freezerMeals, offset, zip } = req.body;
   const effectiveMealType = mealType || "Dinner";
   if (!ingredients?.length) return res.status(400).json({ error: "ingredients required" });
   if (ingredients.length > 500) return res.status(400).json({ error: "Too many ingredients — please select fewer deals or stores." });
@@ -427,16 +336,37 @@ async function handleRecipeGeneration(req, res) {
     ingredients = selectSmartIngredients(ingredients, 100);
   }
 
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) return res.status(500).json({ error: "ANTHROPIC_API_KEY not configured. Add it to your .env file." });
+  if (!llmConfigured()) return res.status(500).json({ error: "ANTHROPIC_API_KEY not configured. Add it to your .env file, or set LLM_PROVIDER=mock." });
 
+  const streaming = !!req._stream;
+  let swap = null;
+  if (req._replace) {
+    const parsed = parseSwapRequest(req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    swap = parsed.swap;
+  }
+  let send = () => {};
+  const abort = new AbortController();
   const _t0 = Date.now();
   try {
     const cacheKey = JSON.stringify({ items: ingredients.slice(0, 25).map(i => i.name).sort(), style, diets, wantItems: wantItems || "", haveItems: haveItems || "", mealRequest: mealRequest || "", prefs: preferences ? JSON.stringify(preferences) : "", offset: offset || 0 });
-    const cached = aiRecipeCache.get(cacheKey);
+    const cached = !swap && aiRecipeCache.get(cacheKey);
     if (cached && Date.now() - cached.timestamp < 1800000) {
       console.log("Serving cached AI recipes");
-      return res.json({ recipes: cached.recipes, savings: computeSavingsSummary(cached.recipes), cached: true });
+      const savings = computeSavingsSummary(cached.recipes);
+      if (!streaming) return res.json({ recipes: cached.recipes, savings, cached: true });
+      send = openEventStream(res);
+      cached.recipes.forEach((recipe, index) => send("recipe", { index, recipe }));
+      send("done", { savings, cached: true, order: cached.recipes.map(r => r.id) });
+      return res.end();
+    }
+
+    // From here a streaming response is an event stream, and a client that
+    // disconnects cancels the model call rather than paying for the rest.
+    if (streaming) {
+      send = openEventStream(res);
+      res.on("close", () => { if (!res.writableEnded) abort.abort(); });
+      send("progress", { stage: "generating" });
     }
 
     const mustInclude = ingredients.filter(i => i.mustInclude).map(i => i.name);
@@ -679,23 +609,11 @@ These are leftovers that will be WASTED if not used. Use these FIRST in as many
       }
     }
 
-    // Group sale items by category for the prompt
-    const CATS = {
-      protein: /chicken|beef|pork|turkey|salmon|fish|shrimp|sausage|bacon|ground|steak|ham|tilapia|tuna|meatball/i,
-      produce: /lettuce|tomato|onion|pepper|broccoli|carrot|potato|garlic|avocado|spinach|mushroom|corn|celery|cucumber|apple|banana|berry|lemon|lime|zucchini|squash|cabbage|kale|green bean/i,
-      dairy: /cheese|milk|butter|yogurt|cream|egg|sour cream/i,
-      pantry: /pasta|rice|bread|flour|sugar|oil|sauce|broth|beans|canned|tortilla|cereal|oat|crackers|chips|soup|salsa/i,
-      frozen: /frozen|ice cream/i,
-    };
-    function categorize(name) {
-      const n = (name || "").toLowerCase();
-      for (const [cat, re] of Object.entries(CATS)) { if (re.test(n)) return cat; }
-      return "other";
-    }
+    // Group sale items by category for the prompt (lib/taxonomy.js paths)
     const grouped = {};
     const itemsToSend = filteredIngredients.slice(0, 100);
     for (const i of itemsToSend) {
-      const cat = categorize(i.name);
+      const cat = bucketFor(dealCategoryPath(i), PROMPT_GROUPS, "other");
       if (!grouped[cat]) grouped[cat] = [];
       const parts = [i.name];
       if (i.salePrice) parts.push(`$${i.salePrice}${i.priceUnit || ""}`);
@@ -747,7 +665,7 @@ RECIPE GENERATION RULES:
 6. SEASONAL AWARENESS: Current month is ${new Date().toLocaleString("en-US", { month: "long" })}. Prefer seasonal produce and cooking styles appropriate for the season.
 7. BEGINNER FRIENDLY: ${prefs.skill_level === "confident" || prefs.skill_level === "advanced" ? "The user is an experienced cook — you can use advanced techniques, assume knife skills, and skip basic explanations." : "Write instructions that a beginner cook can follow. Use common terms, specify heat levels (medium-high), and include timing cues (cook until golden brown, about 5 minutes)."}
 
-${freezerMeals ? `Generate exactly 5 FREEZER-FRIENDLY recipes using the sale items. Each recipe MUST:
+${swap ? swapPromptNote(swap, { weeklyPlan, freezerMeals }) + "\n" : freezerMeals ? `Generate exactly 5 FREEZER-FRIENDLY recipes using the sale items. Each recipe MUST:
 - Be suitable for freezing and reheating (no salads, no fresh herbs that don't freeze)
 - Include freezing and reheating instructions
 - Be designed for batch cooking (double or triple batch)
@@ -777,6 +695,7 @@ Respond with ONLY valid JSON, no other text. Use this exact format:
     {
       "title": "Recipe Name",
       "cookTime": 25,
+      "prepTime": 10,
       "servings": 4,
       "costPerServing": 2.50,
       "storage": "Keeps 3 days in the fridge. Reheat in skillet.",
@@ -786,6 +705,7 @@ Respond with ONLY valid JSON, no other text. Use this exact format:
       "carbs": 40,
       "fat": 15,
       "fiber": 4,
+      "tags": ["chicken", "oven-baked", "american"],
       "saleItemsUsed": ["Chicken Thighs", "Rice"],
       "ingredients": [
         {"item": "1.5 lbs chicken thighs", "type": "SALE", "matchName": "Chicken Thighs", "quantity": 1.5, "unit": "lb"},
@@ -818,322 +738,110 @@ IMPORTANT ingredient type rules:
 - "unit" must be from this controlled vocabulary: lb, oz, kg, g, cup, tbsp, tsp, fl_oz, ml, l, pint, quart, each, can, jar, box, package, bunch, head, clove. Use empty string for "to taste" amounts.
 - Be ACCURATE about quantity. These fields are used to compute the recipe's actual cost. If "item" says "1.5 lbs chicken thighs", quantity MUST be 1.5 and unit MUST be "lb". Do not round or guess.
 - Do NOT include "estimatedCost" — we calculate that from real prices.
-- "calories", "protein", "carbs", "fat", "fiber" = estimated nutrition per serving (numbers only, no units). These are rough estimates.`;
+- "calories", "protein", "carbs", "fat", "fiber" = estimated nutrition per serving (numbers only, no units). These are rough estimates.
+- "cookTime" = total minutes and "prepTime" = hands-on minutes, both numbers. "servings" is a whole number.
+- "tags" = 2-5 short lowercase labels: main protein (or "vegetarian"), cooking method, cuisine.`;
 
     const _tPromptBuilt = Date.now();
     console.log(`[recipes/ai] prompt_build_ms=${_tPromptBuilt - _t0} history_ms=${_tPromptBuilt - _tHistory} ingredients=${ingredients.length}`);
 
-    // PROMPT CACHING OPPORTUNITY (deferred):
-    // Static prefix is ~900 tokens; Haiku 4.5 minimum cache is 4,096 tokens.
-    // To enable: (1) move dynamic interpolations out (current month, household_size,
-    // skill_level, cook_time, mode branches), (2) inline all guide variants verbatim,
-    // (3) add concrete recipe examples to hit threshold. ~90% input cost reduction
-    // when activated. Defer until: Anthropic lowers Haiku 4.5 cache minimum, OR
-    // daily token spend exceeds ~$5/day (~70x current), OR there's a real product
-    // reason to expand prompt with examples.
-    const claudeBody = JSON.stringify({
-      model: "claude-haiku-4-5-20251001",
-      max_tokens: 8192,
-      temperature: 0.7,
-      messages: [{ role: "user", content: prompt }],
-    });
-    const claudeHeaders = { "Content-Type": "application/json", "x-api-key": apiKey, "anthropic-version": "2023-06-01" };
-
-    const _tClaude = Date.now();
-    let response = await fetch("https://api.anthropic.com/v1/messages", { method: "POST", headers: claudeHeaders, body: claudeBody });
-
-    // Retry once with 5s delay on overload (529)
-    if (response.status === 529) {
-      console.log("Claude API overloaded (529) — retrying in 5 seconds...");
-      await new Promise(r => setTimeout(r, 5000));
-      response = await fetch("https://api.anthropic.com/v1/messages", { method: "POST", headers: claudeHeaders, body: claudeBody });
-    }
-
-    if (!response.ok) {
-      const errText = await response.text();
-      console.error("Claude API error:", response.status, errText);
-      if (response.status === 529) {
-        return res.status(503).json({ error: "ai_overloaded", message: "Our recipe builder is temporarily busy. Please try again in a minute." });
-      }
-      throw new Error(`Claude API error ${response.status}: ${errText.substring(0, 200)}`);
-    }
-
-    const data = await response.json();
-    const _tClaudeDone = Date.now();
-    const text = data.content?.[0]?.text || "";
-    const stopReason = data.stop_reason || "";
-    const inputTokens = data.usage?.input_tokens || 0;
-    const outputTokens = data.usage?.output_tokens || 0;
-    if (stopReason === "max_tokens") console.log("⚠️ AI response was truncated (hit max_tokens limit)");
-    console.log(`[recipes/ai] claude_ms=${_tClaudeDone - _tClaude} input_tokens=${inputTokens} output_tokens=${outputTokens} response_chars=${text.length} stop=${stopReason}`);
-
-    let clean = text.replace(/```json\s*/g, "").replace(/```\s*/g, "").trim();
-    let parsed;
-    try {
-      parsed = JSON.parse(clean);
-    } catch (e) {
-      console.log("Initial JSON parse failed, attempting recovery...");
-      try {
-        const recipesStart = clean.indexOf('"recipes"');
-        if (recipesStart === -1) throw new Error("No recipes found");
-        const arrayStart = clean.indexOf('[', recipesStart);
-        if (arrayStart === -1) throw new Error("No recipe array found");
-        let depth = 0;
-        let lastCompleteRecipe = -1;
-        let inString = false;
-        let escape = false;
-        for (let i = arrayStart + 1; i < clean.length; i++) {
-          const c = clean[i];
-          if (escape) { escape = false; continue; }
-          if (c === '\\') { escape = true; continue; }
-          if (c === '"') { inString = !inString; continue; }
-          if (inString) continue;
-          if (c === '{') depth++;
-          if (c === '}') { depth--; if (depth === 0) lastCompleteRecipe = i; }
+    // Diet rules as a schema check (lib/recipe-schema.js): a violating recipe
+    // goes back to the model with the reason, and is dropped if it can't be
+    // fixed. Mirrors the POOL filter's semantics exactly (see the isWhitelisted
+    // check in the ingredient filter above): whitelisted phrases bypass
+    // excludeWord, but NOT the authoritative substring `exclude`. Without this,
+    // \bmilk\b matched inside "almond milk" and \bbutter\b inside "peanut
+    // butter", so a compliant recipe using the diet's own substitutes was
+    // discarded.
+    const dietCheck = activeDiets.length ? (recipe) => {
+      const text = extractRecipeText(recipe);
+      const reasons = [];
+      for (const diet of activeDiets) {
+        if (diet === "Kosher") {
+          const c = checkMeatDairyConflict(text);
+          if (c.conflict) {
+            reasons.push(`Kosher meat-dairy mix: meat=[${c.meatTerms.join(",")}], dairy=[${c.dairyTerms.join(",")}]`);
+          }
         }
-        if (lastCompleteRecipe > arrayStart) {
-          const recovered = clean.substring(0, lastCompleteRecipe + 1) + ']}';
-          parsed = JSON.parse(recovered);
-          console.log(`Recovered ${parsed.recipes?.length || 0} complete recipes from truncated response`);
-        } else {
-          throw new Error("Could not recover any complete recipes");
+        const info = DIET_RULES[diet];
+        if (!info) continue;
+        let checkText = text;
+        for (const phrase of (info.whitelistPhrase || [])) {
+          checkText = checkText.split(phrase).join(" ");
         }
-      } catch (e2) {
-        console.error("Failed to parse AI recipe response:", text.substring(0, 500));
-        throw new Error("AI returned invalid recipe format. Please try again.");
-      }
-    }
-
-    // Post-generation sanity check: drop AI-generated recipes that violate active
-    // diet restrictions. Defensive — falls back to unfiltered output on any error.
-    if (Array.isArray(parsed.recipes) && activeDiets.length) {
-      try {
-        const validateRecipes = (recipeList, activeDiets) => {
-          const valid = [];
-          const dropped = [];
-          for (const recipe of recipeList) {
-            const text = extractRecipeText(recipe);
-            const reasons = [];
-            for (const diet of activeDiets) {
-              if (diet === "Kosher") {
-                const c = checkMeatDairyConflict(text);
-                if (c.conflict) {
-                  reasons.push(`Kosher meat-dairy mix: meat=[${c.meatTerms.join(",")}], dairy=[${c.dairyTerms.join(",")}]`);
-                }
-              }
-              const info = DIET_RULES[diet];
-              if (!info) continue;
-              // Mirror the POOL filter's semantics exactly (see the isWhitelisted
-              // check in the ingredient filter above): whitelisted phrases bypass
-              // excludeWord, but NOT the authoritative substring `exclude`.
-              // Without this, the whitelist did nothing here — \bmilk\b matched
-              // inside "almond milk" and \bbutter\b inside "peanut butter", so a
-              // compliant recipe using the diet's own substitutes was discarded.
-              let checkText = text;
-              for (const phrase of (info.whitelistPhrase || [])) {
-                checkText = checkText.split(phrase).join(" ");
-              }
-              for (const term of (info.exclude || [])) {
-                if (text.includes(term)) reasons.push(`${diet} forbidden term: ${term}`);
-              }
-              for (const term of (info.excludeWord || [])) {
-                if (_wordBoundaryRegex(term).test(checkText)) reasons.push(`${diet} forbidden term: ${term}`);
-              }
-            }
-            if (reasons.length > 0) dropped.push({ recipe, reasons });
-            else valid.push(recipe);
-          }
-          return { valid, dropped };
-        };
-
-        const result = validateRecipes(parsed.recipes, activeDiets);
-        if (result.dropped.length > 0) {
-          console.log(`Post-gen sanity check: dropped ${result.dropped.length}/${parsed.recipes.length} recipes for diet violations`);
-          for (const d of result.dropped) {
-            console.log(`  • [${d.recipe.title}] ${d.reasons.join("; ")}`);
-          }
+        for (const term of (info.exclude || [])) {
+          if (text.includes(term)) reasons.push(`${diet} forbidden term: ${term}`);
+        }
+        for (const term of (info.excludeWord || [])) {
+          if (_wordBoundaryRegex(term).test(checkText)) reasons.push(`${diet} forbidden term: ${term}`);
         }
-        parsed.recipes = result.valid;
-      } catch (e) {
-        console.error("Post-gen sanity check failed (falling back to unfiltered):", e.message);
       }
-    }
-
-    // Ask for 6, serve 5 — guards against Claude undercounting
-    const rawRecipes = (parsed.recipes || []).slice(0, 5);
-    let recipes = rawRecipes.map((r, idx) => {
+      return reasons;
+    } : null;
+
+    // One validated recipe → the card the client renders, every ingredient
+    // line priced by costRecipe (lib/recipe-cost.js). usedSaleItems and the
+    // cost fields keep the shape the client and saved plans already read;
+    // `cost` carries the line-by-line breakdown.
+    const priceRecipe = (r, idx) => {
+      const cost = costRecipe(r, { deals: ingredients, zip });
       const usedSaleItems = [];
-      let totalSavings = 0;
-      let saleCost = 0;
-      let regularCost = 0;
-      let additionalCost = 0;
-      let aiQtyCount = 0;
-      let fbQtyCount = 0;
-      let stapleExcludedCount = 0;
-
-      const ingredientLookup = ingredients.map(ing => ({
-        ...ing,
-        nameLower: ing.name.toLowerCase(),
-        nameWords: ing.name.toLowerCase().split(/[\s,\-\/]+/).filter(w => w.length > 2),
-      }));
-
-      const processedIngredients = (r.ingredients || []).map(ing => {
-        const isStructured = typeof ing === "object" && ing.item;
-        const itemText = isStructured ? ing.item : String(ing);
-        const type = isStructured ? (ing.type || "PANTRY") :
-          (itemText.toLowerCase().includes("on sale") ? "SALE" :
-           itemText.toLowerCase().includes("additional") ? "ADDITIONAL" :
-           itemText.toLowerCase().includes("on hand") ? "ON_HAND" : "PANTRY");
-        const matchName = isStructured ? (ing.matchName || "") : "";
-
-        let matchedDeal = null;
-
-        if (type === "SALE") {
-          if (matchName) {
-            const matchLower = matchName.toLowerCase();
-            matchedDeal = ingredientLookup.find(d => d.nameLower === matchLower);
-            if (!matchedDeal) {
-              const matchWords = matchLower.split(/[\s,\-\/]+/).filter(w => w.length > 2);
-              let bestScore = 0;
-              for (const d of ingredientLookup) {
-                const score = matchWords.filter(w => d.nameLower.includes(w)).length;
-                if (score > bestScore && score >= Math.min(2, matchWords.length)) {
-                  bestScore = score;
-                  matchedDeal = d;
-                }
-              }
-            }
-          }
-          if (!matchedDeal) {
-            const textLower = itemText.toLowerCase();
-            const textWords = textLower.split(/[\s,\-\/]+/).filter(w => w.length > 2);
-            let bestScore = 0;
-            for (const d of ingredientLookup) {
-              const score = d.nameWords.filter(w => textWords.some(tw => tw.includes(w) || w.includes(tw))).length;
-              if (score > bestScore && score >= 1) {
-                bestScore = score;
-                matchedDeal = d;
-              }
-            }
-          }
-        }
-
-        let isPerLb = false;
-        let qty = 1;
-        let itemActualCost = null;
 
+      const processedIngredients = r.ingredients.map((ing, i) => {
+        const line = cost.lines[i];
+        const matchedDeal = ing.dealRef != null ? ingredients[ing.dealRef] : null;
+        const isPerLb = !!line.perLb;
         if (matchedDeal) {
-          const sale = parseFloat(String(matchedDeal.salePrice).replace(/[^0-9.]/g, "")) || 0;
-          const reg = parseFloat(String(matchedDeal.regularPrice).replace(/[^0-9.]/g, "")) || 0;
-          isPerLb = matchedDeal.isPerLb || matchedDeal.priceUnit === "/lb";
-
-          // Tier 1: AI-supplied quantity + unit. Tier 2: hardcoded fallback table.
-          let qtySource = "fallback";
-          if (isPerLb) {
-            const aiLbs = aiQtyToLbs(ing && ing.quantity, ing && ing.unit, matchedDeal.name);
-            if (aiLbs != null && aiLbs > 0) { qty = aiLbs; qtySource = "ai"; }
-            else { qty = hardcodedQtyForDeal(matchedDeal); qtySource = "fallback"; }
-          } else {
-            const aiCnt = aiQtyToCount(ing && ing.quantity, ing && ing.unit);
-            const normUnit = _normalizeUnit(ing && ing.unit);
-            const isContainerUnit = _CONTAINER_UNITS.includes(normUnit);
-            const isProduce = _PRODUCE_CATEGORY_RE.test(String(matchedDeal.category || ""));
-            if (aiCnt != null && aiCnt > 0) {
-              if (isContainerUnit || isProduce) {
-                qty = aiCnt; qtySource = "ai";
-              } else {
-                // Item-count unit on a packaged good: one package covers the recipe.
-                qty = 1; qtySource = "ai-clamped";
-                console.warn(`qty-clamp: "${ing && ing.item}" matched "${matchedDeal.name}" — AI count ${aiCnt} ${normUnit || "?"} clamped to 1 package`);
-              }
-            }
-            else { qty = 1; qtySource = "fallback"; }
-          }
-          if (qtySource === "ai") aiQtyCount++; else fbQtyCount++;
-
-          // Pantry-staple exclusion: zero the cost contribution if this match is a
-          // staple (oils, dried spices, salt/pepper, baking essentials). The matched
-          // deal still appears in usedSaleItems with full identity (price, store, upc)
-          // so the Kroger cart-add path keeps working; only the cost roll-up is zeroed.
-          const isStaple = isPantryStaple(ing && ing.item, ing && ing.matchName, matchedDeal.name);
-          // Validation gate: per-each non-produce ingredient charging >4 packages
-          // or >$20 is a units error, not a real basket. Clamp and log.
-          if (!isPerLb && qty > 4 && !_PRODUCE_CATEGORY_RE.test(String(matchedDeal.category || ""))) {
-            console.warn(`qty-gate: "${matchedDeal.name}" qty ${qty} exceeds gate, clamped to 1`);
-            qty = 1;
-          }
-          if (!isPerLb && sale * qty > 20 && !_PRODUCE_CATEGORY_RE.test(String(matchedDeal.category || ""))) {
-            console.warn(`qty-gate: "${matchedDeal.name}" cost $${(sale * qty).toFixed(2)} exceeds $20 gate, clamped to 1 package`);
-            qty = 1;
-          }
-          const itemSaleCost_raw = sale * qty;
-          const itemRegCost_raw = reg * qty;
-          const itemSaleCost = isStaple ? 0 : itemSaleCost_raw;
-          const itemRegCost = isStaple ? 0 : itemRegCost_raw;
-          const savings = itemRegCost > itemSaleCost && itemSaleCost > 0 ? itemRegCost - itemSaleCost : 0;
-          itemActualCost = isStaple ? "0.00" : itemSaleCost.toFixed(2);
-          if (isStaple) stapleExcludedCount++;
-
+          const { sale, regular } = plausibleDiscount(matchedDeal);
           usedSaleItems.push({
             name: matchedDeal.name,
             category: matchedDeal.category || "",
-            salePrice: isPerLb ? `$${sale.toFixed(2)}/lb` : (matchedDeal.salePrice || ""),
-            regularPrice: isPerLb ? `$${reg.toFixed(2)}/lb` : (matchedDeal.regularPrice || "—"),
-            actualCost: itemActualCost,
-            packageNote: isPerLb
-              ? `~${qty} lb pkg ≈ $${itemSaleCost.toFixed(2)}`
-              : (["tbsp","tsp","cup","oz","fl_oz","ml","g"].includes(_normalizeUnit(ing && ing.unit)) && !isStaple
-                  ? "full package — you'll use the rest"
-                  : ""),
-            savings: savings > 0 ? savings.toFixed(2) : "",
+            salePrice: isPerLb ? `$${(sale || 0).toFixed(2)}/lb` : (matchedDeal.salePrice || ""),
+            regularPrice: regular == null ? "—" : isPerLb ? `$${regular.toFixed(2)}/lb` : matchedDeal.regularPrice,
+            actualCost: line.cost.toFixed(2),
+            packageNote: line.note,
+            savings: line.savings > 0 ? line.savings.toFixed(2) : "",
             storeName: matchedDeal.storeName || "",
             isPerLb,
-            qty,
-            isPantryStaple: isStaple,
+            qty: line.qty ?? 1,
+            isPantryStaple: !!line.staple,
+            confidence: line.confidence,
           });
-
-          saleCost += itemSaleCost;
-          regularCost += itemRegCost > 0 ? itemRegCost : itemSaleCost;
-          totalSavings += savings;
-        }
-
-        if (type === "ADDITIONAL") {
-          additionalCost += 2.50;
         }
-
         return {
-          name: itemText.replace(/\s*\(ON SALE\)|\(ADDITIONAL\)|\(ON HAND\)/gi, "").trim(),
-          type,
-          onSale: type === "SALE" && matchedDeal !== null,
+          name: ing.item.replace(/\s*\(ON SALE\)|\(ADDITIONAL\)|\(ON HAND\)/gi, "").trim(),
+          type: ing.type,
+          quantity: ing.quantity,
+          unit: ing.unit,
+          dealRef: ing.dealRef,
+          onSale: ing.type === "SALE" && matchedDeal !== null,
+          cost: { source: line.source, amount: line.cost, regular: line.regularCost, confidence: line.confidence, note: line.note },
           matchedDeal: matchedDeal ? {
             name: matchedDeal.name,
             salePrice: matchedDeal.salePrice,
             regularPrice: matchedDeal.regularPrice,
             isPerLb,
-            actualCost: itemActualCost,
+            actualCost: line.cost.toFixed(2),
             storeName: matchedDeal.storeName || "",
             upc: matchedDeal.upc || "",
           } : null,
         };
       });
 
-      const estimatedCost = saleCost + additionalCost;
-      const regularPriceTotal = regularCost + additionalCost;
+      const sum = (lines) => Math.round(lines.reduce((s, l) => s + l.cost, 0) * 100) / 100;
+      const onSale = cost.lines.filter(l => l.source === "sale");
 
-      // Observability: per-recipe qty source counts and AI-vs-server cost mismatch.
-      // The AI's costPerServing is still discarded for display; this is monitoring only.
-      console.log(`Recipe "${r.title}": qty source ai=${aiQtyCount} fallback=${fbQtyCount}`);
-      if (stapleExcludedCount > 0) {
-        console.log(`Recipe "${r.title}": pantry staples excluded from cost: ${stapleExcludedCount}`);
-      }
+      // Observability: where the recipe's price came from, and AI-vs-server
+      // cost mismatch. The AI's costPerServing is still discarded for display.
+      const sources = {};
+      for (const l of cost.lines) sources[l.source] = (sources[l.source] || 0) + 1;
+      console.log(`Recipe "${r.title}": cost $${cost.total.toFixed(2)} confidence=${cost.confidence.level} sources ${Object.entries(sources).map(([k, v]) => `${k}=${v}`).join(" ")}`);
       const aiClaimed = parseFloat(r.costPerServing);
-      const servings = r.servings || 4;
-      if (Number.isFinite(aiClaimed) && aiClaimed > 0 && servings > 0 && estimatedCost > 0) {
-        const serverPerServing = estimatedCost / servings;
-        const delta = Math.abs(serverPerServing - aiClaimed) / aiClaimed;
+      if (Number.isFinite(aiClaimed) && aiClaimed > 0 && cost.perServing > 0) {
+        const delta = Math.abs(cost.perServing - aiClaimed) / aiClaimed;
         if (delta > 0.4) {
           const deltaPercent = Math.round(delta * 100);
-          console.warn(`Recipe "${r.title}": cost-calc mismatch, server=$${serverPerServing.toFixed(2)}/serving, AI claimed $${aiClaimed.toFixed(2)}/serving (delta ${deltaPercent}%)`);
+          console.warn(`Recipe "${r.title}": cost-calc mismatch, server=$${cost.perServing.toFixed(2)}/serving, AI claimed $${aiClaimed.toFixed(2)}/serving (delta ${deltaPercent}%)`);
         }
       }
 
@@ -1141,35 +849,150 @@ IMPORTANT ingredient type rules:
         id: `ai-${Date.now()}-${idx}`,
         title: r.title,
         image: null,
-        time: r.cookTime ? `${r.cookTime} min` : "N/A",
-        readyInMinutes: r.cookTime || 0,
-        servings: r.servings || 4,
+        time: `${r.cookTime} min`,
+        readyInMinutes: r.cookTime,
+        prepMinutes: r.prepTime,
+        servings: r.servings,
         usedIngredientCount: usedSaleItems.length,
         missedIngredientCount: 0,
         usedSaleItems,
-        totalSavings: parseFloat(totalSavings.toFixed(2)),
-        estimatedCost: parseFloat(estimatedCost.toFixed(2)) || 0,
-        regularPriceTotal: parseFloat(regularPriceTotal.toFixed(2)) || 0,
-        saleCost: parseFloat(saleCost.toFixed(2)),
-        additionalCost: parseFloat(additionalCost.toFixed(2)),
+        totalSavings: cost.savings,
+        estimatedCost: cost.total,
+        regularPriceTotal: cost.regular,
+        saleCost: sum(onSale),
+        additionalCost: Math.round((cost.total - sum(onSale)) * 100) / 100,
+        cost: {
+          total: cost.total, regular: cost.regular, savings: cost.savings, perServing: cost.perServing,
+          servings: cost.servings, region: cost.region, confidence: cost.confidence, savingsConfidence: cost.savingsConfidence,
+        },
         couponsToClip: [],
         diets: diets || [],
         cuisines: [],
-        instructions: r.instructions || [],
+        instructions: r.instructions,
         allIngredients: processedIngredients,
+        tags: r.tags,
+        ...r.nutrition,
       };
-    });
+    };
 
-    // Post-filter: remove inappropriate recipes for the meal type
+    // Post-filter: recipes inappropriate for the meal type are not served
     const BREAKFAST_BLACKLIST = ["brownie","cake","cookie","candy","marshmallow","fudge","pie","cupcake","ice cream","sundae","cheesecake","tart","truffle","s'more","frosting","pudding"];
     const DINNER_BLACKLIST = ["smoothie","cereal","granola","overnight oats","parfait"];
-    const beforeFilter = recipes.length;
-    if (effectiveMealType === "Breakfast") {
-      recipes = recipes.filter(r => !BREAKFAST_BLACKLIST.some(w => r.title.toLowerCase().includes(w)));
-    } else if (effectiveMealType === "Lunch" || effectiveMealType === "Dinner") {
-      recipes = recipes.filter(r => !BREAKFAST_BLACKLIST.some(w => r.title.toLowerCase().includes(w)));
+    const mealTypeFiltered = ["Breakfast", "Lunch", "Dinner"].includes(effectiveMealType);
+    const fitsMealType = (r) => !mealTypeFiltered || !BREAKFAST_BLACKLIST.some(w => r.title.toLowerCase().includes(w));
+
+    // Ask for 6, serve 5 — guards against Claude undercounting. serveRecipe
+    // prices a validated recipe and keeps it (sending it straight on to a
+    // streaming client) until five are in. A swap keeps its spare candidate
+    // for pickReplacements.
+    let recipes = [];
+    const serveLimit = swap ? swap.count + 1 : 5;
+    let mealTypeRemoved = 0;
+    const serveRecipe = (r) => {
+      if (recipes.length >= serveLimit) return;
+      const card = priceRecipe(r, recipes.length);
+      if (!fitsMealType(card)) { mealTypeRemoved++; return; }
+      recipes.push(card);
+      send("recipe", { index: recipes.length - 1, recipe: card });
+    };
+    const dietRules = activeDiets.length ? `Every recipe must comply with these dietary restrictions: ${activeDiets.join(", ")}.` : "";
+    // A swap's replacements also mustn't repeat the kept recipes' proteins or
+    // any title in the set: checked, and repaired, alongside the diet rules.
+    const swapRules = swap ? swapConstraints(swap) : null;
+    const recipeCheck = swapRules
+      ? (r) => [...(dietCheck ? dietCheck(r) : []), ...swapRules.check(r)]
+      : dietCheck;
+    const repairRules = [dietRules, swapRules?.rules].filter(Boolean).join(" ");
+
+    // Streaming: each recipe in the reply is validated and served the moment
+    // its closing brace arrives (createJsonArrayStream). One that needs repair
+    // waits for the single batched repair call after the reply ends, as in
+    // the non-streaming path.
+    let streamed = 0;
+    const toRepair = [];
+    let validating = Promise.resolve();
+    const takeRecipe = async (raw) => {
+      try {
+        const { recipes: [ok] } = await validateRecipes([raw], { deals: ingredients, check: recipeCheck, repair: false });
+        if (ok) serveRecipe(ok); else toRepair.push(raw);
+      } catch (err) {
+        // Never reject: nothing awaits `validating` until the reply has ended.
+        console.error(`Streamed recipe "${raw?.title}" failed:`, err.message);
+      }
+    };
+
+    // PROMPT CACHING OPPORTUNITY (deferred):
+    // Static prefix is ~900 tokens; Haiku 4.5 minimum cache is 4,096 tokens.
+    // To enable: (1) move dynamic interpolations out (current month, household_size,
+    // skill_level, cook_time, mode branches), (2) inline all guide variants verbatim,
+    // (3) add concrete recipe examples to hit threshold. ~90% input cost reduction
+    // when activated. Defer until: Anthropic lowers Haiku 4.5 cache minimum, OR
+    // daily token spend exceeds ~$5/day (~70x current), OR there's a real product
+    // reason to expand prompt with examples.
+    // lib/llm retries a 529 (or 429/5xx) once after 5s before giving up
+    // (the "recipes" purpose opts in to retrying).
+    const _tClaude = Date.now();
+    // An answer that doesn't parse (usually cut off at max_tokens) gets one
+    // more try, asked to be briefer, rather than being salvaged piecemeal. A
+    // streamed answer only gets one if not a single recipe came through.
+    const generate = async (retryNote) => {
+      const request = { purpose: "recipes", prompt: prompt + (retryNote || ""), maxTokens: 8192, temperature: 0.7, json: "object", signal: abort.signal };
+      try {
+        if (!streaming) return await complete(request);
+        const items = createJsonArrayStream({
+          key: "recipes",
+          onItem: (raw) => { streamed++; validating = validating.then(() => takeRecipe(raw)); },
+        });
+        return await stream({ ...request, onText: items.write });
+      } catch (err) {
+        console.error("Recipe LLM error:", err.message);
+        if (err.status === 529) return { overloaded: true, text: "" };
+        throw err;
+      }
+    };
+    let reply = await generate();
+    let inputTokens = reply.usage?.inputTokens || 0;
+    let outputTokens = reply.usage?.outputTokens || 0;
+    if (!reply.overloaded && !Array.isArray(reply.json?.recipes) && !streamed) {
+      console.log(`Recipe reply unreadable (${reply.stopReason === "max_tokens" ? "truncated at max_tokens" : reply.parseError || "no recipes array"}) — asking again`);
+      send("progress", { stage: "retrying" });
+      reply = await generate("\n\nYour previous answer was cut off or was not valid JSON. Return complete, valid JSON only: keep each recipe to 5-6 short steps and at most 8 ingredient lines so the whole answer fits.");
+      inputTokens += reply.usage?.inputTokens || 0;
+      outputTokens += reply.usage?.outputTokens || 0;
+    }
+    // Overloaded part-way through a stream: serve what already came through.
+    if (reply.overloaded && !streamed) {
+      const overloaded = { error: "ai_overloaded", message: "Our recipe builder is temporarily busy. Please try again in a minute." };
+      if (!streaming) return res.status(503).json(overloaded);
+      send("error", overloaded);
+      return res.end();
+    }
+    const _tClaudeDone = Date.now();
+    const stopReason = reply.stopReason;
+    if (stopReason === "max_tokens") console.log("⚠️ AI response was truncated (hit max_tokens limit)");
+    console.log(`[recipes/ai] claude_ms=${_tClaudeDone - _tClaude} input_tokens=${inputTokens} output_tokens=${outputTokens} response_chars=${reply.text.length} stop=${stopReason}${streaming ? ` streamed=${streamed}` : ""}`);
+    if (!Array.isArray(reply.json?.recipes) && !streamed) {
+      console.error("Failed to parse AI recipe response:", reply.text.substring(0, 500));
+      throw new Error("AI returned invalid recipe format. Please try again.");
     }
-    if (beforeFilter !== recipes.length) console.log(`Meal type filter: removed ${beforeFilter - recipes.length} inappropriate recipes for ${effectiveMealType}`);
+
+    let checked;
+    if (streaming) {
+      await validating;
+      if (toRepair.length) send("progress", { stage: "repairing", count: toRepair.length });
+      checked = toRepair.length
+        ? await validateRecipes(toRepair, { deals: ingredients, check: recipeCheck, rules: repairRules, signal: abort.signal })
+        : { recipes: [], dropped: [], repaired: 0 };
+    } else {
+      checked = await validateRecipes(reply.json.recipes, { deals: ingredients, check: recipeCheck, rules: repairRules, signal: abort.signal });
+    }
+    checked.recipes.forEach(serveRecipe);
+    if (checked.repaired) console.log(`Recipe schema: repaired ${checked.repaired} recipe(s)`);
+    if (checked.dropped.length) {
+      console.log(`Recipe schema: dropped ${checked.dropped.length}/${streaming ? streamed : reply.json.recipes.length} recipes`);
+      for (const d of checked.dropped) console.log(`  • [${d.title}] ${d.reasons.join("; ")}`);
+    }
+    if (mealTypeRemoved) console.log(`Meal type filter: removed ${mealTypeRemoved} inappropriate recipes for ${effectiveMealType}`);
 
     // Savings-first sort with a modest dinner-anchor blend, mirroring the
     // deal-ranking philosophy in app.js: fresh protein and produce get a
@@ -1188,16 +1011,20 @@ IMPORTANT ingredient type rules:
       return (r.totalSavings || 0) + boost;
     };
     recipes.sort((a, b) => recipeAnchorScore(b) - recipeAnchorScore(a));
+    if (swap) {
+      recipes = pickReplacements(recipes, swap, recipeAnchorScore);
+      console.log(`[recipes/ai] swap: ${swap.count} replacing [${swap.replacing.map(r => r.title).join(", ")}] → [${recipes.map(r => r.title).join(", ")}]${swap.hint ? ` hint="${swap.hint}"` : ""}`);
+    }
 
-    aiRecipeCache.set(cacheKey, { recipes, timestamp: Date.now() });
+    // Swaps are built around a particular set, so they aren't cached.
+    if (!swap) aiRecipeCache.set(cacheKey, { recipes, timestamp: Date.now() });
     for (const [key, val] of aiRecipeCache.entries()) {
       if (Date.now() - val.timestamp > 1800000) aiRecipeCache.delete(key);
     }
 
-    const cost = (inputTokens * 1 + outputTokens * 5) / 1000000;
+    const cost = estimateCost({ inputTokens, outputTokens }); // api_usage_log rows written by lib/llm
     const _tPostProcess = Date.now();
     console.log(`[recipes/ai] parse_match_ms=${_tPostProcess - _tClaudeDone} recipes=${recipes.length} cost=$${cost.toFixed(4)}`);
-    logApiUsage("anthropic", "recipes-ai", inputTokens, outputTokens, cost);
 
     // Deal hunter score
     const usedDealNames = new Set();
@@ -1205,8 +1032,17 @@ IMPORTANT ingredient type rules:
     const totalIngredients = (req.body.ingredients || []).length;
     const dealHunterScore = totalIngredients > 0 ? { used: usedDealNames.size, total: totalIngredients, percent: Math.round((usedDealNames.size / totalIngredients) * 100) } : null;
 
-    // Savings summary (see computeSavingsSummary above)
+    // Savings summary (see computeSavingsSummary above). A swap reports the
+    // whole set's, kept recipes included; the profile's running total only
+    // gains what the new recipes save.
     const savingsSummary = computeSavingsSummary(recipes);
+    const setSavings = swap ? computeSavingsSummary([...swap.locked, ...recipes]) : savingsSummary;
+    // A streaming client already has every recipe; it gets their final order.
+    const respond = ({ recipes, ...summary }) => {
+      if (!streaming) return res.json({ recipes, ...summary });
+      send("done", { ...summary, order: recipes.map(r => r.id) });
+      res.end();
+    };
 
     console.log(`[recipes/ai] TOTAL_ms=${Date.now() - _t0} breakdown: prompt=${_tPromptBuilt - _t0}ms claude=${_tClaudeDone - _tClaude}ms parse=${_tPostProcess - _tClaudeDone}ms post=${Date.now() - _tPostProcess}ms`);
 
@@ -1228,17 +1064,21 @@ IMPORTANT ingredient type rules:
           }).eq("id", user.id);
         }
       } catch (e) { /* savings tracking failed, continue */ }
-      res.json({ recipes, savings: savingsSummary, cached: false, tokens: { input: inputTokens, output: outputTokens, cost: cost.toFixed(4) }, badges: badgeResult, dealHunterScore });
+      respond({ recipes, savings: setSavings, cached: false, tokens: { input: inputTokens, output: outputTokens, cost: cost.toFixed(4) }, badges: badgeResult, dealHunterScore });
     } else {
       // Track anonymous generation count
       const anonId = req.headers["x-anon-id"] || req.ip;
       const count = (anonRecipeCount.get(anonId) || 0) + 1;
       anonRecipeCount.set(anonId, count);
-      res.json({ recipes, savings: savingsSummary, cached: false, tokens: { input: inputTokens, output: outputTokens, cost: cost.toFixed(4) }, dealHunterScore, anonGenerations: count });
+      respond({ recipes, savings: setSavings, cached: false, tokens: { input: inputTokens, output: outputTokens, cost: cost.toFixed(4) }, dealHunterScore, anonGenerations: count });
     }
   } catch (err) {
-    logError("POST /api/recipes/ai", err.message);
-    res.status(500).json({ error: "Something went wrong generating recipes. Please try again." });
+    if (abort.signal.aborted) return console.log("[recipes/ai] client disconnected — generation cancelled");
+    logError(streaming ? "POST /api/recipes/ai/stream" : "POST /api/recipes/ai", err.message);
+    const error = "Something went wrong generating recipes. Please try again.";
+    if (!res.headersSent) return res.status(500).json({ error });
+    send("error", { error });
+    res.end();
   }
 }
 
@@ -1282,25 +1122,16 @@ router.post("/api/scan-receipt", async (req, res) => {
 
   const { image } = req.body;
   if (!image) return res.status(400).json({ success: false, error: "No image provided" });
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) return res.status(500).json({ success: false, error: "API key not configured" });
+  if (!llmConfigured()) return res.status(500).json({ success: false, error: "API key not configured" });
 
   try {
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: { "Content-Type": "application/json", "x-api-key": apiKey, "anthropic-version": "2023-06-01" },
-      body: JSON.stringify({
-        model: "claude-haiku-4-5-20251001", max_tokens: 800,
-        messages: [{ role: "user", content: [
-          { type: "image", source: { type: "base64", media_type: "image/jpeg", data: image } },
-          { type: "text", text: 'Read this grocery receipt. Return ONLY a JSON object: {"store": "store name", "totalSpent": total as number, "itemCount": number of items, "savingsOnReceipt": any savings/discounts shown on receipt as number or 0}. Return ONLY valid JSON.' }
-        ]}]
-      }),
+    const reply = await complete({
+      purpose: "scan-receipt", maxTokens: 800, json: "object",
+      images: [{ data: image, mediaType: "image/jpeg" }],
+      prompt: 'Read this grocery receipt. Return ONLY a JSON object: {"store": "store name", "totalSpent": total as number, "itemCount": number of items, "savingsOnReceipt": any savings/discounts shown on receipt as number or 0}. Return ONLY valid JSON.',
     });
-    const result = await response.json();
-    const text = result.content?.[0]?.text?.trim() || "{}";
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    const receiptData = jsonMatch ? JSON.parse(jsonMatch[0]) : {};
+    if (reply.parse === "fail") throw new Error(`unreadable receipt reply: ${reply.parseError}`);
+    const receiptData = reply.json;
     const totalSpent = parseFloat(receiptData.totalSpent) || 0;
     const receiptSavings = parseFloat(receiptData.savingsOnReceipt) || 0;
     const regularPrice = receiptSavings > 0 ? totalSpent + receiptSavings : Math.round(totalSpent * 1.35 * 100) / 100;
@@ -1372,30 +1203,15 @@ router.post("/api/scan-pantry", async (req, res) => {
   const { image } = req.body;
   if (!image) return res.status(400).json({ error: "No image provided", items: [] });
 
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) return res.status(500).json({ error: "API key not configured", items: [] });
+  if (!llmConfigured()) return res.status(500).json({ error: "API key not configured", items: [] });
 
   try {
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: { "Content-Type": "application/json", "x-api-key": apiKey, "anthropic-version": "2023-06-01" },
-      body: JSON.stringify({
-        model: "claude-haiku-4-5-20251001",
-        max_tokens: 500,
-        messages: [{
-          role: "user",
-          content: [
-            { type: "image", source: { type: "base64", media_type: "image/jpeg", data: image } },
-            { type: "text", text: 'List every food PRODUCT visible in this photo. Return the product name as you would write it on a grocery list — NOT the ingredients that make up the product. For example: "jar of pasta sauce" NOT "tomatoes, garlic, basil". "Box of cereal" NOT "oats, wheat, sugar". "Bottle of olive oil" NOT "olives". Return ONLY a JSON array of product names, no brands. Example: ["pasta sauce", "olive oil", "rice", "canned tomatoes", "chicken broth"]. Return ONLY the JSON array.' }
-          ]
-        }]
-      }),
+    const reply = await complete({
+      purpose: "scan-pantry", maxTokens: 500, json: "array",
+      images: [{ data: image, mediaType: "image/jpeg" }],
+      prompt: 'List every food PRODUCT visible in this photo. Return the product name as you would write it on a grocery list — NOT the ingredients that make up the product. For example: "jar of pasta sauce" NOT "tomatoes, garlic, basil". "Box of cereal" NOT "oats, wheat, sugar". "Bottle of olive oil" NOT "olives". Return ONLY a JSON array of product names, no brands. Example: ["pasta sauce", "olive oil", "rice", "canned tomatoes", "chicken broth"]. Return ONLY the JSON array.',
     });
-    const result = await response.json();
-    if (result.error) { console.error("Pantry scan API error:", result.error); return res.json({ items: [] }); }
-    const text = result.content?.[0]?.text?.trim() || "[]";
-    const jsonMatch = text.match(/\[[\s\S]*\]/);
-    const items = jsonMatch ? JSON.parse(jsonMatch[0]) : [];
+    const items = reply.json || [];
     console.log(`Pantry scan: found ${items.length} items from ${(image.length / 1024).toFixed(0)}KB image`);
     res.json({ items });
   } catch (e) {
@@ -1421,8 +1237,7 @@ router.post("/api/recipes/substitute", async (req, res) => {
   const { ingredient, recipeName, dietary, availableDeals } = req.body;
   if (!ingredient || !recipeName) return res.status(400).json({ error: "ingredient and recipeName required" });
 
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) return res.status(500).json({ error: "API key not configured" });
+  if (!llmConfigured()) return res.status(500).json({ error: "API key not configured" });
 
   const dealNames = (availableDeals || []).slice(0, 50).map(d => {
     const parts = [d.name];
@@ -1443,15 +1258,9 @@ Respond with ONLY valid JSON:
 [{"substitute": "item name", "reason": "why this works, include price if on sale", "adjustedInstructions": "brief cooking adjustment or 'No changes needed'", "onSale": true}]`;
 
   try {
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: { "Content-Type": "application/json", "x-api-key": apiKey, "anthropic-version": "2023-06-01" },
-      body: JSON.stringify({ model: "claude-haiku-4-5-20251001", max_tokens: 1024, messages: [{ role: "user", content: prompt }] }),
-    });
-    const result = await response.json();
-    const text = result.content?.[0]?.text || "[]";
-    const jsonMatch = text.match(/\[[\s\S]*\]/);
-    const substitutes = jsonMatch ? JSON.parse(jsonMatch[0]) : [];
+    const reply = await complete({ purpose: "substitute", prompt, maxTokens: 1024, json: "array" });
+    if (reply.parse === "fail") throw new Error(`unreadable reply: ${reply.parseError}`);
+    const substitutes = reply.json;
     res.json({ substitutes });
   } catch (e) {
     console.error("Substitute error:", e.message);
@@ -1481,8 +1290,7 @@ async function handleLeftoverGeneration(req, res) {
   const { leftovers, availableDeals, preferences } = req.body;
   if (!leftovers?.trim()) return res.status(400).json({ error: "leftovers required" });
 
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) return res.status(500).json({ error: "API key not configured" });
+  if (!llmConfigured()) return res.status(500).json({ error: "API key not configured" });
 
   const prefs = preferences || {};
   const dealsList = (availableDeals || []).slice(0, 40).map(d => {
@@ -1535,15 +1343,9 @@ Respond with ONLY valid JSON:
 }`;
 
   try {
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: { "Content-Type": "application/json", "x-api-key": apiKey, "anthropic-version": "2023-06-01" },
-      body: JSON.stringify({ model: "claude-haiku-4-5-20251001", max_tokens: 4096, messages: [{ role: "user", content: prompt }] }),
-    });
-    const result = await response.json();
-    const text = result.content?.[0]?.text || "{}";
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    const parsed = jsonMatch ? JSON.parse(jsonMatch[0]) : { recipes: [] };
+    const reply = await complete({ purpose: "leftovers", prompt, maxTokens: 4096, json: "object" });
+    if (reply.parse === "fail") throw new Error(`unreadable reply: ${reply.parseError}`);
+    const parsed = reply.json;
     res.json({ recipes: parsed.recipes || [], isLeftover: true });
   } catch (e) {
     console.error("Leftover recipe error:", e.message);
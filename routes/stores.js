@@ -1,13 +1,29 @@
 import { Router } from "express";
 import fetch from "node-fetch";
 import {
-  supabase, validateZip, validateStoreName, isKrogerFamilyBrand,
+  supabase, getUser, validateZip, validateStoreName, isKrogerFamilyBrand,
   getAdRegions, summarizeRegions, geocodeZip,
-  getCachedDeals, setCachedDeals, getCachedStores, setCachedStores,
-  getCategoryImage, findIgroceryadsUrl, canonicalizeStoreId, extractingStores,
-  storesWithDealsCache, logSearch, logApiUsage, logError, GOOGLE_MAPS_KEY, DEAL_CACHE_TTL, AD_EXTRACT_CACHE_TTL, AD_EXTRACT_REFRESH_AFTER,
+  getCachedDeals, getCachedDealsRow, getNextWeekAd, setCachedDeals, getCachedStores, setCachedStores,
+  getChainAdCycle, getCategoryImage, canonicalizeStoreId,
+  storesWithDealsCache, logSearch, logError, GOOGLE_MAPS_KEY, DEAL_CACHE_TTL, AD_EXTRACT_CACHE_TTL, AD_EXTRACT_REFRESH_AFTER,
 } from "../lib/utils.js";
-import { fetchKrogerDeals } from "./kroger.js";
+import { refreshKrogerDeals, scheduleKrogerRefresh } from "../lib/kroger-deals.js";
+import { getKrogerDivisionFor, getKrogerDivisionBySlug, getKrogerDivisions, rebuildKrogerDivisions, krogerBannerSlug } from "../lib/kroger-divisions.js";
+import { resolveAdSources, hasAdSource, discoverAdImages } from "../lib/ad-sources/index.js";
+import { flippCacheKey, refreshFlippDeals } from "../lib/flipp.js";
+import { enqueueExtractJob, getActiveJob, getLatestJob } from "../lib/extract-queue.js";
+import { hashTile, lookupTiles, storeTile, summarizeTileCache } from "../lib/ocr-cache.js";
+import { complete, llmConfigured, llmProviderId } from "../lib/llm/index.js";
+import { isPdf, openPdf, hasUsableTextLayer, parseTextLayerDeals } from "../lib/pdf-ad.js";
+import { dealUnitInfo, computeUnitPrice, toBaseUnitPrice } from "../lib/unit-price.js";
+import { offerRejectReason, withOffer } from "../lib/offers.js";
+import { compareAcrossStores } from "../lib/price-compare.js";
+import { bucketFor, dealCategoryPath } from "../lib/taxonomy.js";
+import { plausibleDiscount, isLowQuality, hasQualityFlag } from "../lib/deal-quality.js";
+import { exactProductId } from "../lib/product-catalog.js";
+import { HISTORY_WEEKS, fetchHistoryRows, historicalContext, itemHistory } from "../lib/price-history.js";
+import { loadSaleCycles, stockUpAdvice } from "../lib/sale-cycles.js";
+import { AD_DEFAULT_TIMEZONE, zonedTime, isWindowUpcoming, pickServingAd, nextExtractionDue } from "../lib/ad-validity.js";
 import { notifyStoreRequest } from "../lib/email.js";
 import { readFileSync } from "fs";
 import { fileURLToPath } from "url";
@@ -37,20 +53,13 @@ const SITE_FOOTER = `
 
 const router = Router();
 
-// Single ceiling for any discount percentage this app is willing to assert.
-// Above it, the figure is almost always a source error — a per-each price
-// compared against a per-pound one, or an OCR'd "reg" belonging to a neighbouring
-// item — not a real deal. Every path that computes or displays pctOff reads this:
-// the regional backfill, the SSR chain pages (curateChainDeals), and the homepage
-// preview (curateFreshDeals). It was previously 90 in the backfill and 60 in the
-// two curate functions, so the same row rendered "75% off" in the deal browser
-// and no discount at all on /deals/{chain}.
-//
-// The remedy is uniform too: when the computed percentage exceeds the ceiling we
-// assert NO discount rather than clamping to 60. Clamping would just relocate the
-// disagreement — the browser would claim 60% off on a row the chain page shows
-// with no badge. A number we do not trust should not be published at all.
-const MAX_PLAUSIBLE_PCT_OFF = 60;
+// Every path that computes or displays pctOff — the regional backfill, the SSR
+// chain pages (curateChainDeals), and the homepage preview (curateFreshDeals) —
+// asks lib/deal-quality.js plausibleDiscount, which applies the one
+// MAX_PLAUSIBLE_PCT_OFF ceiling and honours the write-time quality flags. The
+// ceiling was once 90 in the backfill and 60 in the two curate functions, so
+// the same row rendered "75% off" in the deal browser and no discount at all
+// on /deals/{chain}.
 
 // ══ NEARBY GROCERY STORES (Google Places API with 30-day cache) ═══════════════
 
@@ -66,7 +75,7 @@ router.get("/api/nearby-stores", async (req, res) => {
   try {
     const cached = await getCachedStores(zip, cacheKey);
     if (cached) {
-      const filtered = cached.filter(s => s.hasDeals || s.canExtract || findIgroceryadsUrl(s.name));
+      const filtered = cached.filter(s => s.hasDeals || s.canExtract || hasAdSource(s.name));
       console.log(`Nearby stores for ${zip} (${miles}mi): ${filtered.length} stores [cached]`);
       logSearch(zip, filtered.length, 0);
       return res.json({ stores: filtered, cached: true });
@@ -173,7 +182,7 @@ router.get("/api/nearby-stores", async (req, res) => {
         ...s,
         hasDeals: storesWithDealsCache.has(normalizeName(s.name))
           || isKrogerFamilyBrand(s.name) || s.name === "ALDI",
-        canExtract: !!findIgroceryadsUrl(s.name) || isKrogerFamilyBrand(s.name) || s.name === "ALDI",
+        canExtract: hasAdSource(s.name) || isKrogerFamilyBrand(s.name) || s.name === "ALDI",
         krogerFamily: isKrogerFamilyBrand(s.name),
       }))
       .filter(s => s.hasDeals || s.canExtract);
@@ -212,187 +221,299 @@ router.get("/api/ad-regions", async (req, res) => {
 
 // ══ REGIONAL DEALS ═══════════════════════════════════════════════════════════
 
-router.get("/api/deals/regional", async (req, res) => {
-  const { zip, locationId } = req.query;
-  if (!validateZip(zip)) return res.status(400).json({ error: "Valid 5-digit zip is required" });
-
-  try {
-    const zip3 = zip.substring(0, 3);
-    const regions = await getAdRegions(zip);
-    const summary = summarizeRegions(regions);
-
-    // The ?refresh= cron-authority parameter existed only to force a refetch of
-    // walmart:national past its cached row. Walmart was retired as a source in
-    // Aug 2026 and no remaining source in this handler is fetched live here —
-    // Kroger and ALDI both read from caches written elsewhere — so the parameter
-    // has nothing left to force. It is still parsed and warned about so a stale
-    // caller (the weekly workflow, a bookmarked URL) gets a log line rather than
-    // silence, but it no longer changes behaviour.
-    const refreshParam = String(req.query.refresh || "").toLowerCase();
-    if (refreshParam) console.warn(`  refresh=${refreshParam} ignored: no live-fetched source remains in this handler`);
-
-    console.log(`\n═══ Regional deals for ${zip} (${zip3}) — ${summary.length} chains ═══`);
-
-    const results = { kroger: null, aldi: null, sources: [] };
-    const fetchPromises = [];
-
-    // Kroger-family deals: fetch if locationId is provided (works for all Kroger banners)
-    const krogerRegion = summary.find(s => s.store === "kroger");
-    if (locationId) {
-      const banner = krogerRegion?.banner || "Kroger";
-      const division = krogerRegion?.division || "";
-      fetchPromises.push((async () => {
-        const cacheKey = `kroger:${locationId}`;
-        const cached = await getCachedDeals(cacheKey);
-        if (cached) {
-          results.kroger = cached.map(d => d.source ? d : { ...d, storeName: d.storeName || banner, source: "kroger" });
-          results.sources.push({ store: "kroger", banner, division, deals: cached.length, cached: true });
-          console.log(`  Kroger ${banner}: ${cached.length} deals [cached]`);
-        } else {
-          try {
-            const unique = await fetchKrogerDeals(locationId, banner);
-            await setCachedDeals(cacheKey, unique);
-            results.kroger = unique;
-            results.sources.push({ store: "kroger", banner, division, deals: unique.length, cached: false });
-            console.log(`  Kroger ${banner}: ${unique.length} deals [live]`);
-          } catch (e) {
-            console.error(`  Kroger fetch error: ${e.message}`);
-            results.sources.push({ store: "kroger", banner, deals: 0, error: e.message });
-          }
-        }
-      })());
-    }
-
-    // ALDI is national — always fetch regardless of ad_regions
+// Every current deal near a zip, from every source /api/deals/regional serves:
+// Kroger (the caller's store or the division's), ALDI, Flipp and the OCR'd
+// ads, deduped per store, with bad prices dropped and pctOff, offer and unit
+// price filled in. Shared by the regional feed, /api/compare and the watchlist
+// evaluation (routes/watchlists.js).
+export async function collectRegionalDeals(zip, { locationId = null, wantNextWeek = false } = {}) {
+  const zip3 = zip.substring(0, 3);
+  const regions = await getAdRegions(zip);
+  const summary = summarizeRegions(regions);
+
+  console.log(`\n═══ Regional deals for ${zip} (${zip3}) — ${summary.length} chains ═══`);
+
+  const results = { kroger: null, aldi: null, flipp: null, sources: [] };
+  const fetchPromises = [];
+
+  // Kroger-family deals: the caller's own store when it passes a locationId,
+  // otherwise the representative store of the zip's Kroger division
+  // (lib/kroger-divisions.js). Prices are divisional, so a zip-only caller
+  // sees the same promos their nearest Kroger banner runs; `representative`
+  // on the source tells the client it isn't their store.
+  const krogerRegion = summary.find(s => s.store === "kroger");
+  const krogerDivision = !locationId && krogerRegion ? await getKrogerDivisionFor(krogerRegion) : null;
+  const krogerLocationId = locationId || krogerDivision?.locationId || null;
+  if (krogerLocationId) {
+    const banner = krogerRegion?.banner || "Kroger";
+    const division = krogerRegion?.division || "";
+    const representative = !locationId;
     fetchPromises.push((async () => {
-      // Try cache first
-      const cacheKey = "aldi:national";
+      const cacheKey = `kroger:${krogerLocationId}`;
       const cached = await getCachedDeals(cacheKey);
-      if (cached && cached.length > 0) {
-        results.aldi = cached;
-        results.sources.push({ store: "aldi", banner: "ALDI", division: "National", deals: cached.length, cached: true });
-        console.log(`  ALDI National: ${cached.length} deals [cached]`);
-        return;
-      }
-      // ALDI deals come from the ad-aggregator OCR pipeline (ad-extract:aldi cache),
-      // populated weekly by the GH Action POST /api/extract-store. Same path as the
-      // 80+ other chains we OCR — no bespoke ALDI scraper anymore. Cutover May 2026
-      // (see commit "Replace broken ALDI scraper with OCR via aldi.weeklyad.us.com").
-      const adCached = await getCachedDeals("ad-extract:aldi");
-      if (adCached && adCached.length > 0) {
-        results.aldi = adCached;
-        results.sources.push({ store: "aldi", banner: "ALDI", division: "National", deals: adCached.length, cached: true });
-        console.log(`  ALDI National: ${adCached.length} deals [ad-extract]`);
+      if (cached) {
+        results.kroger = cached.map(d => d.source ? d : { ...d, storeName: d.storeName || banner, source: "kroger" });
+        results.sources.push({ store: "kroger", banner, division, locationId: krogerLocationId, representative, deals: cached.length, cached: true });
+        console.log(`  Kroger ${banner}: ${cached.length} deals [cached${representative ? `, division store ${krogerLocationId}` : ""}]`);
       } else {
-        results.sources.push({ store: "aldi", banner: "ALDI", division: "National", deals: 0, note: "No deals available" });
-        console.log(`  ALDI National: no deals`);
+        // A full catalog is a few hundred API calls (lib/kroger-deals.js), too
+        // many to run inside a request: like Flipp, a miss schedules a
+        // background refresh and this response goes out without Kroger rows.
+        // The division stores are pre-warmed by /api/cron/refresh-kroger-division.
+        const scheduled = scheduleKrogerRefresh(krogerLocationId, banner, { division: krogerRegion?.division });
+        results.sources.push({ store: "kroger", banner, division, locationId: krogerLocationId, representative, deals: 0, note: "Refreshing" });
+        console.log(`  Kroger ${banner}: cache miss, ${scheduled ? "refresh scheduled" : "refresh already queued"}${representative ? ` (division store ${krogerLocationId})` : ""}`);
       }
     })());
+  }
+
+  // ALDI is national — always fetch regardless of ad_regions
+  fetchPromises.push((async () => {
+    // Try cache first
+    const cacheKey = "aldi:national";
+    const cached = await getCachedDeals(cacheKey);
+    if (cached && cached.length > 0) {
+      results.aldi = cached;
+      results.sources.push({ store: "aldi", banner: "ALDI", division: "National", deals: cached.length, cached: true });
+      console.log(`  ALDI National: ${cached.length} deals [cached]`);
+      return;
+    }
+    // ALDI deals come from the ad-aggregator OCR pipeline (ad-extract:aldi cache),
+    // populated weekly by the GH Action POST /api/extract-store. Same path as the
+    // 80+ other chains we OCR — no bespoke ALDI scraper anymore. Cutover May 2026
+    // (see commit "Replace broken ALDI scraper with OCR via aldi.weeklyad.us.com").
+    const adCached = await getCachedDeals("ad-extract:aldi");
+    if (adCached && adCached.length > 0) {
+      results.aldi = adCached;
+      results.sources.push({ store: "aldi", banner: "ALDI", division: "National", deals: adCached.length, cached: true });
+      console.log(`  ALDI National: ${adCached.length} deals [ad-extract]`);
+    } else {
+      results.sources.push({ store: "aldi", banner: "ALDI", division: "National", deals: 0, note: "No deals available" });
+      console.log(`  ALDI National: no deals`);
+    }
+  })());
+
+  // Flipp: structured flyer prices per zip3 for the chains Kroger and ALDI
+  // don't cover. Served from cache only; a miss schedules a background crawl
+  // (lib/flipp.js) and this response goes out without Flipp rows.
+  fetchPromises.push((async () => {
+    const cacheKey = flippCacheKey(zip);
+    const cached = await getCachedDeals(cacheKey);
+    if (cached) {
+      results.flipp = cached;
+      const merchants = new Set(cached.map(d => d.storeName)).size;
+      results.sources.push({ store: "flipp", banner: "Flipp", division: zip3, deals: cached.length, merchants, cached: true });
+      console.log(`  Flipp ${zip3}: ${cached.length} deals from ${merchants} merchants [cached]`);
+    } else {
+      const scheduled = refreshFlippDeals(zip);
+      results.sources.push({ store: "flipp", banner: "Flipp", division: zip3, deals: 0, note: "Refreshing" });
+      console.log(`  Flipp ${zip3}: cache miss, ${scheduled ? "refresh scheduled" : "refresh already queued"}`);
+    }
+  })());
 
-    await Promise.all(fetchPromises);
+  await Promise.all(fetchPromises);
 
-    let adExtractDeals = [];
-    try {
-      const adCutoff = new Date(Date.now() - AD_EXTRACT_CACHE_TTL).toISOString();
-      const { data: zip3Data } = await supabase.from("deal_cache").select("data, cache_key").like("cache_key", `ad-extract:%:${zip3}`).gte("fetched_at", adCutoff);
-      const zip3StoreIds = new Set();
-      if (zip3Data) {
-        for (const row of zip3Data) {
-          if (row.data) {
-            adExtractDeals.push(...row.data);
-            const parts = row.cache_key.split(":");
-            if (parts[1]) zip3StoreIds.add(parts[1]);
+  let adExtractDeals = [];
+  const adWindows = {};
+  const nextWeek = [];
+  try {
+    // Validity windows live on the rows (lib/ad-validity.js): expired ads are
+    // dropped, and a chain's ad-next: row stands in for its master row once
+    // next week's ad reaches its first day. Until then it is only served
+    // with ?nextWeek=1, kept apart from `deals` in the `nextWeek` field.
+    const now = new Date();
+    const adCutoff = new Date(now.getTime() - AD_EXTRACT_CACHE_TTL).toISOString();
+    const { data: zip3Data } = await supabase.from("deal_cache").select("data, cache_key, fetched_at, valid_from, valid_to").like("cache_key", `ad-extract:%:${zip3}`).gte("fetched_at", adCutoff);
+    const zip3StoreIds = new Set();
+    if (zip3Data) {
+      for (const row of zip3Data) {
+        if (row.data && pickServingAd([row], now)) {
+          adExtractDeals.push(...row.data);
+          const parts = row.cache_key.split(":");
+          if (parts[1]) {
+            zip3StoreIds.add(parts[1]);
+            adWindows[parts[1]] = { validFrom: row.valid_from, validTo: row.valid_to };
           }
         }
       }
-      const { data: masterData } = await supabase
-        .from("deal_cache")
-        .select("data, cache_key")
-        .like("cache_key", "ad-extract:%")
-        .not("cache_key", "like", "ad-extract:%:%")
-        .gte("fetched_at", adCutoff);
-      if (masterData) {
-        for (const row of masterData) {
-          const storeId = row.cache_key.split(":")[1];
-          if (!zip3StoreIds.has(storeId) && row.data) {
-            adExtractDeals.push(...row.data);
-          }
-        }
+    }
+    const { data: masterData } = await supabase
+      .from("deal_cache")
+      .select("data, cache_key, fetched_at, valid_from, valid_to")
+      .or("cache_key.like.ad-extract:%,cache_key.like.ad-next:%")
+      .not("cache_key", "like", "ad-extract:%:%")
+      .gte("fetched_at", adCutoff);
+    const masterByStore = new Map();
+    for (const row of masterData || []) {
+      const storeId = row.cache_key.split(":")[1];
+      if (!masterByStore.has(storeId)) masterByStore.set(storeId, []);
+      masterByStore.get(storeId).push(row);
+    }
+    for (const [storeId, rows] of masterByStore) {
+      const serving = pickServingAd(rows, now);
+      if (!zip3StoreIds.has(storeId) && serving?.data) {
+        adExtractDeals.push(...serving.data);
+        adWindows[storeId] = { validFrom: serving.valid_from, validTo: serving.valid_to };
       }
-      if (adExtractDeals.length > 0) {
-        // Don't assign category images — let frontend use emoji fallback instead of unreliable URLs
-        adExtractDeals = adExtractDeals.map(d => d.image ? d : { ...d, image: null });
-        results.sources.push({ store: "ad-extract", deals: adExtractDeals.length, cached: true });
-        console.log(`  Ad-extracted deals: ${adExtractDeals.length} deals`);
+      const upcoming = rows.find(r => r.cache_key.startsWith("ad-next:") && isWindowUpcoming({ validFrom: r.valid_from }, now));
+      if (wantNextWeek && upcoming?.data?.length) {
+        nextWeek.push({ storeId, validFrom: upcoming.valid_from, validTo: upcoming.valid_to, deals: upcoming.data.map(d => ({ ...d, image: d.image || null, preview: true })) });
       }
+    }
+    // Approved user uploads (routes/admin.js): one row per upload, added to
+    // the chain's crawled ad rather than standing in for it. They go after the
+    // crawl so the dedupe below keeps the crawl's row for an item both carry.
+    const { data: uploadData } = await supabase.from("deal_cache").select("data, cache_key, fetched_at, valid_from, valid_to").like("cache_key", `ad-upload:${zip3}:%`).gte("fetched_at", adCutoff);
+    for (const row of uploadData || []) {
+      if (row.data && pickServingAd([row], now)) adExtractDeals.push(...row.data);
+    }
+    if (adExtractDeals.length > 0) {
+      // Don't assign category images — let frontend use emoji fallback instead of unreliable URLs
+      adExtractDeals = adExtractDeals.map(d => d.image ? d : { ...d, image: null });
+      results.sources.push({ store: "ad-extract", deals: adExtractDeals.length, cached: true });
+      console.log(`  Ad-extracted deals: ${adExtractDeals.length} deals`);
+    }
+  } catch (e) {
+    console.log(`  No ad-extracted deals found`);
+  }
+
+  // Order matters for the dedupe below, which keeps the first row it sees.
+  // Flipp sits ahead of ad-extract so a chain carried by both keeps Flipp's
+  // structured price over the OCR reading of the same item.
+  let allDeals = [
+    ...(results.kroger || []),
+    ...(results.aldi || []),
+    ...(results.flipp || []),
+    ...adExtractDeals,
+  ];
+
+  // Deduplicate: keep the one with better price data
+  const beforeDedup = allDeals.length;
+  const seen = new Map();
+  allDeals = allDeals.filter(d => {
+    // Scope dedupe to the same store: cross-store name matches are the
+    // cross-chain comparison, not duplicates. Longer slice + trailing-s
+    // strip catches near-identical names ("...Chops Bone In"/"...Chop Bone").
+    const nameKey = (d.name || "").toLowerCase().replace(/[^a-z0-9]/g, "").replace(/s$/, "").slice(0, 40);
+    if (!nameKey) return false; // filter empty names
+    // Store key is punctuation-blind so Flipp's merchant name ("Food Lion")
+    // and an ad-extract storeName typed by a caller ("food-lion") meet.
+    const key = `${(d.storeName || d.source || "").toLowerCase().replace(/[^a-z0-9]/g, "")}::${nameKey}`;
+    if (seen.has(key)) {
+      const existing = seen.get(key);
+      // Keep existing if it has better price data
+      if (!existing.salePrice && d.salePrice) { seen.set(key, d); return false; }
+      return false;
+    }
+    seen.set(key, d);
+    return true;
+  });
+  // Replace with best versions
+  allDeals = [...seen.values()];
+
+  // Filter bad prices
+  const beforeFilter = allDeals.length;
+  allDeals = allDeals.filter(d => {
+    if (!d.name || d.name.trim() === "") return false;
+    const price = parseFloat(String(d.salePrice || "").replace(/[^0-9.]/g, ""));
+    if (price > 500) return false; // data error
+    return true;
+  });
+  const removed = beforeDedup - allDeals.length;
+  if (removed > 0) console.log(`  Cleaned: ${beforeDedup - beforeFilter} dupes, ${beforeFilter - allDeals.length} bad prices removed`);
+
+  // pctOff backfill: OCR-extracted deals carry both prices but no pctOff,
+  // which sinks them in the client's discount-weighted ranking. Compute it
+  // wherever the discount is plausible (plausibleDiscount) — the same rule, with
+  // the same remedy, that the SSR chain pages and the homepage preview apply.
+  allDeals = allDeals.map(d => {
+    if (Number(d.pctOff) > 0) return d;
+    const { pct } = plausibleDiscount(d);
+    return pct > 0 ? { ...d, pctOff: pct } : d;
+  });
+
+  // A second OCR read of a deal from an overlapping tile (lib/deal-quality.js)
+  // is not a second deal.
+  allDeals = allDeals.filter(d => !hasQualityFlag(d, "ocr_duplicate"));
+
+  // Sanitize images — remove unreliable external URLs, set null so frontend uses emoji fallback
+  allDeals = allDeals.map(d => {
+    if (d.image && (d.image.includes("unsplash.com") || d.image.includes("pexels.com") || d.image.includes("igroceryads") || d.image.includes("iweeklyads") || d.image.includes("ladysavings"))) {
+      d.image = null;
+    }
+    return d;
+  });
+
+  // Offers, unit prices and category paths are set when a row is written
+  // (setCachedDeals, lib/offers.js, lib/unit-price.js, lib/taxonomy.js); rows
+  // cached before that carry none of them until their next refresh.
+  allDeals = allDeals.map(d => {
+    if (!d.offer) d = withOffer(d);
+    if (!d.categoryPath) d = { ...d, categoryPath: dealCategoryPath(d) };
+    if (d.unitPrice) return d;
+    const unitPrice = computeUnitPrice(d);
+    return unitPrice ? { ...d, unitPrice } : d;
+  });
+
+  return { zip3, summary, sources: results.sources, allDeals, adWindows, nextWeek, krogerLocationId };
+}
+
+// ── Historical context ──────────────────────────────────────────────────────
+// deal_history grows once a week, so a product's rows are read at most once
+// per HISTORY_ROWS_TTL per instance; the map is dropped whole when it grows
+// past HISTORY_ROWS_MAX products rather than tracking recency.
+const HISTORY_ROWS_TTL = 6 * 60 * 60 * 1000;
+const HISTORY_ROWS_MAX = 20000;
+const historyRowsCache = new Map(); // canonical product id → { rows, at }
+
+// Deals → the same deals with historicalContext (lib/price-history.js) where
+// the product has enough history. A failed read serves the deals without it.
+export async function withHistoricalContext(deals) {
+  const ids = deals.map(d => (d && d.name && d.salePrice != null ? exactProductId(d) : null));
+  const now = Date.now();
+  const stale = [...new Set(ids.filter(id => id && !(historyRowsCache.get(id)?.at > now - HISTORY_ROWS_TTL)))];
+  if (stale.length) {
+    try {
+      const rows = await fetchHistoryRows(supabase, stale, { weeks: HISTORY_WEEKS });
+      if (historyRowsCache.size + stale.length > HISTORY_ROWS_MAX) historyRowsCache.clear();
+      for (const id of stale) historyRowsCache.set(id, { rows: [], at: now });
+      for (const r of rows) historyRowsCache.get(r.canonical_product_id)?.rows.push(r);
     } catch (e) {
-      console.log(`  No ad-extracted deals found`);
+      console.warn(`  Historical context skipped: ${e.message}`);
+      return deals;
     }
+  }
+  let withContext = 0;
+  const out = deals.map((d, i) => {
+    const entry = ids[i] && historyRowsCache.get(ids[i]);
+    const ctx = entry ? historicalContext(d.salePrice, entry.rows, { chain: String(d.storeName || "").trim().toLowerCase(), now }) : null;
+    if (!ctx) return d;
+    withContext++;
+    return { ...d, historicalContext: ctx };
+  });
+  console.log(`  Historical context: ${withContext} of ${deals.length} deals (${stale.length} products read)`);
+  return out;
+}
 
-    let allDeals = [
-      ...(results.kroger || []),
-      ...(results.aldi || []),
-      ...adExtractDeals,
-    ];
+router.get("/api/deals/regional", async (req, res) => {
+  const { zip, locationId } = req.query;
+  if (!validateZip(zip)) return res.status(400).json({ error: "Valid 5-digit zip is required" });
 
-    // Deduplicate: keep the one with better price data
-    const beforeDedup = allDeals.length;
-    const seen = new Map();
-    allDeals = allDeals.filter(d => {
-      // Scope dedupe to the same store: cross-store name matches are the
-      // cross-chain comparison, not duplicates. Longer slice + trailing-s
-      // strip catches near-identical names ("...Chops Bone In"/"...Chop Bone").
-      const nameKey = (d.name || "").toLowerCase().replace(/[^a-z0-9]/g, "").replace(/s$/, "").slice(0, 40);
-      if (!nameKey) return false; // filter empty names
-      const key = `${(d.storeName || d.source || "").toLowerCase()}::${nameKey}`;
-      if (seen.has(key)) {
-        const existing = seen.get(key);
-        // Keep existing if it has better price data
-        if (!existing.salePrice && d.salePrice) { seen.set(key, d); return false; }
-        return false;
-      }
-      seen.set(key, d);
-      return true;
-    });
-    // Replace with best versions
-    allDeals = [...seen.values()];
-
-    // Filter bad prices
-    const beforeFilter = allDeals.length;
-    allDeals = allDeals.filter(d => {
-      if (!d.name || d.name.trim() === "") return false;
-      const price = parseFloat(String(d.salePrice || "").replace(/[^0-9.]/g, ""));
-      if (price > 500) return false; // data error
-      return true;
-    });
-    const removed = beforeDedup - allDeals.length;
-    if (removed > 0) console.log(`  Cleaned: ${beforeDedup - beforeFilter} dupes, ${beforeFilter - allDeals.length} bad prices removed`);
-
-    // pctOff backfill: OCR-extracted deals carry both prices but no pctOff,
-    // which sinks them in the client's discount-weighted ranking. Compute it
-    // wherever both prices exist, and drop anything above MAX_PLAUSIBLE_PCT_OFF
-    // on the floor — the same ceiling, with the same remedy, that the SSR chain
-    // pages and the homepage preview apply. This used to cap at 90, which is why
-    // a 75%-off OCR row showed "75% off" here and no discount on /deals/{chain}.
-    allDeals = allDeals.map(d => {
-      if (Number(d.pctOff) > 0) return d;
-      const s = parseFloat(String(d.salePrice || "").replace(/[^0-9.]/g, ""));
-      const r = parseFloat(String(d.regularPrice || "").replace(/[^0-9.]/g, ""));
-      if (Number.isFinite(s) && Number.isFinite(r) && r > 0 && s > 0 && s < r) {
-        const pct = Math.round(((r - s) / r) * 100);
-        if (pct > MAX_PLAUSIBLE_PCT_OFF) return d; // implausible — assert no discount
-        return { ...d, pctOff: pct };
-      }
-      return d;
-    });
+  try {
+    // The ?refresh= cron-authority parameter existed only to force a refetch of
+    // walmart:national past its cached row. Walmart was retired as a source in
+    // Aug 2026 and no remaining source in this handler is fetched live here —
+    // ALDI reads a cache written elsewhere and Flipp refreshes in the
+    // background — so the parameter has nothing left to force. It is still parsed and warned about so a stale
+    // caller (the weekly workflow, a bookmarked URL) gets a log line rather than
+    // silence, but it no longer changes behaviour.
+    const refreshParam = String(req.query.refresh || "").toLowerCase();
+    if (refreshParam) console.warn(`  refresh=${refreshParam} ignored: no live-fetched source remains in this handler`);
 
-    // Sanitize images — remove unreliable external URLs, set null so frontend uses emoji fallback
-    allDeals = allDeals.map(d => {
-      if (d.image && (d.image.includes("unsplash.com") || d.image.includes("pexels.com") || d.image.includes("igroceryads") || d.image.includes("iweeklyads") || d.image.includes("ladysavings"))) {
-        d.image = null;
-      }
-      return d;
-    });
+    const wantNextWeek = req.query.nextWeek === "1" || req.query.nextWeek === "true";
+    const { zip3, summary, sources, adWindows, nextWeek, krogerLocationId, allDeals: collected } =
+      await collectRegionalDeals(zip, { locationId, wantNextWeek });
+    let allDeals = collected;
 
     // Server-side brand filtering (if brands param provided)
     const brandsParam = req.query.brands;
@@ -410,15 +531,30 @@ router.get("/api/deals/regional", async (req, res) => {
       console.log(`  Brand filter: ${beforeBrandFilter} → ${allDeals.length} (brands: ${brandsParam})`);
     }
 
-    console.log(`═══ Total: ${allDeals.length} deals from ${results.sources.length} sources ═══\n`);
-    logSearch(zip, results.sources.length, allDeals.length);
+    // ?sort=unit: cheapest true unit cost first. $/lb and $/each don't compare,
+    // so weight, volume and count items each sort among themselves, in that
+    // order, with rows that have no unit price last.
+    if (String(req.query.sort || "").toLowerCase() === "unit") {
+      const DIMENSION_ORDER = { weight: 0, volume: 1, count: 2 };
+      const rank = (d) => {
+        const b = toBaseUnitPrice(d.unitPrice);
+        return b ? [DIMENSION_ORDER[b.dimension], b.perBase] : [3, 0];
+      };
+      allDeals = allDeals
+        .map(d => ({ d, r: rank(d) }))
+        .sort((a, z) => a.r[0] - z.r[0] || a.r[1] - z.r[1])
+        .map(x => x.d);
+    }
+
+    console.log(`═══ Total: ${allDeals.length} deals from ${sources.length} sources ═══\n`);
+    logSearch(zip, sources.length, allDeals.length);
 
     // Get the most recent fetched_at from deal_cache for this set of sources
     let dealsUpdatedAt = null;
     try {
       const cacheKeys = [];
-      if (locationId) cacheKeys.push(`kroger:${locationId}`);
-      cacheKeys.push("aldi:national");
+      if (krogerLocationId) cacheKeys.push(`kroger:${krogerLocationId}`);
+      cacheKeys.push("aldi:national", flippCacheKey(zip));
       const { data: cacheRows } = await supabase
         .from("deal_cache")
         .select("fetched_at")
@@ -456,6 +592,7 @@ router.get("/api/deals/regional", async (req, res) => {
     } else {
       paged = limit < total ? allDeals.slice(offset, offset + limit) : allDeals;
     }
+    paged = await withHistoricalContext(paged);
     if (total > 1000) console.warn(`⚠️ Large deals pool: ${total} deals (${Math.round(JSON.stringify(allDeals).length / 1024)}KB)`);
     console.log(`  Serving: ${paged.length} of ${total} deals (${Math.round(JSON.stringify(paged).length / 1024)}KB) [limit=${limit} offset=${offset}]`);
 
@@ -463,9 +600,11 @@ router.get("/api/deals/regional", async (req, res) => {
       zip3,
       totalDeals: total,
       deals: paged,
-      sources: results.sources,
+      sources,
       availableChains: summary.map(s => s.banner),
       dealsUpdatedAt,
+      adWindows,
+      ...(wantNextWeek ? { nextWeek } : {}),
       limit,
       offset,
       hasMore: offset + limit < total,
@@ -476,53 +615,218 @@ router.get("/api/deals/regional", async (req, res) => {
   }
 });
 
-// ══ ON-DEMAND AD EXTRACTION ═══════════════════════════════════════════════════
+// ══ PRICE HISTORY ═════════════════════════════════════════════════════════════
+// The weekly series for one item from deal_history: /api/deals/history?item=
+// chicken+thighs[&chain=meijer][&weeks=26]. chain is the lowercased store name
+// deal_history groups on.
+
+router.get("/api/deals/history", async (req, res) => {
+  const item = String(req.query.item || "").trim();
+  if (item.length < 2 || item.length > 80) return res.status(400).json({ error: "item (2-80 characters) is required" });
+  const chain = String(req.query.chain || "").trim();
+  if (chain && !validateStoreName(chain)) return res.status(400).json({ error: "Invalid chain" });
+  const weeks = Math.min(Math.max(parseInt(req.query.weeks) || HISTORY_WEEKS, 1), 104);
 
-// Global cap on concurrent OCR extractions. The per-store extractingStores
-// guard prevents duplicate work on one store but nothing bounded the total.
-// On 2026-07-08 the Wednesday cron ran 5-8 extractions concurrently (full-res
-// buffers + sharp working memory each) and OOM-killed the Render instance
-// repeatedly. Limit 2 drains 20 stores in ~25 min without approaching the
-// memory ceiling. Queued stores still report status "extracting", which is
-// truthful: queued means work is committed, just not started.
-const EXTRACT_CONCURRENCY = 2;
-let extractSlotsInUse = 0;
-const extractWaitQueue = [];
-function acquireExtractSlot(storeName) {
-  if (extractSlotsInUse < EXTRACT_CONCURRENCY) {
-    extractSlotsInUse++;
-    return Promise.resolve();
+  try {
+    const history = await itemHistory(supabase, { item, chain, weeks });
+    console.log(`  History "${item}"${chain ? ` at ${chain}` : ""}: ${history.matches} rows over ${history.series.length} weeks`);
+    res.json(history);
+  } catch (err) {
+    console.error("Deal history error:", err.message);
+    res.status(500).json({ error: "Something went wrong. Please try again." });
   }
-  console.log(`Extract queue: ${storeName} waiting (${extractSlotsInUse} running, ${extractWaitQueue.length + 1} queued)`);
-  return new Promise((resolve) => extractWaitQueue.push(resolve));
+});
+
+// ══ STOCK-UP ADVICE ═══════════════════════════════════════════════════════════
+// Buy now or wait: each chain's sale cycle for an item (lib/sale-cycles.js)
+// with advice against the price being considered.
+//
+//   GET  /api/deals/stock-up?item=chicken+breast[&chain=kroger][&price=2.49]
+//   POST /api/deals/stock-up  { items: [{ item, chain?, price? }, ...] }
+//
+// The POST form is for the list and recipe screens, which ask about every
+// item at once. Cycles move once a week, so they are cached like
+// historyRowsCache; the advice is recomputed per request (it depends on price
+// and today).
+const STOCK_UP_MAX_ITEMS = 25;
+const saleCycleCache = new Map(); // "item|chain" → { result, at }
+
+async function stockUpFor({ item, chain, price }) {
+  const key = `${item.toLowerCase()}|${chain}`;
+  const now = Date.now();
+  let entry = saleCycleCache.get(key);
+  if (!(entry?.at > now - HISTORY_ROWS_TTL)) {
+    if (saleCycleCache.size >= HISTORY_ROWS_MAX) saleCycleCache.clear();
+    entry = { result: await loadSaleCycles(supabase, { item, chain, now }), at: now };
+    saleCycleCache.set(key, entry);
+  }
+  const { cycles, ...rest } = entry.result;
+  return {
+    ...rest,
+    price: price ?? null,
+    cycles: cycles.map(c => ({ ...c, ...stockUpAdvice(c, { price, now }) })),
+  };
 }
-function releaseExtractSlot() {
-  const next = extractWaitQueue.shift();
-  if (next) next();
-  else extractSlotsInUse = Math.max(0, extractSlotsInUse - 1);
+
+// Query or body fields → { item, chain, price }, or { error }.
+function parseStockUpItem(raw) {
+  const item = String(raw?.item || "").trim();
+  if (item.length < 2 || item.length > 80) return { error: "item (2-80 characters) is required" };
+  const chain = String(raw?.chain || "").trim().toLowerCase();
+  if (chain && !validateStoreName(chain)) return { error: "Invalid chain" };
+  const price = raw?.price != null && raw.price !== "" ? parseFloat(raw.price) : null;
+  if (price != null && !(price > 0 && price < 1000)) return { error: "Invalid price" };
+  return { item, chain, price };
 }
 
-async function fetchBestImage(url, headers) {
-  // WordPress appends -scaled to large uploads; the original usually exists
-  // at the same URL without the suffix. Verified June 11: 4.6-6.4x the pixels.
-  const tryFetch = async (u) => {
-    try {
-      const r = await fetch(u, { headers });
-      if (!r.ok) return null;
-      if (!(r.headers.get("content-type") || "").startsWith("image/")) return null;
-      const buf = Buffer.from(await r.arrayBuffer());
-      return buf.length > 1000 ? buf : null;
-    } catch { return null; }
-  };
-  // 8MB ceiling on unscaled originals. Observed 15MB/168-megapixel originals
-  // on igroceryads; decoding those risks memory pressure for no OCR benefit.
-  const MAX_ORIGINAL_BYTES = 8 * 1024 * 1024;
-  if (/-scaled\.(jpe?g|png|webp)$/i.test(url)) {
-    const orig = await tryFetch(url.replace(/-scaled(\.(?:jpe?g|png|webp))$/i, "$1"));
-    if (orig && orig.length <= MAX_ORIGINAL_BYTES) return orig;
-    if (orig) console.log(`fetchBestImage: original is ${(orig.length / 1048576).toFixed(1)}MB (> 8MB cap), using -scaled version`);
+router.get("/api/deals/stock-up", async (req, res) => {
+  const parsed = parseStockUpItem(req.query);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  try {
+    const result = await stockUpFor(parsed);
+    console.log(`  Stock-up "${parsed.item}"${parsed.chain ? ` at ${parsed.chain}` : ""}: ${result.cycles.length} chain cycles from ${result.matches} rows`);
+    res.json(result);
+  } catch (err) {
+    console.error("Stock-up error:", err.message);
+    res.status(500).json({ error: "Something went wrong. Please try again." });
+  }
+});
+
+router.post("/api/deals/stock-up", async (req, res) => {
+  const items = Array.isArray(req.body?.items) ? req.body.items : null;
+  if (!items?.length || items.length > STOCK_UP_MAX_ITEMS) {
+    return res.status(400).json({ error: `items (1-${STOCK_UP_MAX_ITEMS}) is required` });
+  }
+  const parsed = items.map(parseStockUpItem);
+  const bad = parsed.findIndex(p => p.error);
+  if (bad !== -1) return res.status(400).json({ error: `items[${bad}]: ${parsed[bad].error}` });
+
+  try {
+    // Sequential: each uncached item is a paged deal_history read.
+    const results = [];
+    for (const p of parsed) results.push(await stockUpFor(p));
+    console.log(`  Stock-up: ${results.length} items, ${results.filter(r => r.cycles.length).length} with a cycle`);
+    res.json({ items: results });
+  } catch (err) {
+    console.error("Stock-up error:", err.message);
+    res.status(500).json({ error: "Something went wrong. Please try again." });
+  }
+});
+
+// ══ PRICE COMPARISON ══════════════════════════════════════════════════════════
+// One product, every nearby store: /api/compare?zip=45432&q=chicken+thighs.
+// Same deal pool as /api/deals/regional (collectRegionalDeals), so a store that
+// shows in the feed shows here. Ranking and matching live in lib/price-compare.js.
+
+router.get("/api/compare", async (req, res) => {
+  const { zip, locationId } = req.query;
+  if (!validateZip(zip)) return res.status(400).json({ error: "Valid 5-digit zip is required" });
+  const q = String(req.query.q || "").trim();
+  if (q.length < 2 || q.length > 80) return res.status(400).json({ error: "q (2-80 characters) is required" });
+
+  try {
+    const { zip3, allDeals } = await collectRegionalDeals(zip, { locationId });
+    const result = compareAcrossStores(allDeals, q);
+    console.log(`  Compare "${q}" near ${zip}: ${result.matched} matches, ${result.stores.length} stores ranked${result.basis ? ` per ${result.basis}` : ""}, ${result.incomparable.length} unranked`);
+    res.json({
+      zip3, query: q,
+      basis: result.basis,
+      cheapest: result.stores[0] || null,
+      stores: result.stores,
+      incomparable: result.incomparable,
+      matched: result.matched,
+    });
+  } catch (err) {
+    console.error("Compare error:", err.message);
+    res.status(500).json({ error: "Something went wrong. Please try again." });
+  }
+});
+
+// ══ ON-DEMAND AD EXTRACTION ═══════════════════════════════════════════════════
+
+// Extraction runs as a job (lib/extract-queue.js), not inside the request:
+// /api/extract-store enqueues and the worker calls runExtractJob below. The
+// worker caps concurrency at 2. On 2026-07-08 the Wednesday cron ran 5-8
+// extractions concurrently (full-res buffers + sharp working memory each) and
+// OOM-killed the Render instance repeatedly; 2 drains 20 stores in ~25 min
+// without approaching the memory ceiling. Queued and retrying jobs still
+// report status "extracting", which is truthful: the work is committed, just
+// not started.
+
+// Vision model and prompt revision for ad OCR. Both feed the tile-cache hash,
+// so bump OCR_PROMPT_VERSION whenever adImagePrompt below changes
+// or cached tiles keep answering with the old prompt's reading.
+const OCR_MODEL = "claude-haiku-4-5-20251001";
+const OCR_PROMPT_VERSION = 2;
+const OCR_CACHE_SALT = `${OCR_MODEL}|v${OCR_PROMPT_VERSION}`;
+// Mock readings (LLM_PROVIDER=mock, lib/llm/mock.js) hash apart, so an
+// offline run against a real database can't seed the tile cache with fixtures.
+const ocrCacheSalt = () => llmProviderId() === "mock" ? `mock|${OCR_CACHE_SALT}` : OCR_CACHE_SALT;
+
+// The vision prompt for one ad tile. Shared by crawl extraction and user
+// uploads so both read ads by the same rules.
+function adImagePrompt(storeName) {
+  return `Extract grocery deals from this ${storeName} weekly ad image. Return ONLY a valid JSON array. No markdown, no commentary. Include every item that shows a price.
+
+Output shape per item:
+{"name":"","brand":"","salePrice":null,"unit":"","regularPrice":null,"dealType":"sale/bogo/percent_off","requiresCoupon":false,"category":"meat/produce/dairy/bakery/frozen/pantry/snacks/beverages/deli/seafood/household/other","size":"","notes":""}
+
+salePrice: the per-unit price the shopper pays. Always a number; never a phrase.
+- "$3.99" -> 3.99
+- "5 for $10" or "5/$10" -> 2.00. Put "5 for $10" in notes.
+- "2/$5" -> 2.50. Put "2 for $5" in notes.
+- B1G1 on a $4 item -> 2.00. Set dealType to "bogo".
+- B1G1 50%-off on a $4 item -> 3.00. Set dealType to "bogo".
+- B1G1 where the only figure shown is a savings amount (however it is worded — "Save 7.09", "Save up to 7.09"): on a buy-one-get-one that figure IS one item's price, so salePrice is half of it -> 3.55. This rule sets salePrice ONLY. It is the single exception to "hedged savings wording is unusable", and it does not extend to regularPrice: for BOGO, regularPrice comes from a listed single-item price or is null.
+- Never output 0 for salePrice. If no per-unit price can be determined, omit the row entirely.
+- "Final Price" beats "Sale Price": when an item shows both (digital-coupon ads), salePrice is the FINAL price after the coupon, and set requiresCoupon to true.
+- "N for $X" means salePrice is X divided by N. "4 for $8" -> 2.00. "2/$10" -> 5.00. "5/$5" -> 1.00.
+- "When You Buy N", "Must Buy N", "Limit N" are purchase conditions, not prices. Put them in notes; never use N or the bundle total as the per-unit salePrice.
+- "Mix & Match" and "Buy N, Save $X" groupings: copy the wording into notes on every item in the group.
+- requiresCoupon: set true when the price needs a digital coupon, store app, loyalty card, or membership (wording like "Digital Coupon", "with card", "for U", "mPerks", "Member Price"). Otherwise false.
+- Large featured price circles and bubbles are deals, often the best on the page. Always include them.
+- If you cannot determine a per-unit price, omit the row.
+
+regularPrice: the non-sale per-unit price. Derive it ONLY from an explicit reference price or an EXACT stated savings amount:
+- "Was $5.99", "Reg. $5.99", "Regularly $5.99" -> 5.99
+- "SAVE $2" or "$2 off" (exact amount) -> salePrice + 2
+- "SAVE $1.50 PER LB" on a $0.79/lb item -> 2.29
+- For BOGO, regularPrice is the listed single-item price.
+- "SAVE UP TO $X" and "SAVE UP TO 80¢" are ceilings advertised across a group of items, NOT this item's savings. Set regularPrice to null. Do NOT add the amount to salePrice. Do NOT treat it as an upper bound.
+- Any hedged savings wording ("up to", "as much as", "save big") -> regularPrice is null.
+- If the ad shows no reference price and no exact savings amount, set regularPrice to null. Do NOT guess. Do NOT copy salePrice.
+
+unit: "lb" if priced per pound; otherwise "each" or the package unit ("12 pk", "case").
+dealType: "sale" for marked-down items, "bogo" for buy-one-get-one (any percentage), "percent_off" for "20% off" markdowns.
+
+Use JSON null (not "") for unknown numeric fields. Return [] if the page has no extractable items.`;
+}
+
+// One vision call on one JPEG tile. Returns { ok:false, status, errBody } when
+// the API answered non-2xx (after lib/llm's retry). Otherwise
+// { ok:true, deals, parse }, where parse is "ok", "recovered" (a truncated
+// answer salvaged up to its last complete object) or "fail" (deals is []);
+// parseError/recoverError carry the messages for the caller's log line, which
+// knows the page and tile numbers. purpose tags the call's usage row.
+async function ocrAdTile(tile, storeName, purpose = "ad-ocr", { signal } = {}) {
+  let reply;
+  try {
+    reply = await complete({
+      purpose,
+      signal,
+      model: OCR_MODEL,
+      maxTokens: 8000,
+      json: "array",
+      images: [{ data: tile.toString("base64"), mediaType: "image/jpeg" }],
+      prompt: adImagePrompt(storeName),
+    });
+  } catch (err) {
+    if (err.status == null) throw err;
+    return { ok: false, status: err.status, errBody: err.body || "" };
   }
-  return tryFetch(url);
+  const { json: deals, parse, parseError, recoverError } = reply;
+  return { ok: true, status: 200, deals: deals || [], parse, parseError, recoverError };
 }
 
 async function tileImage(buffer) {
@@ -580,188 +884,103 @@ async function tileImage(buffer) {
   return tiles;
 }
 
+// One fetched ad page → the pages to OCR. An image is itself. A PDF circular
+// (lib/pdf-ad.js) yields one entry per PDF page, capped at MAX_PDF_PAGES:
+// { textDeals, lines } when the page's text layer carries the prices (no vision
+// call needed), otherwise { buffer } with the page rasterized for tileImage.
+// Pages are produced lazily so a long circular is never held rendered in full,
+// and adImage gets a #page= fragment so the deal links to its page.
+const MAX_PDF_PAGES = 40;
+async function* adPageUnits(buffer, adImage, adPage) {
+  if (!isPdf(buffer)) {
+    yield { buffer, adImage, adPage };
+    return;
+  }
+  const pdf = await openPdf(buffer);
+  try {
+    for (let p = 1; p <= Math.min(pdf.pageCount, MAX_PDF_PAGES); p++) {
+      const unit = { adImage: `${adImage.split("#")[0]}#page=${p}`, adPage: p };
+      const lines = await pdf.getLines(p);
+      const textDeals = hasUsableTextLayer(lines) ? parseTextLayerDeals(lines) : [];
+      if (textDeals.length >= 3) yield { ...unit, lines, textDeals };
+      else yield { ...unit, lines, buffer: await pdf.renderPage(p) };
+    }
+  } finally {
+    await pdf.close();
+  }
+}
+
+// When a chain's cached ad should next be re-extracted: the ad's own last day
+// or the next start of its ad_regions.ad_cycle, whichever comes first, else
+// AD_EXTRACT_REFRESH_AFTER past the fetch for chains with neither.
+async function _extractionDue(storeName, row) {
+  const adCycle = await getChainAdCycle(storeName);
+  return nextExtractionDue({ fetchedAt: row.fetchedAt, validTo: row.validTo, adCycle, timeZone: row.timeZone || AD_DEFAULT_TIMEZONE })
+    || new Date(new Date(row.fetchedAt).getTime() + AD_EXTRACT_REFRESH_AFTER);
+}
+
 router.post("/api/extract-store", async (req, res) => {
   const { storeName } = req.body;
   if (!validateStoreName(storeName)) return res.status(400).json({ error: "Valid storeName is required (letters, numbers, spaces, hyphens, max 50 chars)" });
 
   const storeId = canonicalizeStoreId(storeName);
 
-  const existing = await getCachedDeals(`ad-extract:${storeId}`);
-  let cacheAgeMs = Infinity;
-  try {
-    const { data: cacheRow } = await supabase.from("deal_cache").select("fetched_at").eq("cache_key", `ad-extract:${storeId}`).single();
-    if (cacheRow?.fetched_at) cacheAgeMs = Date.now() - new Date(cacheRow.fetched_at).getTime();
-  } catch (e) { /* missing row reads as Infinity, which forces extraction below only via the existing null check */ }
+  // An ad past its last day reads as missing here (lib/ad-validity.js), so an
+  // expired chain always falls through to a re-extraction.
+  const existingRow = await getCachedDealsRow(`ad-extract:${storeId}`);
+  const existing = existingRow?.data;
   if (existing && existing.length >= 10) {
-    const validTo = existing[0]?.adValidTo;
-    const adExpired = validTo && new Date(validTo) < new Date();
-    const dueForRefresh = cacheAgeMs > AD_EXTRACT_REFRESH_AFTER;
-    if (!adExpired && !dueForRefresh) {
-      return res.json({ status: "ready", deals: existing.length, storeId });
+    const due = await _extractionDue(storeName, existingRow);
+    if (Date.now() < due.getTime()) {
+      return res.json({ status: "ready", deals: existing.length, storeId, validTo: existingRow.validTo, nextExtractionDue: due.toISOString() });
     }
-    console.log(`On-demand: ${storeName} — re-extracting (${adExpired ? `ad expired ${validTo}` : `cache ${Math.round(cacheAgeMs / 86400000)}d old`})`);
+    console.log(`On-demand: ${storeName} — re-extracting (due ${due.toISOString()}, cache ${Math.round((Date.now() - new Date(existingRow.fetchedAt).getTime()) / 86400000)}d old)`);
   }
 
-  if (extractingStores.has(storeId)) {
-    return res.json({ status: "extracting", message: "Deal extraction in progress" });
+  if (!hasAdSource(storeName)) {
+    return res.json({ status: "not-found", message: "No ad source found for this store. Upload a photo of their weekly ad to add deals.", uploadUrl: "/api/ad-uploads" });
   }
 
-  const adUrl = findIgroceryadsUrl(storeName);
-  if (!adUrl) {
-    return res.json({ status: "not-found", message: "No ad source found for this store. Upload a photo of their weekly ad to add deals." });
+  try {
+    const { job, created } = await enqueueExtractJob(storeId, storeName);
+    if (!created) {
+      return res.json({ status: "extracting", message: "Deal extraction in progress", jobId: job?.id ?? null });
+    }
+    res.json({ status: "extracting", message: `Found ${storeName} ad — extracting deals now. This takes about 2-3 minutes.`, jobId: job.id });
+  } catch (err) {
+    console.error(`On-demand: ${storeName} — enqueue failed:`, err.message);
+    res.status(500).json({ error: "Could not start deal extraction. Please try again." });
   }
+});
 
-  extractingStores.add(storeId);
-  res.json({ status: "extracting", message: `Found ${storeName} ad — extracting deals now. This takes about 2-3 minutes.` });
-
-  let slotAcquired = false;
+// One extraction attempt, run by the extract-queue worker. Throwing fails the
+// attempt (the queue decides whether to retry); returning completes the job.
+// A run that reaches the vision step and yields 0 deals still completes: the
+// empty cache row is the observable record of it, see the end of this function.
+// signal (lib/extract-queue.js) aborts on timeout or a lost lease: the attempt
+// stops at the next page or tile and, once aborted, writes no cache rows — the
+// job's new owner writes them.
+export async function runExtractJob(job, { log, signal = null }) {
+  const storeName = job.store_name;
+  const storeId = job.store_id;
+  const sources = resolveAdSources(storeName);
   try {
-    const ANTHROPIC_KEY = process.env.ANTHROPIC_API_KEY;
-    if (!ANTHROPIC_KEY) { extractingStores.delete(storeId); return; }
-    await acquireExtractSlot(storeName);
-    slotAcquired = true;
-
-    const pageRes = await fetch(adUrl, {
-      headers: {
-        "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-        "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
-        "Accept-Language": "en-US,en;q=0.9",
-        "Accept-Encoding": "gzip, deflate"
-      }
-    });
-    const html = await pageRes.text();
-
-    // Parse the ad validity window from the page headline. igroceryads and
-    // iweeklyads print "June 10 - June 16, 2026"; some pages use "through
-    // June 16". ladysavings and weeklyad.us.com pages often lack dates, so
-    // both fields stay null there (unknown is treated as not-expired).
-    let adValidFrom = null, adValidTo = null;
-    try {
-      const MONTHS = { january:0,february:1,march:2,april:3,may:4,june:5,july:6,august:7,september:8,october:9,november:10,december:11 };
-      const plain = html.replace(/<[^>]+>/g, " ").replace(/&#8211;|&#x2013;|&ndash;|&#8212;|&#x2014;|&mdash;/gi, "-").replace(/&nbsp;|&#160;/gi, " ");
-      const rangeM = plain.match(/(January|February|March|April|May|June|July|August|September|October|November|December)\s+(\d{1,2})\s*[–—-]\s*(?:(January|February|March|April|May|June|July|August|September|October|November|December)\s+)?(\d{1,2})(?:,?\s*(\d{4}))?/i);
-      const now = new Date();
-      if (rangeM) {
-        const y = rangeM[5] ? parseInt(rangeM[5]) : now.getFullYear();
-        const m1 = MONTHS[rangeM[1].toLowerCase()];
-        const m2 = rangeM[3] ? MONTHS[rangeM[3].toLowerCase()] : m1;
-        const from = new Date(Date.UTC(y, m1, parseInt(rangeM[2])));
-        let to = new Date(Date.UTC(m2 < m1 ? y + 1 : y, m2, parseInt(rangeM[4]), 23, 59, 59));
-        adValidFrom = from.toISOString(); adValidTo = to.toISOString();
-      } else {
-        const throughM = plain.match(/through\s+(January|February|March|April|May|June|July|August|September|October|November|December)\s+(\d{1,2})/i);
-        if (throughM) {
-          adValidTo = new Date(Date.UTC(now.getUTCFullYear(), MONTHS[throughM[1].toLowerCase()], parseInt(throughM[2]), 23, 59, 59)).toISOString();
-        }
-      }
-      if (adValidTo && new Date(adValidTo) < now) {
-        console.warn(`On-demand: ${storeName} — source ad is EXPIRED (valid to ${adValidTo}). Extracting anyway; Friday re-pass will retry.`);
-      }
-    } catch (e) { console.error("Ad validity parse error:", e.message); }
-
-    const isLadySavings = adUrl.includes("ladysavings.com");
-    const isWeeklyAdUS = adUrl.includes("weeklyad.us.com");
-    let images = [];
-
-    if (isWeeklyAdUS) {
-      // weeklyad.us.com network: sister subdomains ({chain}.weeklyad.us.com) each
-      // serve ad pages at /images/{chain}/view/{N}.webp with sequential numbering.
-      // Used for ALDI because igroceryads/ladysavings only mirror ALDI Finds (non-food
-      // merchandise), while this aggregator carries the actual in-store food ad pages.
-      // Probe sequentially from N=1 until first 404 to discover all pages.
-      const slug = new URL(adUrl).hostname.split(".")[0];
-      console.log(`On-demand: ${storeName} — weeklyad.us.com slug "${slug}", probing pages...`);
-      for (let n = 1; n <= 20; n++) {
-        const u = `https://${slug}.weeklyad.us.com/images/${slug}/view/${n}.webp`;
-        try {
-          const probe = await fetch(u, { method: "HEAD", headers: { "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36" } });
-          if (probe.ok && (probe.headers.get("content-type") || "").startsWith("image/")) {
-            images.push(u);
-          } else break;
-        } catch { break; }
-      }
-      // Not every sister site numbers its pages 1.webp, 2.webp… Meijer serves the
-      // same /images/{slug}/view/ directory but names files
-      // "Weekly-Deals_compressed_page-0001.webp", so the probe above 403s on the
-      // first URL and finds nothing. Fall back to reading the page markup, which
-      // lists every page image on all three chains we use here (ALDI 4, Lidl 36,
-      // Meijer 31). Probing stays primary so ALDI and Lidl keep their exact
-      // current behaviour; this only runs when probing came up empty.
-      if (!images.length) {
-        const viewRegex = new RegExp(`https?://${slug}\\.weeklyad\\.us\\.com/images/${slug}/view/[^"'\\s)]+\\.webp`, "gi");
-        const pageNum = (u) => {
-          const m = u.split("/").pop().match(/(\d+)\D*\.webp$/i);
-          return m ? parseInt(m[1], 10) : 0;
-        };
-        images = [...new Set(html.match(viewRegex) || [])].sort((a, b) => pageNum(a) - pageNum(b));
-        console.log(`On-demand: ${storeName} — probe found no sequential pages; markup scan found ${images.length}`);
-      }
-    } else if (isLadySavings) {
-      const looksLikeChallenge = html.length < 50000 && /Just a moment|cf-chl-bypass|cloudflare/i.test(html);
-      const suspectSmall = html.length < 50000 && !looksLikeChallenge;
-      console.log(`[ladysavings fetch] ${storeName} page 1: status=${pageRes.status} bytes=${html.length}${looksLikeChallenge ? ' CHALLENGE' : ''}${suspectSmall ? ' SUSPECT-SMALL' : ''}`);
-      const hcwRegex = /https:\/\/www\.hotcouponworld\.com\/wp-content\/uploads\/\d{4}\/\d{2}\/[^"'\s)]+\.(?:jpg|jpeg|png|webp)/gi;
-      const firstPageImages = (html.match(hcwRegex) || []).filter(url => !url.includes("-150x150") && !url.includes("-300x") && !url.includes("_header"));
-      if (firstPageImages.length > 0) images.push(firstPageImages[0]);
-
-      const pageMatch = html.match(/1\s+of\s+(\d+)/);
-      const totalPages = pageMatch ? parseInt(pageMatch[1]) : 1;
-      console.log(`On-demand: ${storeName} — ladysavings paginated, ${totalPages} pages`);
-
-      for (let p = 2; p <= Math.min(totalPages, 20); p++) {
-        try {
-          await new Promise(r => setTimeout(r, 500));
-          const pRes = await fetch(`${adUrl}${p}/`, {
-            headers: {
-              "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-              "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
-              "Accept-Language": "en-US,en;q=0.9",
-              "Accept-Encoding": "gzip, deflate"
-            }
-          });
-          const pHtml = await pRes.text();
-          const pLooksLikeChallenge = pHtml.length < 50000 && /Just a moment|cf-chl-bypass|cloudflare/i.test(pHtml);
-          const pSuspectSmall = pHtml.length < 50000 && !pLooksLikeChallenge;
-          console.log(`[ladysavings fetch] ${storeName} page ${p}: status=${pRes.status} bytes=${pHtml.length}${pLooksLikeChallenge ? ' CHALLENGE' : ''}${pSuspectSmall ? ' SUSPECT-SMALL' : ''}`);
-          const pImages = (pHtml.match(hcwRegex) || []).filter(url => !url.includes("-150x150") && !url.includes("-300x") && !url.includes("_header"));
-          if (pImages.length > 0) images.push(pImages[0]);
-        } catch (e) { console.error(`LadySavings page ${p} fetch error:`, e.message); }
-      }
-    } else {
-      const imgRegex = /https:\/\/www\.(?:igroceryads|iweeklyads)\.com\/wp-content\/uploads\/\d{4}\/\d{2}\/[^"'\s)]+\.(?:webp|jpg|jpeg|png)/gi;
-      images = [...new Set(html.match(imgRegex) || [])]
-        .filter(url => !url.includes("-150x150") && !url.includes("-300x") && !url.includes("-100x") && !url.includes("-200x200"))
-        .sort((a, b) => {
-          const extractNum = (url) => {
-            const fname = url.split("/").pop();
-            const m = fname.match(/page_(\d+)/) || fname.match(/img(\d+)/) || fname.match(/-(\d+)-scaled/) || fname.match(/-(\d+)\./);
-            return parseInt(m?.[1] || "0");
-          };
-          return extractNum(a) - extractNum(b);
-        });
-      images = [...new Set(images)];
-
-      if (images.length <= 3 && images.length > 0) {
-        const sample = images[0];
-        const scaledMatch = sample.match(/^(.*-)(\d+)(-scaled\.\w+)$/);
-        if (scaledMatch) {
-          const [, prefix, , suffix] = scaledMatch;
-          for (let n = 1; n <= 30; n++) {
-            const url = `${prefix}${n}${suffix}`;
-            if (!images.includes(url)) {
-              try {
-                const probe = await fetch(url, { method: "HEAD", headers: { "User-Agent": "Mozilla/5.0" } });
-                if (probe.ok && (probe.headers.get("content-type") || "").startsWith("image/")) {
-                  images.push(url);
-                } else break;
-              } catch { break; }
-            }
-          }
-        }
-      }
+    if (!llmConfigured()) throw Object.assign(new Error("LLM provider not configured (ANTHROPIC_API_KEY is not set)"), { retryable: false });
+    if (!sources.length) throw Object.assign(new Error(`No ad source registered for ${storeName}`), { retryable: false });
+
+    // Page discovery is per-aggregator (lib/ad-sources/). The registry walks
+    // the chain's sources in fallback order and returns the first that yields
+    // ad pages, plus a record of every attempt for the ad-reject: row below.
+    const { source, html, images, attempts: sourceAttempts } = await discoverAdImages(storeName, sources);
+    const adUrl = source.url;
+
+    let { adValidFrom, adValidTo } = source.adapter.parseValidity(html, AD_DEFAULT_TIMEZONE);
+    if (adValidTo && new Date(adValidTo) < new Date()) {
+      console.warn(`On-demand: ${storeName} — source ad is EXPIRED (valid to ${adValidTo}). Extracting anyway; Friday re-pass will retry.`);
     }
 
-    console.log(`On-demand extraction for ${storeName}: ${images.length} pages found`);
+    console.log(`On-demand extraction for ${storeName}: ${images.length} pages found via ${source.adapter.id}`);
+    await log(`${images.length} pages found via ${source.adapter.id} (${adUrl})`);
 
     if (images.length === 0) {
       // 0 discovered images means the source page fetch failed or was blocked
@@ -776,21 +995,25 @@ router.post("/api/extract-store", async (req, res) => {
       // junk are indistinguishable rows, and the fetch failure reads as health.
       // Deliberately separate from the ad-extract: row, which is left untouched
       // above so users keep last week's real deals.
+      signal?.throwIfAborted();
       await setCachedDeals(`ad-reject:${storeId}`, {
         storeName, storeId,
         adSourceUrl: adUrl,
         rejectedAt: new Date().toISOString(),
         outcome: "source-fetch-failure",
-        note: `Source fetch failed: 0 ad images discovered from ${adUrl} (page bytes=${html.length}). No deals were extracted or validated; the ad-extract cache was left untouched.`,
+        note: `Source fetch failed: 0 ad images discovered from ${sourceAttempts.map(a => a.url).join(", ")} (page bytes=${html.length}). No deals were extracted or validated; the ad-extract cache was left untouched.`,
         pageBytes: html.length,
         imagesFound: 0,
+        sourceAttempts,
         total: 0,
         rejected: 0,
         byReason: {},
         truncated: false,
         rows: [],
       });
-      return;
+      // Thrown after the ad-reject: record is written, so the queue retries
+      // with backoff: blocked or stub pages are often transient.
+      throw new Error(`Source fetch failure: 0 ad images discovered (page bytes=${html.length})`);
     }
 
     const allDeals = [];
@@ -802,10 +1025,12 @@ router.post("/api/extract-store", async (req, res) => {
     // The original 20/24 pair fit none of them and silently cut Meijer at 20
     // pages. Haiku vision runs ~$0.003/page, so a worst-case 80-call chain is
     // ~$0.24/chain/week — still pennies against losing half an ad. maxPages
-    // stays 40, so the page count remains the outer bound.
+    // stays 40, so the page count remains the outer bound. Tiles answered from
+    // the OCR tile cache (lib/ocr-cache.js) make no call and do not count.
     const maxPages = Math.min(images.length, 40);
     const MAX_VISION_CALLS = 80;
     let visionCalls = 0;
+    let tileCacheHits = 0, tileCacheMisses = 0;
     // Per-chain OCR observability. apiOkCount tallies Anthropic 2xx; apiNon2xxCount
     // tallies HTTP errors (429/529/5xx); parseFailCount is a sub-tally of tiles
     // where the API returned 2xx but JSON parse + recovery both failed. Without
@@ -813,112 +1038,67 @@ router.post("/api/extract-store", async (req, res) => {
     // — both look identical in the cache state. Counters are tile-granular.
     let apiOkCount = 0, apiNon2xxCount = 0, parseFailCount = 0;
     const perPageOutcome = [];
-    for (let i = 0; i < maxPages; i++) {
+    pages: for (let i = 0; i < maxPages; i++) {
+      signal?.throwIfAborted();
       try {
-        const imgBuffer = await fetchBestImage(images[i], { "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36" });
-        if (!imgBuffer) continue;
-        const tiles = await tileImage(imgBuffer);
-        if (visionCalls + tiles.length > MAX_VISION_CALLS) break;
-        console.log(`${storeName} page ${i+1}: ${tiles.length} tiles`);
-
-        for (let t = 0; t < tiles.length; t++) {
-          const base64 = tiles[t].toString("base64");
-          if (base64.length < 1000) continue;
-
-          const aiRes = await fetch("https://api.anthropic.com/v1/messages", {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              "x-api-key": ANTHROPIC_KEY,
-              "anthropic-version": "2023-06-01",
-            },
-            body: JSON.stringify({
-              model: "claude-haiku-4-5-20251001",
-              max_tokens: 8000,
-              messages: [{
-                role: "user",
-                content: [
-                  { type: "image", source: { type: "base64", media_type: "image/jpeg", data: base64 } },
-                  { type: "text", text: `Extract grocery deals from this ${storeName} weekly ad image. Return ONLY a valid JSON array. No markdown, no commentary. Include every item that shows a price.
-
-Output shape per item:
-{"name":"","brand":"","salePrice":null,"unit":"","regularPrice":null,"dealType":"sale/bogo/percent_off","requiresCoupon":false,"category":"meat/produce/dairy/bakery/frozen/pantry/snacks/beverages/deli/seafood/household/other","size":"","notes":""}
-
-salePrice: the per-unit price the shopper pays. Always a number; never a phrase.
-- "$3.99" -> 3.99
-- "5 for $10" or "5/$10" -> 2.00. Put "5 for $10" in notes.
-- "2/$5" -> 2.50. Put "2 for $5" in notes.
-- B1G1 on a $4 item -> 2.00. Set dealType to "bogo".
-- B1G1 50%-off on a $4 item -> 3.00. Set dealType to "bogo".
-- B1G1 where the only figure shown is a savings amount (however it is worded — "Save 7.09", "Save up to 7.09"): on a buy-one-get-one that figure IS one item's price, so salePrice is half of it -> 3.55. This rule sets salePrice ONLY. It is the single exception to "hedged savings wording is unusable", and it does not extend to regularPrice: for BOGO, regularPrice comes from a listed single-item price or is null.
-- Never output 0 for salePrice. If no per-unit price can be determined, omit the row entirely.
-- "Final Price" beats "Sale Price": when an item shows both (digital-coupon ads), salePrice is the FINAL price after the coupon, and set requiresCoupon to true.
-- "N for $X" means salePrice is X divided by N. "4 for $8" -> 2.00. "2/$10" -> 5.00. "5/$5" -> 1.00.
-- "When You Buy N", "Must Buy N", "Limit N" are purchase conditions, not prices. Put them in notes; never use N or the bundle total as the per-unit salePrice.
-- requiresCoupon: set true when the price needs a digital coupon, store app, loyalty card, or membership (wording like "Digital Coupon", "with card", "for U", "mPerks", "Member Price"). Otherwise false.
-- Large featured price circles and bubbles are deals, often the best on the page. Always include them.
-- If you cannot determine a per-unit price, omit the row.
-
-regularPrice: the non-sale per-unit price. Derive it ONLY from an explicit reference price or an EXACT stated savings amount:
-- "Was $5.99", "Reg. $5.99", "Regularly $5.99" -> 5.99
-- "SAVE $2" or "$2 off" (exact amount) -> salePrice + 2
-- "SAVE $1.50 PER LB" on a $0.79/lb item -> 2.29
-- For BOGO, regularPrice is the listed single-item price.
-- "SAVE UP TO $X" and "SAVE UP TO 80¢" are ceilings advertised across a group of items, NOT this item's savings. Set regularPrice to null. Do NOT add the amount to salePrice. Do NOT treat it as an upper bound.
-- Any hedged savings wording ("up to", "as much as", "save big") -> regularPrice is null.
-- If the ad shows no reference price and no exact savings amount, set regularPrice to null. Do NOT guess. Do NOT copy salePrice.
-
-unit: "lb" if priced per pound; otherwise "each" or the package unit ("12 pk", "case").
-dealType: "sale" for marked-down items, "bogo" for buy-one-get-one (any percentage), "percent_off" for "20% off" markdowns.
-
-Use JSON null (not "") for unknown numeric fields. Return [] if the page has no extractable items.` }
-                ]
-              }]
-            })
-          });
-          visionCalls++;
-
-          if (!aiRes.ok) {
-            apiNon2xxCount++;
-            const errBody = await aiRes.text().catch(() => "");
-            console.error(`Vision API non-2xx for ${storeName} page ${i+1} tile ${t+1}: HTTP ${aiRes.status} — ${errBody.substring(0, 200)}`);
-            perPageOutcome.push({ page: i+1, tile: t+1, status: aiRes.status, kind: "api_non2xx" });
-            await new Promise(r => setTimeout(r, 500));
+        const fetched = await source.adapter.fetchImage(images[i]);
+        if (!fetched) continue;
+        for await (const { buffer: imgBuffer, textDeals, lines, adImage, adPage } of adPageUnits(fetched, images[i], i + 1)) {
+          // PDF circulars usually print the sale dates on the cover page,
+          // which is the only place this source has them.
+          if (lines && !adValidFrom && !adValidTo) ({ adValidFrom, adValidTo } = source.adapter.parseValidity(lines.join("\n"), AD_DEFAULT_TIMEZONE));
+          if (textDeals) {
+            allDeals.push(...textDeals.map(d => ({ ...d, adImage, adPage })));
+            perPageOutcome.push({ page: adPage, ok: true, deals: textDeals.length, textLayer: true });
             continue;
           }
-          apiOkCount++;
-
-          const aiData = await aiRes.json();
-          const text = aiData.content?.map(c => c.text || "").join("") || "";
-          let cleaned = text.replace(/```json|```/g, "").trim();
-          let parsedOk = false;
-          let tileDeals = 0;
-          try {
-            const deals = JSON.parse(cleaned);
-            deals.forEach(d => { d.adImage = images[i]; d.adPage = i + 1; });
-            allDeals.push(...deals);
-            parsedOk = true;
-            tileDeals = deals.length;
-          } catch (e) {
-            console.error(`OCR page ${i+1} tile ${t+1} JSON parse error:`, e.message);
-            const lastBrace = cleaned.lastIndexOf("}");
-            if (lastBrace > 0) {
-              try {
-                const recovered = JSON.parse(cleaned.substring(0, lastBrace + 1) + "]");
-                recovered.forEach(d => { d.adImage = images[i]; d.adPage = i + 1; });
-                allDeals.push(...recovered);
-                parsedOk = true;
-                tileDeals = recovered.length;
-              } catch (e2) { console.error(`OCR page ${i+1} tile ${t+1} recovery parse error:`, e2.message); }
+          const tiles = await tileImage(imgBuffer);
+          const tileHashes = tiles.map(tile => hashTile(tile, ocrCacheSalt()));
+          const cachedTiles = await lookupTiles(tileHashes);
+          const uncachedCount = tileHashes.filter(h => !cachedTiles.has(h)).length;
+          if (visionCalls + uncachedCount > MAX_VISION_CALLS) break pages;
+          console.log(`${storeName} page ${adPage}: ${tiles.length} tiles (${tiles.length - uncachedCount} cached)`);
+
+          for (let t = 0; t < tiles.length; t++) {
+            const base64 = tiles[t].toString("base64");
+            if (base64.length < 1000) continue;
+
+            const cachedDeals = cachedTiles.get(tileHashes[t]);
+            if (cachedDeals) {
+              tileCacheHits++;
+              const deals = cachedDeals.map(d => ({ ...d, adImage: adImage, adPage: adPage, adTile: t + 1 }));
+              allDeals.push(...deals);
+              perPageOutcome.push({ page: adPage, tile: t+1, ok: true, deals: deals.length, cached: true });
+              continue;
             }
+            tileCacheMisses++;
+
+            signal?.throwIfAborted();
+            const ocr = await ocrAdTile(tiles[t], storeName, "ad-ocr", { signal });
+            visionCalls++;
+
+            if (!ocr.ok) {
+              apiNon2xxCount++;
+              console.error(`Vision API non-2xx for ${storeName} page ${adPage} tile ${t+1}: HTTP ${ocr.status} — ${ocr.errBody.substring(0, 200)}`);
+              perPageOutcome.push({ page: adPage, tile: t+1, status: ocr.status, kind: "api_non2xx" });
+              await new Promise(r => setTimeout(r, 500));
+              continue;
+            }
+            apiOkCount++;
+
+            if (ocr.parseError) console.error(`OCR page ${adPage} tile ${t+1} JSON parse error:`, ocr.parseError);
+            if (ocr.recoverError) console.error(`OCR page ${adPage} tile ${t+1} recovery parse error:`, ocr.recoverError);
+            if (ocr.parse === "ok") await storeTile(tileHashes[t], storeId, ocr.deals);
+            if (ocr.parse !== "fail") {
+              ocr.deals.forEach(d => { d.adImage = adImage; d.adPage = adPage; d.adTile = t + 1; });
+              allDeals.push(...ocr.deals);
+              perPageOutcome.push({ page: adPage, tile: t+1, ok: true, deals: ocr.deals.length });
+            } else {
+              parseFailCount++;
+              perPageOutcome.push({ page: adPage, tile: t+1, kind: "parse_fail" });
+            }
+            await new Promise(r => setTimeout(r, 500));
           }
-          if (parsedOk) {
-            perPageOutcome.push({ page: i+1, tile: t+1, ok: true, deals: tileDeals });
-          } else {
-            parseFailCount++;
-            perPageOutcome.push({ page: i+1, tile: t+1, kind: "parse_fail" });
-          }
-          await new Promise(r => setTimeout(r, 500));
         }
       } catch (e) {
         console.error(`  Page ${i+1} error: ${e.message}`);
@@ -926,7 +1106,9 @@ Use JSON null (not "") for unknown numeric fields. Return [] if the page has no
       }
     }
 
-    console.log(`OCR summary for ${storeName}: ${apiOkCount} ok, ${apiNon2xxCount} non-2xx, ${parseFailCount} parse-fail across ${images.length} pages. Per-page: ${JSON.stringify(perPageOutcome)}`);
+    signal?.throwIfAborted();
+    const tileCache = summarizeTileCache(tileCacheHits, tileCacheMisses);
+    console.log(`OCR summary for ${storeName}: ${apiOkCount} ok, ${apiNon2xxCount} non-2xx, ${parseFailCount} parse-fail across ${images.length} pages. Tile cache: ${tileCache.hits} hits, ${tileCache.misses} misses (~$${tileCache.savedUsd.toFixed(3)} saved). Per-page: ${JSON.stringify(perPageOutcome)}`);
 
     const seen = new Set();
     let unique = allDeals.filter(d => {
@@ -957,19 +1139,11 @@ Use JSON null (not "") for unknown numeric fields. Return [] if the page has no
           .substring(0, 8000);
 
         if (textContent.length > 200) {
-          const textAiRes = await fetch("https://api.anthropic.com/v1/messages", {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              "x-api-key": ANTHROPIC_KEY,
-              "anthropic-version": "2023-06-01",
-            },
-            body: JSON.stringify({
-              model: "claude-haiku-4-5-20251001",
-              max_tokens: 8000,
-              messages: [{
-                role: "user",
-                content: `Extract grocery deals from this ${storeName} weekly ad text. The text was scraped from a weekly ad page.
+          const textReply = await complete({
+            purpose: "ad-text",
+            maxTokens: 8000,
+            json: "array",
+            prompt: `Extract grocery deals from this ${storeName} weekly ad text. The text was scraped from a weekly ad page.
 
 TEXT:
 ${textContent}
@@ -986,6 +1160,7 @@ Rules:
 - "Final Price" beats "Sale Price": when an item shows both (digital-coupon ads), salePrice is the FINAL price after the coupon, and set requiresCoupon to true.
 - "N for $X" means salePrice is X divided by N. "4 for $8" -> 2.00. "2/$10" -> 5.00. "5/$5" -> 1.00.
 - "When You Buy N", "Must Buy N", "Limit N" are purchase conditions, not prices. Put them in notes; never use N or the bundle total as the per-unit salePrice.
+- "Mix & Match" and "Buy N, Save $X" groupings: copy the wording into notes on every item in the group.
 - requiresCoupon: set true when the price needs a digital coupon, store app, loyalty card, or membership (wording like "Digital Coupon", "with card", "for U", "mPerks", "Member Price"). Otherwise false.
 - Large featured price circles and bubbles are deals, often the best on the page. Always include them.
 
@@ -999,41 +1174,20 @@ regularPrice: the non-sale per-unit price. Derive it ONLY from an explicit refer
 - If the ad shows no reference price and no exact savings amount, set regularPrice to null. Do NOT guess. Do NOT copy salePrice.
 
 - No markdown backticks, return ONLY the JSON array
-- If no deals found, return []`
-              }]
-            })
+- If no deals found, return []`,
           });
-          if (!textAiRes.ok) {
-            const errBody = await textAiRes.text().catch(() => "");
-            console.error(`Text fallback Vision API non-2xx for ${storeName}: HTTP ${textAiRes.status} — ${errBody.substring(0, 200)}`);
-          }
-          const textAiData = textAiRes.ok ? await textAiRes.json() : { content: [] };
-          const textResult = textAiData.content?.map(c => c.text || "").join("") || "";
-          let textCleaned = textResult.replace(/```json|```/g, "").trim();
-          try {
-            const textDeals = JSON.parse(textCleaned);
-            if (textDeals.length > unique.length) {
-              console.log(`  Text fallback found ${textDeals.length} deals (vs ${unique.length} from images)`);
-              const textSeen = new Set();
-              unique = textDeals.filter(d => {
-                const key = `${d.name}:${d.salePrice}`;
-                if (textSeen.has(key)) return false;
-                textSeen.add(key);
-                return true;
-              });
-            }
-          } catch (e) {
-            console.error("Text fallback JSON parse error:", e.message);
-            const lastBrace = textCleaned.lastIndexOf("}");
-            if (lastBrace > 0) {
-              try {
-                const recovered = JSON.parse(textCleaned.substring(0, lastBrace + 1) + "]");
-                if (recovered.length > unique.length) {
-                  console.log(`  Text fallback found ${recovered.length} deals (recovered)`);
-                  unique = recovered;
-                }
-              } catch (e2) { console.error("Text fallback recovery parse error:", e2.message); }
-            }
+          if (textReply.parseError) console.error("Text fallback JSON parse error:", textReply.parseError);
+          if (textReply.recoverError) console.error("Text fallback recovery parse error:", textReply.recoverError);
+          const textDeals = textReply.json || [];
+          if (textDeals.length > unique.length) {
+            console.log(`  Text fallback found ${textDeals.length} deals (vs ${unique.length} from images)${textReply.parse === "recovered" ? " (recovered)" : ""}`);
+            const textSeen = new Set();
+            unique = textDeals.filter(d => {
+              const key = `${d.name}:${d.salePrice}`;
+              if (textSeen.has(key)) return false;
+              textSeen.add(key);
+              return true;
+            });
           }
         }
       } catch (e) {
@@ -1051,41 +1205,15 @@ regularPrice: the non-sale per-unit price. Derive it ONLY from an explicit refer
     // Each rejection is emitted as one self-contained JSON object per line, so a
     // log export answers "what did we throw away and why" directly:
     //   grep '"evt":"DEAL_REJECT"' render.log | jq -r '[.store,.reason,.name,.salePrice]|@tsv'
-    const rejectTally = {};
-    const rejects = [];
+    //
     // Held across the filter below: the OCR_QUALITY signal measures the raw
     // extraction, so it needs the rows as the model returned them, not the
-    // survivors. `unique = unique.filter(...)` rebinds to a new array, so this
-    // reference keeps pointing at the pre-rejection set.
+    // survivors. `unique` is rebound to the kept rows, so this reference keeps
+    // pointing at the pre-rejection set.
     const preValidationRows = unique;
     const beforeValidate = unique.length;
-    unique = unique.filter(d => {
-      const reason = dealRejectReason(d);
-      if (!reason) return true;
-      rejectTally[reason] = (rejectTally[reason] || 0) + 1;
-      const row = {
-        evt: "DEAL_REJECT",
-        store: storeName,
-        storeId,
-        reason,
-        name: d?.name ?? null,
-        salePrice: d?.salePrice ?? null,
-        regularPrice: d?.regularPrice ?? null,
-        unit: d?.unit ?? null,
-        category: d?.category ?? null,
-        adPage: d?.adPage ?? null,
-        adImage: d?.adImage ?? null,
-      };
-      rejects.push(row);
-      console.log(JSON.stringify(row));
-      return false;
-    });
-    if (rejects.length > 0) {
-      console.warn(JSON.stringify({
-        evt: "DEAL_REJECT_SUMMARY", store: storeName, storeId,
-        rejected: rejects.length, of: beforeValidate, byReason: rejectTally,
-      }));
-    }
+    const { kept, rejects, byReason: rejectTally } = applyDealRejectRules(unique, { storeName, storeId });
+    unique = kept;
 
     // Logs are the wrong home for the only record of what OCR produced and we
     // refused to store: Render's retention is short, and by the time a chain
@@ -1106,11 +1234,13 @@ regularPrice: the non-sale per-unit price. Derive it ONLY from an explicit refer
     // rejected:0 with outcome:"validated" is the affirmative "last run was
     // clean"; on the failure path rejected:0 means nothing was ever validated.
     const MAX_STORED_REJECTS = 300;
+    signal?.throwIfAborted();
     await setCachedDeals(`ad-reject:${storeId}`, {
       storeName, storeId,
       adSourceUrl: adUrl,
       rejectedAt: new Date().toISOString(),
       outcome: "validated",
+      sourceAttempts,
       total: beforeValidate,
       rejected: rejects.length,
       byReason: rejectTally,
@@ -1118,25 +1248,8 @@ regularPrice: the non-sale per-unit price. Derive it ONLY from an explicit refer
       rows: rejects.slice(0, MAX_STORED_REJECTS),
     });
 
-    // Inverted-price sanitation. OCR sometimes maps an adjacent item's compare-at
-    // price onto this row, yielding regularPrice < salePrice. The sale price is
-    // the reliably-anchored value — it's the large figure the ad layout is built
-    // around — while the "reg" is small print that drifts between items. A wrong
-    // regular price overstates savings and erodes trust, so drop the suspect
-    // field rather than the row: the sale price is still worth showing.
-    let priceInvertCount = 0;
-    unique = unique.map(d => {
-      const s = parseFloat(String(d.salePrice ?? "").replace(/[^0-9.]/g, ""));
-      const r = parseFloat(String(d.regularPrice ?? "").replace(/[^0-9.]/g, ""));
-      if (Number.isFinite(s) && Number.isFinite(r) && s > r) {
-        priceInvertCount++;
-        return { ...d, regularPrice: null };
-      }
-      return d;
-    });
-    if (priceInvertCount > 0) {
-      console.warn(`PRICE_INVERT ${storeName}: ${priceInvertCount} of ${unique.length} rows had salePrice > regularPrice; regularPrice nulled, rows kept`);
-    }
+    // Inverted-price sanitation (see fixInvertedPrices).
+    unique = fixInvertedPrices(unique, storeName);
 
     // Extraction quality signal. A healthy OCR run carries per-unit info on most
     // rows. A high empty-unit rate means either the model is reading the pages
@@ -1165,43 +1278,260 @@ regularPrice: the non-sale per-unit price. Derive it ONLY from an explicit refer
       source: "ad-extract",
       image: getCategoryImage(d.category),
       adSourceUrl: adUrl,
-      adValidFrom, adValidTo,
     }));
 
+    // The sale dates ride on the cache row, not on each deal. An ad whose first
+    // day is still ahead is next week's, posted early by the aggregator: it goes
+    // to ad-next: so this week's ad keeps serving until the new one starts.
+    const adWindow = { validFrom: adValidFrom, validTo: adValidTo, timeZone: AD_DEFAULT_TIMEZONE };
+    const upcoming = isWindowUpcoming(adWindow);
+    const adCacheKey = upcoming ? `ad-next:${storeId}` : `ad-extract:${storeId}`;
+
+    signal?.throwIfAborted();
     if (unique.length > 0) {
-      await setCachedDeals(`ad-extract:${storeId}`, unique);
-      console.log(`On-demand: ${storeName} — ${unique.length} deals cached`);
-      logApiUsage("anthropic", "extract-store", 0, 0, maxPages * 0.003); // ~$0.003 per page estimate
+      await setCachedDeals(adCacheKey, unique, adWindow);
+      console.log(`On-demand: ${storeName} — ${unique.length} deals cached${upcoming ? ` as next week's ad (starts ${adValidFrom})` : ""}`);
     } else {
       // Extraction yielded 0 deals — overwrite cache with [] so the failure becomes
       // observable (fetched_at updated, data=[]) rather than silently leaving stale
       // prior-week data in place. Both read paths treat [] as "no deals" cleanly.
       // See audit findings (commit "Replace broken ALDI scraper..."): this same
       // pattern previously hid 7 broken chains for up to 26 days.
-      await setCachedDeals(`ad-extract:${storeId}`, []);
-      console.warn(`On-demand: ${storeName} — extraction yielded 0 deals; cache cleared. OCR: ${apiOkCount} ok, ${apiNon2xxCount} non-2xx, ${parseFailCount} parse-fail.`);
+      await setCachedDeals(adCacheKey, [], adWindow);
+      console.warn(`On-demand: ${storeName} — extraction yielded 0 deals; ${adCacheKey} cleared. OCR: ${apiOkCount} ok, ${apiNon2xxCount} non-2xx, ${parseFailCount} parse-fail.`);
     }
+    await log(`${unique.length} deals cached under ${adCacheKey}. OCR: ${apiOkCount} ok, ${apiNon2xxCount} non-2xx, ${parseFailCount} parse-fail. Tile cache: ${tileCache.hits} hits, ${tileCache.misses} misses, ~$${tileCache.savedUsd.toFixed(3)} saved`);
+    return { deals: unique.length, pages: images.length, source: source.adapter.id, validFrom: adValidFrom, validTo: adValidTo, nextWeek: upcoming, apiOkCount, apiNon2xxCount, parseFailCount, tileCache };
   } catch (err) {
     console.error(`On-demand extraction error for ${storeName}:`, err.message);
-  } finally {
-    if (slotAcquired) releaseExtractSlot();
-    extractingStores.delete(storeId);
+    throw err;
   }
-});
+}
+
+function _jobSummary(job) {
+  return {
+    id: job.id, state: job.state, attempts: job.attempts, maxAttempts: job.max_attempts,
+    runAfter: job.state === "retrying" ? job.run_after : null,
+    lastError: job.last_error, finishedAt: job.finished_at,
+  };
+}
 
 router.get("/api/extract-status", async (req, res) => {
   const { store } = req.query;
   if (!validateStoreName(store)) return res.status(400).json({ error: "Valid store name is required" });
   const storeId = canonicalizeStoreId(store);
 
-  if (extractingStores.has(storeId)) {
-    return res.json({ status: "extracting" });
+  // Status comes from extract_jobs, so it survives restarts. Any live job
+  // (queued, running, retrying) reads as "extracting" even when an older cache
+  // exists, so pollers wait for the re-extraction rather than stopping on last
+  // week's row. The job's state rides along for callers that want detail.
+  const active = await getActiveJob(storeId);
+  if (active) {
+    return res.json({ status: "extracting", job: _jobSummary(active) });
   }
-  const cached = await getCachedDeals(`ad-extract:${storeId}`);
-  if (cached && cached.length > 0) {
-    return res.json({ status: "ready", deals: cached.length });
+  const cached = await getCachedDealsRow(`ad-extract:${storeId}`);
+  const latest = await getLatestJob(storeId);
+  const nextWeek = await getNextWeekAd(storeId);
+  const nextWeekSummary = nextWeek?.data?.length ? { deals: nextWeek.data.length, validFrom: nextWeek.validFrom, validTo: nextWeek.validTo } : null;
+  if (cached?.data?.length > 0) {
+    const due = await _extractionDue(store, cached);
+    return res.json({
+      status: "ready", deals: cached.data.length, validFrom: cached.validFrom, validTo: cached.validTo,
+      nextExtractionDue: due.toISOString(), nextWeek: nextWeekSummary, job: latest ? _jobSummary(latest) : null,
+    });
   }
-  res.json({ status: "none" });
+  res.json({ status: "none", nextWeek: nextWeekSummary, job: latest ? _jobSummary(latest) : null });
+});
+
+// ══ USER AD UPLOADS ═══════════════════════════════════════════════════════════
+// The not-found answer from /api/extract-store asks the user for a photo of the
+// ad. Uploads run through the same pipeline as crawl extraction (tileImage, the
+// tile cache, adImagePrompt, dealRejectReason, fixInvertedPrices) but land in
+// ad_uploads (migrations/2026-10-19-ad-uploads.sql) as "pending", not in
+// deal_cache. An admin approves or rejects from /api/admin/ad-uploads; approval
+// writes ad-upload:{zip3}:{storeId}:{uploadId} with provenance marking the rows
+// as user-contributed, added to the zip3's regional pool alongside the crawl.
+//
+// OCR runs after the response (a handful of pages is 30-90s of vision calls),
+// the same fire-and-forget shape extract-store had before the job queue. The
+// pages only live in memory, so an upload a restart interrupts can't be
+// resumed: sweepStaleAdUploads marks it failed (refunding nothing — the
+// counter didn't survive the restart either) and the uploader can upload
+// again. A failed upload gives its daily quota back.
+
+const MAX_UPLOAD_FILES = 8;
+const MAX_UPLOAD_VISION_CALLS = 24;
+const UPLOADS_PER_USER_PER_DAY = 5;
+// Far past the 30-90s an upload takes, and the 24-call vision cap.
+const UPLOAD_PROCESSING_STALE_MS = 30 * 60 * 1000;
+const uploadDailyCount = new Map();
+setInterval(() => { const today = new Date().toISOString().slice(0, 10); for (const k of uploadDailyCount.keys()) { if (!k.endsWith(today)) uploadDailyCount.delete(k); } }, 60 * 60 * 1000);
+
+const refundUpload = (dayKey) => {
+  const used = uploadDailyCount.get(dayKey) || 0;
+  if (used > 1) uploadDailyCount.set(dayKey, used - 1);
+  else uploadDailyCount.delete(dayKey);
+};
+
+// "processing" rows older than UPLOAD_PROCESSING_STALE_MS were cut off by a
+// restart or deploy: nothing will ever finish them.
+async function sweepStaleAdUploads() {
+  if (!supabase) return;
+  const now = new Date();
+  const { data, error } = await supabase.from("ad_uploads")
+    .update({ state: "failed", error: "Processing was interrupted (server restart); please upload again", updated_at: now.toISOString() })
+    .eq("state", "processing").lt("updated_at", new Date(now.getTime() - UPLOAD_PROCESSING_STALE_MS).toISOString())
+    .select("id");
+  if (error) console.error("Ad upload sweep error:", error.message);
+  else if (data?.length) console.warn(`Ad upload sweep: ${data.length} interrupted upload(s) marked failed`);
+}
+setTimeout(sweepStaleAdUploads, 60 * 1000);
+setInterval(sweepStaleAdUploads, 60 * 60 * 1000);
+
+// Sniffs the payload rather than trusting the declared type.
+function sniffUploadType(buf) {
+  if (buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8) return "jpeg";
+  if (buf.length > 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "png";
+  if (buf.length > 12 && buf.toString("latin1", 0, 4) === "RIFF" && buf.toString("latin1", 8, 12) === "WEBP") return "webp";
+  if (isPdf(buf)) return "pdf";
+  return null;
+}
+
+// onFail runs when the upload ends "failed" (refunds the daily quota).
+async function processAdUpload(upload, pages, { onFail = () => {} } = {}) {
+  const { id: uploadId, store_name: storeName, store_id: storeId } = upload;
+  const allDeals = [];
+  const pagePaths = [];
+  let visionCalls = 0;
+  try {
+    if (!llmConfigured()) throw new Error("LLM provider not configured (ANTHROPIC_API_KEY is not set)");
+    let pageNo = 0;
+    for (let i = 0; i < pages.length; i++) {
+      // Keep the file for the moderator. A storage failure costs the reviewer
+      // the photo, not the upload.
+      const kind = sniffUploadType(pages[i]);
+      const path = `${uploadId}/page-${i + 1}.${kind}`;
+      const { error: storeErr } = await supabase.storage.from("ad-uploads")
+        .upload(path, pages[i], { contentType: kind === "pdf" ? "application/pdf" : `image/${kind}`, upsert: true });
+      if (storeErr) console.error(`Ad upload ${uploadId}: file ${i + 1} storage failed: ${storeErr.message}`);
+      else pagePaths.push(path);
+
+      // A PDF expands into its pages; an image is one page.
+      for await (const unit of adPageUnits(pages[i], path, pageNo + 1)) {
+        pageNo++;
+        if (unit.textDeals) {
+          allDeals.push(...unit.textDeals.map(d => ({ ...d, adImage: null, adPage: pageNo })));
+          continue;
+        }
+        const tiles = await tileImage(unit.buffer);
+        const tileHashes = tiles.map(tile => hashTile(tile, ocrCacheSalt()));
+        const cachedTiles = await lookupTiles(tileHashes);
+        for (let t = 0; t < tiles.length; t++) {
+          let deals = cachedTiles.get(tileHashes[t]);
+          if (!deals) {
+            if (visionCalls >= MAX_UPLOAD_VISION_CALLS) break;
+            const ocr = await ocrAdTile(tiles[t], storeName, "ad-upload");
+            visionCalls++;
+            if (!ocr.ok) {
+              console.error(`Ad upload ${uploadId}: page ${pageNo} tile ${t + 1} HTTP ${ocr.status} — ${ocr.errBody.substring(0, 200)}`);
+              continue;
+            }
+            if (ocr.parseError) console.error(`Ad upload ${uploadId}: page ${pageNo} tile ${t + 1} JSON parse error: ${ocr.parseError}`);
+            if (ocr.parse === "ok") await storeTile(tileHashes[t], storeId, ocr.deals);
+            deals = ocr.deals;
+            await new Promise(r => setTimeout(r, 500));
+          }
+          allDeals.push(...deals.map(d => ({ ...d, adImage: null, adPage: pageNo })));
+        }
+      }
+    }
+
+    const seen = new Set();
+    const unique = allDeals.filter(d => {
+      const key = `${d.name}:${d.salePrice}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    const { kept, rejects, byReason } = applyDealRejectRules(unique, { storeName, storeId });
+    const deals = fixInvertedPrices(kept, storeName);
+
+    await supabase.from("ad_uploads").update({
+      state: "pending", page_count: pageNo, page_paths: pagePaths, vision_calls: visionCalls,
+      deals, rejects: rejects.slice(0, 300), by_reason: byReason, updated_at: new Date().toISOString(),
+    }).eq("id", uploadId);
+    console.log(`Ad upload ${uploadId} (${storeName}): ${deals.length} deals pending review, ${rejects.length} rejected, ${visionCalls} vision calls`);
+  } catch (err) {
+    console.error(`Ad upload ${uploadId} (${storeName}) failed:`, err.message);
+    onFail();
+    await supabase.from("ad_uploads").update({
+      state: "failed", error: err.message, page_paths: pagePaths, vision_calls: visionCalls, updated_at: new Date().toISOString(),
+    }).eq("id", uploadId);
+  }
+}
+
+// Body: { storeName, zip, files: [{ data: base64 }], validFrom?, validTo? }.
+// files[].data may carry a data: URL prefix; the type is sniffed from the bytes.
+router.post("/api/ad-uploads", async (req, res) => {
+  const user = await getUser(req);
+  if (!user) return res.status(401).json({ error: "Sign in to upload a weekly ad" });
+  const { storeName, zip, files, validFrom, validTo } = req.body || {};
+  if (!validateStoreName(storeName)) return res.status(400).json({ error: "Valid storeName is required (letters, numbers, spaces, hyphens, max 50 chars)" });
+  if (!validateZip(zip)) return res.status(400).json({ error: "Valid 5-digit zip code is required" });
+  if (!Array.isArray(files) || files.length === 0) return res.status(400).json({ error: "Attach at least one photo of the ad" });
+  if (files.length > MAX_UPLOAD_FILES) return res.status(400).json({ error: `Up to ${MAX_UPLOAD_FILES} files per upload` });
+  // A bare date ("2026-10-21", what a date picker sends) is a local sale day:
+  // the window opens at its midnight and closes at its 23:59:59.
+  const parseDate = (v, endOfDay) => {
+    const day = String(v || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (day) return zonedTime(+day[1], +day[2] - 1, +day[3], endOfDay ? 23 : 0, endOfDay ? 59 : 0, endOfDay ? 59 : 0, AD_DEFAULT_TIMEZONE).toISOString();
+    return v && !Number.isNaN(Date.parse(v)) ? new Date(v).toISOString() : null;
+  };
+
+  const pages = [];
+  for (const f of files) {
+    const buf = Buffer.from(String(f?.data || "").replace(/^data:[^,]*,/, ""), "base64");
+    const kind = sniffUploadType(buf);
+    if (!kind) return res.status(415).json({ error: "Only JPEG, PNG or WebP photos, or a PDF of the ad, are supported" });
+    pages.push(buf);
+  }
+
+  const dayKey = `${user.id}-${new Date().toISOString().slice(0, 10)}`;
+  const used = uploadDailyCount.get(dayKey) || 0;
+  if (used >= UPLOADS_PER_USER_PER_DAY) return res.status(429).json({ error: `${UPLOADS_PER_USER_PER_DAY} uploads per day limit reached` });
+  uploadDailyCount.set(dayKey, used + 1);
+
+  try {
+    const { data: upload, error } = await supabase.from("ad_uploads").insert({
+      user_id: user.id, store_name: storeName, store_id: canonicalizeStoreId(storeName),
+      zip, zip3: zip.substring(0, 3), page_count: pages.length,
+      valid_from: parseDate(validFrom, false), valid_to: parseDate(validTo, true),
+    }).select().single();
+    if (error) throw error;
+    res.status(202).json({ uploadId: upload.id, status: "processing", message: "Thanks! We're reading your ad now. Deals appear once a moderator approves them." });
+    setImmediate(() => processAdUpload(upload, pages, { onFail: () => refundUpload(dayKey) }));
+  } catch (e) {
+    console.error("Ad upload error:", e.message);
+    refundUpload(dayKey);
+    res.status(500).json({ error: "Could not save your upload" });
+  }
+});
+
+// Uploader-only status check.
+router.get("/api/ad-uploads/:id", async (req, res) => {
+  const user = await getUser(req);
+  if (!user) return res.status(401).json({ error: "Sign in to view your uploads" });
+  try {
+    const { data: upload } = await supabase.from("ad_uploads")
+      .select("id, user_id, store_name, state, deals, rejects, review_note, created_at, reviewed_at")
+      .eq("id", req.params.id).maybeSingle();
+    if (!upload || upload.user_id !== user.id) return res.status(404).json({ error: "Upload not found" });
+    res.json({
+      id: upload.id, storeName: upload.store_name, status: upload.state,
+      deals: upload.deals?.length || 0, rejected: upload.rejects?.length || 0,
+      reviewNote: upload.review_note, createdAt: upload.created_at, reviewedAt: upload.reviewed_at,
+    });
+  } catch (e) { res.status(500).json({ error: "Could not load upload" }); }
 });
 
 // ── Store Requests ─────────────────────────────────────────────────────────
@@ -1292,47 +1622,99 @@ function dealRejectReason(d) {
   if (raw == null || String(raw).trim() === "") return "empty salePrice";
   const sale = parseFloat(String(raw).replace(/[^0-9.]/g, ""));
   if (!Number.isFinite(sale) || sale <= 0) return "zero or unparseable salePrice";
-  return null;
+  // Multi-buy, BOGO, limit and coupon terms (lib/offers.js).
+  return offerRejectReason(d);
+}
+
+// Runs dealRejectReason over a batch of extracted rows. Each rejection is
+// logged as one DEAL_REJECT JSON line (see the grep recipe in runExtractJob)
+// and returned, so callers can park the batch for review.
+function applyDealRejectRules(rows, { storeName, storeId }) {
+  const byReason = {};
+  const rejects = [];
+  const kept = rows.filter(d => {
+    const reason = dealRejectReason(d);
+    if (!reason) return true;
+    byReason[reason] = (byReason[reason] || 0) + 1;
+    const row = {
+      evt: "DEAL_REJECT",
+      store: storeName,
+      storeId,
+      reason,
+      name: d?.name ?? null,
+      salePrice: d?.salePrice ?? null,
+      regularPrice: d?.regularPrice ?? null,
+      unit: d?.unit ?? null,
+      category: d?.category ?? null,
+      adPage: d?.adPage ?? null,
+      adImage: d?.adImage ?? null,
+    };
+    rejects.push(row);
+    console.log(JSON.stringify(row));
+    return false;
+  });
+  if (rejects.length > 0) {
+    console.warn(JSON.stringify({
+      evt: "DEAL_REJECT_SUMMARY", store: storeName, storeId,
+      rejected: rejects.length, of: rows.length, byReason,
+    }));
+  }
+  return { kept, rejects, byReason };
+}
+
+// Inverted-price sanitation. OCR sometimes maps an adjacent item's compare-at
+// price onto this row, yielding regularPrice < salePrice. The sale price is
+// the reliably-anchored value — it's the large figure the ad layout is built
+// around — while the "reg" is small print that drifts between items. A wrong
+// regular price overstates savings and erodes trust, so drop the suspect
+// field rather than the row: the sale price is still worth showing.
+function fixInvertedPrices(rows, storeName) {
+  let priceInvertCount = 0;
+  const fixed = rows.map(d => {
+    const s = parseFloat(String(d.salePrice ?? "").replace(/[^0-9.]/g, ""));
+    const r = parseFloat(String(d.regularPrice ?? "").replace(/[^0-9.]/g, ""));
+    if (Number.isFinite(s) && Number.isFinite(r) && s > r) {
+      priceInvertCount++;
+      return { ...d, regularPrice: null };
+    }
+    return d;
+  });
+  if (priceInvertCount > 0) {
+    console.warn(`PRICE_INVERT ${storeName}: ${priceInvertCount} of ${fixed.length} rows had salePrice > regularPrice; regularPrice nulled, rows kept`);
+  }
+  return fixed;
 }
 
 // Shared fresh-deal curation: takes a raw Kroger deal array, returns up to
 // `limit` balanced fresh deals (image + real prices + plausible discount),
 // each annotated with _sale/_reg/_pct. Used by both the preview grid endpoint
 // and the weekly bundle generator.
+const FRESH_BUCKETS = [
+  ["meat_seafood/beef", "beef"],
+  ["meat_seafood/seafood", "seafood"],
+  ["meat_seafood", "poultry_pork"],
+  ["produce/fruit", "fruit"],
+  ["produce", "vegetable"],
+  ["dairy_eggs", "dairy"],
+];
+
 function curateFreshDeals(raw, limit) {
   if (!raw || !raw.length) return [];
   const clean = raw
     .map(d => {
-      const s = parseFloat(String(d.salePrice || "").replace(/[^0-9.]/g, ""));
-      const r = parseFloat(String(d.regularPrice || "").replace(/[^0-9.]/g, ""));
-      const pct = Number(d.pctOff) > 0
-        ? Number(d.pctOff)
-        : (Number.isFinite(s) && Number.isFinite(r) && r > 0 && s > 0 && s < r
-            ? Math.round(((r - s) / r) * 100) : 0);
-      return { ...d, _sale: s, _reg: r, _pct: pct };
+      const { sale, regular, pct } = plausibleDiscount(d);
+      return { ...d, _sale: sale, _reg: regular, _pct: pct };
     })
     .filter(d =>
       d.image && String(d.image).startsWith("http") &&
       d.name && d.name.trim() &&
-      Number.isFinite(d._sale) && d._sale > 0 &&
-      Number.isFinite(d._reg) && d._reg > d._sale &&
-      d._pct > 0 && d._pct <= MAX_PLAUSIBLE_PCT_OFF &&
-      d._reg <= d._sale * 2.5
+      d._sale != null && d._reg != null && d._pct > 0 &&
+      !isLowQuality(d)
     );
 
-  const isPackaged = (n) => /noodle|cup noodle|ramen|frozen|pizza|canned|boxed|snack|chip|cracker|cereal|soda|candy|cookie|sauce jar/i.test(n);
-  const freshBucket = (d) => {
-    const c = (d.category || "").toLowerCase();
-    const n = (d.name || "").toLowerCase();
-    if (isPackaged(n)) return "skip";
-    if (/beef|steak/.test(c) || /\b(beef|steak|sirloin|ground beef|brisket)\b/.test(n)) return "beef";
-    if (/pork|chicken|turkey|poultry/.test(c) || /\b(pork|chicken|turkey|sausage|bacon|ham|chop|tenderloin)\b/.test(n)) return "poultry_pork";
-    if (/seafood|fish/.test(c) || /\b(shrimp|salmon|cod|tilapia|scallop|crab|fish fillet|flounder)\b/.test(n)) return "seafood";
-    if (/fruit|produce/.test(c) || /\b(grape|peach|nectarine|mango|berry|berries|apple|melon|plum|strawberr)\b/.test(n)) return "fruit";
-    if (/vegetable/.test(c) || /\b(corn|broccoli|squash|zucchini|pepper|tomato|potato|onion|carrot|greens|lettuce)\b/.test(n)) return "vegetable";
-    if (/dairy|egg/.test(c) || /\b(milk|cheese|yogurt|egg|butter)\b/.test(n)) return "dairy";
-    return "skip";
-  };
+  // Packaged goods (frozen, pantry, snacks) have no slot; the taxonomy files
+  // them outside these departments, so they fall through to "skip".
+  const freshBucket = (d) => bucketFor(dealCategoryPath(d), FRESH_BUCKETS, "skip");
 
   const byBucket = {};
   for (const d of clean) {
@@ -1373,26 +1755,28 @@ function curateFreshDeals(raw, limit) {
 // needs product photos), these pages render text+price cards, so images and
 // regular prices are optional. OCR'd chains (ALDI and most others) have neither.
 // Requirements: a real name, a plausible sale price, and food (not household).
-// Shared deal classifier. Used by BOTH the SSR chain bundles and the homepage
-// preview bundle so their recipe pools can't drift apart. Order matters: protein
-// and vegetable are checked BEFORE fruit, so "Bacon Applewood Smoked" and "Grape
-// Tomatoes" don't get misclassified as fruit.
+// Shared deal bucket. Used by BOTH the SSR chain bundles and the homepage
+// preview bundle so their recipe pools can't drift apart. The classification
+// itself is lib/taxonomy.js (which files "Bacon Applewood Smoked" and "Grape
+// Tomatoes" as protein and vegetable, not fruit); this is only the map from
+// its paths to the pool's buckets.
+const DEAL_BUCKETS = [
+  ["meat_seafood", "protein"],
+  ["produce/fruit", "fruit"],
+  ["frozen/fruit", "fruit"],
+  ["produce", "vegetable"],
+  ["frozen/vegetables", "vegetable"],
+  ["dairy_eggs", "dairy"],
+  ["pantry", "pantry"],
+  ["bakery/bread", "pantry"],
+  ["bakery/desserts", "snack"],
+  ["frozen/desserts", "snack"],
+  ["snacks", "snack"],
+  ["beverages", "snack"],
+];
+
 function dealBucket(d) {
-  const c = (d.category || "").toLowerCase();
-  const n = (d.name || "").toLowerCase();
-  if (/snack|candy|cookie|chip|cracker|soda|beverage|dessert/.test(c) ||
-      /chips?|crackers?|cookie|candy|soda|little debbie|frito|ritz|goldfish|doritos|oreo/.test(n)) return "snack";
-  if (/beef|pork|chicken|turkey|meat|poultry|seafood|fish|lamb|bison/.test(c) ||
-      /\b(beef|pork|chicken|turkey|sausage|bacon|steak|shrimp|salmon|chop|brisket|ribeye|wing|ground|scallop|tilapia|cod)\b/.test(n)) return "protein";
-  if (/vegetable|produce/.test(c) ||
-      /\b(corn|broccoli|squash|zucchini|pepper|tomato|potato|onion|carrot|lettuce|cucumber|greens|spinach|cabbage|celery|mushroom|asparagus|green bean)\b/.test(n)) return "vegetable";
-  if (/fruit/.test(c) ||
-      /\b(grape|apple|melon|watermelon|berry|berries|blueberr|strawberr|peach|plum|nectarine|mango|pineapple|mandarin|orange|banana|pear|cherry|cherries)\b/.test(n)) return "fruit";
-  if (/dairy|egg|cheese|milk|butter|yogurt/.test(c) ||
-      /\b(egg|cheese|milk|butter|yogurt|cream)\b/.test(n)) return "dairy";
-  if (/pasta|rice|grain|bean|pantry|bread|condiment|sauce|canned/.test(c) ||
-      /\b(pasta|rice|beans|tortilla|bread|broth|stock)\b/.test(n)) return "pantry";
-  return "other";
+  return bucketFor(dealCategoryPath(d), DEAL_BUCKETS, "other");
 }
 
 function curateChainDeals(raw, limit) {
@@ -1402,46 +1786,31 @@ function curateChainDeals(raw, limit) {
   // that path, so this read-side pass stays.
   const clean = raw
     .map(d => {
-      const s = parseFloat(String(d.salePrice || "").replace(/[^0-9.]/g, ""));
-      const r = parseFloat(String(d.regularPrice || "").replace(/[^0-9.]/g, ""));
       // Plausibility guard, matching the homepage preview (curateFreshDeals). A
       // regular price more than 2.5x the sale price is almost always a per-each
       // vs per-pound error in the source feed ("Black Plums, Each: $0.76, was
       // $2.50" = 70% off). The SALE price is still real and worth showing — we
-      // just refuse to make the suspect discount claim, so we zero the percent
-      // AND drop the struck-through regular price.
-      const plausible = Number.isFinite(r) && r > s && r > 0 && r <= s * 2.5;
-      const rawPct = Number(d.pctOff) > 0
-        ? Number(d.pctOff)
-        : (plausible ? Math.round(((r - s) / r) * 100) : 0);
-      const pct = (rawPct > 0 && rawPct <= MAX_PLAUSIBLE_PCT_OFF && plausible) ? rawPct : 0;
-      return { ...d, _sale: s, _reg: plausible ? r : null, _pct: pct };
+      // just refuse to make the suspect discount claim, so plausibleDiscount
+      // zeroes the percent AND drops the struck-through regular price.
+      const { sale, regular, pct } = plausibleDiscount(d);
+      return { ...d, _sale: sale, _reg: regular, _pct: pct };
     })
     .filter(d =>
       d.name && d.name.trim().length > 2 &&
       !PLACEHOLDER_NAME.test(d.name.trim()) && !CATEGORY_ONLY_NAME.test(d.name.trim()) &&
       !BOILERPLATE_ONLY_NAME.test(d.name.trim()) &&
-      Number.isFinite(d._sale) && d._sale > 0 && d._sale < 40 &&
-      !NON_FOOD_NAME.test(d.name) && !JUNK_NAME.test(d.name)
+      d._sale != null && d._sale < 40 &&
+      !NON_FOOD_NAME.test(d.name) && !JUNK_NAME.test(d.name) &&
+      !isLowQuality(d)
     );
 
   // Rank by COOKABILITY, not discount depth. Sorting purely by pctOff floats
   // deep-discount junk food to the top (Walmart's best discounts are Frito-Lay,
   // Ritz, Goldfish), leaving the recipe generator with chips and no protein.
   // Proteins anchor dinners; produce supports them; snacks are dead weight.
-  const cookScore = (d) => {
-    const c = (d.category || "").toLowerCase();
-    const n = (d.name || "").toLowerCase();
-    let s = (d._pct || 0) * 0.5; // discount still matters, but only as a tiebreaker
-    if (/beef|pork|chicken|turkey|meat|poultry|seafood|fish/.test(c) ||
-        /\b(beef|pork|chicken|turkey|sausage|bacon|steak|shrimp|salmon|chop|brisket|ribeye|wing|ground)\b/.test(n)) s += 60;
-    else if (/vegetable|produce|fruit/.test(c)) s += 30;
-    else if (/dairy|egg|cheese|milk|butter|yogurt/.test(c) || /\b(egg|cheese|milk|butter|yogurt)\b/.test(n)) s += 25;
-    else if (/pasta|rice|grain|bean|pantry|bread|potato/.test(c) || /\b(pasta|rice|beans|tortilla|potato)\b/.test(n)) s += 20;
-    if (/snack|candy|cookie|chip|cracker|soda|beverage|dessert/.test(c)) s -= 50;
-    if (/chips?|crackers?|cookie|candy|soda|little debbie|frito|ritz|goldfish|doritos|oreo/i.test(n)) s -= 50;
-    return s;
-  };
+  // The discount still matters, but only as a tiebreaker.
+  const COOK_WEIGHT = { protein: 60, vegetable: 30, fruit: 30, dairy: 25, pantry: 20, other: 0, snack: -50 };
+  const cookScore = (d) => (d._pct || 0) * 0.5 + COOK_WEIGHT[dealBucket(d)];
 
   // Reserve slots per category. A pure cookScore sort floods the pool with
   // protein on meat-heavy chains (Walmart came back 15/15 meat), which makes
@@ -1473,9 +1842,7 @@ function curateChainDeals(raw, limit) {
     if (!k || seen.has(k)) return false;
     seen.add(k);
     // Tag the bucket so downstream consumers (the recipe pool) can filter on the
-    // SAME classification instead of re-running a raw regex — dealBucket checks
-    // protein/vegetable before fruit, so "Bacon Applewood" and "Grape Tomatoes"
-    // classify correctly.
+    // SAME classification instead of re-running a raw regex.
     out.push({ ...d, _bucket: dealBucket(d) });
     return true;
   };
@@ -1554,34 +1921,27 @@ router.get("/api/deals/preview-recipe", async (req, res) => {
 // cacheKeys is an ordered fallback list — first non-empty cache wins. ALDI's
 // bespoke scraper was retired (May 2026); its deals now come from the OCR
 // pipeline under ad-extract:aldi, so aldi:national is empty in production.
+// Kroger's other banners get a page each, built from the representative store
+// of the largest division trading under the banner (kroger_divisions). Their
+// cacheKeys resolve through that map, so they are async; a banner whose
+// division has no location yet has no keys and its page stays at 503.
+const KROGER_BANNER_PAGES = ["Ralphs", "King Soopers", "Fred Meyer", "Fry's", "Smith's", "QFC", "Harris Teeter", "Food 4 Less"];
+
 export const SSR_CHAINS = {
   kroger: { label: "Kroger", cacheKeys: () => [`kroger:${PREVIEW_KROGER_LOCATION}`] },
   aldi:   { label: "ALDI",   cacheKeys: () => ["aldi:national", "ad-extract:aldi"] },
+  ...Object.fromEntries(KROGER_BANNER_PAGES.map(banner => {
+    const slug = krogerBannerSlug(banner);
+    return [slug, {
+      label: banner,
+      cacheKeys: async () => {
+        const d = await getKrogerDivisionBySlug(slug);
+        return d ? [`kroger:${d.locationId}`] : [];
+      },
+    }];
+  })),
 };
 
-// TWIN OF dealUnitInfo() IN public/app.js — keep the two in sync.
-// Not shared because public/app.js is a plain browser script served statically,
-// not an ESM module this file can import; extracting it to lib/ would mean
-// shipping a module to the client just for one function.
-//
-// The Kroger path emits a display-ready `priceUnit` ("/lb", "/ea", ""), while
-// ad-extract/OCR rows carry the raw flyer field `unit` ("lb", "per lb", "each",
-// "12 pk"). A non-empty priceUnit is returned untouched so Kroger stays exactly
-// as it was — notably "/ea", which must NOT collapse the way a raw "each" does.
-function dealUnitInfo(d) {
-  const pre = d && d.priceUnit != null ? String(d.priceUnit) : "";
-  if (pre !== "") return { unit: pre, isPerLb: !!(d && d.isPerLb) || pre === "/lb" };
-
-  const raw = d && d.unit != null ? String(d.unit).trim() : "";
-  if (!raw) return { unit: "", isPerLb: !!(d && d.isPerLb) };
-  // "each"/"ea" is the absence of a unit, not a suffix worth printing.
-  if (/^(?:each|ea)\.?$/i.test(raw)) return { unit: "", isPerLb: !!(d && d.isPerLb) };
-  // lb shapes: "lb", "lbs", "per lb", "/lb", "pound", "per pound", trailing dot ok.
-  if (/^(?:\/|per\s+)?(?:lb|lbs|pound|pounds)\.?$/i.test(raw)) return { unit: "/lb", isPerLb: true };
-  // Anything else prints as-is behind a slash: "pint" -> "/pint".
-  return { unit: "/" + raw, isPerLb: !!(d && d.isPerLb) };
-}
-
 // Display unit for a row that came out of a cached SSR bundle. Bundles cached
 // before priceUnit was carried through hold only isPerLb, so fall back to that
 // rather than dropping the "/lb" Kroger rows already show.
@@ -1609,7 +1969,7 @@ async function buildChainBundle(slug) {
   if (!cfg) return null;
   // Walk the fallback list — first cache with data wins.
   let raw = null;
-  for (const key of cfg.cacheKeys()) {
+  for (const key of await cfg.cacheKeys()) {
     const c = await getCachedDeals(key);
     if (c && c.length) { raw = c; console.log(`SSR ${slug}: using cache ${key} (${c.length} deals)`); break; }
   }
@@ -1702,8 +2062,7 @@ router.post("/api/cron/refresh-preview", async (req, res) => {
     let raw = await getCachedDeals(`kroger:${PREVIEW_KROGER_LOCATION}`);
     if (!raw || !raw.length) {
       try {
-        raw = await fetchKrogerDeals(PREVIEW_KROGER_LOCATION, "Kroger");
-        await setCachedDeals(`kroger:${PREVIEW_KROGER_LOCATION}`, raw);
+        raw = await refreshKrogerDeals(PREVIEW_KROGER_LOCATION, "Kroger");
       } catch (e) { console.error("Preview: Kroger refresh failed:", e.message); }
     }
     // 2. Curate a generous fresh pool (up to 12) to give the recipe good options.
@@ -1863,6 +2222,49 @@ router.post("/api/cron/refresh-ssr", async (req, res) => {
   res.json({ ok: true, results });
 });
 
+// Weekly: rebuild the Kroger division → representative store map from
+// ad_regions. Returns the division codes so the cron can refresh each one's
+// deals with the endpoint below.
+router.post("/api/cron/kroger-divisions", async (req, res) => {
+  const token = req.headers["x-internal-token"];
+  if (!token || token !== process.env.INTERNAL_API_TOKEN) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  try {
+    const divisions = await rebuildKrogerDivisions();
+    res.json({
+      ok: true,
+      divisions: divisions.map(d => ({ divisionCode: d.divisionCode, banner: d.banner, locationId: d.locationId, zip3Count: d.zip3Count, pinned: d.pinned, found: d.found })),
+      missing: divisions.filter(d => !d.locationId).map(d => d.divisionCode),
+    });
+  } catch (err) {
+    console.error("Kroger division rebuild failed:", err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// Refresh one division's deal cache (kroger:{location_id}). One division per
+// request, same reason as refresh-ssr: a full promo catalog is dozens of paged
+// searches, and several in one call would run past the gateway timeout.
+router.post("/api/cron/refresh-kroger-division", async (req, res) => {
+  const token = req.headers["x-internal-token"];
+  if (!token || token !== process.env.INTERNAL_API_TOKEN) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  const code = String(req.query.division || "");
+  const divisions = await getKrogerDivisions();
+  const d = divisions.find(x => x.divisionCode === code);
+  if (!d) return res.status(400).json({ ok: false, error: `Unknown division "${code}". Valid: ${divisions.map(x => x.divisionCode).join(", ")}` });
+  if (!d.locationId) return res.json({ ok: false, division: code, reason: "no representative location" });
+  try {
+    const deals = await refreshKrogerDeals(d.locationId, d.banner, { division: d.division });
+    res.json({ ok: true, division: code, banner: d.banner, locationId: d.locationId, deals: deals.length });
+  } catch (err) {
+    console.error(`Kroger division ${code} refresh failed:`, err.message);
+    res.json({ ok: false, division: code, error: err.message });
+  }
+});
+
 // Read a chain's SSR bundle (used by the page renderer in Session 2; also
 // handy for verification).
 router.get("/api/deals/chain/:slug", async (req, res) => {
@@ -0,0 +1,187 @@
+import { Router } from "express";
+import { supabase, getUser } from "../lib/utils.js";
+import { parseWatch, matchWatch, watchCandidates, buildWatchAlert, MAX_WATCHES_PER_USER } from "../lib/watchlists.js";
+import { weekOf } from "../lib/price-history.js";
+import { sendWatchAlertEmail } from "../lib/email.js";
+import { collectRegionalDeals, withHistoricalContext } from "./stores.js";
+
+const router = Router();
+
+// ══ WATCHLIST API ═════════════════════════════════════════════════════════════
+// A user's price watches (lib/watchlists.js). Evaluated weekly by
+// /api/cron/evaluate-watchlists below, not on write.
+
+router.get("/api/watchlist", async (req, res) => {
+  const user = await getUser(req);
+  if (!user) return res.status(401).json({ error: "Not authenticated" });
+  const { data, error } = await supabase.from("watchlist_items").select("*").eq("user_id", user.id).eq("active", true).order("created_at", { ascending: false });
+  if (error) { console.error(error.message); return res.status(500).json({ error: "Something went wrong. Please try again." }); }
+  res.json({ watches: data || [] });
+});
+
+router.post("/api/watchlist", async (req, res) => {
+  const user = await getUser(req);
+  if (!user) return res.status(401).json({ error: "Not authenticated" });
+  const { watch, error: invalid } = parseWatch(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+  try {
+    const { count, error: countErr } = await supabase.from("watchlist_items").select("id", { count: "exact", head: true }).eq("user_id", user.id).eq("active", true);
+    if (countErr) throw new Error(countErr.message);
+    if ((count || 0) >= MAX_WATCHES_PER_USER) return res.status(400).json({ error: `You can watch up to ${MAX_WATCHES_PER_USER} items` });
+    const { data, error } = await supabase.from("watchlist_items").insert({ ...watch, user_id: user.id }).select().single();
+    if (error) throw new Error(error.message);
+    console.log(`Watch added: "${watch.item_text}" near ${watch.zip}${watch.max_unit_price != null ? ` under $${watch.max_unit_price}/${watch.unit_basis}` : ""}`);
+    res.json(data);
+  } catch (err) {
+    console.error("Watchlist add error:", err.message);
+    res.status(500).json({ error: "Something went wrong. Please try again." });
+  }
+});
+
+router.delete("/api/watchlist/:id", async (req, res) => {
+  const user = await getUser(req);
+  if (!user) return res.status(401).json({ error: "Not authenticated" });
+  const { error } = await supabase.from("watchlist_items").delete().eq("id", req.params.id).eq("user_id", user.id);
+  if (error) { console.error(error.message); return res.status(500).json({ error: "Something went wrong. Please try again." }); }
+  res.json({ success: true });
+});
+
+// ══ NOTIFICATIONS API ═════════════════════════════════════════════════════════
+// In-app side of the watch alerts: the latest watch_alerts rows and how many
+// are unread. The app toasts unread ones once per session; opening the
+// profile page, which lists them, marks them read.
+
+router.get("/api/notifications", async (req, res) => {
+  const user = await getUser(req);
+  if (!user) return res.status(401).json({ error: "Not authenticated" });
+  let q = supabase.from("watch_alerts")
+    .select("id, watch_id, week_start, reason, item_text, store_name, deal_name, price, unit_basis, summary, matches, read_at, created_at")
+    .eq("user_id", user.id)
+    .order("created_at", { ascending: false })
+    .limit(30);
+  if (req.query.unread === "1") q = q.is("read_at", null);
+  const { data, error } = await q;
+  if (error) { console.error(error.message); return res.status(500).json({ error: "Something went wrong. Please try again." }); }
+  const alerts = data || [];
+  res.json({ alerts, unread: alerts.filter(a => !a.read_at).length });
+});
+
+// Body { ids: [...] } marks those; no ids marks every unread alert.
+router.post("/api/notifications/read", async (req, res) => {
+  const user = await getUser(req);
+  if (!user) return res.status(401).json({ error: "Not authenticated" });
+  const ids = Array.isArray(req.body?.ids) ? req.body.ids.filter(id => Number.isInteger(id)).slice(0, 100) : null;
+  let q = supabase.from("watch_alerts").update({ read_at: new Date().toISOString() }).eq("user_id", user.id).is("read_at", null);
+  if (ids) q = q.in("id", ids);
+  const { error } = await q;
+  if (error) { console.error(error.message); return res.status(500).json({ error: "Something went wrong. Please try again." }); }
+  res.json({ success: true });
+});
+
+// ══ WATCHLIST EVALUATION ══════════════════════════════════════════════════════
+// Run by the weekly workflow after the deal refresh (.github/workflows/
+// weekly-deals.yml). Each call evaluates WATCH_ZIPS_PER_CALL zips — every
+// active watch there against that zip's regional deal pool — and returns the
+// cursor of the next batch, or null when done; one regional collection per zip
+// per call keeps a call inside the gateway timeout.
+//
+// A watch alerts at most once per week (watch_alerts is unique on watch_id,
+// week_start): re-running the step, or the Friday re-pass, finds it already
+// alerted. Email goes to users whose watch asks for it and whose profile
+// hasn't switched price alerts off; the in-app row is written either way.
+const WATCH_ZIPS_PER_CALL = 5;
+
+async function loadActiveWatches() {
+  const watches = [];
+  for (let from = 0; ; from += 1000) {
+    const { data, error } = await supabase.from("watchlist_items").select("*").eq("active", true).order("id").range(from, from + 999);
+    if (error) throw new Error(`watchlist_items read failed: ${error.message}`);
+    watches.push(...(data || []));
+    if (!data || data.length < 1000) break;
+  }
+  return watches;
+}
+
+// New alerts → one email per user. Returns the number of emails sent.
+async function emailWatchAlerts(alerts, watchesById) {
+  const byUser = new Map();
+  for (const a of alerts) {
+    if (watchesById.get(a.watch_id)?.notify_email === false) continue;
+    if (!byUser.has(a.user_id)) byUser.set(a.user_id, []);
+    byUser.get(a.user_id).push(a);
+  }
+  if (!byUser.size) return 0;
+  const { data: profiles } = await supabase.from("profiles").select("id, email_prefs").in("id", [...byUser.keys()]);
+  const optedOut = new Set((profiles || []).filter(p => p.email_prefs?.price_alerts_enabled === false).map(p => p.id));
+
+  let emailed = 0;
+  for (const [userId, userAlerts] of byUser) {
+    if (optedOut.has(userId)) continue;
+    const { data, error } = await supabase.auth.admin.getUserById(userId);
+    const to = data?.user?.email;
+    if (error || !to) { console.warn(`  Watch alerts: no email for ${userId}${error ? ` (${error.message})` : ""}`); continue; }
+    if (!(await sendWatchAlertEmail({ to, alerts: userAlerts }))) continue;
+    emailed++;
+    await supabase.from("watch_alerts").update({ emailed_at: new Date().toISOString() }).in("id", userAlerts.map(a => a.id));
+  }
+  return emailed;
+}
+
+router.post("/api/cron/evaluate-watchlists", async (req, res) => {
+  const token = req.headers["x-internal-token"];
+  if (!token || token !== process.env.INTERNAL_API_TOKEN) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  const cursor = Math.max(parseInt(req.query.cursor) || 0, 0);
+  try {
+    const watches = await loadActiveWatches();
+    const zips = [...new Set(watches.map(w => w.zip))].sort();
+    const batch = zips.slice(cursor, cursor + WATCH_ZIPS_PER_CALL);
+    const weekStart = weekOf({ captured_at: new Date().toISOString() });
+    const watchesById = new Map(watches.map(w => [w.id, w]));
+
+    const due = watches.filter(w => batch.includes(w.zip));
+    const alerted = new Set();
+    if (due.length) {
+      const { data, error } = await supabase.from("watch_alerts").select("watch_id").eq("week_start", weekStart).in("watch_id", due.map(w => w.id));
+      if (error) throw new Error(`watch_alerts read failed: ${error.message}`);
+      for (const r of data || []) alerted.add(r.watch_id);
+    }
+
+    const rows = [];
+    for (const zip of batch) {
+      const pending = due.filter(w => w.zip === zip && !alerted.has(w.id));
+      if (!pending.length) continue;
+      let { allDeals } = await collectRegionalDeals(zip);
+      // Price-drop watches judge against history; read it for their
+      // candidates only, not the whole pool.
+      const dropWatches = pending.filter(w => w.max_unit_price == null);
+      if (dropWatches.length) {
+        const candidates = [...new Set(dropWatches.flatMap(w => watchCandidates(w, allDeals)))];
+        const withContext = await withHistoricalContext(candidates);
+        const replaced = new Map(candidates.map((d, i) => [d, withContext[i]]));
+        allDeals = allDeals.map(d => replaced.get(d) || d);
+      }
+      for (const w of pending) {
+        const alert = buildWatchAlert(w, matchWatch(w, allDeals), weekStart);
+        if (alert) rows.push(alert);
+      }
+    }
+
+    let created = [];
+    if (rows.length) {
+      const { data, error } = await supabase.from("watch_alerts").upsert(rows, { onConflict: "watch_id,week_start", ignoreDuplicates: true }).select("id, watch_id, user_id, item_text, store_name, summary");
+      if (error) throw new Error(`watch_alerts write failed: ${error.message}`);
+      created = data || [];
+    }
+    const emailed = await emailWatchAlerts(created, watchesById);
+    const next = cursor + batch.length < zips.length ? cursor + batch.length : null;
+    console.log(`Watchlists: zips ${cursor}-${cursor + batch.length} of ${zips.length}, ${due.length} watches, ${alerted.size} already alerted, ${created.length} new alerts, ${emailed} emails`);
+    res.json({ ok: true, weekStart, zips: zips.length, evaluated: batch.length, watches: due.length, alerts: created.length, emailed, next });
+  } catch (err) {
+    console.error("Watchlist evaluation failed:", err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+export default router;
@@ -3,9 +3,9 @@
 // fetched_at as the captured_at timestamp so the historical record reflects
 // when the data was actually fetched, not when this script ran.
 //
-// Idempotent — re-running skips duplicates via ON CONFLICT DO NOTHING on the
-// (chain, item_name, sale_price, captured_at) unique index. Safe to re-run
-// after fixing data issues or after additional cache rows accumulate.
+// Idempotent — rows upsert on the (chain, item_key, week_start) unique index,
+// so a re-run updates each ad week's rows rather than duplicating them. Safe to
+// re-run after fixing data issues or after additional cache rows accumulate.
 //
 // Usage: node scripts/analysis/backfill-deal-history.js
 import dotenv from "dotenv";
@@ -15,8 +15,10 @@ import {
   makeSupabase,
   fetchEligibleCacheRows,
   buildHistoryRow,
-  insertHistoryRows,
+  loadAdCycles,
+  upsertHistoryRows,
 } from "../lib/deal-history.js";
+import { loadProductCatalog, saveProductCatalog } from "../../lib/product-catalog.js";
 
 async function main() {
   const supabase = makeSupabase();
@@ -24,6 +26,9 @@ async function main() {
   console.log(`Connecting to ${process.env.SUPABASE_URL}...`);
   const cacheRows = await fetchEligibleCacheRows(supabase);
   console.log(`Eligible deal_cache rows: ${cacheRows.length}`);
+  const catalog = await loadProductCatalog(supabase);
+  const catalogBefore = catalog.size;
+  const adCycles = await loadAdCycles(supabase);
 
   let attempted = 0;
   const historyRows = [];
@@ -31,7 +36,11 @@ async function main() {
   for (const row of cacheRows) {
     for (const item of row.data) {
       attempted++;
-      const h = buildHistoryRow(item, row.cache_key, row.fetched_at);
+      const h = buildHistoryRow(item, row.cache_key, row.fetched_at, catalog, {
+        validFrom: row.valid_from,
+        timeZone: row.ad_timezone,
+        adCycles,
+      });
       if (h == null) continue;
       historyRows.push(h);
       sourceCounts[h.source] = (sourceCounts[h.source] || 0) + 1;
@@ -49,8 +58,11 @@ async function main() {
     .select("id", { count: "exact", head: true });
   console.log(`deal_history rows BEFORE: ${beforeCount ?? "unknown"}`);
 
-  console.log(`Inserting in batches...`);
-  const inserted = await insertHistoryRows(supabase, historyRows);
+  // Products first: deal_history.canonical_product_id references them.
+  await saveProductCatalog(supabase, catalog);
+
+  console.log(`Upserting in batches...`);
+  const { written, collapsed } = await upsertHistoryRows(supabase, historyRows);
 
   const { count: afterCount } = await supabase
     .from("deal_history")
@@ -62,9 +74,10 @@ async function main() {
   console.log(`  Items attempted:       ${attempted}`);
   console.log(`  Items skipped:         ${skipped}  (no sale_price, empty name, or empty chain)`);
   console.log(`  Items eligible:        ${historyRows.length}`);
-  console.log(`  Newly inserted:        ${inserted}`);
-  console.log(`  Duplicates ignored:    ${historyRows.length - inserted}`);
+  console.log(`  Rows written:          ${written}  (new or updated for their ad week)`);
+  console.log(`  Same-week collapsed:   ${collapsed}`);
   console.log(`  By source (eligible):  ${JSON.stringify(sourceCounts)}`);
+  console.log(`  New catalog products:  ${catalog.size - catalogBefore}`);
 }
 
 main().catch((err) => {
@@ -0,0 +1,91 @@
+// One-time: assign deal_history rows captured before ad-week keys existed to
+// their retailer ad week (week_start) and item (item_key), and fold the
+// duplicate weeks a manual capture re-run used to write into one row each.
+// New captures are keyed as they are built; this covers the rows already in
+// the table, and must run before the unique index in
+// migrations/2026-10-19-deal-history-weeks-key.sql can be created.
+//
+// The cache rows these were captured from are long gone, so the ad's own
+// validity window is not available: week_start comes from the chain's
+// ad_regions.ad_cycle and captured_at, or the Monday of the capture week for
+// chains with no cycle on record. Of rows sharing (chain, item_key,
+// week_start), the one kept is the week's lowest price, latest capture on a
+// tie (collapseHistoryRows, the same rule capture runs use).
+//
+// Idempotent: rows already keyed keep their keys, and a second run finds no
+// duplicates.
+//
+// Usage: node scripts/analysis/backfill-history-weeks.js [--dry-run]
+import dotenv from "dotenv";
+dotenv.config();
+
+import { makeSupabase, loadAdCycles, historyItemKey, collapseHistoryRows } from "../lib/deal-history.js";
+import { adWeekStart } from "../../lib/ad-validity.js";
+
+const PAGE_SIZE = 1000;
+const DRY_RUN = process.argv.includes("--dry-run");
+
+async function main() {
+  const supabase = makeSupabase();
+  console.log(`deal_history week backfill${DRY_RUN ? " (DRY RUN — no writes)" : ""}`);
+  const adCycles = await loadAdCycles(supabase);
+  console.log(`Chains with an ad cycle: ${adCycles.size}`);
+
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("deal_history")
+      .select("*")
+      .order("id")
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw new Error(`deal_history read failed: ${error.message}`);
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  console.log(`deal_history rows: ${rows.length}`);
+
+  const keyed = rows.map(r => ({
+    ...r,
+    sale_price: Number(r.sale_price),
+    item_key: r.item_key || historyItemKey(r.canonical_product_id, r.item_name),
+    week_start: r.week_start || adWeekStart({ capturedAt: r.captured_at, adCycle: adCycles.get(r.chain) }),
+  }));
+  const keep = collapseHistoryRows(keyed);
+  const keepIds = new Set(keep.map(r => r.id));
+  const deleteIds = keyed.filter(r => !keepIds.has(r.id)).map(r => r.id);
+  const original = new Map(rows.map(r => [r.id, r]));
+  const changed = keep.filter(r => {
+    const o = original.get(r.id);
+    return o.item_key !== r.item_key || o.week_start !== r.week_start;
+  });
+  console.log(`Rows to key:       ${changed.length}`);
+  console.log(`Duplicate weeks:   ${deleteIds.length} rows to delete`);
+
+  if (!DRY_RUN) {
+    // Duplicates first: until they are gone, two rows may share a key.
+    for (let i = 0; i < deleteIds.length; i += 500) {
+      const ids = deleteIds.slice(i, i + 500);
+      const { error } = await supabase.from("deal_history").delete().in("id", ids);
+      if (error) throw new Error(`deal_history delete failed at ${i}: ${error.message}`);
+    }
+    // Whole rows, on id: an upsert carrying only the new columns would fail
+    // the NOT NULL checks of its insert half.
+    for (let i = 0; i < changed.length; i += 500) {
+      const chunk = changed.slice(i, i + 500);
+      const { error } = await supabase.from("deal_history").upsert(chunk, { onConflict: "id" });
+      if (error) throw new Error(`deal_history update failed at ${i}: ${error.message}`);
+    }
+  }
+
+  console.log("\n=== WEEK BACKFILL SUMMARY ===");
+  console.log(`  Rows read:             ${rows.length}`);
+  console.log(`  Rows keyed:            ${changed.length}`);
+  console.log(`  Duplicates deleted:    ${deleteIds.length}`);
+  console.log(`  Rows remaining:        ${keep.length}`);
+  if (DRY_RUN) console.log("(DRY RUN — no actual writes performed)");
+}
+
+main().catch((err) => {
+  console.error("Fatal:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,78 @@
+// One-time: link deal_history rows captured before the product catalog existed
+// to their canonical products (lib/product-catalog.js). New captures are linked
+// as they are built; this covers the rows already in the table.
+//
+// deal_history has no size column, so these links are made on name, brand and
+// Kroger product_id alone and may be a little less precise than a capture-time
+// link. Idempotent: only rows with no canonical_product_id are read.
+//
+// Usage: node scripts/analysis/link-deal-history.js
+import dotenv from "dotenv";
+dotenv.config();
+
+import { makeSupabase } from "../lib/deal-history.js";
+import { loadProductCatalog, saveProductCatalog } from "../../lib/product-catalog.js";
+
+const PAGE_SIZE = 1000;
+
+async function main() {
+  const supabase = makeSupabase();
+  const catalog = await loadProductCatalog(supabase);
+  const catalogBefore = catalog.size;
+  console.log(`Catalog loaded: ${catalogBefore} products`);
+
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("deal_history")
+      .select("id, source, item_name, brand, category, product_id, captured_at")
+      .is("canonical_product_id", null)
+      .order("id")
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw new Error(`deal_history read failed: ${error.message}`);
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  console.log(`Unlinked deal_history rows: ${rows.length}`);
+
+  // Group updates by (product, confidence) so each distinct link is one UPDATE.
+  const groups = new Map();
+  let unmatched = 0;
+  for (const r of rows) {
+    const m = catalog.resolve({
+      name: r.item_name, brand: r.brand, category: r.category, source: r.source,
+      krogerProductId: r.source === "kroger" ? r.product_id : null,
+    }, r.captured_at);
+    if (!m) { unmatched++; continue; }
+    const key = `${m.productId}|${m.confidence}`;
+    if (!groups.has(key)) groups.set(key, { ...m, ids: [] });
+    groups.get(key).ids.push(r.id);
+  }
+
+  // Products first: deal_history.canonical_product_id references them.
+  await saveProductCatalog(supabase, catalog);
+
+  let linked = 0;
+  for (const g of groups.values()) {
+    for (let i = 0; i < g.ids.length; i += 500) {
+      const ids = g.ids.slice(i, i + 500);
+      const { error } = await supabase
+        .from("deal_history")
+        .update({ canonical_product_id: g.productId, match_confidence: g.confidence })
+        .in("id", ids);
+      if (error) throw new Error(`deal_history update failed for ${g.productId}: ${error.message}`);
+      linked += ids.length;
+    }
+  }
+
+  console.log("\n=== LINK SUMMARY ===");
+  console.log(`  Rows read:             ${rows.length}`);
+  console.log(`  Rows linked:           ${linked}`);
+  console.log(`  No usable name:        ${unmatched}`);
+  console.log(`  New catalog products:  ${catalog.size - catalogBefore}`);
+}
+
+main().catch((err) => {
+  console.error("Fatal:", err.message);
+  process.exit(1);
+});
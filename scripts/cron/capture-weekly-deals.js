@@ -17,8 +17,10 @@ import {
   makeSupabase,
   fetchEligibleCacheRows,
   buildHistoryRow,
-  insertHistoryRows,
+  loadAdCycles,
+  upsertHistoryRows,
 } from "../lib/deal-history.js";
+import { loadProductCatalog, saveProductCatalog } from "../../lib/product-catalog.js";
 
 async function main() {
   const supabase = makeSupabase();
@@ -27,6 +29,9 @@ async function main() {
 
   const cacheRows = await fetchEligibleCacheRows(supabase);
   console.log(`Eligible cache rows: ${cacheRows.length}`);
+  const catalog = await loadProductCatalog(supabase);
+  const catalogBefore = catalog.size;
+  const adCycles = await loadAdCycles(supabase);
 
   let attempted = 0;
   const historyRows = [];
@@ -39,7 +44,12 @@ async function main() {
   for (const row of cacheRows) {
     for (const item of row.data) {
       attempted++;
-      const h = buildHistoryRow(item, row.cache_key, capturedAt);
+      const adWeek = {
+        validFrom: row.valid_from,
+        timeZone: row.ad_timezone,
+        adCycles,
+      };
+      const h = buildHistoryRow(item, row.cache_key, capturedAt, catalog, adWeek);
       if (h == null) continue;
       historyRows.push(h);
       sourceCounts[h.source] = (sourceCounts[h.source] || 0) + 1;
@@ -53,8 +63,14 @@ async function main() {
   );
   console.log("By source (eligible):", sourceCounts);
 
-  const inserted = await insertHistoryRows(supabase, historyRows);
-  const duplicates = historyRows.length - inserted;
+  // Products first: deal_history.canonical_product_id references them.
+  const productsWritten = await saveProductCatalog(supabase, catalog);
+  const fuzzy = historyRows.filter(h => h.match_confidence != null && h.match_confidence < 1).length;
+  console.log(`Catalog: ${catalog.size - catalogBefore} new products (${catalog.size} total), ${fuzzy} fuzzy links, ${productsWritten} rows written`);
+
+  // Keyed on (chain, item, ad week): a re-run on the same ad rewrites this
+  // week's rows rather than adding a second week of them.
+  const { written, collapsed } = await upsertHistoryRows(supabase, historyRows);
 
   console.log("\n=== CAPTURE SUMMARY ===");
   console.log(`  captured_at:          ${capturedAt}`);
@@ -62,8 +78,9 @@ async function main() {
   console.log(`  items attempted:      ${attempted}`);
   console.log(`  items skipped:        ${skipped}`);
   console.log(`  items eligible:       ${historyRows.length}`);
-  console.log(`  newly inserted:       ${inserted}`);
-  console.log(`  duplicates ignored:   ${duplicates}`);
+  console.log(`  rows written:         ${written}  (new or updated for their ad week)`);
+  console.log(`  same-week collapsed:  ${collapsed}`);
+  console.log(`  new catalog products: ${catalog.size - catalogBefore}`);
   console.log(`  by source (eligible): ${JSON.stringify(sourceCounts)}`);
 
   // Capture guard. Kroger is the one API-sourced chain left (Walmart was retired
@@ -0,0 +1,75 @@
+// Weekly Albertsons-family scrape: one Playwright pass per configured
+// banner/store in scripts/cron/albertsons-stores.json, written to deal_cache
+// under ad-extract:{storeId}:{zip3} (see scripts/lib/albertsons-scraper.js).
+// Runs from GitHub Actions under xvfb; the scraper drives a visible browser
+// because headless Chromium is blocked far more often.
+//
+// Banners run sequentially in one browser with a fresh context each, so a
+// block on one banner's session cannot poison the next. Every banner writes a
+// scrape-run: record, pass or fail, for /api/admin/source-health.
+//
+// Exit code: non-zero only when EVERY banner failed. One banner tripping bot
+// detection is routine and already visible in source-health; all of them
+// failing means the runner or the scraper itself is broken.
+//
+// Usage: node scripts/cron/scrape-albertsons.js [--only safeway] [--dry-run]
+import dotenv from "dotenv";
+dotenv.config();
+
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { dirname, join } from "node:path";
+import { launchBrowser, runBannerJob, BANNER_DOMAINS } from "../lib/albertsons-scraper.js";
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes("--dry-run");
+const onlyIdx = args.indexOf("--only");
+const ONLY = onlyIdx > -1 ? args[onlyIdx + 1] : null;
+
+function loadJobs() {
+  const file = join(dirname(fileURLToPath(import.meta.url)), "albertsons-stores.json");
+  const jobs = JSON.parse(readFileSync(file, "utf8"));
+  for (const j of jobs) {
+    if (!BANNER_DOMAINS[j.banner]) throw new Error(`albertsons-stores.json: unknown banner "${j.banner}"`);
+    if (!j.storeId || !/^\d{5}$/.test(String(j.zip || ""))) {
+      throw new Error(`albertsons-stores.json: ${j.banner} needs a storeId and a 5-digit zip`);
+    }
+  }
+  return ONLY ? jobs.filter(j => j.banner === ONLY) : jobs;
+}
+
+async function main() {
+  const jobs = loadJobs();
+  console.log(`Albertsons scrape starting: ${jobs.length} banner/store jobs${DRY_RUN ? " (dry run)" : ""}`);
+  if (!jobs.length) return;
+
+  const browser = await launchBrowser();
+  const runs = [];
+  try {
+    for (const job of jobs) {
+      console.log(`\n═══ ${job.banner} store ${job.storeId} (${job.zip}) ═══`);
+      const { run } = await runBannerJob(browser, job, { dryRun: DRY_RUN });
+      runs.push(run);
+      console.log(run.ok
+        ? `  ✅ ${run.deals} deals → ${run.cacheKey}`
+        : `  ❌ FAILED: ${run.error} (cache left untouched)`);
+    }
+  } finally {
+    await browser.close();
+  }
+
+  console.log("\n=== ALBERTSONS SUMMARY ===");
+  for (const r of runs) {
+    console.log(`  ${r.ok ? "OK  " : "FAIL"} ${r.banner.padEnd(11)} ${r.storeId.padEnd(6)} deals=${String(r.deals).padStart(4)} ${r.error || ""}`);
+  }
+  const failed = runs.filter(r => !r.ok).length;
+  if (failed === runs.length) {
+    console.error(`All ${runs.length} banners failed. Failing the run.`);
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error("Albertsons scrape crashed:", err);
+  process.exit(1);
+});
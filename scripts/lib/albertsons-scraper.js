@@ -0,0 +1,441 @@
+// Albertsons-family scraper shared by the manual CLI (Albertsons.js at the repo
+// root) and the scheduled job (scripts/cron/scrape-albertsons.js).
+//
+// Uses playwright-extra with the stealth plugin to get past bot detection, and
+// reads the aisle pages of one store per run. Every Albertsons banner runs the
+// same storefront, so one scraper covers Safeway, Vons, Jewel-Osco, Shaw's,
+// ACME and the rest; only the domain and the store id (?loc=) differ.
+//
+// Output lands in deal_cache under ad-extract:{storeId}:{zip3}: the per-zip3
+// key /api/deals/regional already merges, where it shadows the chain's OCR
+// master row (ad-extract:{storeId}) for that zip3. A store's own shelf prices
+// beat a chain-wide flyer reading wherever we have them.
+//
+// Each run also writes scrape-run:albertsons:{banner}:{storeId}, success or
+// failure, which /api/admin/source-health reads to flag a banner whose scrape
+// broke. Same table as the deals, no migration, same idea as ad-reject: rows.
+
+import { chromium } from "playwright-extra";
+import StealthPlugin from "puppeteer-extra-plugin-stealth";
+import { setCachedDeals, canonicalizeStoreId } from "../../lib/utils.js";
+import { zonedTime, AD_DEFAULT_TIMEZONE } from "../../lib/ad-validity.js";
+
+chromium.use(StealthPlugin());
+
+export const BANNER_DOMAINS = {
+  albertsons: "www.albertsons.com",
+  safeway:    "www.safeway.com",
+  vons:       "www.vons.com",
+  jewelosco:  "www.jewelosco.com",
+  shaws:      "www.shaws.com",
+  acme:       "www.acmemarkets.com",
+  starmarket: "www.starmarket.com",
+  randalls:   "www.randalls.com",
+  tomthumb:   "www.tomthumb.com",
+  pavilions:  "www.pavilions.com",
+  haggen:     "www.haggen.com",
+};
+
+// Display names double as the storeName on each deal and as the input to
+// canonicalizeStoreId, so they must match how the chain is spelled in the
+// ad-source registry ("Jewel-Osco", not "Jewelosco").
+export const BANNER_NAMES = {
+  albertsons: "Albertsons",
+  safeway:    "Safeway",
+  vons:       "Vons",
+  jewelosco:  "Jewel-Osco",
+  shaws:      "Shaw's",
+  acme:       "ACME",
+  starmarket: "Star Market",
+  randalls:   "Randalls",
+  tomthumb:   "Tom Thumb",
+  pavilions:  "Pavilions",
+  haggen:     "Haggen",
+};
+
+// Below this many on-sale food items a run is a failure, not a quiet week: a
+// working store lists hundreds across these aisles, and a partial block
+// (challenge page after the first few categories) lands in the single digits.
+export const MIN_BANNER_DEALS = 20;
+
+// ══════════════════════════════════════════════════════════════════════
+// Food categories to scrape
+// ══════════════════════════════════════════════════════════════════════
+export const CATEGORIES = [
+  { path: "meat-seafood", label: "Meat & Seafood" },
+  { path: "meat-seafood/beef", label: "Beef" },
+  { path: "meat-seafood/chicken-turkey", label: "Chicken & Turkey" },
+  { path: "meat-seafood/pork", label: "Pork" },
+  { path: "meat-seafood/fish-shellfish", label: "Fish & Shellfish" },
+  { path: "meat-seafood/sausage-hot-dogs-bacon", label: "Sausage & Bacon" },
+  { path: "produce", label: "Produce" },
+  { path: "produce/fresh-fruits", label: "Fresh Fruits" },
+  { path: "produce/fresh-vegetables", label: "Fresh Vegetables" },
+  { path: "dairy/milk", label: "Milk" },
+  { path: "dairy/cheese", label: "Cheese" },
+  { path: "dairy/eggs", label: "Eggs" },
+  { path: "dairy/butter-margarine", label: "Butter" },
+  { path: "dairy/yogurt", label: "Yogurt" },
+  { path: "pantry/canned-goods-soups", label: "Canned Goods & Soups" },
+  { path: "pantry/pasta-pasta-sauce", label: "Pasta & Sauce" },
+  { path: "pantry/rice-grains-dried-beans", label: "Rice & Grains" },
+  { path: "pantry/condiments-dressings", label: "Condiments" },
+  { path: "pantry/oils-vinegar-shortening", label: "Oils & Vinegar" },
+  { path: "pantry/spices-seasoning", label: "Spices" },
+  { path: "frozen/frozen-meals-entrees", label: "Frozen Meals" },
+  { path: "frozen/frozen-meat-seafood", label: "Frozen Meat & Seafood" },
+  { path: "frozen/frozen-vegetables", label: "Frozen Vegetables" },
+  { path: "frozen/frozen-pizza", label: "Frozen Pizza" },
+  { path: "frozen/frozen-breakfast", label: "Frozen Breakfast" },
+  { path: "bread-bakery/bread", label: "Bread" },
+  { path: "snacks/chips-pretzels", label: "Chips & Pretzels" },
+  { path: "snacks/crackers", label: "Crackers" },
+  { path: "snacks/nuts-trail-mix", label: "Nuts & Trail Mix" },
+  { path: "beverages/juice-cider", label: "Juice" },
+  { path: "beverages/coffee", label: "Coffee" },
+  { path: "deli/salami-lunch-meats", label: "Lunch Meats" },
+];
+
+// Albertsons ads run Wednesday to Tuesday.
+export function getWeekDates(now = new Date()) {
+  const day = now.getDay();
+  const daysSinceWed = (day - 3 + 7) % 7;
+  const weekStart = new Date(now);
+  weekStart.setDate(now.getDate() - daysSinceWed);
+  const weekEnd = new Date(weekStart);
+  weekEnd.setDate(weekStart.getDate() + 6);
+  const fmt = (d) => d.toISOString().slice(0, 10);
+  return { weekStart: fmt(weekStart), weekEnd: fmt(weekEnd) };
+}
+
+// The ad week as a deal_cache validity window (lib/ad-validity.js): local
+// midnight Wednesday through 23:59:59 Tuesday.
+export function albertsonsAdWindow(now = new Date(), timeZone = AD_DEFAULT_TIMEZONE) {
+  const { weekStart, weekEnd } = getWeekDates(now);
+  const [y1, m1, d1] = weekStart.split("-").map(Number);
+  const [y2, m2, d2] = weekEnd.split("-").map(Number);
+  return {
+    validFrom: zonedTime(y1, m1 - 1, d1, 0, 0, 0, timeZone).toISOString(),
+    validTo: zonedTime(y2, m2 - 1, d2, 23, 59, 59, timeZone).toISOString(),
+    timeZone,
+  };
+}
+
+// ══════════════════════════════════════════════════════════════════════
+// Extract products from a loaded page
+// ══════════════════════════════════════════════════════════════════════
+async function extractProducts(page, category) {
+  return await page.evaluate((cat) => {
+    const products = [];
+    const seen = new Set();
+
+    // Find all price elements
+    const priceEls = document.querySelectorAll("[data-qa='prd-itm-prc']");
+
+    priceEls.forEach((priceEl) => {
+      try {
+        // Get sale price
+        const salePriceEl = priceEl.querySelector("[aria-hidden='true']");
+        const salePrice = salePriceEl?.textContent?.trim()?.replace(/[^$0-9.]/g, "") || "";
+
+        // Get regular/original price from <del> tag
+        const parentDiv = priceEl.closest("[class*='price']");
+        const delEl = parentDiv?.querySelector("del");
+        const regularPrice = delEl?.textContent?.trim()?.replace(/[^$0-9.]/g, "") || "";
+
+        // Walk up to find the product card
+        let card = priceEl;
+        for (let i = 0; i < 12; i++) {
+          card = card.parentElement;
+          if (!card) break;
+          if (card.querySelector("[data-bpn]") || card.querySelector("a[href*='product-details']")) break;
+        }
+        if (!card) return;
+
+        // Product ID
+        const bpnEl = card.querySelector("[data-bpn]");
+        const productId = bpnEl?.getAttribute("data-bpn") || "";
+        if (seen.has(productId)) return;
+        if (productId) seen.add(productId);
+
+        // Product name from aria-label
+        const linkEl = card.querySelector("a[aria-label]");
+        let name = "";
+        if (linkEl) {
+          name = linkEl.getAttribute("aria-label")
+            ?.split(",price")[0]
+            ?.split(",Price")[0]
+            ?.split(", price")[0]
+            ?.split(", Price")[0]
+            ?.trim() || "";
+        }
+        if (!name) {
+          const imgEl = card.querySelector("img[alt]");
+          name = imgEl?.getAttribute("alt") || "";
+        }
+
+        if (!name || !salePrice) return;
+
+        // Product URL
+        const href = linkEl?.getAttribute("href") ||
+          card.querySelector("a[href*='product-details']")?.getAttribute("href") || "";
+
+        // Image
+        const imgEl = card.querySelector("img[data-qa='prd-pctr'], img[alt]");
+        const image = imgEl?.getAttribute("src") || "";
+
+        const onSale = !!regularPrice && regularPrice !== salePrice;
+
+        products.push({
+          name,
+          productId,
+          salePrice,
+          regularPrice: onSale ? regularPrice : "",
+          onSale,
+          image: image.startsWith("//") ? "https:" + image : image,
+          productUrl: href,
+          category: cat.label,
+        });
+      } catch (e) {}
+    });
+
+    return products;
+  }, category);
+}
+
+async function scrapeCategory(page, baseUrl, storeId, category) {
+  const url = `${baseUrl}/shop/aisles/${category.path}.html?loc=${storeId}`;
+  try {
+    await page.goto(url, { waitUntil: "domcontentloaded", timeout: 30000 });
+
+    // Wait for product prices to appear
+    await page.waitForSelector("[data-qa='prd-itm-prc']", { timeout: 15000 }).catch(() => {});
+    await page.waitForTimeout(2000);
+
+    // Scroll to load more products
+    for (let i = 0; i < 5; i++) {
+      await page.evaluate(() => window.scrollBy(0, 800));
+      await page.waitForTimeout(800);
+    }
+    await page.evaluate(() => window.scrollTo(0, 0));
+    await page.waitForTimeout(1000);
+
+    return await extractProducts(page, category);
+  } catch (err) {
+    console.error(`   ❌ ${category.label}: ${err.message.split("\n")[0]}`);
+    return [];
+  }
+}
+
+// ══════════════════════════════════════════════════════════════════════
+// Clean name for recipe matching
+// ══════════════════════════════════════════════════════════════════════
+export function cleanName(rawName) {
+  let name = rawName;
+  const brands = [
+    "signature select", "signature farms", "signature cafe",
+    "open nature", "o organics", "lucerne", "waterfront bistro",
+    "primo taglio", "ready meals", "debi lilly", "soleil",
+    "value corner", "chef's counter",
+  ];
+  const lower = name.toLowerCase();
+  for (const brand of brands) {
+    if (lower.startsWith(brand)) {
+      name = name.slice(brand.length).trim().replace(/^[,\s—–\-!:]+/, "").trim();
+      break;
+    }
+  }
+  name = name
+    .replace(/\s*-\s*\d[\d.\s]*(oz|lb|lbs|fl oz|ct|count|pack|pk|each|gal|qt|pt)\s*$/i, "")
+    .replace(/,\s*\d[\d.\s]*(oz|lb|lbs|fl oz|ct|count|pack|pk|each|gal|qt|pt)\s*$/i, "")
+    .replace(/^[,\s—–\-!]+/, "")
+    .replace(/[,\s—–\-!]+$/, "")
+    .replace(/\s{2,}/g, " ")
+    .trim();
+  return name || rawName;
+}
+
+const NON_FOOD = [
+  "paper towel", "trash bag", "aluminum foil", "plastic wrap", "napkin",
+  "diaper", "wipes", "shampoo", "soap", "detergent", "cleaner",
+  "battery", "light bulb", "candle", "air freshener",
+];
+
+export function isFood(name) {
+  const lower = name.toLowerCase();
+  return !NON_FOOD.some(kw => lower.includes(kw));
+}
+
+export async function launchBrowser({ headless = false } = {}) {
+  return chromium.launch({
+    headless, // Visible browser is less likely to be blocked; CI runs it under xvfb
+    args: [
+      "--no-sandbox",
+      "--disable-setuid-sandbox",
+      "--disable-blink-features=AutomationControlled",
+      "--disable-features=IsolateOrigins,site-per-process",
+    ],
+  });
+}
+
+// Scrape one banner/store. Never throws: a block, a timeout or an empty store
+// all come back as { ok: false, error } so a multi-banner job can record the
+// failure and move on to the next banner.
+export async function scrapeBanner(browser, { banner, storeId, debugScreenshot = null }) {
+  const domain = BANNER_DOMAINS[banner];
+  if (!domain) return { ok: false, error: `unknown banner "${banner}"`, products: [] };
+  const baseUrl = `https://${domain}`;
+  const bannerName = BANNER_NAMES[banner];
+  const result = { ok: false, title: null, categoriesOk: 0, categoriesEmpty: 0, products: [], error: null };
+
+  const context = await browser.newContext({
+    userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36",
+    viewport: { width: 1366, height: 768 },
+    locale: "en-US",
+    timezoneId: "America/Boise",
+  });
+  try {
+    // Remove webdriver flag
+    await context.addInitScript(() => {
+      Object.defineProperty(navigator, "webdriver", { get: () => false });
+      window.chrome = { runtime: {} };
+      Object.defineProperty(navigator, "plugins", { get: () => [1, 2, 3, 4, 5] });
+      Object.defineProperty(navigator, "languages", { get: () => ["en-US", "en"] });
+    });
+    const page = await context.newPage();
+
+    // Initial page load to establish cookies/session
+    console.log(`📍 ${bannerName} ${storeId}: loading initial page and setting store...`);
+    try {
+      await page.goto(`${baseUrl}/shop/aisles/meat-seafood.html?loc=${storeId}`, { waitUntil: "networkidle", timeout: 45000 });
+      await page.waitForTimeout(5000);
+      result.title = await page.title();
+      const lowerTitle = result.title.toLowerCase();
+      if (lowerTitle.includes("access denied") || lowerTitle.includes("error")) {
+        console.log(`❌ BLOCKED by ${bannerName}'s security. Title: ${result.title}`);
+        result.error = `blocked (page title "${result.title}")`;
+        return result;
+      }
+      // Dismiss any popups/modals
+      try {
+        const closeBtn = page.locator("button[aria-label='close'], [class*='close-modal'], [class*='dismiss']").first();
+        if (await closeBtn.isVisible({ timeout: 3000 }).catch(() => false)) {
+          await closeBtn.click();
+          await page.waitForTimeout(500);
+        }
+      } catch (e) {}
+      const priceCount = await page.locator("[data-qa='prd-itm-prc']").count();
+      console.log(`   Page title: ${result.title} | products on first page: ${priceCount}`);
+      if (priceCount === 0 && debugScreenshot) {
+        await page.screenshot({ path: debugScreenshot });
+        console.log(`   Screenshot saved: ${debugScreenshot}`);
+      }
+    } catch (e) {
+      console.log(`   ⚠️ Initial load: ${e.message.split("\n")[0]}`);
+    }
+
+    for (const cat of CATEGORIES) {
+      const products = await scrapeCategory(page, baseUrl, storeId, cat);
+      const foodOnly = products.filter(p => isFood(p.name));
+      console.log(`📦 ${cat.label.padEnd(25)}→ ${foodOnly.length} items (${foodOnly.filter(p => p.onSale).length} on sale)`);
+      if (foodOnly.length > 0) {
+        result.products.push(...foodOnly);
+        result.categoriesOk++;
+      } else {
+        result.categoriesEmpty++;
+      }
+      await page.waitForTimeout(1500); // Polite delay
+    }
+
+    const seen = new Set();
+    result.products = result.products.filter(p => {
+      const key = p.productId || `${p.name}-${p.salePrice}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    result.ok = true;
+    return result;
+  } catch (e) {
+    result.error = e.message.split("\n")[0];
+    return result;
+  } finally {
+    await context.close().catch(() => {});
+  }
+}
+
+// Scraped shelf products → regional deal rows. Only items with a struck-through
+// regular price are deals; the rest of the shelf is not.
+export function normalizeAlbertsonsDeals(products, { banner, storeId }) {
+  const bannerName = BANNER_NAMES[banner] || banner;
+  const baseUrl = `https://${BANNER_DOMAINS[banner]}`;
+  const num = (v) => parseFloat(String(v || "").replace(/[^0-9.]/g, ""));
+  return products
+    .filter(p => p.onSale)
+    .map((p, i) => {
+      const sale = num(p.salePrice);
+      const regular = num(p.regularPrice);
+      if (!Number.isFinite(sale) || sale <= 0) return null;
+      const hasRegular = Number.isFinite(regular) && regular > sale;
+      return {
+        id: `abs-${banner}-${p.productId || i}`,
+        productId: p.productId || null,
+        name: cleanName(p.name),
+        brand: "",
+        category: p.category,
+        salePrice: sale.toFixed(2),
+        regularPrice: hasRegular ? regular.toFixed(2) : null,
+        savings: hasRegular ? (regular - sale).toFixed(2) : "",
+        pctOff: hasRegular ? Math.round(((regular - sale) / regular) * 100) : 0,
+        image: p.image || null,
+        productUrl: p.productUrl ? `${baseUrl}${p.productUrl}` : null,
+        storeName: bannerName,
+        storeNumber: String(storeId),
+        source: "albertsons",
+      };
+    })
+    .filter(Boolean);
+}
+
+export function albertsonsCacheKey({ banner, zip }) {
+  return `ad-extract:${canonicalizeStoreId(BANNER_NAMES[banner] || banner)}:${String(zip).substring(0, 3)}`;
+}
+
+export function albertsonsRunKey({ banner, storeId }) {
+  return `scrape-run:albertsons:${banner}:${storeId}`;
+}
+
+// Scrape, write deals, record the run. A failed or thin run leaves the deals
+// row untouched — last week's real prices beat an empty or partial store —
+// and says so in the run record.
+export async function runBannerJob(browser, job, { dryRun = false, debugScreenshot = null } = {}) {
+  const startedAt = new Date().toISOString();
+  const cacheKey = albertsonsCacheKey(job);
+  const scraped = await scrapeBanner(browser, { ...job, debugScreenshot });
+  const deals = scraped.ok ? normalizeAlbertsonsDeals(scraped.products, job) : [];
+  let error = scraped.error;
+  if (!error && deals.length < MIN_BANNER_DEALS) {
+    error = `only ${deals.length} on-sale items (floor ${MIN_BANNER_DEALS}); ${scraped.categoriesEmpty}/${CATEGORIES.length} categories empty`;
+  }
+  const run = {
+    banner: job.banner,
+    bannerName: BANNER_NAMES[job.banner] || job.banner,
+    storeId: String(job.storeId),
+    zip: job.zip,
+    cacheKey,
+    ok: !error,
+    error: error || null,
+    pageTitle: scraped.title,
+    products: scraped.products.length,
+    deals: deals.length,
+    categoriesOk: scraped.categoriesOk,
+    categoriesEmpty: scraped.categoriesEmpty,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+  };
+  if (!dryRun) {
+    if (run.ok) await setCachedDeals(cacheKey, deals, albertsonsAdWindow());
+    await setCachedDeals(albertsonsRunKey(job), run);
+  }
+  return { run, deals };
+}
@@ -2,6 +2,7 @@
 //
 // Used by:
 //   scripts/analysis/backfill-deal-history.js  (one-time, captured_at = source fetched_at)
+//   scripts/analysis/backfill-history-weeks.js (one-time, week_start + item_key on old rows)
 //   scripts/cron/capture-weekly-deals.js       (weekly, captured_at = NOW)
 //
 // Design: snapshot-only. We never trigger fresh OCR extraction here. Whatever
@@ -11,6 +12,8 @@
 // run together accumulate.
 
 import { createClient } from "@supabase/supabase-js";
+import { dealCategoryPath } from "../../lib/taxonomy.js";
+import { adWeekStart } from "../../lib/ad-validity.js";
 
 export function makeSupabase() {
   const url = process.env.SUPABASE_URL;
@@ -52,7 +55,15 @@ export function priceToNumber(v) {
 //   - sale_price unparseable (no discount to track)
 //   - item_name empty (cannot identify across captures)
 //   - chain empty (cannot group cross-time)
-export function buildHistoryRow(rawItem, cacheKey, capturedAt) {
+//
+// With a catalog (lib/product-catalog.js createProductCatalog), the row is
+// linked to its canonical product: canonical_product_id is the identity that
+// holds across chains and weeks, match_confidence how sure the link is.
+//
+// adWeek ({ validFrom, timeZone } off the cache row, adCycles from
+// loadAdCycles) places the row in its retailer ad week (lib/ad-validity.js
+// adWeekStart); without it the row falls in the Monday week of its capture.
+export function buildHistoryRow(rawItem, cacheKey, capturedAt, catalog = null, adWeek = {}) {
   if (!rawItem || typeof rawItem !== "object") return null;
 
   const salePrice = priceToNumber(rawItem.salePrice ?? rawItem.sale_price);
@@ -83,7 +94,8 @@ export function buildHistoryRow(rawItem, cacheKey, capturedAt) {
   // Stable per-chain product identifier for week-over-week item matching. Only
   // the API-sourced chain carries one, on the `id` field:
   //   Kroger   -> id = productId (e.g. "0085706300202"); `upc` is empty
-  // OCR / ad-extract deals have no stable id, so product_id stays null for them.
+  // OCR / ad-extract deals have no stable id, so product_id stays null for
+  // them; canonical_product_id below is the cross-source identity.
   let productId = null;
   if (source === "kroger") {
     const rawId = (rawItem.id ?? rawItem.itemId ?? rawItem.productId ?? "").toString().trim();
@@ -91,55 +103,108 @@ export function buildHistoryRow(rawItem, cacheKey, capturedAt) {
     productId = rawId || rawUpc || null;
   }
 
+  const match = catalog ? catalog.resolve({ ...rawItem, name: itemName, source }, capturedAt) : null;
+  const canonicalProductId = match?.productId ?? null;
+
   return {
     source,
     chain,
     store_name: storeNameRaw || null,
     store_id: source === "kroger" ? inferStoreIdFromKey(cacheKey) : null,
     product_id: productId,
+    canonical_product_id: canonicalProductId,
+    match_confidence: match?.confidence ?? null,
     item_name: itemName,
     brand: brand || null,
     category: category || null,
+    category_path: dealCategoryPath({ ...rawItem, name: itemName }),
     sale_price: salePrice,
     regular_price: priceToNumber(rawItem.regularPrice ?? rawItem.regular_price),
     unit: unit || null,
     deal_type: dealType || null,
-    week_start: null,
+    item_key: historyItemKey(canonicalProductId, itemName),
+    week_start: adWeekStart({
+      capturedAt,
+      validFrom: adWeek.validFrom,
+      timeZone: adWeek.timeZone,
+      adCycle: adWeek.adCycles?.get(chain),
+    }),
     captured_at: capturedAt,
   };
 }
 
+// The item half of deal_history's (chain, item_key, week_start) key: the
+// canonical product when the row is linked, else its normalized name.
+export function historyItemKey(canonicalProductId, itemName) {
+  if (canonicalProductId) return canonicalProductId;
+  return `name:${String(itemName || "").toLowerCase().replace(/\s+/g, " ").trim()}`;
+}
+
+// ad_regions.ad_cycle by lowercased store and banner name, for adWeek.adCycles.
+// Chains without a recorded cycle are absent.
+export async function loadAdCycles(supabase) {
+  const { data, error } = await supabase
+    .from("ad_regions")
+    .select("store, banner, ad_cycle")
+    .not("ad_cycle", "is", null);
+  if (error) throw new Error(`ad_regions query failed: ${error.message}`);
+  const cycles = new Map();
+  for (const r of data || []) {
+    for (const name of [r.banner, r.store]) {
+      const key = String(name || "").trim().toLowerCase();
+      if (key && !cycles.has(key)) cycles.set(key, r.ad_cycle);
+    }
+  }
+  return cycles;
+}
+
 // Pull deal_cache rows from the history-eligible sources. Skips empty arrays so
 // callers do not have to.
 export async function fetchEligibleCacheRows(supabase) {
   const { data, error } = await supabase
     .from("deal_cache")
-    .select("cache_key, data, fetched_at")
+    .select("cache_key, data, fetched_at, valid_from, ad_timezone")
     .or("cache_key.like.kroger%,cache_key.like.ad-extract%");
   if (error) throw new Error(`deal_cache query failed: ${error.message}`);
   return (data || []).filter(r => Array.isArray(r.data) && r.data.length > 0);
 }
 
-// Insert history rows in chunks. Uses ON CONFLICT DO NOTHING against the
-// (chain, item_name, sale_price, captured_at) unique index, so re-running is
-// safe. Returns the count of newly inserted rows.
-export async function insertHistoryRows(supabase, rows, { batchSize = 500 } = {}) {
-  let inserted = 0;
-  for (let i = 0; i < rows.length; i += batchSize) {
-    const chunk = rows.slice(i, i + batchSize);
+// One row per (chain, item_key, week_start): a chain's lowest price for the
+// item that week (several Kroger locations, or an item read twice from one
+// ad), the latest capture on a tie. Postgres refuses an upsert batch that
+// touches the same key twice.
+export function collapseHistoryRows(rows) {
+  const byKey = new Map();
+  for (const r of rows) {
+    const key = `${r.chain}|${r.item_key}|${r.week_start}`;
+    const cur = byKey.get(key);
+    if (!cur || r.sale_price < cur.sale_price || (r.sale_price === cur.sale_price && r.captured_at > cur.captured_at)) {
+      byKey.set(key, r);
+    }
+  }
+  return [...byKey.values()];
+}
+
+// Upsert history rows in chunks on the (chain, item_key, week_start) unique
+// index (migrations/2026-10-19-deal-history-weeks*.sql). A re-run in the same
+// ad week updates the week's rows instead of adding a second set. Returns
+// { written, collapsed }: rows upserted, and rows folded into another row of
+// the same key first.
+export async function upsertHistoryRows(supabase, rows, { batchSize = 500 } = {}) {
+  const unique = collapseHistoryRows(rows);
+  let written = 0;
+  for (let i = 0; i < unique.length; i += batchSize) {
+    const chunk = unique.slice(i, i + batchSize);
     const { data, error } = await supabase
       .from("deal_history")
-      .upsert(chunk, {
-        onConflict: "chain,item_name,sale_price,captured_at",
-        ignoreDuplicates: true,
-      })
+      .upsert(chunk, { onConflict: "chain,item_key,week_start" })
       .select("id");
     if (error) {
       throw new Error(
-        `Insert failed at batch ${i}-${i + chunk.length}: ${error.message}`
+        `Upsert failed at batch ${i}-${i + chunk.length}: ${error.message}`
       );
     }
-    inserted += Array.isArray(data) ? data.length : 0;
+    written += Array.isArray(data) ? data.length : 0;
   }
-  return inserted;
+  return { written, collapsed: rows.length - unique.length };
 }
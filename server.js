@@ -8,15 +8,17 @@ import { dirname, join } from "path";
 import { readFileSync } from "fs";
 
 import { initStoresWithDealsCache, getCachedDeals } from "./lib/utils.js";
+import { startExtractWorker } from "./lib/extract-queue.js";
 
 import authRoutes from "./routes/auth.js";
 import krogerRoutes from "./routes/kroger.js";
 import aldiRoutes from "./routes/aldi.js";
 import recipesRoutes from "./routes/recipes.js";
-import storesRoutes, { SSR_CHAINS } from "./routes/stores.js";
+import storesRoutes, { SSR_CHAINS, runExtractJob } from "./routes/stores.js";
 import adminRoutes from "./routes/admin.js";
 import gamificationRoutes from "./routes/gamification.js";
 import newsletterRoutes from "./routes/newsletter.js";
+import watchlistRoutes from "./routes/watchlists.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -97,6 +99,7 @@ app.use(cors({
 // Larger limit for image scan endpoints (pantry photos, receipts)
 app.use("/api/scan-pantry", express.json({ limit: "20mb" }));
 app.use("/api/scan-receipt", express.json({ limit: "20mb" }));
+app.use("/api/ad-uploads", express.json({ limit: "25mb" })); // up to 8 ad photos, base64
 app.use(express.json({ limit: "1mb" }));
 app.use(cookieParser());
 
@@ -174,6 +177,7 @@ app.use("/api/", generalLimiter);
 app.use("/api/recipes/ai", expensiveLimiter);
 app.use("/api/extract-store", expensiveLimiter);
 app.use("/api/extract-ad", expensiveLimiter);
+app.use("/api/ad-uploads", expensiveLimiter);
 app.use("/api/contact", contactLimiter);
 app.use("/api/store-requests", contactLimiter);
 app.use("/api/admin/login", authLimiter);
@@ -191,6 +195,7 @@ app.use("/api/scan-receipt", expensiveLimiter); // 10/15min — AI calls
 app.use("/api/badges", gamificationLimiter);
 app.use("/api/leaderboard", gamificationLimiter);
 app.use("/api/challenges", gamificationLimiter);
+app.use("/api/watchlist", gamificationLimiter); // 30/15min — watch add/remove
 
 // ── Static files ────────────────────────────────────────────────────────────
 // Dynamic sitemap. Non-deal URLs are copied verbatim from public/sitemap.xml
@@ -355,6 +360,7 @@ app.use(storesRoutes);
 app.use(adminRoutes);
 app.use(gamificationRoutes);
 app.use(newsletterRoutes);
+app.use(watchlistRoutes);
 
 // ── 404 catch-all ───────────────────────────────────────────────────────────
 app.use((req, res, next) => {
@@ -385,4 +391,6 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, "0.0.0.0", async () => {
   console.log(`✅ Dishcount running on port ${PORT}`);
   await initStoresWithDealsCache();
+  // Picks up jobs left queued or mid-run by the previous process as well as new ones.
+  startExtractWorker(runExtractJob);
 });
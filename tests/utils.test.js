@@ -1,5 +1,30 @@
 import assert from "node:assert";
-import { detectPerLb, getCategoryImage, validateZip, validateStoreName, findDeal, CATEGORY_IMAGES } from "../lib/utils.js";
+import { detectPerLb, getCategoryImage, validateZip, validateStoreName, findDeal, CATEGORY_IMAGES, canonicalizeStoreId, DEAL_CATEGORIES } from "../lib/utils.js";
+import { resolveAdSources, AD_SOURCE_CHAINS, ADAPTERS } from "../lib/ad-sources/index.js";
+import { parseAdValidity } from "../lib/ad-sources/common.js";
+import { normalizeFlippItem, cleanFlippName, shouldSkipFlippMerchant } from "../lib/flipp.js";
+import { normalizeAlbertsonsDeals, albertsonsCacheKey, getWeekDates, albertsonsAdWindow } from "../scripts/lib/albertsons-scraper.js";
+import { extractRetryDelay, failureTransition } from "../lib/extract-queue.js";
+import { hashTile, summarizeTileCache } from "../lib/ocr-cache.js";
+import { isPdf, groupTextLines, hasUsableTextLayer, parseTextLayerDeals } from "../lib/pdf-ad.js";
+import { pickServingAd, parseAdCycle, nextAdCycleStart, nextExtractionDue, adWeekStart } from "../lib/ad-validity.js";
+import { krogerTermsFor, normalizeKrogerProduct, mergeKrogerDeals, pageKrogerTerms } from "../lib/kroger-deals.js";
+import { groupKrogerDivisions, pickDivisionLocation, krogerBannerSlug } from "../lib/kroger-divisions.js";
+import { createProductCatalog, productTokens, exactProductId } from "../lib/product-catalog.js";
+import { parseSize, computeUnitPrice, annotateUnitPrices, toBaseUnitPrice } from "../lib/unit-price.js";
+import { parseOffer, offerRejectReason, withOffer } from "../lib/offers.js";
+import { buildHistoryRow, collapseHistoryRows } from "../scripts/lib/deal-history.js";
+import { compareAcrossStores } from "../lib/price-compare.js";
+import { classifyDeal, bucketFor, attachCategoryPaths } from "../lib/taxonomy.js";
+import { annotateDealQuality, buildPriceStats, plausibleDiscount } from "../lib/deal-quality.js";
+import { historicalContext, weekOf } from "../lib/price-history.js";
+import { chainSaleCycles, estimateSaleCycle, stockUpAdvice } from "../lib/sale-cycles.js";
+import { parseWatch, watchPrice, matchWatch, buildWatchAlert } from "../lib/watchlists.js";
+import { complete, stream, createJsonArrayStream, parseJsonReply, setLLMProvider, llmUsage, PROVIDERS } from "../lib/llm/index.js";
+import { createMockProvider } from "../lib/llm/mock.js";
+import { validateRecipe, validateRecipes, resolveDealRef } from "../lib/recipe-schema.js";
+import { parseSwapRequest, recipeProteins, swapConstraints, swapPromptNote, pickReplacements } from "../lib/recipe-swap.js";
+import { costRecipe, isPantryStaple, regionFor } from "../lib/recipe-cost.js";
 
 let passed = 0;
 let failed = 0;
@@ -16,6 +41,19 @@ function test(name, fn) {
   }
 }
 
+// test() for async bodies; await it so the summary counts it.
+async function testAsync(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${e.message}`);
+  }
+}
+
 // ── validateZip ─────────────────────────────────────────────────────────────
 
 console.log("\nvalidateZip:");
@@ -169,6 +207,910 @@ test("returns null for empty ingredient name", () => {
   assert.strictEqual(findDeal("", sampleIngredients), null);
 });
 
+// ── parseAdValidity ────────────────────────────────────────────────────────
+
+console.log("\nparseAdValidity:");
+
+test("parses a dated range headline", () => {
+  const v = parseAdValidity("<h1>Publix Weekly Ad June 10 &#8211; June 16, 2026</h1>");
+  assert.strictEqual(v.adValidFrom, "2026-06-10T00:00:00.000Z");
+  assert.strictEqual(v.adValidTo, "2026-06-16T23:59:59.000Z");
+});
+
+test("parses a 'through' headline with no start date", () => {
+  const v = parseAdValidity("Prices good through June 16", new Date("2026-06-12T12:00:00Z"));
+  assert.strictEqual(v.adValidFrom, null);
+  assert.strictEqual(v.adValidTo, "2026-06-16T23:59:59.000Z");
+});
+
+test("reads the printed days in the store's timezone", () => {
+  const v = parseAdValidity("Weekly Ad October 14 - October 20, 2026", new Date(), "America/Los_Angeles");
+  assert.strictEqual(v.adValidFrom, "2026-10-14T07:00:00.000Z");
+  assert.strictEqual(v.adValidTo, "2026-10-21T06:59:59.000Z");
+  const winter = parseAdValidity("December 30 - January 5, 2026", new Date(), "America/New_York");
+  assert.strictEqual(winter.adValidTo, "2027-01-06T04:59:59.000Z");
+});
+
+test("returns nulls for undated pages", () => {
+  assert.deepStrictEqual(parseAdValidity("<p>This week's deals</p>"), { adValidFrom: null, adValidTo: null });
+});
+
+// ── ad-source registry ─────────────────────────────────────────────────────
+
+console.log("\nad-source registry:");
+
+test("every registered source url has an adapter", () => {
+  for (const [alias, urls] of Object.entries(AD_SOURCE_CHAINS)) {
+    assert.ok(urls.length > 0, `${alias} has no sources`);
+    for (const url of urls) assert.ok(ADAPTERS.some(a => a.handles(url)), `${alias}: no adapter for ${url}`);
+  }
+});
+
+test("routes each aggregator to its adapter", () => {
+  assert.strictEqual(resolveAdSources("ALDI")[0].adapter.id, "weeklyad-us");
+  assert.strictEqual(resolveAdSources("Harris Teeter")[0].adapter.id, "ladysavings");
+  assert.strictEqual(resolveAdSources("Publix Super Markets")[0].adapter.id, "igroceryads");
+  assert.strictEqual(resolveAdSources("Whole Foods")[0].adapter.id, "igroceryads");
+});
+
+test("returns no sources for unknown chains", () => {
+  assert.deepStrictEqual(resolveAdSources("Zzyzx Grocery"), []);
+  assert.deepStrictEqual(resolveAdSources(""), []);
+});
+
+test("aliases still collapse to one canonical store id", () => {
+  assert.strictEqual(canonicalizeStoreId("HEB"), "h-e-b");
+  assert.strictEqual(canonicalizeStoreId("Stop and Shop"), "stop-&-shop");
+  assert.strictEqual(canonicalizeStoreId("Meijer"), "meijer");
+});
+
+// ── Flipp normalization ────────────────────────────────────────────────────
+
+console.log("\nFlipp normalization:");
+
+test("maps a flyer item to the regional deal shape", () => {
+  const d = normalizeFlippItem({ id: 42, name: "Boneless Pork Chops", merchant_name: "Publix", current_price: 2.99, original_price: 4.99, post_price_text: "lb" }, "pork");
+  assert.strictEqual(d.id, "flipp-42");
+  assert.strictEqual(d.salePrice, "2.99");
+  assert.strictEqual(d.regularPrice, "4.99");
+  assert.strictEqual(d.priceUnit, "/lb");
+  assert.strictEqual(d.storeName, "Publix");
+  assert.strictEqual(d.source, "flipp");
+});
+
+test("divides N-for-$X bundle prices to a per-unit price", () => {
+  const d = normalizeFlippItem({ id: 7, name: "Greek Yogurt", current_price: 5, pre_price_text: "2/" }, "yogurt");
+  assert.strictEqual(d.salePrice, "2.50");
+  assert.ok(d.notes.includes("2 for $5.00"));
+});
+
+test("drops items with no usable price", () => {
+  assert.strictEqual(normalizeFlippItem({ id: 1, name: "Steak", current_price: null }, "steak"), null);
+  assert.strictEqual(normalizeFlippItem({ id: 2, name: "Steak", current_price: 0 }, "steak"), null);
+});
+
+test("nulls a regular price that is not above the sale price", () => {
+  const d = normalizeFlippItem({ id: 3, name: "Milk", current_price: 3.49, original_price: 3.49 }, "milk");
+  assert.strictEqual(d.regularPrice, null);
+});
+
+test("strips trailing size text from names", () => {
+  assert.strictEqual(cleanFlippName("Chobani Greek Yogurt, 5.3 oz"), "Chobani Greek Yogurt");
+});
+
+test("skips merchants served by better sources", () => {
+  assert.strictEqual(shouldSkipFlippMerchant("Kroger"), true);
+  assert.strictEqual(shouldSkipFlippMerchant("ALDI"), true);
+  assert.strictEqual(shouldSkipFlippMerchant("Publix"), false);
+});
+
+// ── Albertsons scrape ───────────────────────────────────────────────────────
+
+console.log("\nAlbertsons scrape:");
+
+test("keys banner deals the way the regional endpoint reads them", () => {
+  assert.strictEqual(albertsonsCacheKey({ banner: "safeway", zip: "94102" }), "ad-extract:safeway:941");
+  assert.strictEqual(albertsonsCacheKey({ banner: "jewelosco", zip: "60601" }), "ad-extract:jewel-osco:606");
+});
+
+test("dates the ad Wednesday through Tuesday", () => {
+  assert.deepStrictEqual(getWeekDates(new Date("2026-10-16T12:00:00Z")), { weekStart: "2026-10-14", weekEnd: "2026-10-20" });
+  assert.deepStrictEqual(albertsonsAdWindow(new Date("2026-10-16T12:00:00Z")), {
+    validFrom: "2026-10-14T07:00:00.000Z", validTo: "2026-10-21T06:59:59.000Z", timeZone: "America/Los_Angeles",
+  });
+});
+
+test("keeps only on-sale products and normalizes prices", () => {
+  const deals = normalizeAlbertsonsDeals([
+    { productId: "111", name: "Chicken Thighs", category: "Meat & Seafood", onSale: true, salePrice: "$1.99", regularPrice: "$3.49" },
+    { productId: "222", name: "Whole Milk", category: "Dairy", onSale: false, salePrice: "$3.99", regularPrice: "" },
+  ], { banner: "safeway", storeId: "2948" });
+  assert.strictEqual(deals.length, 1);
+  assert.strictEqual(deals[0].id, "abs-safeway-111");
+  assert.strictEqual(deals[0].salePrice, "1.99");
+  assert.strictEqual(deals[0].regularPrice, "3.49");
+  assert.strictEqual(deals[0].storeName, "Safeway");
+  assert.strictEqual(deals[0].adValidFrom, undefined); // the ad week rides on the cache row
+});
+
+// ── Extract job queue ───────────────────────────────────────────────────────
+
+console.log("\nExtract job queue:");
+
+test("backs off exponentially between attempts", () => {
+  assert.strictEqual(extractRetryDelay(1), 2 * 60 * 1000);
+  assert.strictEqual(extractRetryDelay(2), 8 * 60 * 1000);
+});
+
+test("retries until max_attempts, then fails", () => {
+  const now = Date.parse("2026-10-19T12:00:00Z");
+  const retry = failureTransition({ attempts: 1, max_attempts: 3 }, new Error("blocked"), now);
+  assert.strictEqual(retry.state, "retrying");
+  assert.strictEqual(retry.run_after, "2026-10-19T12:02:00.000Z");
+  assert.strictEqual(failureTransition({ attempts: 3, max_attempts: 3 }, new Error("blocked"), now).state, "failed");
+});
+
+test("fails non-retryable errors on the first attempt", () => {
+  const err = Object.assign(new Error("no key"), { retryable: false });
+  assert.strictEqual(failureTransition({ attempts: 1, max_attempts: 3 }, err).state, "failed");
+});
+
+// ── OCR tile cache ──────────────────────────────────────────────────────────
+
+console.log("\nOCR tile cache:");
+
+test("hashes identical tiles identically and salts by model/prompt", () => {
+  const tile = Buffer.from("jpeg-bytes");
+  assert.strictEqual(hashTile(tile, "haiku|v1"), hashTile(Buffer.from("jpeg-bytes"), "haiku|v1"));
+  assert.notStrictEqual(hashTile(tile, "haiku|v1"), hashTile(tile, "haiku|v2"));
+  assert.notStrictEqual(hashTile(tile, "haiku|v1"), hashTile(Buffer.from("other-bytes"), "haiku|v1"));
+});
+
+test("reports hit rate and dollars saved", () => {
+  assert.deepStrictEqual(summarizeTileCache(30, 10), { hits: 30, misses: 10, hitRate: 75, savedUsd: 0.09 });
+  assert.deepStrictEqual(summarizeTileCache(0, 0), { hits: 0, misses: 0, hitRate: 0, savedUsd: 0 });
+});
+
+// ── PDF circulars ───────────────────────────────────────────────────────────
+
+console.log("\nPDF circulars:");
+
+test("recognizes PDFs by magic bytes and routes .pdf sources to the pdf adapter", () => {
+  assert.strictEqual(isPdf(Buffer.from("%PDF-1.7\n...")), true);
+  assert.strictEqual(isPdf(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0])), false);
+  assert.strictEqual(ADAPTERS.find(a => a.handles("https://www.igroceryads.com/wp-content/uploads/ad.pdf")).id, "pdf");
+});
+
+test("groups text items into top-to-bottom lines", () => {
+  const item = (str, x, y) => ({ str, transform: [12, 0, 0, 12, x, y], height: 12 });
+  const lines = groupTextLines([item("$1.99 lb", 300, 700), item("Chicken Breast", 50, 701), item("Bananas", 50, 650), item(" ", 0, 600)]);
+  assert.deepStrictEqual(lines, ["Chicken Breast $1.99 lb", "Bananas"]);
+});
+
+test("reads deals off a text layer in the vision output shape", () => {
+  const deals = parseTextLayerDeals([
+    "Boneless Chicken Breast $1.99 lb",
+    "Strawberries 1 lb 2 for $5.00",
+    "Reg. $4.99",
+    "Kellogg's Cereal",
+    "$2.49",
+    "Bananas 59¢ lb",
+    "Greek Yogurt $0.99 with Digital Coupon",
+  ]);
+  assert.deepStrictEqual(deals.map(d => [d.name, d.salePrice, d.unit]), [
+    ["Boneless Chicken Breast", 1.99, "lb"], ["Strawberries 1 lb", 2.5, "each"],
+    ["Kellogg's Cereal", 2.49, "each"], ["Bananas", 0.59, "lb"], ["Greek Yogurt", 0.99, "each"],
+  ]);
+  assert.strictEqual(deals[1].notes, "2 for $5.00");
+  assert.strictEqual(deals[1].regularPrice, 4.99);
+  assert.strictEqual(deals[4].requiresCoupon, true);
+  assert.strictEqual(deals[0].requiresCoupon, false);
+});
+
+test("treats a text layer without prices as a scan", () => {
+  assert.strictEqual(hasUsableTextLayer(["WEEKLY SAVINGS", "Prices good October 15 - October 21"]), false);
+  assert.strictEqual(hasUsableTextLayer(["A $1.99", "B $2.49", "C 2/$5"]), true);
+});
+
+// ── Ad validity windows ─────────────────────────────────────────────────────
+
+console.log("\nAd validity windows:");
+
+test("serves the current ad, hides expired ones and holds next week's back", () => {
+  const now = new Date("2026-10-19T18:00:00Z");
+  const expired = { cache_key: "ad-extract:publix", fetched_at: "2026-10-08T14:00:00Z", valid_from: "2026-10-08T07:00:00Z", valid_to: "2026-10-15T06:59:59Z" };
+  const current = { ...expired, fetched_at: "2026-10-15T14:00:00Z", valid_from: "2026-10-15T07:00:00Z", valid_to: "2026-10-22T06:59:59Z" };
+  const next = { cache_key: "ad-next:publix", fetched_at: "2026-10-19T14:00:00Z", valid_from: "2026-10-22T07:00:00Z", valid_to: "2026-10-29T06:59:59Z" };
+  assert.strictEqual(pickServingAd([expired], now), null);
+  assert.strictEqual(pickServingAd([current, next], now), current);
+  assert.strictEqual(pickServingAd([current, next], new Date("2026-10-22T12:00:00Z")), next);
+  const undated = { cache_key: "ad-extract:lidl", fetched_at: "2026-10-15T14:00:00Z", valid_from: null, valid_to: null };
+  assert.strictEqual(pickServingAd([undated], now), undated);
+});
+
+test("predicts the next extraction from the chain's ad cycle", () => {
+  assert.strictEqual(parseAdCycle("Wed-Tue"), 3);
+  assert.strictEqual(parseAdCycle("Sunday"), 0);
+  assert.strictEqual(parseAdCycle(""), null);
+  // Fetched Wednesday afternoon: the next Wednesday cycle is a week out.
+  assert.strictEqual(nextAdCycleStart("Wed-Tue", new Date("2026-10-14T21:00:00Z"), "America/Los_Angeles").toISOString(), "2026-10-21T07:00:00.000Z");
+  // The ad's own end wins when it comes first; neither known → null.
+  assert.strictEqual(nextExtractionDue({ fetchedAt: "2026-10-14T21:00:00Z", validTo: "2026-10-20T06:59:59Z", adCycle: "Wed-Tue" }).toISOString(), "2026-10-20T07:00:00.000Z");
+  assert.strictEqual(nextExtractionDue({ fetchedAt: "2026-10-14T21:00:00Z", validTo: null, adCycle: null }), null);
+});
+
+// ── Kroger promo catalog ────────────────────────────────────────────────────
+
+console.log("\nKroger promo catalog:");
+
+test("adds division terms on top of the shared list", () => {
+  assert.deepStrictEqual(krogerTermsFor({}), DEAL_CATEGORIES);
+  const ralphs = krogerTermsFor({ division: "Ralphs" });
+  assert.ok(ralphs.includes("tortillas") && ralphs.includes("poultry"));
+  assert.strictEqual(new Set(ralphs).size, ralphs.length);
+  assert.ok(krogerTermsFor({ division: "Unknown", banner: "QFC" }).includes("salmon"));
+});
+
+test("keeps only promo-priced products", () => {
+  const product = (promo) => ({ productId: "0001", description: "Boneless Chicken Breast", items: [{ size: "1 lb", price: { regular: 4.99, promo } }] });
+  assert.strictEqual(normalizeKrogerProduct(product(0), "poultry", "Kroger"), null);
+  const deal = normalizeKrogerProduct(product(2.99), "poultry", "Ralphs");
+  assert.strictEqual(deal.salePrice, "2.99");
+  assert.strictEqual(deal.pctOff, 40);
+  assert.strictEqual(deal.storeName, "Ralphs");
+  const noRegular = normalizeKrogerProduct({ ...product(2.99), items: [{ size: "1 lb", price: { regular: 0, promo: 2.99 } }] }, "poultry", "Kroger");
+  assert.strictEqual(noRegular.pctOff, 0);
+});
+
+await testAsync("pages every term once before going deeper, within the refresh budget", async () => {
+  // "meat" has 3 full pages; its second page repeats the first. "fish" has 2.
+  const full = (prefix) => Array.from({ length: 50 }, (_, i) => ({ id: `${prefix}${i}` }));
+  const pages = { meat: [full("m"), full("m"), full("x")], fish: [full("f"), full("g")] };
+  const calls = [];
+  const fetchPage = async (term, start) => {
+    calls.push(`${term}@${start}`);
+    const products = pages[term][(start - 1) / 50] || [];
+    return { products, promos: products };
+  };
+  const run = await pageKrogerTerms(["meat", "fish"], fetchPage, { budget: 10 });
+  assert.deepStrictEqual(calls, ["meat@1", "fish@1", "meat@51", "fish@51", "fish@101"]);
+  assert.strictEqual(run.perTerm.meat.stale, true);
+  assert.strictEqual(run.promos.length, 150);
+  calls.length = 0;
+  const capped = await pageKrogerTerms(["meat", "fish"], fetchPage, { budget: 3 });
+  assert.deepStrictEqual(calls, ["meat@1", "fish@1", "meat@51"]);
+  assert.strictEqual(capped.budgetExhausted, true);
+});
+
+test("refreshes incrementally, touching only re-priced deals", () => {
+  const earlier = new Date("2026-10-12T12:00:00Z"), now = new Date("2026-10-19T12:00:00Z");
+  const previous = [
+    { id: "a", salePrice: "2.99", regularPrice: "4.99", priceUpdatedAt: earlier.toISOString() },
+    { id: "b", salePrice: "1.99", regularPrice: "2.49", priceUpdatedAt: earlier.toISOString() },
+    { id: "c", salePrice: "5.00", regularPrice: "6.00", priceUpdatedAt: earlier.toISOString() },
+  ];
+  const fresh = [{ id: "a", salePrice: "2.99", regularPrice: "4.99" }, { id: "b", salePrice: "1.79", regularPrice: "2.49" }, { id: "d", salePrice: "0.99", regularPrice: "1.29" }];
+  const { deals, changes } = mergeKrogerDeals(previous, fresh, now);
+  assert.deepStrictEqual(changes, { added: 1, changed: 1, unchanged: 1, removed: 1 });
+  assert.strictEqual(deals.find(d => d.id === "a").priceUpdatedAt, earlier.toISOString());
+  assert.strictEqual(deals.find(d => d.id === "b").priceUpdatedAt, now.toISOString());
+});
+
+// ── Kroger divisions ────────────────────────────────────────────────────────
+
+console.log("\nKroger divisions:");
+
+test("groups ad_regions rows into divisions under their majority banner", () => {
+  const divisions = groupKrogerDivisions([
+    { store: "kroger", banner: "Ralphs", division: "Ralphs", division_code: "703", zip3: "913" },
+    { store: "kroger", banner: "Ralphs", division: "Ralphs", division_code: "703", zip3: "900" },
+    { store: "kroger", banner: "Food 4 Less", division: "Ralphs", division_code: "703", zip3: "902" },
+    { store: "kroger", banner: "Ralphs", division: "Ralphs", division_code: "703", zip3: "900" },
+    { store: "kroger", banner: "King Soopers", division: "King Soopers", division_code: null, zip3: "802" },
+    { store: "safeway", banner: "Vons", division: "Southern California", division_code: "SCA", zip3: "900" },
+  ]);
+  assert.strictEqual(divisions.length, 2);
+  const ralphs = divisions.find(d => d.divisionCode === "703");
+  assert.strictEqual(ralphs.banner, "Ralphs");
+  assert.deepStrictEqual(ralphs.zip3s, ["900", "902", "913"]);
+  assert.strictEqual(ralphs.zip3Count, 3);
+  const ks = divisions.find(d => d.divisionCode === "King Soopers");
+  assert.strictEqual(ks.slug, "king-soopers");
+  assert.strictEqual(krogerBannerSlug("Fry's"), "frys");
+});
+
+test("prefers a store trading under the division's banner", () => {
+  const locations = [
+    { locationId: "70300022", chain: "FOOD4LESS", name: "Food 4 Less - Slauson", address: { addressLine1: "1 Main St", city: "Los Angeles", state: "CA", zipCode: "90001" } },
+    { locationId: "70300120", chain: "RALPHS", name: "Ralphs - Vermont", address: { addressLine1: "2 Vermont Ave", city: "Los Angeles", state: "CA", zipCode: "90007" } },
+  ];
+  const loc = pickDivisionLocation(locations, "Ralphs");
+  assert.strictEqual(loc.locationId, "70300120");
+  assert.strictEqual(loc.address, "2 Vermont Ave, Los Angeles, CA");
+  assert.strictEqual(pickDivisionLocation(locations, "Fry's").locationId, "70300022");
+  assert.strictEqual(pickDivisionLocation(locations, "Food 4 Less").locationId, "70300022");
+  assert.strictEqual(pickDivisionLocation([], "Ralphs"), null);
+});
+
+// ── Product catalog ─────────────────────────────────────────────────────────
+
+console.log("\nProduct catalog:");
+
+test("normalizes names and sizes into matchable identity", () => {
+  assert.deepStrictEqual(productTokens("Boneless Skinless Chicken Breasts"), productTokens("Chicken Breast, Boneless Skinless Family Pack"));
+  assert.deepStrictEqual(productTokens("Kroger Whole Milk 1 gal", "Kroger"), ["milk", "whole"]);
+  assert.deepStrictEqual(parseSize("6 pk / 12 fl oz"), { value: 12, unit: "fl oz", count: 6 });
+  assert.deepStrictEqual(parseSize("2 lb"), { value: 32, unit: "oz" });
+  assert.strictEqual(parseSize("each"), null);
+});
+
+test("links OCR and Kroger deals to one product, keeping brands apart", () => {
+  const catalog = createProductCatalog();
+  const kroger = catalog.resolve({ id: "0001111000", source: "kroger", name: "Kroger Boneless Skinless Chicken Breasts", brand: "Kroger", size: "3 lb" });
+  assert.deepStrictEqual(kroger, { productId: kroger.productId, confidence: 1, created: true });
+  const ocr = catalog.resolve({ name: "Boneless Skinless Chicken Breast", brand: "", size: "", category: "meat" });
+  assert.strictEqual(ocr.productId, kroger.productId);
+  assert.ok(ocr.confidence >= 0.75 && ocr.confidence < 1);
+  const tyson = catalog.resolve({ name: "Tyson Boneless Skinless Chicken Breasts", brand: "Tyson", size: "3 lb" });
+  assert.notStrictEqual(tyson.productId, kroger.productId);
+  // Same Kroger productId under a reworded name is still the same product.
+  assert.strictEqual(catalog.resolve({ id: "0001111000", source: "kroger", name: "Chicken Breast Value Pack", brand: "Kroger" }).productId, kroger.productId);
+  const h = buildHistoryRow({ name: "Cherry Tomatoes 10 oz", salePrice: "$2.50", storeName: "Meijer" }, "ad-extract:meijer", "2026-10-15T12:00:00Z", catalog);
+  assert.strictEqual(h.product_id, null);
+  assert.match(h.canonical_product_id, /^p_[0-9a-f]{16}$/);
+  assert.strictEqual(h.match_confidence, 1);
+  assert.strictEqual(catalog.size, 3);
+});
+
+// ── Unit prices ─────────────────────────────────────────────────────────────
+
+console.log("\nUnit prices:");
+
+test("derives a unit price from per-lb units, sizes, counts and multi-buys", () => {
+  const up = (d) => { const u = computeUnitPrice(d); return u && [u.value, u.basis]; };
+  assert.deepStrictEqual(up({ name: "Chicken Thighs", salePrice: "1.99", unit: "per lb" }), [1.99, "lb"]);
+  assert.deepStrictEqual(up({ name: "Ground Beef", salePrice: "4.99", priceUnit: "/lb", isPerLb: true, size: "1 lb" }), [4.99, "lb"]);
+  assert.deepStrictEqual(up({ name: "Cheerios", salePrice: "3.00", size: "12 oz" }), [0.25, "oz"]);
+  assert.deepStrictEqual(up({ name: "Coffee", salePrice: "8.00", size: "2 lb" }), [4, "lb"]);
+  assert.deepStrictEqual(up({ name: "Seltzer", salePrice: "4.32", size: "6 pk / 12 fl oz" }), [0.06, "fl oz"]);
+  assert.deepStrictEqual(up({ name: "Water", salePrice: "4.99", unit: "24 pk" }), [0.208, "each"]);
+  assert.deepStrictEqual(up({ name: "Large Eggs", salePrice: "3.60", size: "dozen" }), [0.3, "each"]);
+  // A row that kept the bundle total from "5 for $10" is divided once more.
+  assert.deepStrictEqual(up({ name: "Yogurt", salePrice: "10.00", notes: "5 for $10" }), [2, "each"]);
+  assert.strictEqual(computeUnitPrice({ name: "Soda", salePrice: "12.99", unit: "case" }), null);
+  assert.strictEqual(computeUnitPrice({ name: "Mystery", salePrice: null }), null);
+  const bare = computeUnitPrice({ name: "Avocado", salePrice: "1.00", unit: "each" });
+  assert.ok(bare.confidence < 0.5);
+  assert.ok(computeUnitPrice({ name: "Cheerios", salePrice: "3.00", size: "12 oz" }).confidence > bare.confidence);
+});
+
+test("annotates deal arrays and converts to a sortable base", () => {
+  const [deal, bundle] = annotateUnitPrices([{ name: "Pork Chops", salePrice: "2.49", unit: "lb" }, { chain: "kroger" }]);
+  assert.strictEqual(deal.unitPrice.basis, "lb");
+  assert.deepStrictEqual(bundle, { chain: "kroger" });
+  assert.deepStrictEqual(toBaseUnitPrice({ value: 3.2, basis: "lb" }), { dimension: "weight", perBase: 0.2 });
+  assert.strictEqual(toBaseUnitPrice(null), null);
+});
+
+// ── Offers ──────────────────────────────────────────────────────────────────
+
+console.log("\nOffers:");
+
+test("parses multi-buy, BOGO, must-buy, limit and coupon terms", () => {
+  const multi = parseOffer({ salePrice: 2, notes: "5 for $10; Limit 10", requiresCoupon: true });
+  assert.strictEqual(multi.type, "multi");
+  assert.strictEqual(multi.minQuantity, 5);
+  assert.deepStrictEqual(multi.bundle, { qty: 5, total: 10 });
+  assert.strictEqual(multi.limit, 10);
+  assert.strictEqual(multi.requiresCoupon, true);
+  assert.strictEqual(multi.summary, "Buy 5 · 5 for $10 · Limit 10 · Digital coupon");
+  const bogo = parseOffer({ salePrice: 2, dealType: "bogo", notes: "with card" });
+  assert.strictEqual(bogo.minQuantity, 2);
+  assert.strictEqual(bogo.requiresLoyalty, true);
+  assert.strictEqual(bogo.requiresCoupon, false);
+  const mega = parseOffer({ salePrice: 2.49, notes: "Buy 5, Save $5 Mix & Match", requiresCoupon: false });
+  assert.strictEqual(mega.minQuantity, 5);
+  assert.strictEqual(mega.mixMatchGroup, "buy5-save5");
+  assert.strictEqual(parseOffer({ salePrice: 3.49, notes: "Must Buy 2" }).minQuantity, 2);
+  assert.strictEqual(parseOffer({ salePrice: "4.99", source: "kroger" }).requiresLoyalty, true);
+  assert.strictEqual(parseOffer({ salePrice: 3.99 }).minQuantity, 1);
+});
+
+test("rejects incoherent offers and repairs bundle totals", () => {
+  assert.strictEqual(offerRejectReason({ salePrice: 2, notes: "5 for $10" }), null);
+  assert.strictEqual(offerRejectReason({ salePrice: 3, notes: "5 for $10" }), "price disagrees with bundle");
+  assert.strictEqual(offerRejectReason({ salePrice: 2, notes: "Must Buy 4, Limit 2" }), "limit below quantity threshold");
+  assert.strictEqual(offerRejectReason({ salePrice: 2, notes: "When you buy 2024" }), "implausible quantity threshold");
+  const fixed = withOffer({ name: "Yogurt", salePrice: "10.00", notes: "5 for $10" });
+  assert.strictEqual(fixed.salePrice, "2.00");
+  assert.strictEqual(fixed.offer.minQuantity, 5);
+});
+
+console.log("\nPrice comparison:");
+
+test("ranks each store's best match by unit price", () => {
+  const r = compareAcrossStores([
+    { name: "Boneless Skinless Chicken Thighs", salePrice: "2.49", unit: "lb", storeName: "Meijer" },
+    { name: "Chicken Thighs", salePrice: "1.99", priceUnit: "/lb", storeName: "Kroger", source: "kroger" },
+    { name: "Chicken Thighs Family Pack", salePrice: "5.00", size: "3 lb", storeName: "Kroger", source: "kroger" },
+    { name: "Chicken Breast", salePrice: "1.49", unit: "lb", storeName: "ALDI" },
+  ], "chicken thighs");
+  assert.strictEqual(r.basis, "lb");
+  assert.deepStrictEqual(r.stores.map(s => s.store), ["Kroger", "Meijer"]);
+  assert.strictEqual(r.stores[0].name, "Chicken Thighs Family Pack");
+  assert.strictEqual(r.stores[0].unitPrice.value, 1.67);
+  assert.strictEqual(r.stores[0].alternatives, 1);
+  assert.strictEqual(r.stores[0].offer.requiresLoyalty, true);
+});
+
+test("keeps item-priced matches out of the ranking", () => {
+  const r = compareAcrossStores([
+    { name: "Ground Beef 80/20", salePrice: "3.99", unit: "lb", storeName: "Meijer" },
+    { name: "Ground Beef", salePrice: "6.99", storeName: "ALDI", notes: "Buy 2, Save $2" },
+  ], "ground beef");
+  assert.deepStrictEqual(r.stores.map(s => s.store), ["Meijer"]);
+  assert.strictEqual(r.incomparable[0].store, "ALDI");
+  assert.strictEqual(r.incomparable[0].offer.minQuantity, 2);
+  assert.strictEqual(compareAcrossStores([{ name: "Milk", salePrice: 3 }], "the").stores.length, 0);
+});
+
+console.log("\nDeal taxonomy:");
+
+test("classifies known misclassifications by name before fruit", () => {
+  assert.strictEqual(classifyDeal({ name: "Bacon Applewood Smoked", category: "meat" }).path, "meat_seafood/pork/bacon");
+  assert.strictEqual(classifyDeal({ name: "Grape Tomatoes", category: "produce" }).path, "produce/vegetables/tomatoes");
+  assert.strictEqual(classifyDeal({ name: "Red Seedless Grapes" }).path, "produce/fruit");
+  assert.strictEqual(classifyDeal({ name: "Chicken Broth" }).path, "pantry/broth_soup");
+  assert.strictEqual(classifyDeal({ name: "Peanut Butter" }).path, "pantry/spreads");
+  assert.strictEqual(classifyDeal({ name: "Ground Coffee" }).department, "beverages");
+  assert.strictEqual(classifyDeal({ name: "Chicken Flavor Dog Food" }).department, "household");
+  assert.strictEqual(classifyDeal({ name: "Pepperoni Pizza" }).path, "frozen/pizza");
+});
+
+test("falls back to the source category and maps paths by prefix", () => {
+  const hinted = classifyDeal({ name: "Weekly Special", category: "Seafood" });
+  assert.strictEqual(hinted.path, "meat_seafood/seafood");
+  assert.strictEqual(hinted.from, "category");
+  assert.strictEqual(classifyDeal({ name: "Mystery Item" }).path, "other");
+  const table = [["produce/fruit", "fruit"], ["produce", "vegetable"]];
+  assert.strictEqual(bucketFor("produce/fruit/berries", table), "fruit");
+  assert.strictEqual(bucketFor("produce/vegetables/tomatoes", table), "vegetable");
+  assert.strictEqual(bucketFor("pantry", table, "other"), "other");
+  const [row, bundle] = attachCategoryPaths([{ name: "Large Eggs", salePrice: 2.99 }, { title: "bundle" }]);
+  assert.strictEqual(row.categoryPath, "dairy_eggs/eggs");
+  assert.deepStrictEqual(bundle, { title: "bundle" });
+});
+
+console.log("\nDeal quality:");
+
+test("flags prices that disagree with the product's history", () => {
+  const base = { name: "Boneless Skinless Chicken Breast", salePrice: "1.99", unit: "lb", storeName: "Meijer" };
+  const id = exactProductId(base);
+  const stats = buildPriceStats([1.99, 2.29, 2.49, 1.89, 2.19].map(p => ({ canonical_product_id: id, chain: "meijer", sale_price: p, regular_price: 3.99, unit: "lb" })));
+  const [ok, perEach, outlier, badReg] = annotateDealQuality([
+    base,
+    { ...base, salePrice: "9.99", unit: "each" },
+    { ...base, salePrice: "7.99" },
+    { ...base, regularPrice: "6.49" },
+  ], stats);
+  assert.deepStrictEqual(ok.quality, { score: 1, flags: [] });
+  assert.deepStrictEqual(perEach.quality.flags, ["unit_confusion"]);
+  assert.deepStrictEqual(outlier.quality.flags, ["price_outlier"]);
+  assert.deepStrictEqual(badReg.quality.flags, ["implausible_discount", "regular_price_mismatch"]);
+  assert.strictEqual(plausibleDiscount(badReg).pct, 0);
+});
+
+test("flags overlapping-tile duplicates and per-lb packaged goods without history", () => {
+  const [first, second, cereal] = annotateDealQuality([
+    { name: "Grape Tomatoes 10 oz", salePrice: "2.50", adImage: "a.jpg", adPage: 2, adTile: 1 },
+    { name: "Grape Tomatoes", salePrice: "$2.50", adImage: "a.jpg", adPage: 2, adTile: 2 },
+    { name: "Cheerios Cereal", salePrice: "3.99", unit: "lb" },
+  ]);
+  assert.deepStrictEqual(first.quality.flags, []);
+  assert.deepStrictEqual(second.quality.flags, ["ocr_duplicate"]);
+  assert.ok(second.quality.score < 0.5);
+  assert.deepStrictEqual(cereal.quality.flags, ["unit_confusion"]);
+  assert.deepStrictEqual(plausibleDiscount({ salePrice: "2.00", regularPrice: "3.00" }), { sale: 2, regular: 3, pct: 33 });
+  assert.deepStrictEqual(plausibleDiscount({ salePrice: 0.76, regularPrice: 2.5 }), { sale: 0.76, regular: null, pct: 0 });
+});
+
+console.log("\nPrice history:");
+
+test("buckets captures into Monday weeks", () => {
+  assert.strictEqual(weekOf({ captured_at: "2026-10-15T12:00:00Z" }), "2026-10-12");
+  assert.strictEqual(weekOf({ captured_at: "2026-10-12T00:00:00Z" }), "2026-10-12");
+  assert.strictEqual(weekOf({ week_start: "2026-10-05", captured_at: "2026-10-15T12:00:00Z" }), "2026-10-05");
+});
+
+test("places a price against past weeks of its product", () => {
+  const now = Date.parse("2026-10-19T12:00:00Z");
+  const rows = [2.49, 2.29, 1.99, 2.49, 2.19].map((p, i) => ({
+    chain: "meijer", sale_price: p, captured_at: new Date(now - (i + 1) * 7 * 86400000).toISOString(),
+  }));
+  rows.push({ chain: "meijer", sale_price: 1.49, captured_at: "2026-10-19T08:00:00Z" }); // this week: ignored
+  const low = historicalContext("1.89", rows, { chain: "meijer", now });
+  assert.strictEqual(low.verdict, "lowest");
+  assert.strictEqual(low.observations, 5);
+  assert.strictEqual(low.lowest, 1.99);
+  assert.strictEqual(low.typical, 2.29);
+  assert.strictEqual(low.scope, "chain");
+  const routine = historicalContext("2.49", rows, { chain: "kroger", now });
+  assert.strictEqual(routine.scope, "all");
+  assert.strictEqual(routine.verdict, "high");
+  assert.strictEqual(routine.percentile, 60);
+  assert.strictEqual(historicalContext("2.00", rows.slice(0, 2), { now }), null);
+});
+
+console.log("\nSale cycles:");
+
+// Kroger chicken breast, 20 captured weeks from 2026-06-01: $3.49/lb, on sale
+// at $1.99/lb in weeks 1, 7 and 13-14.
+const cycleRows = Array.from({ length: 20 }, (_, i) => ({
+  chain: "kroger", store_name: "Kroger", unit: "lb",
+  sale_price: [1, 7, 13, 14].includes(i) ? (i === 14 ? 2.09 : 1.99) : 3.49,
+  captured_at: new Date(Date.parse("2026-06-03T12:00:00Z") + i * 7 * 86400000).toISOString(),
+}));
+
+test("estimates a chain's sale cadence and next window", () => {
+  const now = Date.parse("2026-10-19T12:00:00Z");
+  const cycle = estimateSaleCycle(cycleRows, { now });
+  assert.strictEqual(cycle.basis, "lb");
+  assert.strictEqual(cycle.episodes, 3);
+  assert.strictEqual(cycle.cadenceWeeks, 6);
+  assert.strictEqual(cycle.salePrice, 1.99);
+  assert.strictEqual(cycle.lastSale, "2026-08-31");
+  assert.deepStrictEqual(cycle.nextSale, { from: "2026-10-05", to: "2026-10-19" });
+  assert.strictEqual(cycle.overdue, false);
+  assert.strictEqual(estimateSaleCycle(cycleRows.slice(0, 3), { now }), null);
+  const [kroger] = chainSaleCycles([...cycleRows, { chain: "meijer", sale_price: 2.49, unit: "lb", captured_at: "2026-10-14T12:00:00Z" }], { now });
+  assert.strictEqual(kroger.summary, "Hits $1.99/lb at Kroger roughly every 6 weeks");
+});
+
+test("advises buying now at the sale price and waiting when one is near", () => {
+  const now = Date.parse("2026-09-14T12:00:00Z");
+  const cycle = estimateSaleCycle(cycleRows.filter(r => r.captured_at < "2026-09-14"), { now });
+  assert.strictEqual(stockUpAdvice(cycle, { price: 1.99, now }).advice, "buy_now");
+  const wait = stockUpAdvice(cycle, { price: 3.49, now });
+  assert.strictEqual(wait.advice, "wait");
+  assert.strictEqual(wait.weeksUntil, 3);
+  const onSale = estimateSaleCycle(cycleRows.filter(r => r.captured_at < "2026-09-14"), { now: Date.parse("2026-09-09T12:00:00Z") });
+  assert.strictEqual(stockUpAdvice(onSale, { now: Date.parse("2026-09-09T12:00:00Z") }).advice, "buy_now");
+  assert.strictEqual(stockUpAdvice(null).advice, "buy_as_needed");
+});
+
+console.log("\nHistory ad weeks:");
+
+test("places captures in the retailer ad week they were seen in", () => {
+  // Dated ad: its own first day, read in the ad's timezone.
+  assert.strictEqual(adWeekStart({ capturedAt: "2026-10-20T15:00:00Z", validFrom: "2026-10-15T07:00:00Z" }), "2026-10-15");
+  // Undated, "Wed-Tue" chain: a Tuesday capture belongs to the Wednesday before.
+  assert.strictEqual(adWeekStart({ capturedAt: "2026-10-20T15:00:00Z", adCycle: "Wed-Tue" }), "2026-10-14");
+  assert.strictEqual(adWeekStart({ capturedAt: "2026-10-21T15:00:00Z", adCycle: "Wed-Tue" }), "2026-10-21");
+  assert.strictEqual(adWeekStart({ capturedAt: "2026-10-21T15:00:00Z" }), "2026-10-19");
+  // A capture and its re-run two days later land in the same ad week.
+  const item = { name: "Cherry Tomatoes", salePrice: "$2.50", storeName: "Meijer" };
+  const adWeek = { adCycles: new Map([["meijer", "Sun-Sat"]]) };
+  const first = buildHistoryRow(item, "ad-extract:meijer", "2026-10-14T12:00:00Z", null, adWeek);
+  const rerun = buildHistoryRow(item, "ad-extract:meijer", "2026-10-16T12:00:00Z", null, adWeek);
+  assert.strictEqual(first.week_start, "2026-10-11");
+  assert.strictEqual(rerun.week_start, first.week_start);
+  assert.strictEqual(rerun.item_key, "name:cherry tomatoes");
+  assert.strictEqual(weekOf(first), "2026-10-05");
+});
+
+test("collapses one chain's item to a row per ad week", () => {
+  const row = (sale_price, captured_at, week_start = "2026-10-14") => ({ chain: "kroger", item_key: "p_1", week_start, sale_price, captured_at });
+  const rows = collapseHistoryRows([
+    row(2.99, "2026-10-14T12:00:00Z"),
+    row(2.49, "2026-10-14T12:00:00Z"), // another location, cheaper
+    row(2.49, "2026-10-16T12:00:00Z"), // re-run: same price, later capture
+    row(2.99, "2026-10-21T12:00:00Z", "2026-10-21"),
+  ]);
+  assert.strictEqual(rows.length, 2);
+  assert.deepStrictEqual(rows.map(r => [r.week_start, r.sale_price, r.captured_at]), [
+    ["2026-10-14", 2.49, "2026-10-16T12:00:00Z"],
+    ["2026-10-21", 2.99, "2026-10-21T12:00:00Z"],
+  ]);
+});
+
+console.log("\nWatchlists:");
+
+test("validates watches and prices deals in the watch's basis", () => {
+  assert.ok(parseWatch({ item: "ground beef" }).error);
+  assert.ok(parseWatch({ item: "ground beef", zip: "45432", maxUnitPrice: 3.99, unitBasis: "kg" }).error);
+  const { watch } = parseWatch({ item: " Ground Beef ", zip: "45432", maxUnitPrice: "3.99", unitBasis: "lb", chains: ["Kroger", "kroger "] });
+  assert.deepStrictEqual([watch.item_text, watch.max_unit_price, watch.unit_basis, watch.chains, watch.notify_email], ["Ground Beef", 3.99, "lb", ["kroger"], true]);
+  assert.strictEqual(parseWatch({ item: "milk", zip: "45432" }).watch.max_unit_price, null);
+  // A per-lb price meets a per-lb target; a per-each price can't.
+  const perLb = { name: "80% Lean Ground Beef", salePrice: "$3.49", unit: "/lb", storeName: "Kroger" };
+  const pack = { name: "Ground Beef Patties", salePrice: "$9.99", unit: "each", storeName: "Kroger" };
+  assert.strictEqual(watchPrice(perLb, "lb"), 3.49);
+  assert.strictEqual(watchPrice(pack, "lb"), null);
+  assert.strictEqual(watchPrice(pack, "each"), 9.99);
+  // Nor does a per-weight or per-volume price meet an "each" target, but a
+  // sized package's own price does.
+  assert.strictEqual(watchPrice(perLb, "each"), null);
+  assert.strictEqual(watchPrice({ name: "Whole Milk", salePrice: "$2.99", priceUnit: "/gal", storeName: "Kroger" }, "each"), null);
+  assert.strictEqual(watchPrice({ name: "Tortilla Chips", salePrice: "$2.99", size: "10 oz", storeName: "Kroger" }, "each"), 2.99);
+});
+
+test("fires on a target price or a historical low and builds one alert", () => {
+  const deals = [
+    { name: "80% Lean Ground Beef", salePrice: "$4.29", unit: "/lb", storeName: "Meijer" },
+    { name: "93% Lean Ground Beef", salePrice: "$3.49", unit: "/lb", storeName: "Kroger" },
+    { name: "Ground Turkey", salePrice: "$2.99", unit: "/lb", storeName: "Kroger" },
+  ];
+  const target = { id: 7, user_id: "u1", item_text: "ground beef", zip: "45432", max_unit_price: 3.99, unit_basis: "lb", chains: [] };
+  const hits = matchWatch(target, deals);
+  assert.deepStrictEqual(hits.map(m => [m.deal.storeName, m.price, m.reason]), [["Kroger", 3.49, "target"]]);
+  assert.strictEqual(matchWatch({ ...target, chains: ["meijer"] }, deals).length, 0);
+  const alert = buildWatchAlert(target, hits, "2026-10-19");
+  assert.strictEqual(alert.watch_id, 7);
+  assert.strictEqual(alert.week_start, "2026-10-19");
+  assert.match(alert.summary, /93% Lean Ground Beef at Kroger: \$3\.49\/lb.*under your \$3\.99\/lb/);
+  assert.strictEqual(buildWatchAlert(target, [], "2026-10-19"), null);
+  // No target: only a deal history calls low fires.
+  const drop = { ...target, max_unit_price: null, unit_basis: null };
+  const withHistory = deals.map((d, i) => ({ ...d, historicalContext: { verdict: i === 0 ? "lowest" : "typical", weeks: 12, typical: 4.99 } }));
+  const drops = matchWatch(drop, withHistory);
+  assert.deepStrictEqual(drops.map(m => [m.deal.storeName, m.reason]), [["Meijer", "price_drop"]]);
+  assert.match(buildWatchAlert(drop, drops, "2026-10-19").summary, /lowest in 12 weeks/);
+});
+
+console.log("\nLLM provider:");
+
+test("parses fenced, prose-wrapped and truncated JSON replies", () => {
+  assert.deepStrictEqual(parseJsonReply('```json\n[{"name":"Eggs"}]\n```'), { value: [{ name: "Eggs" }], parse: "ok" });
+  assert.deepStrictEqual(parseJsonReply('Here you go: {"store":"Kroger","totalSpent":12.5} Thanks!', "object").value, { store: "Kroger", totalSpent: 12.5 });
+  const cut = parseJsonReply('[{"name":"Eggs","salePrice":2.49},{"name":"Milk","salePr');
+  assert.strictEqual(cut.parse, "recovered");
+  assert.deepStrictEqual(cut.value, [{ name: "Eggs", salePrice: 2.49 }]);
+  assert.strictEqual(parseJsonReply('{"recipes":[]}', "array").parse, "fail");
+  assert.strictEqual(parseJsonReply("Sorry, I can't read this image.").parse, "fail");
+});
+
+await testAsync("retries an overloaded call and answers offline from mock fixtures", async () => {
+  let calls = 0;
+  const mock = createMockProvider({
+    replies: {
+      substitute: () => {
+        if (++calls === 1) throw Object.assign(new Error("overloaded"), { status: 529, retryable: true });
+        return "```json\n[{\"substitute\":\"chicken thighs\"}]\n```";
+      },
+      "bad-request": () => { throw Object.assign(new Error("bad image"), { status: 400, retryable: false }); },
+      "ad-ocr": () => { throw Object.assign(new Error("overloaded"), { status: 529, retryable: true }); },
+    },
+  });
+  setLLMProvider(mock);
+  try {
+    const reply = await complete({ purpose: "substitute", prompt: "Swap ground beef", json: "array", retryDelayMs: 0 });
+    assert.strictEqual(reply.attempts, 2);
+    assert.deepStrictEqual(reply.json, [{ substitute: "chicken thighs" }]);
+    assert.ok(reply.usage.inputTokens > 0 && reply.usage.outputTokens > 0);
+    await assert.rejects(complete({ purpose: "bad-request", prompt: "x", retryDelayMs: 0 }), e => e.status === 400);
+    assert.strictEqual(mock.calls.length, 3); // 400s are not retried
+    const { purposes } = llmUsage();
+    assert.deepStrictEqual([purposes.substitute.calls, purposes.substitute.retries, purposes["bad-request"].errors], [1, 1, 1]);
+    // Purposes that don't opt in fail fast: one attempt, no retry.
+    await assert.rejects(complete({ purpose: "ad-ocr", prompt: "x", retryDelayMs: 0 }), e => e.status === 529);
+    assert.strictEqual(mock.calls.length, 4);
+    // The stock mock answers from lib/llm/fixtures/<purpose>.json.
+    setLLMProvider(PROVIDERS.mock);
+    const pantry = await complete({ purpose: "scan-pantry", prompt: "photo", images: [{ data: "AAAA" }], json: "array" });
+    assert.ok(pantry.json.includes("rice"));
+    await assert.rejects(complete({ purpose: "no-such-fixture", prompt: "x" }), /No mock LLM reply/);
+  } finally {
+    setLLMProvider(null);
+  }
+});
+
+console.log("\nRecipe schema:");
+
+const schemaDeals = [{ name: "Boneless Skinless Chicken Breast" }, { name: "Red Bell Peppers" }];
+const schemaRecipe = (over = {}) => ({
+  title: "Chicken Fajitas", servings: "4", cookTime: "25 minutes", prepTime: 10,
+  ingredients: [
+    { item: "chicken breast", type: "sale", matchName: "chicken breast", quantity: "1 1/2", unit: "Pounds" },
+    { item: "bell peppers", type: "SALE", matchName: "Red Bell Peppers", quantity: 2, unit: "each" },
+    { item: "salt", type: "PANTRY", matchName: "", quantity: 0, unit: "" },
+  ],
+  instructions: ["Slice.", "Sear.", "Serve."],
+  tags: ["Mexican", "quick", "mexican"],
+  nutrition: { calories: "420", protein: 38.6 },
+  ...over,
+});
+
+test("normalizes a recipe and reports schema and sale-reference problems", () => {
+  assert.strictEqual(resolveDealRef("red bell peppers", schemaDeals), 1);
+  assert.strictEqual(resolveDealRef("chicken breast", schemaDeals), 0);
+  assert.strictEqual(resolveDealRef("shrimp", schemaDeals), null);
+  const { recipe, problems } = validateRecipe(schemaRecipe(), { deals: schemaDeals });
+  assert.deepStrictEqual(problems, []);
+  assert.deepStrictEqual([recipe.servings, recipe.cookTime, recipe.tags], [4, 25, ["mexican", "quick"]]);
+  assert.deepStrictEqual(recipe.ingredients[0], { item: "chicken breast", type: "SALE", quantity: 1.5, unit: "lb", matchName: "chicken breast", dealRef: 0 });
+  assert.deepStrictEqual(recipe.nutrition, { calories: 420, protein: 39, carbs: null, fat: null, fiber: null });
+  const bad = validateRecipe(schemaRecipe({
+    servings: 0, instructions: ["Cook it all."],
+    ingredients: [{ item: "shrimp", type: "SALE", matchName: "shrimp", quantity: 1, unit: "lb" }, { item: "rice", type: "PANTRY", quantity: 1, unit: "handful" }],
+  }), { deals: schemaDeals });
+  assert.deepStrictEqual(bad.problems.map(p => `${p.kind}:${p.field}`),
+    ["schema:servings", "deal:ingredients[0].matchName", "schema:ingredients[1].unit", "schema:instructions"]);
+});
+
+await testAsync("repairs failing recipes in one call, drops the rest and unlinks unknown sale items", async () => {
+  const mock = createMockProvider({
+    replies: { "recipe-repair": { recipes: [schemaRecipe({ title: "Fixed Fajitas" }), schemaRecipe({ servings: "a few" })] } },
+  });
+  setLLMProvider(mock);
+  try {
+    const noPork = (r) => r.ingredients.some(i => /pork/i.test(i.item)) ? ["contains pork"] : [];
+    const { recipes, dropped, repaired } = await validateRecipes([
+      schemaRecipe({ title: "Pork Tacos", ingredients: [...schemaRecipe().ingredients, { item: "pork shoulder", type: "ADDITIONAL", quantity: 1, unit: "lb" }] }),
+      schemaRecipe({ title: "Stew", servings: null }),
+      schemaRecipe({ title: "Shrimp Bowl", ingredients: [{ item: "shrimp", type: "SALE", matchName: "Jumbo Shrimp", quantity: 1, unit: "lb" }, ...schemaRecipe().ingredients.slice(1)] }),
+    ], { deals: schemaDeals, check: noPork, rules: "No pork." });
+    assert.strictEqual(mock.calls.length, 1);
+    assert.ok(mock.calls[0].prompt.includes("contains pork") && !mock.calls[0].prompt.includes("Shrimp Bowl"));
+    assert.strictEqual(repaired, 1);
+    assert.deepStrictEqual(recipes.map(r => r.title), ["Fixed Fajitas", "Shrimp Bowl"]);
+    assert.deepStrictEqual(recipes[1].ingredients[0], { item: "shrimp", type: "ADDITIONAL", quantity: 1, unit: "lb", matchName: "Jumbo Shrimp", dealRef: null });
+    assert.deepStrictEqual(dropped.map(d => d.title), ["Stew"]);
+  } finally {
+    setLLMProvider(null);
+  }
+});
+
+await testAsync("a cancelled repair throws instead of dropping the recipes it was fixing", async () => {
+  const mock = createMockProvider({ replies: { "recipe-repair": { recipes: [schemaRecipe()] } } });
+  setLLMProvider(mock);
+  try {
+    const abort = new AbortController();
+    abort.abort();
+    await assert.rejects(validateRecipes([schemaRecipe({ title: "Stew", servings: null })], { deals: schemaDeals, signal: abort.signal }), /aborted/);
+    assert.strictEqual(mock.calls[0].signal, abort.signal);
+  } finally {
+    setLLMProvider(null);
+  }
+});
+
+console.log("\nRecipe streaming:");
+
+test("emits each array element as soon as it closes, across any chunking", () => {
+  const reply = '```json\n{"note": ["not this"], "recipes": [{"title": "Brace } and \\"quote\\" [", "tags": ["quick"]}, {"title": "Stew", "ingredients": [{"item": "beef"}]}, {"title": "Cut o';
+  for (const size of [1, 7, reply.length]) {
+    const seen = [];
+    const items = createJsonArrayStream({ key: "recipes", onItem: (v, i) => seen.push([i, v.title]) });
+    for (let i = 0; i < reply.length; i += size) items.write(reply.slice(i, i + size));
+    assert.deepStrictEqual(seen, [[0, 'Brace } and "quote" ['], [1, "Stew"]]);
+    assert.strictEqual(items.found, true);
+  }
+  const bare = [];
+  createJsonArrayStream({ onItem: v => bare.push(v.name) }).write('[{"name":"Eggs"},{"name":"Milk"}] trailing {"name":"x"}');
+  assert.deepStrictEqual(bare, ["Eggs", "Milk"]);
+});
+
+await testAsync("streams replies and retries only failures before the first chunk", async () => {
+  try {
+    const mock = createMockProvider({ replies: { recipes: { recipes: [{ title: "A" }, { title: "B" }] } }, chunkSize: 5 });
+    setLLMProvider(mock);
+    const chunks = [];
+    const reply = await stream({ purpose: "recipes", prompt: "x", json: "object", onText: c => chunks.push(c) });
+    assert.ok(chunks.length > 3);
+    assert.strictEqual(chunks.join(""), reply.text);
+    assert.deepStrictEqual(reply.json.recipes.map(r => r.title), ["A", "B"]);
+
+    const overloaded = () => Object.assign(new Error("overloaded"), { status: 529, retryable: true });
+    let calls = 0;
+    setLLMProvider({
+      id: "mock", configured: () => true,
+      async complete() { throw new Error("stream() should not fall back to complete()"); },
+      async stream(req, onText) {
+        if (++calls === 1) throw overloaded();
+        onText('{"recipes":[');
+        throw overloaded();
+      },
+    });
+    await assert.rejects(stream({ purpose: "recipes", prompt: "x", onText: () => {}, retries: 3, retryDelayMs: 0 }), e => e.status === 529);
+    assert.strictEqual(calls, 2); // retried before any text, not after
+    // A provider without stream() hands over the whole reply at once.
+    setLLMProvider({ ...mock, stream: undefined });
+    const whole = [];
+    await stream({ purpose: "recipes", prompt: "x", onText: c => whole.push(c) });
+    assert.strictEqual(whole.length, 1);
+  } finally {
+    setLLMProvider(null);
+  }
+});
+
+console.log("\nRecipe swaps:");
+
+const swapBody = () => ({
+  locked: [
+    { title: "Chicken Fajitas", day: "Monday", usedSaleItems: [{ name: "Chicken Thighs" }, { name: "Red Bell Peppers" }] },
+    { title: "Weeknight Supper", day: "Tuesday", usedSaleItems: [{ name: "Pork Loin Chops" }, { name: "Eggs" }] },
+  ],
+  replacing: [{ title: "Baked Ziti", day: "Wednesday", usedSaleItems: [{ name: "Penne" }] }],
+  hint: "  something faster  ",
+});
+
+test("derives the proteins, deals and titles a swap must avoid", () => {
+  assert.deepStrictEqual(recipeProteins({ title: "Beef and Broccoli Stir Fry", usedSaleItems: [{ name: "Chicken Thighs" }] }), ["beef"]);
+  assert.deepStrictEqual(recipeProteins({ title: "Weeknight Supper", usedSaleItems: [{ name: "Pork Loin Chops" }, { name: "Eggs" }] }), ["pork", "eggs"]);
+  assert.deepStrictEqual(recipeProteins({ title: "Stir Fry", ingredients: [{ type: "SALE", matchName: "Jumbo Shrimp" }, { type: "PANTRY", item: "2 eggs" }] }), ["shrimp"]);
+  const { swap } = parseSwapRequest(swapBody());
+  assert.deepStrictEqual([swap.count, swap.hint, swap.proteins], [1, "something faster", ["chicken", "pork", "eggs"]]);
+  assert.deepStrictEqual(swap.dealNames, ["Chicken Thighs", "Red Bell Peppers", "Pork Loin Chops", "Eggs"]);
+  const { check, rules } = swapConstraints(swap);
+  assert.deepStrictEqual(check({ title: "Crispy Chicken Tacos", ingredients: [] }), ["built on chicken, which a kept recipe already uses"]);
+  assert.deepStrictEqual(check({ title: "baked ziti", ingredients: [{ type: "SALE", matchName: "Penne" }] }), ["repeats the title of a recipe in the set"]);
+  assert.deepStrictEqual(check({ title: "Black Bean Tacos", ingredients: [{ type: "SALE", matchName: "Black Beans" }] }), []);
+  assert.ok(rules.includes("chicken, pork, eggs") && rules.includes("Baked Ziti"));
+  assert.ok(parseSwapRequest({ locked: [] }).error);
+  assert.ok(parseSwapRequest({ replacing: Array.from({ length: 6 }, (_, i) => ({ title: `R${i}` })) }).error);
+});
+
+test("asks for a spare candidate and serves the least overlapping in the replaced slots", () => {
+  const { swap } = parseSwapRequest(swapBody());
+  const note = swapPromptNote(swap, { weeklyPlan: true });
+  assert.ok(note.startsWith("Generate exactly 2 recipes."));
+  assert.ok(note.includes('"something faster"') && note.includes("(Wednesday)") && note.includes("Do NOT build a recipe on chicken, pork, eggs"));
+  const cards = [
+    { id: "a", title: "Pepper Steak", totalSavings: 9, usedSaleItems: [{ name: "Sirloin" }, { name: "Red Bell Peppers" }] },
+    { id: "b", title: "Bean Chili", totalSavings: 3, usedSaleItems: [{ name: "Black Beans" }] },
+  ];
+  const picked = pickReplacements(cards, swap, c => c.totalSavings);
+  assert.deepStrictEqual(picked.map(c => [c.id, c.day]), [["b", "Wednesday"]]);
+  assert.strictEqual(cards[1].day, undefined);
+});
+
+console.log("\nRecipe costs:");
+
+const costDeals = [
+  { name: "Boneless Skinless Chicken Breast", salePrice: "$2.99", regularPrice: "$5.49", isPerLb: true, category: "Meat", storeName: "Kroger" },
+  { name: "Diced Tomatoes", salePrice: "$1.00", regularPrice: "$1.79", size: "14.5 oz", category: "Canned", storeName: "Kroger", notes: "Must buy 5" },
+  { name: "Olive Oil", salePrice: "$6.99", regularPrice: "$9.99", size: "16 fl oz", category: "Pantry", storeName: "Kroger" },
+  { name: "Yellow Onions", salePrice: "$1.49", regularPrice: "$40.00", isPerLb: true, category: "Produce", storeName: "Kroger" },
+];
+
+test("prices every line from the best source it has, with a confidence", () => {
+  const { lines } = costRecipe({ servings: 4, ingredients: [
+    { item: "1.5 lbs chicken breast", type: "SALE", quantity: 1.5, unit: "lb", dealRef: 0 },
+    { item: "2 cans diced tomatoes", type: "SALE", quantity: 2, unit: "can", dealRef: 1 },
+    { item: "2 tbsp olive oil", type: "SALE", quantity: 2, unit: "tbsp", dealRef: 2 },
+    { item: "1 yellow onion", type: "ADDITIONAL", quantity: 1, unit: "each" },
+    { item: "1 red bell pepper", type: "ADDITIONAL", quantity: 1, unit: "each" },
+    { item: "salt to taste", type: "PANTRY", quantity: null, unit: null },
+    { item: "dragonfruit glaze", type: "ADDITIONAL", quantity: 1, unit: "cup" },
+    { item: "leftover rice", type: "LEFTOVER", quantity: 2, unit: "cup" },
+  ] }, { deals: costDeals });
+  const row = (l) => [l.source, l.cost, l.regularCost, l.confidence];
+  assert.deepStrictEqual(row(lines[0]), ["sale", 4.49, 8.24, "high"]);
+  // "Must buy 5": two cans at the regular price beat five at the sale price.
+  assert.deepStrictEqual(row(lines[1]), ["sale", 3.58, 3.58, "high"]);
+  // A staple is billed for the share used: 1 of 16 fl oz.
+  assert.deepStrictEqual(row(lines[2]), ["pantry", 0.44, 0.62, "medium"]);
+  // An implausible regular price is no savings claim, and not linked to a sale.
+  assert.deepStrictEqual(row(lines[3]), ["store_regular", 0.45, 0.45, "medium"]);
+  assert.deepStrictEqual(row(lines[4]), ["baseline", 1.29, 1.29, "medium"]);
+  assert.deepStrictEqual(row(lines[5]), ["pantry", 0.05, 0.05, "medium"]);
+  assert.deepStrictEqual(row(lines[6]), ["unknown", 2.5, 2.5, "low"]);
+  assert.deepStrictEqual(row(lines[7]), ["on_hand", 0, 0, "high"]);
+});
+
+test("totals a recipe per serving, scales typical prices by region and keeps peppers off the spice rack", () => {
+  const recipe = { servings: 2, ingredients: [
+    { item: "1 lb chicken breast", type: "SALE", quantity: 1, unit: "lb", dealRef: 0 },
+    { item: "1 lb ground beef", type: "ADDITIONAL", quantity: 1, unit: "lb" },
+  ] };
+  const c = costRecipe(recipe, { deals: costDeals, zip: "94110" });
+  assert.deepStrictEqual([c.total, c.regular, c.savings, c.perServing, c.region], [9.14, 11.64, 2.5, 4.57, "Pacific"]);
+  assert.strictEqual(costRecipe(recipe, { deals: costDeals, zip: "45202" }).lines[1].cost, 5.22);
+  assert.deepStrictEqual(c.savingsConfidence, { level: "high", score: 1 });
+  assert.strictEqual(c.confidence.level, "medium");
+  assert.deepStrictEqual(regionFor("abc"), { name: "US average", index: 1 });
+  assert.deepStrictEqual(["black pepper", "red bell pepper", "fresh basil", "dried basil", "3 cloves garlic", "butter beans"].map(n => isPantryStaple(n)), [true, false, false, true, false, false]);
+});
+
 // ── Summary ─────────────────────────────────────────────────────────────────
 
 console.log(`\n${passed} passed, ${failed} failed\n`);